@@ -4,9 +4,13 @@ import { Toaster } from '@/components/ui/toaster';
 import Layout from '@/components/Layout';
 import Dashboard from '@/pages/Dashboard';
 import Members from '@/pages/Members';
+import MemberDetail from '@/pages/MemberDetail';
 import BloodPressure from '@/pages/BloodPressure';
 import Encounters from '@/pages/Encounters';
+import FollowUps from '@/pages/FollowUps';
 import Analytics from '@/pages/Analytics';
+import Alerts from '@/pages/Alerts';
+import Outreach from '@/pages/Outreach';
 import Login from '@/pages/Login';
 import AdminDashboard from '@/pages/AdminDashboard';
 import BluetoothDiagnostic from '@/pages/BluetoothDiagnostic';
@@ -35,8 +39,12 @@ function App() {
                   <Route path="/" element={<Dashboard />} />
                   <Route path="/dashboard" element={<Dashboard />} />
                   <Route path="/members" element={<Members />} />
+                  <Route path="/members/:id" element={<MemberDetail />} />
                   <Route path="/blood-pressure" element={<BloodPressure />} />
                   <Route path="/encounters" element={<Encounters />} />
+                  <Route path="/follow-ups" element={<FollowUps />} />
+                  <Route path="/outreach" element={<Outreach />} />
+                  <Route path="/alerts" element={<Alerts />} />
                   <Route path="/analytics" element={<Analytics />} />
                   <Route path="/bluetooth-diagnostic" element={<BluetoothDiagnostic />} />
                 </Routes>
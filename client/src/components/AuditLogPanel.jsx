@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { adminAPI } from '@/services/api';
+import ListPagination from '@/components/ListPagination';
+import ExportButton from '@/components/ExportButton';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { ShieldCheck } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { userId: '', memberId: '', startDate: '', endDate: '' };
+
+const ACTION_STYLES = {
+  read: 'bg-gray-100 text-gray-800',
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+  restore: 'bg-yellow-100 text-yellow-800',
+  archive: 'bg-orange-100 text-orange-800',
+  export: 'bg-purple-100 text-purple-800',
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : String(value));
+
+function ChangeSummary({ changes }) {
+  const fields = Object.entries(changes || {});
+
+  if (fields.length === 0) {
+    return <span className="text-muted-foreground">—</span>;
+  }
+
+  return (
+    <ul className="space-y-1 text-xs">
+      {fields.map(([field, { before, after }]) => (
+        <li key={field}>
+          <span className="font-medium">{field}</span>: {formatValue(before)} → {formatValue(after)}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function AuditLogPanel() {
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['auditLog', params, offset],
+    queryFn: () => adminAPI.getAuditLog({ ...params, limit: PAGE_SIZE, offset }).then(res => res.data),
+  });
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setFilters(draft);
+    setOffset(0);
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+  };
+
+  const total = data?.total ?? 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          Audit Log
+        </CardTitle>
+        <CardDescription>
+          Every read, change and export of member health information, with who made it and when
+        </CardDescription>
+        <form onSubmit={applyFilters} className="grid grid-cols-1 md:grid-cols-5 gap-4 mt-4 items-end">
+          <div className="space-y-1">
+            <Label htmlFor="audit-user">User ID</Label>
+            <Input
+              id="audit-user"
+              value={draft.userId}
+              onChange={(e) => setDraft({ ...draft, userId: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="audit-member">Member ID</Label>
+            <Input
+              id="audit-member"
+              value={draft.memberId}
+              onChange={(e) => setDraft({ ...draft, memberId: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="audit-start">From</Label>
+            <Input
+              id="audit-start"
+              type="date"
+              value={draft.startDate}
+              onChange={(e) => setDraft({ ...draft, startDate: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="audit-end">To</Label>
+            <Input
+              id="audit-end"
+              type="date"
+              value={draft.endDate}
+              onChange={(e) => setDraft({ ...draft, endDate: e.target.value })}
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button type="submit">Filter</Button>
+            <Button type="button" variant="outline" onClick={clearFilters}>Clear</Button>
+            <ExportButton path="/admin/audit-log/export" params={params} name="audit-log" />
+          </div>
+        </form>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="text-center py-8 text-muted-foreground">Loading...</div>
+        ) : data?.entries.length > 0 ? (
+          <>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>User</TableHead>
+                  <TableHead>Action</TableHead>
+                  <TableHead>Record</TableHead>
+                  <TableHead>Member</TableHead>
+                  <TableHead>IP</TableHead>
+                  <TableHead>Changes</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.entries.map((entry) => (
+                  <TableRow key={entry.id}>
+                    <TableCell className="whitespace-nowrap">
+                      {format(new Date(entry.createdAt), 'MMM dd, yyyy HH:mm:ss')}
+                    </TableCell>
+                    <TableCell>
+                      <div>{entry.username || entry.userId || 'Unknown'}</div>
+                      {entry.userRole && (
+                        <div className="text-xs text-muted-foreground">{entry.userRole}</div>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Badge className={ACTION_STYLES[entry.action]}>{entry.action}</Badge>
+                    </TableCell>
+                    <TableCell>
+                      <div>{entry.entityType}</div>
+                      <div className="text-xs text-muted-foreground font-mono">{entry.entityId || entry.path}</div>
+                    </TableCell>
+                    <TableCell className="text-xs font-mono">{entry.memberId || '—'}</TableCell>
+                    <TableCell className="text-xs">{entry.ipAddress || '—'}</TableCell>
+                    <TableCell>
+                      <ChangeSummary changes={entry.changes} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <ListPagination
+              total={total}
+              limit={PAGE_SIZE}
+              offset={offset}
+              onOffsetChange={setOffset}
+            />
+          </>
+        ) : (
+          <div className="text-center py-8 text-muted-foreground">
+            No audit entries match these filters.
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
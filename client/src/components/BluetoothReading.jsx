@@ -12,8 +12,9 @@ import {
   CheckCircle,
   AlertCircle,
   Save,
-  X,
-  BluetoothSearching
+  BluetoothSearching,
+  Timer,
+  ListChecks
 } from 'lucide-react';
 import bluetoothBPService from '@/services/bluetoothBP';
 import {
@@ -24,9 +25,67 @@ import {
   parseMeasurementStatus,
   formatTimestamp
 } from '@/utils/bluetoothParser';
+import { useBpGuideline } from '@/hooks/useBpGuideline';
+import {
+  summarizeSession,
+  MIN_SESSION_READINGS,
+  MAX_SESSION_READINGS,
+  RECOMMENDED_SESSION_READINGS
+} from '@shared/measurementSession';
+
+// AHA protocol: rest about a minute between readings in a session
+const REST_SECONDS = 60;
+
+const SESSION_FLAG_LABELS = {
+  discarded_first: 'Discarded (first reading)',
+  outlier: 'Outlier',
+};
+
+// Reading in the shape POST /blood-pressure-readings/sessions expects
+function toSessionReading(measurement) {
+  const { systolic, diastolic, heartRate, deviceTimestamp, timestamp } = measurement;
+
+  return {
+    systolic: parseInt(systolic),
+    diastolic: parseInt(diastolic),
+    heartRate: heartRate ? parseInt(heartRate) : undefined,
+    readingDate: (deviceTimestamp || timestamp || new Date()).toISOString(),
+  };
+}
+
+function SessionSummary({ readings, guideline }) {
+  const summary = summarizeSession(readings, guideline);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold">
+          Session average: <span className="font-mono">{summary.meanSystolic}/{summary.meanDiastolic}</span> mmHg
+        </p>
+        <Badge className={getHTNStatusColor(summary.classification.status)}>
+          {summary.classification.status}
+        </Badge>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Averaged over {summary.includedCount} of {summary.readings.length} readings
+      </p>
+      {summary.readings.map((reading, index) => (
+        <div key={index} className="flex justify-between text-sm p-2 border rounded">
+          <span className={reading.flag ? 'text-muted-foreground line-through' : ''}>
+            {reading.systolic}/{reading.diastolic} mmHg
+          </span>
+          <span className="text-muted-foreground">
+            {reading.flag ? SESSION_FLAG_LABELS[reading.flag] : formatTimestamp(reading.readingDate)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
 
 export default function BluetoothReading({ 
   onSave, 
+  onSaveSession,
   onCancel,
   memberId,
   memberName,
@@ -35,7 +94,15 @@ export default function BluetoothReading({
   const [currentReading, setCurrentReading] = useState(null);
   const [isWaiting, setIsWaiting] = useState(true);
   const [statusMessages, setStatusMessages] = useState([]);
-  const [readingHistory, setReadingHistory] = useState([]);
+  const [sessionReadings, setSessionReadings] = useState([]);
+  const [restRemaining, setRestRemaining] = useState(0);
+  const { id: guideline } = useBpGuideline();
+
+  useEffect(() => {
+    if (restRemaining <= 0) return;
+    const timer = setTimeout(() => setRestRemaining(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [restRemaining]);
 
   useEffect(() => {
     // Set up measurement listener
@@ -43,7 +110,7 @@ export default function BluetoothReading({
       console.log('Received measurement:', measurement);
       
       // Format the measurement
-      const formatted = formatMeasurement(measurement);
+      const formatted = formatMeasurement(measurement, guideline);
       
       // Validate the reading
       const validation = validateBPReading(
@@ -65,9 +132,7 @@ export default function BluetoothReading({
       
       setStatusMessages(messages);
       setIsWaiting(false);
-      
-      // Add to history
-      setReadingHistory(prev => [...prev, formatted]);
+      setRestRemaining(0);
       
       // Auto-save if enabled and valid
       if (autoSave && validation.isValid && onSave) {
@@ -82,7 +147,7 @@ export default function BluetoothReading({
     return () => {
       bluetoothBPService.removeEventListener('measurement', handleMeasurement);
     };
-  }, [autoSave, onSave]);
+  }, [autoSave, onSave, guideline]);
 
   const handleSave = () => {
     if (currentReading && currentReading.isValid && onSave) {
@@ -96,6 +161,22 @@ export default function BluetoothReading({
     setStatusMessages([]);
   };
 
+  const handleAddToSession = () => {
+    setSessionReadings(prev => [...prev, toSessionReading(currentReading.raw)]);
+    setRestRemaining(REST_SECONDS);
+    handleRetry();
+  };
+
+  const handleSaveSession = () => {
+    if (onSaveSession && sessionReadings.length >= MIN_SESSION_READINGS) {
+      onSaveSession(sessionReadings);
+    }
+  };
+
+  const sessionStep = Math.min(sessionReadings.length + 1, MAX_SESSION_READINGS);
+  const canSaveSession = onSaveSession && sessionReadings.length >= MIN_SESSION_READINGS;
+  const sessionFull = sessionReadings.length >= MAX_SESSION_READINGS;
+
   // Waiting for measurement
   if (isWaiting) {
     return (
@@ -103,31 +184,72 @@ export default function BluetoothReading({
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
             <BluetoothSearching className="h-5 w-5 animate-pulse" />
-            Waiting for Measurement
+            {onSaveSession
+              ? `Reading ${sessionStep} of ${Math.max(RECOMMENDED_SESSION_READINGS, sessionStep)}`
+              : 'Waiting for Measurement'}
           </CardTitle>
           <CardDescription>
-            Take a blood pressure reading on your connected device
+            {onSaveSession
+              ? `Take ${RECOMMENDED_SESSION_READINGS} readings about one minute apart; the stage comes from their average`
+              : 'Take a blood pressure reading on your connected device'}
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4">
-          <div className="flex justify-center py-8">
-            <div className="relative">
-              <div className="h-24 w-24 rounded-full border-4 border-muted animate-pulse" />
-              <Heart className="h-10 w-10 absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-muted-foreground animate-pulse" />
+          {restRemaining > 0 && (
+            <Alert>
+              <Timer className="h-4 w-4" />
+              <AlertDescription>
+                Rest quietly for {restRemaining}s before the next reading
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {!sessionFull && (
+            <div className="flex justify-center py-8">
+              <div className="relative">
+                <div className="h-24 w-24 rounded-full border-4 border-muted animate-pulse" />
+                <Heart className="h-10 w-10 absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-muted-foreground animate-pulse" />
+              </div>
             </div>
-          </div>
+          )}
           
-          <Alert>
-            <AlertCircle className="h-4 w-4" />
-            <AlertDescription>
-              <ol className="ml-4 mt-1 list-decimal text-sm space-y-1">
-                <li>Sit comfortably with your back supported</li>
-                <li>Place your arm at heart level</li>
-                <li>Press the START button on your monitor</li>
-                <li>Remain still during measurement</li>
-              </ol>
-            </AlertDescription>
-          </Alert>
+          {sessionReadings.length === 0 && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                <ol className="ml-4 mt-1 list-decimal text-sm space-y-1">
+                  <li>Sit comfortably with your back supported</li>
+                  <li>Place your arm at heart level</li>
+                  <li>Press the START button on your monitor</li>
+                  <li>Remain still during measurement</li>
+                </ol>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {sessionReadings.length > 0 && (
+            <>
+              <Separator />
+              {sessionReadings.length >= MIN_SESSION_READINGS ? (
+                <SessionSummary readings={sessionReadings} guideline={guideline} />
+              ) : (
+                <p className="text-sm text-muted-foreground">
+                  First reading: {sessionReadings[0].systolic}/{sessionReadings[0].diastolic} mmHg
+                </p>
+              )}
+            </>
+          )}
+
+          {canSaveSession && (
+            <Button
+              onClick={handleSaveSession}
+              disabled={!memberId}
+              className="w-full"
+            >
+              <ListChecks className="mr-2 h-4 w-4" />
+              Save Session ({sessionReadings.length} readings)
+            </Button>
+          )}
 
           {memberName && (
             <div className="text-center text-sm text-muted-foreground">
@@ -252,21 +374,33 @@ export default function BluetoothReading({
         <div className="flex gap-2 pt-2">
           {currentReading.isValid ? (
             <>
-              <Button
-                onClick={handleSave}
-                disabled={!memberId}
-                className="flex-1"
-              >
-                <Save className="mr-2 h-4 w-4" />
-                Save Reading
-              </Button>
+              {onSaveSession && !sessionFull && (
+                <Button
+                  onClick={handleAddToSession}
+                  className="flex-1"
+                >
+                  <ListChecks className="mr-2 h-4 w-4" />
+                  Add to Session
+                </Button>
+              )}
+              {onSave && sessionReadings.length === 0 && (
+                <Button
+                  variant={onSaveSession ? 'outline' : 'default'}
+                  onClick={handleSave}
+                  disabled={!memberId}
+                  className="flex-1"
+                >
+                  <Save className="mr-2 h-4 w-4" />
+                  Save Single Reading
+                </Button>
+              )}
               <Button
                 variant="outline"
                 onClick={handleRetry}
                 className="flex-1"
               >
                 <TrendingUp className="mr-2 h-4 w-4" />
-                Take Another
+                {onSaveSession ? 'Discard' : 'Take Another'}
               </Button>
             </>
           ) : (
@@ -299,17 +433,17 @@ export default function BluetoothReading({
           </div>
         )}
 
-        {/* History (if multiple readings) */}
-        {readingHistory.length > 1 && (
+        {/* Readings already in this session */}
+        {sessionReadings.length > 0 && (
           <>
             <Separator />
             <div className="space-y-2">
-              <p className="text-sm font-semibold">Previous Readings</p>
-              {readingHistory.slice(0, -1).reverse().map((reading, index) => (
+              <p className="text-sm font-semibold">Session so far</p>
+              {sessionReadings.map((reading, index) => (
                 <div key={index} className="flex justify-between text-sm p-2 border rounded">
-                  <span>{reading.bloodPressure} mmHg</span>
+                  <span>{reading.systolic}/{reading.diastolic} mmHg</span>
                   <span className="text-muted-foreground">
-                    {formatTimestamp(reading.timestamp)}
+                    {formatTimestamp(reading.readingDate)}
                   </span>
                 </div>
               ))}
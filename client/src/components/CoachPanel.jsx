@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { UserCog } from 'lucide-react';
+import { membersAPI } from '@/services/api';
+
+const UNASSIGNED = 'unassigned';
+
+const fullName = (firstName, lastName) => (firstName ? `${firstName} ${lastName}` : null);
+
+function CoachAssignmentForm({ member, onSuccess, onCancel }) {
+  const [formData, setFormData] = useState({
+    coachId: member.coachId || UNASSIGNED,
+    reason: ''
+  });
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data: coaches = [] } = useQuery({
+    queryKey: ['members', 'coaches'],
+    queryFn: () => membersAPI.getCoaches().then(res => res.data),
+  });
+
+  const mutation = useMutation({
+    mutationFn: (data) => membersAPI.assignCoach(member.id, {
+      coachId: data.coachId === UNASSIGNED ? null : data.coachId,
+      ...(data.reason && { reason: data.reason })
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['members'] });
+      toast({
+        title: formData.coachId === UNASSIGNED ? 'Coach removed' : 'Coach assigned',
+        description: `${member.firstName} ${member.lastName}'s caseload assignment has been updated.`,
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate(formData);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const unchanged = formData.coachId === (member.coachId || UNASSIGNED);
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="coachId">Coach</Label>
+        <Select value={formData.coachId} onValueChange={(value) => handleChange('coachId', value)}>
+          <SelectTrigger id="coachId">
+            <SelectValue placeholder="Select coach" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+            {coaches.map((coach) => (
+              <SelectItem key={coach.id} value={coach.id}>
+                {coach.firstName} {coach.lastName} ({coach.caseload} {coach.caseload === 1 ? 'member' : 'members'})
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div>
+        <Label htmlFor="coachReason">Reason</Label>
+        <Input
+          id="coachReason"
+          value={formData.reason}
+          onChange={(e) => handleChange('reason', e.target.value)}
+          placeholder="e.g., Coach on leave, rebalancing caseloads"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={mutation.isPending || unchanged}>
+          {mutation.isPending ? 'Saving...' : 'Save'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Member's primary coach and caseload reassignment history
+export default function CoachPanel({ member }) {
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const { data: history = [] } = useQuery({
+    queryKey: ['members', member.id, 'coach-history'],
+    queryFn: () => membersAPI.getCoachHistory(member.id).then(res => res.data),
+  });
+
+  const coachName = fullName(member.coachFirstName, member.coachLastName);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>Primary Coach</CardTitle>
+          <CardDescription>
+            {coachName ? `${coachName} holds this member's caseload` : 'Not on any coach\'s caseload'}
+          </CardDescription>
+        </div>
+        <Button size="sm" onClick={() => setDialogOpen(true)}>
+          <UserCog className="h-4 w-4 mr-2" />
+          {member.coachId ? 'Reassign' : 'Assign Coach'}
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {history.length === 0 ? (
+          <div className="text-center py-4 text-muted-foreground">No caseload assignments yet.</div>
+        ) : (
+          <ol className="space-y-3">
+            {history.map((assignment) => (
+              <li key={assignment.id} className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="text-sm">
+                    {fullName(assignment.previousCoachFirstName, assignment.previousCoachLastName) || 'Unassigned'}
+                    {' → '}
+                    <span className="font-medium">
+                      {fullName(assignment.coachFirstName, assignment.coachLastName) || 'Unassigned'}
+                    </span>
+                  </div>
+                  <p className="text-xs text-muted-foreground mt-1">
+                    {assignment.reason ? `${assignment.reason} • ` : ''}
+                    by {fullName(assignment.assignedByFirstName, assignment.assignedByLastName) || 'Unknown user'}
+                  </p>
+                </div>
+                <span className="text-xs text-muted-foreground whitespace-nowrap">
+                  {format(new Date(assignment.assignedAt), 'MMM dd, yyyy')}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{member.coachId ? 'Reassign Coach' : 'Assign Coach'}</DialogTitle>
+            <DialogDescription>
+              Choose who holds {member.firstName} {member.lastName}'s caseload
+            </DialogDescription>
+          </DialogHeader>
+          <CoachAssignmentForm
+            key={member.coachId || UNASSIGNED}
+            member={member}
+            onSuccess={() => setDialogOpen(false)}
+            onCancel={() => setDialogOpen(false)}
+          />
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
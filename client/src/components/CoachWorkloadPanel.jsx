@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { adminAPI } from '@/services/api';
+import ExportButton from '@/components/ExportButton';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Users } from 'lucide-react';
+
+const EMPTY_FILTERS = { startDate: '', endDate: '' };
+
+const formatMetric = (value, suffix = '') => (value === null || value === undefined ? '—' : `${value}${suffix}`);
+
+export default function CoachWorkloadPanel() {
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['coachWorkload', params],
+    queryFn: () => adminAPI.getCoachWorkload(params).then(res => res.data),
+  });
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setFilters(draft);
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Users className="h-5 w-5" />
+          Coach Workload
+        </CardTitle>
+        <CardDescription>
+          Caseload, contact activity and blood pressure outcomes per coach
+          {data && ` • ${data.period.startDate} to ${data.period.endDate}`}
+        </CardDescription>
+        <form onSubmit={applyFilters} className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 items-end">
+          <div className="space-y-1">
+            <Label htmlFor="workload-start">From</Label>
+            <Input
+              id="workload-start"
+              type="date"
+              value={draft.startDate}
+              onChange={(e) => setDraft({ ...draft, startDate: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="workload-end">To</Label>
+            <Input
+              id="workload-end"
+              type="date"
+              value={draft.endDate}
+              onChange={(e) => setDraft({ ...draft, endDate: e.target.value })}
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button type="submit">Filter</Button>
+            <Button type="button" variant="outline" onClick={clearFilters}>Clear</Button>
+            <ExportButton path="/admin/coach-workload" params={params} name="coach-workload" />
+          </div>
+        </form>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div className="text-center py-8 text-muted-foreground">Loading...</div>
+        ) : data?.coaches.length > 0 ? (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Coach</TableHead>
+                <TableHead>Caseload</TableHead>
+                <TableHead>Encounters</TableHead>
+                <TableHead>Members Contacted</TableHead>
+                <TableHead>Follow-ups</TableHead>
+                <TableHead>Controlled</TableHead>
+                <TableHead>Improved</TableHead>
+                <TableHead>Avg Latest SBP</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {data.coaches.map((coach) => (
+                <TableRow key={coach.coachId}>
+                  <TableCell>
+                    <div className="font-medium">{coach.firstName} {coach.lastName}</div>
+                    <div className="text-xs text-muted-foreground">{coach.role}</div>
+                  </TableCell>
+                  <TableCell>{coach.caseload}</TableCell>
+                  <TableCell>
+                    {coach.completedEncounters}/{coach.totalEncounters}
+                    <div className="text-xs text-muted-foreground">completed</div>
+                  </TableCell>
+                  <TableCell>{coach.membersContacted}</TableCell>
+                  <TableCell>
+                    {coach.openFollowUps} open
+                    {coach.overdueFollowUps > 0 && (
+                      <Badge className="ml-2 bg-red-100 text-red-800">{coach.overdueFollowUps} overdue</Badge>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {formatMetric(coach.outcomes.controlRate, '%')}
+                    <div className="text-xs text-muted-foreground">
+                      {coach.outcomes.controlled} of {coach.outcomes.membersWithReadings} with readings
+                    </div>
+                  </TableCell>
+                  <TableCell>{coach.outcomes.improved}</TableCell>
+                  <TableCell>{formatMetric(coach.outcomes.avgLatestSystolic, ' mmHg')}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        ) : (
+          <div className="text-center py-8 text-muted-foreground">
+            No active clinical staff found.
+          </div>
+        )}
+        {data?.unassignedMembers > 0 && (
+          <p className="text-sm text-muted-foreground">
+            {data.unassignedMembers} active {data.unassignedMembers === 1 ? 'member is' : 'members are'} not on any caseload.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
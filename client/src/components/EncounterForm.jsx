@@ -0,0 +1,267 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import { 
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { encountersAPI, medicationsAPI } from '@/services/api';
+import { ADHERENCE_LEVELS } from '@/lib/medications';
+import MemberCombobox from '@/components/MemberCombobox';
+import FollowUpForm from '@/components/FollowUpForm';
+
+const ADHERENCE_NOT_ASSESSED = 'not_assessed';
+
+export default function EncounterForm({ encounter, defaultMemberId, onSuccess, onCancel }) {
+  const [formData, setFormData] = useState({
+    memberId: encounter?.memberId || defaultMemberId || '',
+    communicationType: encounter?.communicationType || 'Phone',
+    topic: encounter?.topic || '',
+    content: encounter?.content || '',
+    callStatus: encounter?.callStatus || '',
+    encounterDate: encounter?.encounterDate ? format(new Date(encounter.encounterDate), "yyyy-MM-dd'T'HH:mm") : format(new Date(), "yyyy-MM-dd'T'HH:mm"),
+    isCompleted: encounter?.isCompleted || false,
+    adherence: ADHERENCE_NOT_ASSESSED,
+    missedDoses: '',
+    barriers: ''
+  });
+
+  // Set once an encounter is completed, to offer scheduling the next follow-up
+  const [completedEncounter, setCompletedEncounter] = useState(null);
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const mutation = useMutation({
+    mutationFn: async (data) => {
+      const { adherence, missedDoses, barriers, ...encounterData } = data;
+      const payload = {
+        ...encounterData,
+        encounterDate: new Date(data.encounterDate).toISOString()
+      };
+      
+      if (encounter) {
+        return encountersAPI.update(encounter.id, payload);
+      }
+
+      const response = await encountersAPI.create(payload);
+
+      // Optional adherence check-in captured during the encounter
+      if (adherence !== ADHERENCE_NOT_ASSESSED) {
+        await medicationsAPI.recordAdherence({
+          memberId: data.memberId,
+          encounterId: response.data.id,
+          adherence,
+          recordedAt: payload.encounterDate,
+          ...(missedDoses !== '' && { missedDoses: parseInt(missedDoses) }),
+          ...(barriers && { barriers })
+        });
+      }
+
+      return response;
+    },
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['encounters'] });
+      queryClient.invalidateQueries({ queryKey: ['medications', formData.memberId] });
+      toast({
+        title: encounter ? 'Encounter updated' : 'Encounter recorded',
+        description: `Encounter has been ${encounter ? 'updated' : 'recorded'} successfully.`,
+      });
+
+      if (response.data.isCompleted && !encounter?.isCompleted) {
+        setCompletedEncounter(response.data);
+        return;
+      }
+      onSuccess();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate(formData);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  if (completedEncounter) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Encounter completed. Schedule the next follow-up with this member?
+        </p>
+        <FollowUpForm
+          defaultMemberId={completedEncounter.memberId}
+          encounterId={completedEncounter.id}
+          defaultReason={`Follow-up: ${completedEncounter.topic}`.slice(0, 200)}
+          onSuccess={onSuccess}
+          onCancel={onSuccess}
+          cancelLabel="Skip"
+        />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="memberId">Member</Label>
+        <MemberCombobox
+          id="memberId"
+          value={formData.memberId}
+          onChange={(value) => handleChange('memberId', value)}
+          disabled={!!encounter}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="communicationType">Communication Type</Label>
+          <Select 
+            value={formData.communicationType} 
+            onValueChange={(value) => handleChange('communicationType', value)}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select type" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="Phone">Phone</SelectItem>
+              <SelectItem value="Text">Text</SelectItem>
+              <SelectItem value="Email">Email</SelectItem>
+              <SelectItem value="In-Person">In-Person</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label htmlFor="callStatus">Call Status</Label>
+          <Input
+            id="callStatus"
+            value={formData.callStatus}
+            onChange={(e) => handleChange('callStatus', e.target.value)}
+            placeholder="e.g., Completed, No Answer, Voicemail"
+            required
+          />
+        </div>
+      </div>
+
+      <div>
+        <Label htmlFor="topic">Topic</Label>
+        <Input
+          id="topic"
+          value={formData.topic}
+          onChange={(e) => handleChange('topic', e.target.value)}
+          placeholder="e.g., Blood Pressure Follow-up"
+          required
+        />
+        <p className="text-xs text-muted-foreground mt-1">
+          {encounter ? `Recorded by ${encounter.callerName}` : 'The encounter is recorded under your name'}
+        </p>
+      </div>
+
+      <div>
+        <Label htmlFor="content">Content</Label>
+        <Textarea
+          id="content"
+          value={formData.content}
+          onChange={(e) => handleChange('content', e.target.value)}
+          placeholder="Detailed notes about the encounter..."
+          rows={4}
+          required
+        />
+      </div>
+
+      <div>
+        <Label htmlFor="encounterDate">Encounter Date & Time</Label>
+        <Input
+          id="encounterDate"
+          type="datetime-local"
+          value={formData.encounterDate}
+          onChange={(e) => handleChange('encounterDate', e.target.value)}
+          required
+        />
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <Checkbox
+          id="isCompleted"
+          checked={formData.isCompleted}
+          onCheckedChange={(checked) => handleChange('isCompleted', checked)}
+        />
+        <Label htmlFor="isCompleted">Mark as completed</Label>
+      </div>
+
+      {!encounter && (
+        <div className="space-y-4 rounded-md border p-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="adherence">Medication Adherence</Label>
+              <Select
+                value={formData.adherence}
+                onValueChange={(value) => handleChange('adherence', value)}
+              >
+                <SelectTrigger id="adherence">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ADHERENCE_NOT_ASSESSED}>Not assessed</SelectItem>
+                  {ADHERENCE_LEVELS.map(level => (
+                    <SelectItem key={level} value={level}>{level}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {formData.adherence !== ADHERENCE_NOT_ASSESSED && (
+              <div>
+                <Label htmlFor="missedDoses">Missed doses (last 7 days)</Label>
+                <Input
+                  id="missedDoses"
+                  type="number"
+                  min="0"
+                  value={formData.missedDoses}
+                  onChange={(e) => handleChange('missedDoses', e.target.value)}
+                />
+              </div>
+            )}
+          </div>
+          {formData.adherence !== ADHERENCE_NOT_ASSESSED && (
+            <div>
+              <Label htmlFor="barriers">Barriers</Label>
+              <Input
+                id="barriers"
+                value={formData.barriers}
+                onChange={(e) => handleChange('barriers', e.target.value)}
+                placeholder="e.g., side effects, cost, forgetting doses"
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={mutation.isPending}>
+          {mutation.isPending ? 'Saving...' : (encounter ? 'Update' : 'Record')}
+        </Button>
+      </div>
+    </form>
+  );
+}
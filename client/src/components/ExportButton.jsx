@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { Download } from 'lucide-react';
+import { exportAPI } from '@/services/api';
+import { downloadFile, attachmentFileName, blobErrorMessage } from '@/lib/utils';
+import { useToast } from '@/hooks/use-toast';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'json', label: 'JSON' },
+];
+
+// The server names the file (e.g. members-2024-05-01.csv); fall back to the same pattern
+const fileNameFrom = (response, name, format) =>
+  attachmentFileName(response) || `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+// Download what a table or dataset shows, with the same filters, as CSV, XLSX or JSON
+export default function ExportButton({ path, params = {}, name, size = 'default', label = 'Export' }) {
+  const [pending, setPending] = useState(false);
+  const { toast } = useToast();
+
+  const handleExport = async (format) => {
+    setPending(true);
+    try {
+      const response = await exportAPI.download(path, params, format);
+      downloadFile(fileNameFrom(response, name, format), response.data, response.data.type);
+    } catch (error) {
+      toast({
+        title: 'Export failed',
+        description: await blobErrorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size={size} disabled={pending}>
+          <Download className="h-4 w-4 mr-2" />
+          {pending ? 'Exporting...' : label}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {FORMATS.map(format => (
+          <DropdownMenuItem key={format.value} onSelect={() => handleExport(format.value)}>
+            {format.label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
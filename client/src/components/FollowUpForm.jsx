@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { addDays, format } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { followUpsAPI } from '@/services/api';
+import MemberCombobox from '@/components/MemberCombobox';
+
+// New follow-ups default to a month out, the usual interval between coaching calls
+const DEFAULT_INTERVAL_DAYS = 30;
+
+const ASSIGN_TO_ME = 'me';
+
+const toDateInput = (value) => format(new Date(value), 'yyyy-MM-dd');
+
+// Follow-ups are due on a day, not at a time; midday UTC keeps the same calendar day in every US time zone
+const toDueDate = (dateInput) => new Date(`${dateInput}T12:00:00.000Z`);
+
+export default function FollowUpForm({
+  followUp,
+  defaultMemberId,
+  encounterId,
+  defaultReason,
+  onSuccess,
+  onCancel,
+  cancelLabel = 'Cancel'
+}) {
+  const [formData, setFormData] = useState({
+    memberId: followUp?.memberId || defaultMemberId || '',
+    assignedTo: followUp?.assignedTo || ASSIGN_TO_ME,
+    dueDate: toDateInput(followUp?.dueDate || addDays(new Date(), DEFAULT_INTERVAL_DAYS)),
+    reason: followUp?.reason || defaultReason || ''
+  });
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data: assignees = [] } = useQuery({
+    queryKey: ['follow-ups', 'assignees'],
+    queryFn: () => followUpsAPI.getAssignees().then(res => res.data),
+  });
+
+  const mutation = useMutation({
+    mutationFn: (data) => {
+      const payload = {
+        dueDate: toDueDate(data.dueDate).toISOString(),
+        reason: data.reason,
+        // Leaving the assignee as "me" lets the server assign the signed-in user
+        ...(data.assignedTo !== ASSIGN_TO_ME && { assignedTo: data.assignedTo })
+      };
+
+      if (followUp) {
+        return followUpsAPI.update(followUp.id, payload);
+      }
+
+      return followUpsAPI.create({
+        ...payload,
+        memberId: data.memberId,
+        ...(encounterId && { encounterId })
+      });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['follow-ups'] });
+      toast({
+        title: followUp ? 'Follow-up rescheduled' : 'Follow-up scheduled',
+        description: `Due ${format(toDueDate(formData.dueDate), 'MMM dd, yyyy')}`,
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate(formData);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="followUpMemberId">Member</Label>
+        <MemberCombobox
+          id="followUpMemberId"
+          value={formData.memberId}
+          onChange={(value) => handleChange('memberId', value)}
+          disabled={!!followUp || !!defaultMemberId}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="followUpDueDate">Due Date</Label>
+          <Input
+            id="followUpDueDate"
+            type="date"
+            min={toDateInput(new Date())}
+            value={formData.dueDate}
+            onChange={(e) => handleChange('dueDate', e.target.value)}
+            required
+          />
+        </div>
+        <div>
+          <Label htmlFor="followUpAssignee">Assigned To</Label>
+          <Select value={formData.assignedTo} onValueChange={(value) => handleChange('assignedTo', value)}>
+            <SelectTrigger id="followUpAssignee">
+              <SelectValue placeholder="Select assignee" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ASSIGN_TO_ME}>Me</SelectItem>
+              {assignees.map((assignee) => (
+                <SelectItem key={assignee.id} value={assignee.id}>
+                  {assignee.firstName} {assignee.lastName}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div>
+        <Label htmlFor="followUpReason">Reason</Label>
+        <Input
+          id="followUpReason"
+          value={formData.reason}
+          onChange={(e) => handleChange('reason', e.target.value)}
+          placeholder="e.g., Recheck BP after medication change"
+          required
+        />
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          {cancelLabel}
+        </Button>
+        <Button type="submit" disabled={mutation.isPending || !formData.memberId}>
+          {mutation.isPending ? 'Saving...' : (followUp ? 'Reschedule' : 'Schedule')}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,118 @@
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Download } from 'lucide-react';
+import { downloadFile } from '@/lib/utils';
+
+// Shared pieces of the spreadsheet import wizards, built around the report every import
+// endpoint returns: fields, headers, mapping, row counts, per-row errors and a CSV error report
+
+const NOT_MAPPED = 'none';
+const ERROR_ROWS_SHOWN = 100;
+
+export function ColumnMappingFields({ report, onChange }) {
+  return (
+    <div>
+      <h3 className="text-sm font-medium mb-2">Columns</h3>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+        {report.fields.map(({ field, label, required }) => (
+          <div key={field} className="flex items-center justify-between gap-2">
+            <Label htmlFor={`mapping-${field}`} className="text-sm">
+              {label}{required && ' *'}
+            </Label>
+            <Select
+              value={report.mapping[field] ?? NOT_MAPPED}
+              onValueChange={(value) => onChange(field, value === NOT_MAPPED ? null : value)}
+            >
+              <SelectTrigger id={`mapping-${field}`} className="w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NOT_MAPPED}>Not in file</SelectItem>
+                {report.headers.filter(Boolean).map((header) => (
+                  <SelectItem key={header} value={header}>{header}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </div>
+      {report.missingFields.length > 0 && (
+        <p className="text-sm text-red-600 mt-2">Choose a column for: {report.missingFields.join(', ')}</p>
+      )}
+    </div>
+  );
+}
+
+export function ImportSummary({ report }) {
+  return (
+    <div className="flex items-center justify-between">
+      <div className="flex items-center gap-2 text-sm">
+        <span>{report.totalRows} rows</span>
+        <Badge className="bg-green-100 text-green-800">{report.validRows} ready</Badge>
+        {report.duplicateRows > 0 && <Badge variant="secondary">{report.duplicateRows} already on file</Badge>}
+        {report.invalidRows > 0 && <Badge className="bg-red-100 text-red-800">{report.invalidRows} with errors</Badge>}
+      </div>
+      {report.errorReport && (
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          onClick={() => downloadFile(report.fileName.replace(/\.[^.]+$/, '') + '-errors.csv', report.errorReport)}
+        >
+          <Download className="h-4 w-4 mr-2" />
+          Error Report
+        </Button>
+      )}
+    </div>
+  );
+}
+
+// The rows with errors; columns add what identifies each row, e.g. its employee ID and name
+export function ImportErrorTable({ report, columns }) {
+  const invalidRows = report.rows.filter(row => row.status === 'invalid');
+  if (invalidRows.length === 0) return null;
+
+  return (
+    <div className="max-h-64 overflow-y-auto rounded-md border">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Row</TableHead>
+            {columns.map(({ header }) => <TableHead key={header}>{header}</TableHead>)}
+            <TableHead>Errors</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {invalidRows.slice(0, ERROR_ROWS_SHOWN).map((row) => (
+            <TableRow key={row.row}>
+              <TableCell className="font-mono">{row.row}</TableCell>
+              {columns.map(({ header, cell }) => <TableCell key={header}>{cell(row) || '—'}</TableCell>)}
+              <TableCell className="text-sm text-red-700">{row.errors.join('; ')}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      {invalidRows.length > ERROR_ROWS_SHOWN && (
+        <p className="text-xs text-muted-foreground p-2">
+          Showing the first {ERROR_ROWS_SHOWN}; download the error report for the rest.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,29 +1,46 @@
 import { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
 import { cn } from '@/lib/utils';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
 import { Sheet, SheetContent, SheetTrigger } from '@/components/ui/sheet';
 import { 
   LayoutDashboard, 
   Users, 
   Heart, 
   MessageSquare, 
+  CalendarClock,
+  PhoneCall,
   BarChart3, 
+  BellRing,
   Menu,
   Shield
 } from 'lucide-react';
+import { alertsAPI } from '@/services/api';
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: LayoutDashboard },
   { name: 'Members', href: '/members', icon: Users },
   { name: 'Blood Pressure', href: '/blood-pressure', icon: Heart },
   { name: 'Encounters', href: '/encounters', icon: MessageSquare },
+  { name: 'Follow-ups', href: '/follow-ups', icon: CalendarClock },
+  { name: "Today's Calls", href: '/outreach', icon: PhoneCall },
+  { name: 'Alerts', href: '/alerts', icon: BellRing },
   { name: 'Analytics', href: '/analytics', icon: BarChart3 },
 ];
 
 function Sidebar({ className }) {
   const location = useLocation();
 
+  // Open alert count for the nav badge; analysts cannot read alerts, so errors just hide it
+  const { data: alertSummary } = useQuery({
+    queryKey: ['alerts', 'summary'],
+    queryFn: () => alertsAPI.getSummary().then(res => res.data),
+    refetchInterval: 30 * 1000,
+    retry: false,
+  });
+
   return (
     <div className={cn('pb-12 w-64', className)}>
       <div className="space-y-4 py-4">
@@ -38,7 +55,7 @@ function Sidebar({ className }) {
           <div className="space-y-1">
             {navigation.map((item) => {
               const Icon = item.icon;
-              const isActive = location.pathname === item.href;
+              const isActive = location.pathname === item.href || location.pathname.startsWith(`${item.href}/`);
               
               return (
                 <Link key={item.name} to={item.href}>
@@ -51,6 +68,11 @@ function Sidebar({ className }) {
                   >
                     <Icon className="mr-2 h-4 w-4" />
                     {item.name}
+                    {item.href === '/alerts' && alertSummary?.open > 0 && (
+                      <Badge variant="destructive" className="ml-auto">
+                        {alertSummary.open}
+                      </Badge>
+                    )}
                   </Button>
                 </Link>
               );
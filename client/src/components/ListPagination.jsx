@@ -0,0 +1,80 @@
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '@/components/ui/pagination';
+import { cn } from '@/lib/utils';
+
+// Page indexes to show: first, last and a window around the current page, with gaps marked as null
+function visiblePages(current, pageCount) {
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    if (page === 0 || page === pageCount - 1 || Math.abs(page - current) <= 1) {
+      pages.push(page);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+}
+
+export default function ListPagination({ total, limit, offset, onOffsetChange }) {
+  const pageCount = Math.ceil(total / limit);
+  const currentPage = Math.floor(offset / limit);
+
+  if (total === 0) {
+    return null;
+  }
+
+  const goTo = (page) => (e) => {
+    e.preventDefault();
+    if (page >= 0 && page < pageCount && page !== currentPage) {
+      onOffsetChange(page * limit);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between mt-4">
+      <p className="text-sm text-muted-foreground whitespace-nowrap">
+        Showing {offset + 1}–{Math.min(offset + limit, total)} of {total}
+      </p>
+      {pageCount > 1 && (
+        <Pagination className="mx-0 w-auto justify-end">
+          <PaginationContent>
+            <PaginationItem>
+              <PaginationPrevious
+                href="#"
+                onClick={goTo(currentPage - 1)}
+                aria-disabled={currentPage === 0}
+                className={cn(currentPage === 0 && 'pointer-events-none opacity-50')}
+              />
+            </PaginationItem>
+            {visiblePages(currentPage, pageCount).map((page, index) => (
+              <PaginationItem key={page ?? `gap-${index}`}>
+                {page === null ? (
+                  <PaginationEllipsis />
+                ) : (
+                  <PaginationLink href="#" isActive={page === currentPage} onClick={goTo(page)}>
+                    {page + 1}
+                  </PaginationLink>
+                )}
+              </PaginationItem>
+            ))}
+            <PaginationItem>
+              <PaginationNext
+                href="#"
+                onClick={goTo(currentPage + 1)}
+                aria-disabled={currentPage >= pageCount - 1}
+                className={cn(currentPage >= pageCount - 1 && 'pointer-events-none opacity-50')}
+              />
+            </PaginationItem>
+          </PaginationContent>
+        </Pagination>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,413 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+} from '@/components/ui/command';
+import { useToast } from '@/hooks/use-toast';
+import { ChevronsUpDown, Plus } from 'lucide-react';
+import { medicalHistoryAPI } from '@/services/api';
+import { searchIcd10, findIcd10 } from '@/lib/icd10';
+import ExportButton from '@/components/ExportButton';
+
+const SEVERITY_COLORS = {
+  mild: 'bg-yellow-100 text-yellow-800',
+  moderate: 'bg-orange-100 text-orange-800',
+  severe: 'bg-red-100 text-red-800'
+};
+
+const NO_SEVERITY = 'none';
+
+const toDateInput = (value) => (value ? format(new Date(value), 'yyyy-MM-dd') : '');
+
+// Offline ICD-10 picker; choosing a code also fills an empty condition name
+function Icd10Combobox({ value, onSelect }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+
+  const results = searchIcd10(query);
+  const selected = findIcd10(value);
+
+  const handleSelect = (entry) => {
+    onSelect(entry);
+    setOpen(false);
+    setQuery('');
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          id="icd10Code"
+          type="button"
+          variant="outline"
+          role="combobox"
+          aria-expanded={open}
+          className="w-full justify-between font-normal"
+        >
+          {value ? (
+            <span className="truncate">
+              {value}{selected && ` – ${selected.description}`}
+            </span>
+          ) : (
+            <span className="text-muted-foreground">Search ICD-10 codes</span>
+          )}
+          <ChevronsUpDown className="h-4 w-4 opacity-50" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[var(--radix-popover-trigger-width)] p-0" align="start">
+        <Command shouldFilter={false}>
+          <CommandInput placeholder="Code or description..." value={query} onValueChange={setQuery} />
+          <CommandList>
+            <CommandEmpty>{query ? 'No matching codes.' : 'Type a code or condition name.'}</CommandEmpty>
+            {results.length > 0 && (
+              <CommandGroup>
+                {results.map((entry) => (
+                  <CommandItem key={entry.code} value={entry.code} onSelect={() => handleSelect(entry)}>
+                    <span className="font-mono text-xs w-16">{entry.code}</span>
+                    <span className="flex-1">{entry.description}</span>
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+            {value && (
+              <CommandGroup>
+                <CommandItem value="__clear" onSelect={() => handleSelect(null)}>
+                  Clear code
+                </CommandItem>
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+function ConditionForm({ memberId, entry, onSuccess, onCancel }) {
+  const [formData, setFormData] = useState({
+    condition: entry?.condition || '',
+    icd10Code: entry?.icd10Code || '',
+    status: entry?.status || 'active',
+    severity: entry?.severity || NO_SEVERITY,
+    onsetDate: toDateInput(entry?.onsetDate),
+    reportedDate: toDateInput(entry?.reportedDate || new Date()),
+    notes: entry?.notes || ''
+  });
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const mutation = useMutation({
+    mutationFn: (data) => {
+      const payload = {
+        condition: data.condition,
+        icd10Code: data.icd10Code || null,
+        status: data.status,
+        severity: data.severity === NO_SEVERITY ? null : data.severity,
+        onsetDate: data.onsetDate ? new Date(data.onsetDate).toISOString() : null,
+        reportedDate: new Date(data.reportedDate).toISOString(),
+        notes: data.notes || null
+      };
+
+      if (entry) {
+        return medicalHistoryAPI.update(entry.id, payload);
+      }
+
+      // The create endpoint treats omitted fields as unset
+      const created = Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== null));
+      return medicalHistoryAPI.create({ ...created, memberId });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['medicalHistory', memberId] });
+      toast({
+        title: entry ? 'Condition updated' : 'Condition added',
+        description: `${formData.condition} has been ${entry ? 'updated' : 'added'} successfully.`,
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate(formData);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCodeSelect = (code) => {
+    setFormData(prev => ({
+      ...prev,
+      icd10Code: code?.code || '',
+      condition: prev.condition || code?.description || ''
+    }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="icd10Code">ICD-10 Code</Label>
+        <Icd10Combobox value={formData.icd10Code} onSelect={handleCodeSelect} />
+      </div>
+
+      <div>
+        <Label htmlFor="condition">Condition</Label>
+        <Input
+          id="condition"
+          value={formData.condition}
+          onChange={(e) => handleChange('condition', e.target.value)}
+          required
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="status">Status</Label>
+          <Select value={formData.status} onValueChange={(value) => handleChange('status', value)}>
+            <SelectTrigger id="status">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="active">Active</SelectItem>
+              <SelectItem value="resolved">Resolved</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label htmlFor="severity">Severity</Label>
+          <Select value={formData.severity} onValueChange={(value) => handleChange('severity', value)}>
+            <SelectTrigger id="severity">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_SEVERITY}>Not recorded</SelectItem>
+              <SelectItem value="mild">Mild</SelectItem>
+              <SelectItem value="moderate">Moderate</SelectItem>
+              <SelectItem value="severe">Severe</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="onsetDate">Onset Date</Label>
+          <Input
+            id="onsetDate"
+            type="date"
+            value={formData.onsetDate}
+            onChange={(e) => handleChange('onsetDate', e.target.value)}
+          />
+        </div>
+        <div>
+          <Label htmlFor="reportedDate">Reported Date</Label>
+          <Input
+            id="reportedDate"
+            type="date"
+            value={formData.reportedDate}
+            onChange={(e) => handleChange('reportedDate', e.target.value)}
+            required
+          />
+        </div>
+      </div>
+
+      <div>
+        <Label htmlFor="notes">Notes</Label>
+        <Textarea
+          id="notes"
+          value={formData.notes}
+          onChange={(e) => handleChange('notes', e.target.value)}
+          rows={3}
+        />
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={mutation.isPending}>
+          {mutation.isPending ? 'Saving...' : entry ? 'Update' : 'Add'} Condition
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Member conditions with add, edit and delete, coded against the bundled ICD-10 subset
+export default function MedicalHistoryPanel({ memberId, conditions }) {
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingEntry, setEditingEntry] = useState(null);
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => medicalHistoryAPI.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['medicalHistory', memberId] });
+      toast({
+        title: 'Condition deleted',
+        description: 'Condition has been removed successfully.',
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to delete condition',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleAdd = () => {
+    setEditingEntry(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (entry) => {
+    setEditingEntry(entry);
+    setDialogOpen(true);
+  };
+
+  const handleDelete = (entry) => {
+    if (confirm(`Are you sure you want to delete ${entry.condition}?`)) {
+      deleteMutation.mutate(entry.id);
+    }
+  };
+
+  const handleDialogClose = () => {
+    setDialogOpen(false);
+    setEditingEntry(null);
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>Medical History</CardTitle>
+          <CardDescription>Conditions coded with ICD-10 where known</CardDescription>
+        </div>
+        <div className="flex gap-2">
+          <ExportButton path="/medical-history/export" params={{ memberId }} name="medical-history" size="sm" />
+          <Button size="sm" onClick={handleAdd}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Condition
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {conditions.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">No conditions recorded yet.</div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Condition</TableHead>
+                <TableHead>ICD-10</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Severity</TableHead>
+                <TableHead>Onset</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {conditions.map((entry) => (
+                <TableRow key={entry.id}>
+                  <TableCell>
+                    <div className="font-medium">{entry.condition}</div>
+                    {entry.notes && <div className="text-sm text-muted-foreground">{entry.notes}</div>}
+                  </TableCell>
+                  <TableCell className="font-mono text-sm">{entry.icd10Code || '—'}</TableCell>
+                  <TableCell>
+                    <Badge variant={entry.status === 'resolved' ? 'secondary' : 'default'}>
+                      {entry.status === 'resolved' ? 'Resolved' : 'Active'}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>
+                    {entry.severity ? (
+                      <Badge className={SEVERITY_COLORS[entry.severity]}>{entry.severity}</Badge>
+                    ) : '—'}
+                  </TableCell>
+                  <TableCell>
+                    {entry.onsetDate ? format(new Date(entry.onsetDate), 'MMM dd, yyyy') : '—'}
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => handleEdit(entry)}>
+                        Edit
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => handleDelete(entry)}>
+                        Delete
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{editingEntry ? 'Edit Condition' : 'Add Condition'}</DialogTitle>
+            <DialogDescription>
+              {editingEntry ? 'Update this medical history entry' : 'Record a condition for this member'}
+            </DialogDescription>
+          </DialogHeader>
+          <ConditionForm
+            key={editingEntry?.id || 'new'}
+            memberId={memberId}
+            entry={editingEntry}
+            onSuccess={handleDialogClose}
+            onCancel={handleDialogClose}
+          />
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
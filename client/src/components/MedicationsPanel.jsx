@@ -0,0 +1,509 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { ClipboardCheck, Plus } from 'lucide-react';
+import { medicationsAPI } from '@/services/api';
+import {
+  MEDICATION_CLASSES,
+  ADHERENCE_LEVELS,
+  ADHERENCE_COLORS,
+  isCurrentMedication,
+} from '@/lib/medications';
+
+const ALL_MEDICATIONS = 'all';
+
+const toDateInput = (value) => (value ? format(new Date(value), 'yyyy-MM-dd') : '');
+
+function MedicationForm({ memberId, medication, onSuccess, onCancel }) {
+  const [formData, setFormData] = useState({
+    drugName: medication?.drugName || '',
+    drugClass: medication?.drugClass || MEDICATION_CLASSES[0],
+    dose: medication?.dose || '',
+    frequency: medication?.frequency || '',
+    startDate: toDateInput(medication?.startDate || new Date()),
+    stopDate: toDateInput(medication?.stopDate),
+    prescriber: medication?.prescriber || '',
+    notes: medication?.notes || ''
+  });
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const mutation = useMutation({
+    mutationFn: (data) => {
+      const payload = {
+        ...data,
+        startDate: new Date(data.startDate).toISOString(),
+        stopDate: data.stopDate ? new Date(data.stopDate).toISOString() : null,
+        prescriber: data.prescriber || null,
+        notes: data.notes || null
+      };
+
+      if (medication) {
+        return medicationsAPI.update(medication.id, payload);
+      }
+
+      // The create endpoint treats omitted fields as unset
+      const created = Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== null));
+      return medicationsAPI.create({ ...created, memberId });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['medications', memberId] });
+      toast({
+        title: medication ? 'Medication updated' : 'Medication added',
+        description: `${formData.drugName} has been ${medication ? 'updated' : 'added'} successfully.`,
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate(formData);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="drugName">Drug</Label>
+          <Input
+            id="drugName"
+            value={formData.drugName}
+            onChange={(e) => handleChange('drugName', e.target.value)}
+            placeholder="e.g., Lisinopril"
+            required
+          />
+        </div>
+        <div>
+          <Label htmlFor="drugClass">Class</Label>
+          <Select value={formData.drugClass} onValueChange={(value) => handleChange('drugClass', value)}>
+            <SelectTrigger id="drugClass">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {MEDICATION_CLASSES.map(drugClass => (
+                <SelectItem key={drugClass} value={drugClass}>{drugClass}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="dose">Dose</Label>
+          <Input
+            id="dose"
+            value={formData.dose}
+            onChange={(e) => handleChange('dose', e.target.value)}
+            placeholder="e.g., 10 mg"
+            required
+          />
+        </div>
+        <div>
+          <Label htmlFor="frequency">Frequency</Label>
+          <Input
+            id="frequency"
+            value={formData.frequency}
+            onChange={(e) => handleChange('frequency', e.target.value)}
+            placeholder="e.g., Once daily"
+            required
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4">
+        <div>
+          <Label htmlFor="startDate">Start Date</Label>
+          <Input
+            id="startDate"
+            type="date"
+            value={formData.startDate}
+            onChange={(e) => handleChange('startDate', e.target.value)}
+            required
+          />
+        </div>
+        <div>
+          <Label htmlFor="stopDate">Stop Date</Label>
+          <Input
+            id="stopDate"
+            type="date"
+            value={formData.stopDate}
+            onChange={(e) => handleChange('stopDate', e.target.value)}
+          />
+        </div>
+        <div>
+          <Label htmlFor="prescriber">Prescriber</Label>
+          <Input
+            id="prescriber"
+            value={formData.prescriber}
+            onChange={(e) => handleChange('prescriber', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div>
+        <Label htmlFor="medicationNotes">Notes</Label>
+        <Textarea
+          id="medicationNotes"
+          value={formData.notes}
+          onChange={(e) => handleChange('notes', e.target.value)}
+          rows={2}
+        />
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={mutation.isPending}>
+          {mutation.isPending ? 'Saving...' : medication ? 'Update' : 'Add'} Medication
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+function AdherenceForm({ memberId, medications, onSuccess, onCancel }) {
+  const [formData, setFormData] = useState({
+    medicationId: ALL_MEDICATIONS,
+    adherence: ADHERENCE_LEVELS[0],
+    missedDoses: '',
+    barriers: ''
+  });
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const mutation = useMutation({
+    mutationFn: (data) => medicationsAPI.recordAdherence({
+      memberId,
+      adherence: data.adherence,
+      ...(data.medicationId !== ALL_MEDICATIONS && { medicationId: data.medicationId }),
+      ...(data.missedDoses !== '' && { missedDoses: parseInt(data.missedDoses) }),
+      ...(data.barriers && { barriers: data.barriers })
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['medications', memberId, 'adherence'] });
+      toast({
+        title: 'Adherence recorded',
+        description: 'Adherence check-in has been saved.',
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate(formData);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="adherenceMedication">Medication</Label>
+          <Select value={formData.medicationId} onValueChange={(value) => handleChange('medicationId', value)}>
+            <SelectTrigger id="adherenceMedication">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_MEDICATIONS}>All current medications</SelectItem>
+              {medications.map(medication => (
+                <SelectItem key={medication.id} value={medication.id}>
+                  {medication.drugName} {medication.dose}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label htmlFor="adherence">Adherence</Label>
+          <Select value={formData.adherence} onValueChange={(value) => handleChange('adherence', value)}>
+            <SelectTrigger id="adherence">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ADHERENCE_LEVELS.map(level => (
+                <SelectItem key={level} value={level}>{level}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div>
+        <Label htmlFor="missedDoses">Missed doses (last 7 days)</Label>
+        <Input
+          id="missedDoses"
+          type="number"
+          min="0"
+          value={formData.missedDoses}
+          onChange={(e) => handleChange('missedDoses', e.target.value)}
+        />
+      </div>
+
+      <div>
+        <Label htmlFor="barriers">Barriers</Label>
+        <Textarea
+          id="barriers"
+          value={formData.barriers}
+          onChange={(e) => handleChange('barriers', e.target.value)}
+          placeholder="e.g., side effects, cost, forgetting doses"
+          rows={2}
+        />
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={mutation.isPending}>
+          {mutation.isPending ? 'Saving...' : 'Record Adherence'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Member medication list and adherence log
+export default function MedicationsPanel({ memberId }) {
+  const [medicationDialogOpen, setMedicationDialogOpen] = useState(false);
+  const [adherenceDialogOpen, setAdherenceDialogOpen] = useState(false);
+  const [editingMedication, setEditingMedication] = useState(null);
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data: medications = [] } = useQuery({
+    queryKey: ['medications', memberId],
+    queryFn: () => medicationsAPI.getByMember(memberId).then(res => res.data),
+  });
+
+  const { data: adherenceLog = [] } = useQuery({
+    queryKey: ['medications', memberId, 'adherence'],
+    queryFn: () => medicationsAPI.getAdherence(memberId).then(res => res.data),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => medicationsAPI.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['medications', memberId] });
+      toast({
+        title: 'Medication deleted',
+        description: 'Medication has been removed successfully.',
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to delete medication',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const medicationNames = Object.fromEntries(medications.map(medication => [medication.id, medication.drugName]));
+  const currentMedications = medications.filter(medication => isCurrentMedication(medication));
+
+  const handleAdd = () => {
+    setEditingMedication(null);
+    setMedicationDialogOpen(true);
+  };
+
+  const handleEdit = (medication) => {
+    setEditingMedication(medication);
+    setMedicationDialogOpen(true);
+  };
+
+  const handleDelete = (medication) => {
+    if (confirm(`Delete ${medication.drugName}? Use a stop date instead if the member discontinued it.`)) {
+      deleteMutation.mutate(medication.id);
+    }
+  };
+
+  const handleMedicationDialogClose = () => {
+    setMedicationDialogOpen(false);
+    setEditingMedication(null);
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>Medications</CardTitle>
+          <CardDescription>
+            {currentMedications.length} current antihypertensive {currentMedications.length === 1 ? 'medication' : 'medications'}
+          </CardDescription>
+        </div>
+        <div className="flex space-x-2">
+          <Button size="sm" variant="outline" onClick={() => setAdherenceDialogOpen(true)} disabled={medications.length === 0}>
+            <ClipboardCheck className="h-4 w-4 mr-2" />
+            Log Adherence
+          </Button>
+          <Button size="sm" onClick={handleAdd}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Medication
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {medications.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">No medications recorded yet.</div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Drug</TableHead>
+                <TableHead>Class</TableHead>
+                <TableHead>Dose</TableHead>
+                <TableHead>Dates</TableHead>
+                <TableHead>Prescriber</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {medications.map((medication) => (
+                <TableRow key={medication.id}>
+                  <TableCell>
+                    <div className="font-medium">{medication.drugName}</div>
+                    {!isCurrentMedication(medication) && <Badge variant="secondary">Discontinued</Badge>}
+                  </TableCell>
+                  <TableCell>{medication.drugClass}</TableCell>
+                  <TableCell>{medication.dose} • {medication.frequency}</TableCell>
+                  <TableCell className="text-sm">
+                    {format(new Date(medication.startDate), 'MMM dd, yyyy')}
+                    {medication.stopDate && ` – ${format(new Date(medication.stopDate), 'MMM dd, yyyy')}`}
+                  </TableCell>
+                  <TableCell>{medication.prescriber || '—'}</TableCell>
+                  <TableCell>
+                    <div className="flex space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => handleEdit(medication)}>
+                        Edit
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => handleDelete(medication)}>
+                        Delete
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {adherenceLog.length > 0 && (
+          <div>
+            <h3 className="text-sm font-medium mb-3">Adherence Log</h3>
+            <ol className="space-y-3">
+              {adherenceLog.map((entry) => (
+                <li key={entry.id} className="flex items-start justify-between gap-4">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <Badge className={ADHERENCE_COLORS[entry.adherence]}>{entry.adherence}</Badge>
+                      <span className="text-sm">
+                        {entry.medicationId ? medicationNames[entry.medicationId] || 'Medication' : 'All medications'}
+                      </span>
+                      {entry.missedDoses != null && (
+                        <span className="text-xs text-muted-foreground">{entry.missedDoses} missed</span>
+                      )}
+                    </div>
+                    {entry.barriers && <p className="text-sm text-muted-foreground mt-1">{entry.barriers}</p>}
+                  </div>
+                  <span className="text-xs text-muted-foreground whitespace-nowrap">
+                    {format(new Date(entry.recordedAt), 'MMM dd, yyyy')}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={medicationDialogOpen} onOpenChange={setMedicationDialogOpen}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{editingMedication ? 'Edit Medication' : 'Add Medication'}</DialogTitle>
+            <DialogDescription>
+              {editingMedication ? 'Update dose, dates or prescriber' : 'Record an antihypertensive medication'}
+            </DialogDescription>
+          </DialogHeader>
+          <MedicationForm
+            key={editingMedication?.id || 'new'}
+            memberId={memberId}
+            medication={editingMedication}
+            onSuccess={handleMedicationDialogClose}
+            onCancel={handleMedicationDialogClose}
+          />
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={adherenceDialogOpen} onOpenChange={setAdherenceDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Log Adherence</DialogTitle>
+            <DialogDescription>Record how the member is taking their medications</DialogDescription>
+          </DialogHeader>
+          <AdherenceForm
+            memberId={memberId}
+            medications={currentMedications}
+            onSuccess={() => setAdherenceDialogOpen(false)}
+            onCancel={() => setAdherenceDialogOpen(false)}
+          />
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+} from '@/components/ui/command';
+import { cn } from '@/lib/utils';
+import { Check, ChevronsUpDown } from 'lucide-react';
+import { membersAPI } from '@/services/api';
+
+// Typeahead member picker backed by the ranked /members/search endpoint
+export default function MemberCombobox({ id, value, onChange, disabled, placeholder = 'Select member' }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedQuery(query.trim()), 250);
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const { data: results = [], isFetching } = useQuery({
+    queryKey: ['members', 'search', debouncedQuery],
+    queryFn: () => membersAPI.search(debouncedQuery).then(res => res.data),
+    enabled: open && debouncedQuery.length > 0,
+  });
+
+  const { data: selected } = useQuery({
+    queryKey: ['members', 'detail', value],
+    queryFn: () => membersAPI.getById(value).then(res => res.data),
+    enabled: !!value,
+  });
+
+  const handleSelect = (member) => {
+    onChange(member.id);
+    setOpen(false);
+    setQuery('');
+  };
+
+  let emptyMessage = 'Type a name, employee ID, condition or topic.';
+  if (debouncedQuery) {
+    emptyMessage = isFetching ? 'Searching...' : 'No members found.';
+  }
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          id={id}
+          type="button"
+          variant="outline"
+          role="combobox"
+          aria-expanded={open}
+          disabled={disabled}
+          className="w-full justify-between font-normal"
+        >
+          {selected ? (
+            <span className="truncate">
+              {selected.firstName} {selected.lastName} ({selected.employeeId})
+            </span>
+          ) : (
+            <span className="text-muted-foreground">{placeholder}</span>
+          )}
+          <ChevronsUpDown className="h-4 w-4 opacity-50" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[var(--radix-popover-trigger-width)] p-0" align="start">
+        <Command shouldFilter={false}>
+          <CommandInput placeholder="Search members..." value={query} onValueChange={setQuery} />
+          <CommandList>
+            <CommandEmpty>{emptyMessage}</CommandEmpty>
+            {results.length > 0 && (
+              <CommandGroup>
+                {results.map((member) => (
+                  <CommandItem key={member.id} value={member.id} onSelect={() => handleSelect(member)}>
+                    <Check className={cn('h-4 w-4', value === member.id ? 'opacity-100' : 'opacity-0')} />
+                    <div className="flex-1">
+                      <div className="font-medium">{member.firstName} {member.lastName}</div>
+                      <div className="text-xs text-muted-foreground">{member.employeeId}</div>
+                    </div>
+                    <Badge variant="outline">{member.union}</Badge>
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,225 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { Send, UserPen } from 'lucide-react';
+import { messagesAPI } from '@/services/api';
+import SendMessageForm from '@/components/SendMessageForm';
+
+const MESSAGE_HISTORY_LIMIT = 20;
+
+const STATUS_COLORS = {
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const CHANNEL_NAMES = {
+  sms: 'Text',
+  email: 'Email'
+};
+
+function ContactPreferencesForm({ memberId, preferences, onSuccess, onCancel }) {
+  const [formData, setFormData] = useState({
+    preferredChannel: preferences.preferredChannel,
+    smsOptOut: !!preferences.smsOptedOutAt,
+    emailOptOut: !!preferences.emailOptedOutAt
+  });
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const mutation = useMutation({
+    mutationFn: (data) => messagesAPI.updatePreferences(memberId, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['messages', 'preferences', memberId] });
+      toast({
+        title: 'Contact preferences updated',
+        description: 'Messaging preferences have been saved.',
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate(formData);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="preferredChannel">Preferred Channel</Label>
+        <Select value={formData.preferredChannel} onValueChange={(value) => handleChange('preferredChannel', value)}>
+          <SelectTrigger id="preferredChannel">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="sms">Text message</SelectItem>
+            <SelectItem value="email">Email</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center space-x-2">
+          <Checkbox
+            id="smsOptOut"
+            checked={formData.smsOptOut}
+            onCheckedChange={(checked) => handleChange('smsOptOut', checked)}
+          />
+          <Label htmlFor="smsOptOut">Opted out of text messages</Label>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Checkbox
+            id="emailOptOut"
+            checked={formData.emailOptOut}
+            onCheckedChange={(checked) => handleChange('emailOptOut', checked)}
+          />
+          <Label htmlFor="emailOptOut">Opted out of email</Label>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={mutation.isPending}>
+          {mutation.isPending ? 'Saving...' : 'Save'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Member messaging consent, preferences, opt-outs and message log. Phone and email are
+// edited with the rest of the member's details.
+export default function MessagingPanel({ member }) {
+  const memberId = member.id;
+  const [preferencesDialogOpen, setPreferencesDialogOpen] = useState(false);
+  const [sendDialogOpen, setSendDialogOpen] = useState(false);
+
+  const { data: preferences } = useQuery({
+    queryKey: ['messages', 'preferences', memberId],
+    queryFn: () => messagesAPI.getPreferences(memberId).then(res => res.data),
+  });
+
+  const { data: history } = useQuery({
+    queryKey: ['messages', 'member', memberId],
+    queryFn: () => messagesAPI.getAll({ memberId, limit: MESSAGE_HISTORY_LIMIT }).then(res => res.data),
+  });
+
+  const messages = history?.data || [];
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>Messaging</CardTitle>
+          <CardDescription className="space-x-2">
+            <span>{member.phone || 'No phone'} • {member.email || 'No email'}</span>
+            {!member.consents?.messaging?.granted && <Badge variant="secondary">No messaging consent</Badge>}
+            {preferences && <span>• Prefers {CHANNEL_NAMES[preferences.preferredChannel].toLowerCase()}</span>}
+            {preferences?.smsOptedOutAt && <Badge variant="secondary">Texts opted out</Badge>}
+            {preferences?.emailOptedOutAt && <Badge variant="secondary">Email opted out</Badge>}
+          </CardDescription>
+        </div>
+        <div className="flex space-x-2">
+          <Button size="sm" variant="outline" onClick={() => setPreferencesDialogOpen(true)} disabled={!preferences}>
+            <UserPen className="h-4 w-4 mr-2" />
+            Preferences
+          </Button>
+          <Button size="sm" onClick={() => setSendDialogOpen(true)}>
+            <Send className="h-4 w-4 mr-2" />
+            Send Message
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {messages.length === 0 ? (
+          <div className="text-center py-4 text-muted-foreground">No messages sent yet.</div>
+        ) : (
+          <ol className="space-y-3">
+            {messages.map((message) => (
+              <li key={message.id} className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline">{CHANNEL_NAMES[message.channel]}</Badge>
+                    <Badge className={STATUS_COLORS[message.status]}>{message.status}</Badge>
+                    <span className="text-sm">{message.subject || message.recipient}</span>
+                  </div>
+                  <p className="text-sm text-muted-foreground mt-1 line-clamp-2">{message.body}</p>
+                  {message.error && <p className="text-xs text-red-600 mt-1">{message.error}</p>}
+                </div>
+                <div className="text-xs text-muted-foreground text-right whitespace-nowrap">
+                  <div>{format(new Date(message.sentAt), 'MMM dd, yyyy HH:mm')}</div>
+                  {message.senderFirstName && <div>{message.senderFirstName} {message.senderLastName}</div>}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+
+      <Dialog open={preferencesDialogOpen} onOpenChange={setPreferencesDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Messaging Preferences</DialogTitle>
+            <DialogDescription>How the member prefers to be messaged and any opt-outs</DialogDescription>
+          </DialogHeader>
+          {preferences && (
+            <ContactPreferencesForm
+              memberId={memberId}
+              preferences={preferences}
+              onSuccess={() => setPreferencesDialogOpen(false)}
+              onCancel={() => setPreferencesDialogOpen(false)}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={sendDialogOpen} onOpenChange={setSendDialogOpen}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Send Message</DialogTitle>
+            <DialogDescription>The message is logged as an encounter once it is sent</DialogDescription>
+          </DialogHeader>
+          <SendMessageForm
+            defaultMemberId={memberId}
+            onSuccess={() => setSendDialogOpen(false)}
+            onCancel={() => setSendDialogOpen(false)}
+          />
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
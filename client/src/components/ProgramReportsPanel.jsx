@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { format, startOfMonth, endOfMonth, subMonths } from 'date-fns';
+import { adminAPI } from '@/services/api';
+import { downloadFile, attachmentFileName, blobErrorMessage } from '@/lib/utils';
+import { useToast } from '@/hooks/use-toast';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Download, FileText } from 'lucide-react';
+
+const lastMonth = subMonths(new Date(), 1);
+const DEFAULT_PERIOD = {
+  startDate: format(startOfMonth(lastMonth), 'yyyy-MM-dd'),
+  endDate: format(endOfMonth(lastMonth), 'yyyy-MM-dd'),
+};
+
+// Archived months are stored as YYYY-MM; noon on the 1st reads as that month in any time zone
+const monthLabel = (month) => format(new Date(`${month}-01T12:00:00`), 'MMMM yyyy');
+
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// Monthly program reports archived by the server, and a PDF of the same report for any period
+export default function ProgramReportsPanel() {
+  const [period, setPeriod] = useState(DEFAULT_PERIOD);
+  const [pending, setPending] = useState(null);
+  const { toast } = useToast();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['programReports'],
+    queryFn: () => adminAPI.getProgramReports().then(res => res.data),
+  });
+
+  const download = async (key, request, fallbackName) => {
+    setPending(key);
+    try {
+      const response = await request();
+      downloadFile(attachmentFileName(response) || fallbackName, response.data, 'application/pdf');
+    } catch (error) {
+      toast({
+        title: 'Download failed',
+        description: await blobErrorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const generate = (e) => {
+    e.preventDefault();
+    download('generate', () => adminAPI.generateProgramReport(period), 'program-report.pdf');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileText className="h-5 w-5" />
+          Program Reports
+        </CardTitle>
+        <CardDescription>
+          Enrollment, participation, HTN stage shifts, control rates and engagement as a PDF. Each month&apos;s report is archived when the month ends.
+        </CardDescription>
+        <form onSubmit={generate} className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 items-end">
+          <div className="space-y-1">
+            <Label htmlFor="report-start">From</Label>
+            <Input
+              id="report-start"
+              type="date"
+              required
+              value={period.startDate}
+              onChange={(e) => setPeriod({ ...period, startDate: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="report-end">To</Label>
+            <Input
+              id="report-end"
+              type="date"
+              required
+              value={period.endDate}
+              onChange={(e) => setPeriod({ ...period, endDate: e.target.value })}
+            />
+          </div>
+          <div>
+            <Button type="submit" disabled={pending === 'generate'}>
+              <Download className="h-4 w-4 mr-2" />
+              {pending === 'generate' ? 'Generating...' : 'Generate PDF'}
+            </Button>
+          </div>
+        </form>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="text-center py-8 text-muted-foreground">Loading...</div>
+        ) : data?.reports.length > 0 ? (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Month</TableHead>
+                <TableHead>Generated</TableHead>
+                <TableHead>Size</TableHead>
+                <TableHead className="text-right">Download</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {data.reports.map(report => (
+                <TableRow key={report.id}>
+                  <TableCell className="font-medium">{monthLabel(report.month)}</TableCell>
+                  <TableCell>{format(new Date(report.generatedAt), 'MMM d, yyyy h:mm a')}</TableCell>
+                  <TableCell>{formatSize(report.size)}</TableCell>
+                  <TableCell className="text-right">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={pending === report.id}
+                      onClick={() => download(report.id, () => adminAPI.downloadProgramReport(report.id), report.fileName)}
+                    >
+                      <Download className="h-4 w-4 mr-2" />
+                      {report.fileName}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        ) : (
+          <div className="text-center py-8 text-muted-foreground">
+            No reports archived yet. The first is archived after the current month ends.
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
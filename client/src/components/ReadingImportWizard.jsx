@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { useToast } from '@/hooks/use-toast';
+import { bloodPressureAPI } from '@/services/api';
+import MemberCombobox from '@/components/MemberCombobox';
+import { readAsBase64 } from '@/lib/utils';
+import { ColumnMappingFields, ImportSummary, ImportErrorTable } from '@/components/ImportReport';
+
+const HTN_STATUSES = ['Normal', 'Elevated', 'Stage 1', 'Stage 2', 'Crisis'];
+
+const ERROR_COLUMNS = [
+  { header: 'Date', cell: (row) => row.readingDate && format(new Date(row.readingDate), 'MMM dd, yyyy HH:mm') },
+  { header: 'Reading', cell: (row) => row.systolic && row.diastolic && `${row.systolic}/${row.diastolic}` }
+];
+
+// Upload a member's history exported from a home monitor app (.csv or .xlsx), preview how the
+// readings classify and which are already on file, then add the new ones at their original dates
+export default function ReadingImportWizard({ onSuccess, onCancel }) {
+  const [memberId, setMemberId] = useState('');
+  const [source, setSource] = useState('');
+  const [upload, setUpload] = useState(null);
+  const [mapping, setMapping] = useState(undefined);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  // Times in device exports are the member's local wall-clock time; assume it matches the browser's
+  const importRequest = (options) => ({
+    memberId,
+    source: source.trim(),
+    ...upload,
+    mapping,
+    timezoneOffset: new Date().getTimezoneOffset(),
+    ...options
+  });
+
+  const showError = (error) => {
+    toast({
+      title: 'Error',
+      description: error.response?.data?.error || 'Something went wrong',
+      variant: 'destructive',
+    });
+  };
+
+  const dryRunMutation = useMutation({
+    mutationFn: (data) => bloodPressureAPI.importHistory({ ...data, dryRun: true }).then(res => res.data),
+    onSuccess: (data) => {
+      setReport(data);
+      setMapping(data.mapping);
+    },
+    onError: (error) => {
+      setReport(null);
+      showError(error);
+    },
+  });
+
+  const importMutation = useMutation({
+    mutationFn: () => bloodPressureAPI.importHistory(importRequest({ dryRun: false, skipInvalid })).then(res => res.data),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['bloodPressure'] });
+      toast({
+        title: 'History imported',
+        description: `${data.imported} readings were added from ${data.fileName}.`,
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      if (error.response?.data?.rows) setReport(error.response.data);
+      showError(error);
+    },
+  });
+
+  const canCheck = !!memberId && source.trim().length >= 2;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const next = { fileName: file.name, content: await readAsBase64(file) };
+    setUpload(next);
+    setMapping(undefined);
+    setSkipInvalid(false);
+    if (canCheck) dryRunMutation.mutate(importRequest({ ...next, mapping: undefined }));
+  };
+
+  const handleMappingChange = (field, header) => {
+    const next = { ...mapping, [field]: header };
+    setMapping(next);
+    dryRunMutation.mutate(importRequest({ mapping: next }));
+  };
+
+  const validRows = report?.rows.filter(row => row.status === 'valid') || [];
+  const statusCounts = HTN_STATUSES
+    .map(status => [status, validRows.filter(row => row.htnStatus === status).length])
+    .filter(([, count]) => count > 0);
+
+  const canImport = !!report && report.validRows > 0 && (report.invalidRows === 0 || skipInvalid);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="importMemberId">Member</Label>
+          <MemberCombobox
+            id="importMemberId"
+            value={memberId}
+            onChange={(value) => {
+              setMemberId(value);
+              setReport(null);
+            }}
+          />
+        </div>
+        <div>
+          <Label htmlFor="importSource">Source</Label>
+          <Input
+            id="importSource"
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            placeholder="e.g. Omron Connect"
+          />
+        </div>
+      </div>
+
+      <div>
+        <Label htmlFor="readingFile">Device Export</Label>
+        <Input id="readingFile" type="file" accept=".csv,.xlsx" onChange={handleFileChange} disabled={!canCheck} />
+        <p className="text-xs text-muted-foreground mt-1">
+          CSV or Excel (.xlsx) with date, systolic and diastolic columns; times are read as your local time
+        </p>
+      </div>
+
+      {upload && canCheck && !report && !dryRunMutation.isPending && (
+        <Button type="button" variant="outline" onClick={() => dryRunMutation.mutate(importRequest({}))}>
+          Check File
+        </Button>
+      )}
+
+      {dryRunMutation.isPending && <div className="text-sm text-muted-foreground">Checking readings...</div>}
+
+      {report && (
+        <>
+          <ColumnMappingFields report={report} onChange={handleMappingChange} />
+          <ImportSummary report={report} />
+
+          {statusCounts.length > 0 && (
+            <p className="text-sm text-muted-foreground">
+              New readings: {statusCounts.map(([status, count]) => `${count} ${status}`).join(', ')}.
+              Imported history does not raise alerts.
+            </p>
+          )}
+
+          <ImportErrorTable report={report} columns={ERROR_COLUMNS} />
+
+          {report.invalidRows > 0 && report.validRows > 0 && (
+            <div className="flex items-center space-x-2">
+              <Checkbox
+                id="skipInvalidReadings"
+                checked={skipInvalid}
+                onCheckedChange={(checked) => setSkipInvalid(checked === true)}
+              />
+              <Label htmlFor="skipInvalidReadings">Import the {report.validRows} new readings and skip the rows with errors</Label>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          type="button"
+          onClick={() => importMutation.mutate()}
+          disabled={!canImport || dryRunMutation.isPending || importMutation.isPending}
+        >
+          {importMutation.isPending ? 'Importing...' : `Import ${report?.validRows ?? 0} Readings`}
+        </Button>
+      </div>
+    </div>
+  );
+}
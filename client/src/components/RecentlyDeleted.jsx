@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { format, differenceInCalendarDays } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from '@/components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { ArchiveRestore, RotateCcw } from 'lucide-react';
+
+// Matches the server's soft-delete recovery window (PRD §4.5)
+const RECOVERY_WINDOW_DAYS = 90;
+
+function daysUntilPurge(deletedAt, now = new Date()) {
+  return Math.max(0, RECOVERY_WINDOW_DAYS - differenceInCalendarDays(now, new Date(deletedAt)));
+}
+
+export default function RecentlyDeleted({ title, queryKey, fetchDeleted, restore, invalidateKey, renderItem }) {
+  const [open, setOpen] = useState(false);
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data: items, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => fetchDeleted().then(res => res.data),
+    enabled: open,
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: (id) => restore(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey });
+      queryClient.invalidateQueries({ queryKey: [invalidateKey] });
+      toast({
+        title: 'Record restored',
+        description: 'The record has been restored successfully.',
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to restore record',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <ArchiveRestore className="h-4 w-4 mr-2" />
+          Recently deleted
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>
+            Deleted records can be restored for {RECOVERY_WINDOW_DAYS} days before they are permanently purged.
+          </DialogDescription>
+        </DialogHeader>
+        {isLoading ? (
+          <div className="text-center py-8 text-muted-foreground">Loading...</div>
+        ) : items?.length > 0 ? (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Record</TableHead>
+                <TableHead>Deleted</TableHead>
+                <TableHead>Purged in</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {items.map((item) => (
+                <TableRow key={item.id}>
+                  <TableCell>{renderItem(item)}</TableCell>
+                  <TableCell>{format(new Date(item.deletedAt), 'MMM dd, yyyy HH:mm')}</TableCell>
+                  <TableCell>
+                    <Badge variant="secondary">{daysUntilPurge(item.deletedAt)} days</Badge>
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => restoreMutation.mutate(item.id)}
+                      disabled={restoreMutation.isPending}
+                    >
+                      <RotateCcw className="h-3 w-3 mr-1" />
+                      Restore
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        ) : (
+          <div className="text-center py-8 text-muted-foreground">
+            No recently deleted records.
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
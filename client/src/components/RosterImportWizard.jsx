@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { membersAPI } from '@/services/api';
+import { readAsBase64 } from '@/lib/utils';
+import { ColumnMappingFields, ImportSummary, ImportErrorTable } from '@/components/ImportReport';
+
+const NO_DEFAULT_UNION = 'none';
+
+const ERROR_COLUMNS = [
+  { header: 'Employee ID', cell: (row) => row.employeeId },
+  { header: 'Name', cell: (row) => [row.firstName, row.lastName].filter(Boolean).join(' ') }
+];
+
+// Upload a union roster (.csv or .xlsx), check the column mapping and per-row errors on a
+// dry run, then create all valid members at once
+export default function RosterImportWizard({ onSuccess, onCancel }) {
+  const [upload, setUpload] = useState(null);
+  const [defaultUnion, setDefaultUnion] = useState(NO_DEFAULT_UNION);
+  const [mapping, setMapping] = useState(undefined);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const importRequest = (options) => ({
+    ...upload,
+    mapping,
+    ...(defaultUnion !== NO_DEFAULT_UNION && { defaultUnion }),
+    ...options
+  });
+
+  const showError = (error) => {
+    toast({
+      title: 'Error',
+      description: error.response?.data?.error || 'Something went wrong',
+      variant: 'destructive',
+    });
+  };
+
+  const dryRunMutation = useMutation({
+    mutationFn: (data) => membersAPI.importRoster({ ...data, dryRun: true }).then(res => res.data),
+    onSuccess: (data) => {
+      setReport(data);
+      setMapping(data.mapping);
+    },
+    onError: (error) => {
+      setReport(null);
+      showError(error);
+    },
+  });
+
+  const importMutation = useMutation({
+    mutationFn: () => membersAPI.importRoster(importRequest({ dryRun: false, skipInvalid })).then(res => res.data),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['members'] });
+      toast({
+        title: 'Roster imported',
+        description: `${data.imported} members were added from ${data.fileName}.`,
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      if (error.response?.data?.rows) setReport(error.response.data);
+      showError(error);
+    },
+  });
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const next = { fileName: file.name, content: await readAsBase64(file) };
+    setUpload(next);
+    setMapping(undefined);
+    setSkipInvalid(false);
+    dryRunMutation.mutate({ ...next, ...(defaultUnion !== NO_DEFAULT_UNION && { defaultUnion }) });
+  };
+
+  const handleMappingChange = (field, header) => {
+    const next = { ...mapping, [field]: header };
+    setMapping(next);
+    dryRunMutation.mutate(importRequest({ mapping: next }));
+  };
+
+  const handleDefaultUnionChange = (value) => {
+    setDefaultUnion(value);
+    if (upload) {
+      dryRunMutation.mutate({ ...upload, mapping, ...(value !== NO_DEFAULT_UNION && { defaultUnion: value }) });
+    }
+  };
+
+  const canImport = !!report && report.validRows > 0 && (report.invalidRows === 0 || skipInvalid);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="rosterFile">Roster File</Label>
+          <Input id="rosterFile" type="file" accept=".csv,.xlsx" onChange={handleFileChange} />
+          <p className="text-xs text-muted-foreground mt-1">CSV or Excel (.xlsx); the first row must be column headers</p>
+        </div>
+        <div>
+          <Label htmlFor="defaultUnion">Union for Rows Without One</Label>
+          <Select value={defaultUnion} onValueChange={handleDefaultUnionChange}>
+            <SelectTrigger id="defaultUnion">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_DEFAULT_UNION}>None</SelectItem>
+              <SelectItem value="Firefighters">Firefighters</SelectItem>
+              <SelectItem value="Police">Police</SelectItem>
+              <SelectItem value="EMS">EMS</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {dryRunMutation.isPending && <div className="text-sm text-muted-foreground">Checking roster...</div>}
+
+      {report && (
+        <>
+          <ColumnMappingFields report={report} onChange={handleMappingChange} />
+          <ImportSummary report={report} />
+          <ImportErrorTable report={report} columns={ERROR_COLUMNS} />
+
+          {report.invalidRows > 0 && report.validRows > 0 && (
+            <div className="flex items-center space-x-2">
+              <Checkbox
+                id="skipInvalid"
+                checked={skipInvalid}
+                onCheckedChange={(checked) => setSkipInvalid(checked === true)}
+              />
+              <Label htmlFor="skipInvalid">Import the {report.validRows} valid rows and skip the rest</Label>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          type="button"
+          onClick={() => importMutation.mutate()}
+          disabled={!canImport || dryRunMutation.isPending || importMutation.isPending}
+        >
+          {importMutation.isPending ? 'Importing...' : `Import ${report?.validRows ?? 0} Members`}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { messagesAPI, followUpsAPI } from '@/services/api';
+import MemberCombobox from '@/components/MemberCombobox';
+
+const PREFERRED_CHANNEL = 'preferred';
+
+const CHANNEL_LABELS = {
+  sms: 'Text message',
+  email: 'Email'
+};
+
+export default function SendMessageForm({ defaultMemberId, onSuccess, onCancel }) {
+  const [formData, setFormData] = useState({
+    memberId: defaultMemberId || '',
+    templateId: '',
+    channel: PREFERRED_CHANNEL,
+    followUpId: ''
+  });
+  // null until the coach edits the text, so a fresh preview is shown when the options change
+  const [editedBody, setEditedBody] = useState(null);
+
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data: templates = [] } = useQuery({
+    queryKey: ['messages', 'templates'],
+    queryFn: () => messagesAPI.getTemplates().then(res => res.data),
+  });
+
+  const template = templates.find(candidate => candidate.id === formData.templateId);
+
+  const { data: scheduledFollowUps } = useQuery({
+    queryKey: ['follow-ups', 'member', formData.memberId, 'scheduled'],
+    queryFn: () => followUpsAPI.getAll({ memberId: formData.memberId, status: 'scheduled' }).then(res => res.data),
+    enabled: !!formData.memberId && !!template?.requiresFollowUp,
+  });
+
+  const draft = {
+    memberId: formData.memberId,
+    templateId: formData.templateId,
+    ...(formData.channel !== PREFERRED_CHANNEL && { channel: formData.channel }),
+    ...(formData.followUpId && { followUpId: formData.followUpId })
+  };
+
+  const readyToPreview = !!formData.memberId && !!template && (!template.requiresFollowUp || !!formData.followUpId);
+
+  const { data: preview, error: previewError, isFetching: previewLoading } = useQuery({
+    queryKey: ['messages', 'preview', draft],
+    queryFn: () => messagesAPI.preview(draft).then(res => res.data),
+    enabled: readyToPreview,
+    retry: false,
+  });
+
+  const body = editedBody ?? preview?.body ?? '';
+  const messageLength = body.trim().length + (preview ? preview.footer.length + 2 : 0);
+  const tooLong = preview?.maxLength != null && messageLength > preview.maxLength;
+
+  const mutation = useMutation({
+    mutationFn: () => messagesAPI.send({
+      ...draft,
+      ...(editedBody !== null && { body: editedBody })
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['messages'] });
+      queryClient.invalidateQueries({ queryKey: ['encounters'] });
+      toast({
+        title: 'Message sent',
+        description: `${CHANNEL_LABELS[preview.channel]} sent to ${preview.recipient} and logged as an encounter.`,
+      });
+      onSuccess();
+    },
+    onError: (error) => {
+      queryClient.invalidateQueries({ queryKey: ['messages'] });
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate();
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+      // A different member or template has different follow-ups to confirm
+      ...((field === 'memberId' || field === 'templateId') && { followUpId: '' })
+    }));
+    setEditedBody(null);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="messageMemberId">Member</Label>
+        <MemberCombobox
+          id="messageMemberId"
+          value={formData.memberId}
+          onChange={(value) => handleChange('memberId', value)}
+          disabled={!!defaultMemberId}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="messageTemplate">Template</Label>
+          <Select value={formData.templateId} onValueChange={(value) => handleChange('templateId', value)}>
+            <SelectTrigger id="messageTemplate">
+              <SelectValue placeholder="Select template" />
+            </SelectTrigger>
+            <SelectContent>
+              {templates.map((option) => (
+                <SelectItem key={option.id} value={option.id}>{option.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {template && <p className="text-xs text-muted-foreground mt-1">{template.description}</p>}
+        </div>
+        <div>
+          <Label htmlFor="messageChannel">Send As</Label>
+          <Select value={formData.channel} onValueChange={(value) => handleChange('channel', value)}>
+            <SelectTrigger id="messageChannel">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={PREFERRED_CHANNEL}>Member's preference</SelectItem>
+              <SelectItem value="sms">{CHANNEL_LABELS.sms}</SelectItem>
+              <SelectItem value="email">{CHANNEL_LABELS.email}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {template?.requiresFollowUp && (
+        <div>
+          <Label htmlFor="messageFollowUp">Follow-up</Label>
+          <Select value={formData.followUpId} onValueChange={(value) => handleChange('followUpId', value)}>
+            <SelectTrigger id="messageFollowUp">
+              <SelectValue placeholder="Select a scheduled follow-up" />
+            </SelectTrigger>
+            <SelectContent>
+              {(scheduledFollowUps?.data || []).map((followUp) => (
+                <SelectItem key={followUp.id} value={followUp.id}>
+                  {format(new Date(followUp.dueDate), 'MMM dd, yyyy')} • {followUp.reason}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {scheduledFollowUps?.total === 0 && (
+            <p className="text-xs text-muted-foreground mt-1">This member has no scheduled follow-ups.</p>
+          )}
+        </div>
+      )}
+
+      {previewError && (
+        <div className="rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+          {previewError.response?.data?.error || 'Unable to prepare this message'}
+        </div>
+      )}
+
+      {preview && !previewError && (
+        <div className="space-y-2">
+          <div className="text-sm text-muted-foreground">
+            {CHANNEL_LABELS[preview.channel]} to <span className="font-medium text-foreground">{preview.recipient}</span>
+            {preview.subject && ` • ${preview.subject}`}
+          </div>
+          <Textarea
+            id="messageBody"
+            value={body}
+            onChange={(e) => setEditedBody(e.target.value)}
+            rows={5}
+          />
+          <div className="flex justify-between text-xs text-muted-foreground">
+            <span>Always added: {preview.footer}</span>
+            {preview.maxLength != null && (
+              <span className={tooLong ? 'text-red-600' : undefined}>
+                {messageLength}/{preview.maxLength}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          disabled={mutation.isPending || previewLoading || !preview || !!previewError || tooLong || body.trim().length < 10}
+        >
+          {mutation.isPending ? 'Sending...' : 'Send Message'}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,28 @@
+import { TableHead } from '@/components/ui/table';
+import { ArrowDown, ArrowUp, ArrowUpDown } from 'lucide-react';
+
+// Table header that toggles server-side sorting on `column`. `sorting` is { sort, order }.
+export default function SortableTableHead({ column, sorting, onSortingChange, children }) {
+  const isActive = sorting.sort === column;
+  const Icon = !isActive ? ArrowUpDown : sorting.order === 'asc' ? ArrowUp : ArrowDown;
+
+  const toggle = () => {
+    onSortingChange({
+      sort: column,
+      order: isActive && sorting.order === 'asc' ? 'desc' : 'asc',
+    });
+  };
+
+  return (
+    <TableHead aria-sort={isActive ? (sorting.order === 'asc' ? 'ascending' : 'descending') : undefined}>
+      <button
+        type="button"
+        onClick={toggle}
+        className="inline-flex items-center gap-1 hover:text-foreground"
+      >
+        {children}
+        <Icon className="h-3 w-3" />
+      </button>
+    </TableHead>
+  );
+}
@@ -0,0 +1,14 @@
+import { useQuery } from '@tanstack/react-query';
+import { getGuideline, DEFAULT_GUIDELINE } from '@shared/bpClassification';
+import { bloodPressureAPI } from '@/services/api';
+
+// Classification guideline the server is configured with; the default is used until it loads
+export function useBpGuideline() {
+  const { data } = useQuery({
+    queryKey: ['bloodPressure', 'guideline'],
+    queryFn: () => bloodPressureAPI.getGuideline().then(res => res.data),
+    staleTime: Infinity,
+  });
+
+  return data ?? getGuideline(DEFAULT_GUIDELINE);
+}
@@ -0,0 +1,69 @@
+// Offline ICD-10-CM subset covering the comorbidities coaches record most often.
+// Bundled so the condition picker works without a terminology service.
+export const ICD10_CODES = [
+  // Hypertension
+  { code: 'I10', description: 'Essential (primary) hypertension' },
+  { code: 'I11.9', description: 'Hypertensive heart disease without heart failure' },
+  { code: 'I12.9', description: 'Hypertensive chronic kidney disease with stage 1-4 CKD' },
+  { code: 'I15.9', description: 'Secondary hypertension, unspecified' },
+  { code: 'R03.0', description: 'Elevated blood-pressure reading, without diagnosis of hypertension' },
+
+  // Diabetes
+  { code: 'R73.03', description: 'Prediabetes' },
+  { code: 'E10.9', description: 'Type 1 diabetes mellitus without complications' },
+  { code: 'E11.9', description: 'Type 2 diabetes mellitus without complications' },
+  { code: 'E11.65', description: 'Type 2 diabetes mellitus with hyperglycemia' },
+  { code: 'E11.22', description: 'Type 2 diabetes mellitus with diabetic chronic kidney disease' },
+  { code: 'E11.40', description: 'Type 2 diabetes mellitus with diabetic neuropathy, unspecified' },
+
+  // Chronic kidney disease
+  { code: 'N18.1', description: 'Chronic kidney disease, stage 1' },
+  { code: 'N18.2', description: 'Chronic kidney disease, stage 2 (mild)' },
+  { code: 'N18.30', description: 'Chronic kidney disease, stage 3 unspecified' },
+  { code: 'N18.31', description: 'Chronic kidney disease, stage 3a' },
+  { code: 'N18.32', description: 'Chronic kidney disease, stage 3b' },
+  { code: 'N18.4', description: 'Chronic kidney disease, stage 4 (severe)' },
+  { code: 'N18.5', description: 'Chronic kidney disease, stage 5' },
+  { code: 'N18.9', description: 'Chronic kidney disease, unspecified' },
+
+  // Hyperlipidemia
+  { code: 'E78.00', description: 'Pure hypercholesterolemia, unspecified' },
+  { code: 'E78.1', description: 'Pure hyperglyceridemia' },
+  { code: 'E78.2', description: 'Mixed hyperlipidemia' },
+  { code: 'E78.5', description: 'Hyperlipidemia, unspecified' },
+
+  // Sleep apnea
+  { code: 'G47.30', description: 'Sleep apnea, unspecified' },
+  { code: 'G47.33', description: 'Obstructive sleep apnea (adult) (pediatric)' },
+
+  // Related cardiometabolic conditions
+  { code: 'E66.9', description: 'Obesity, unspecified' },
+  { code: 'I25.10', description: 'Atherosclerotic heart disease of native coronary artery without angina pectoris' },
+  { code: 'I48.91', description: 'Unspecified atrial fibrillation' },
+  { code: 'I50.9', description: 'Heart failure, unspecified' },
+  { code: 'I63.9', description: 'Cerebral infarction, unspecified' },
+  { code: 'F17.210', description: 'Nicotine dependence, cigarettes, uncomplicated' },
+];
+
+// Codes whose code or description matches every search term; code-prefix hits rank first
+export function searchIcd10(query, limit = 10) {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const matches = ICD10_CODES.filter(entry => {
+    const haystack = `${entry.code} ${entry.description}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+
+  const codePrefix = terms[0];
+  const startsWithCode = (entry) => entry.code.toLowerCase().startsWith(codePrefix);
+
+  return matches
+    .sort((a, b) => Number(startsWithCode(b)) - Number(startsWithCode(a)))
+    .slice(0, limit);
+}
+
+export function findIcd10(code) {
+  if (!code) return null;
+  return ICD10_CODES.find(entry => entry.code === code.toUpperCase()) || null;
+}
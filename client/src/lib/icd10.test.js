@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { searchIcd10, findIcd10 } from './icd10';
+
+describe('icd10', () => {
+  it('matches descriptions on every term', () => {
+    const codes = searchIcd10('sleep apnea').map(entry => entry.code);
+
+    expect(codes).toEqual(['G47.30', 'G47.33']);
+  });
+
+  it('ranks code-prefix matches first', () => {
+    const [first] = searchIcd10('e11');
+
+    expect(first.code.startsWith('E11')).toBe(true);
+  });
+
+  it('returns nothing for a blank query', () => {
+    expect(searchIcd10('   ')).toEqual([]);
+  });
+
+  it('looks codes up case-insensitively', () => {
+    expect(findIcd10('n18.31').description).toBe('Chronic kidney disease, stage 3a');
+    expect(findIcd10('Z99.9')).toBeNull();
+  });
+});
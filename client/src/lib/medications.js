@@ -0,0 +1,25 @@
+// Mirrors MEDICATION_CLASSES in server/src/db/schema.ts
+export const MEDICATION_CLASSES = [
+  'ACE inhibitor',
+  'ARB',
+  'Calcium channel blocker',
+  'Thiazide diuretic',
+  'Loop diuretic',
+  'Beta blocker',
+  'Mineralocorticoid antagonist',
+  'Alpha blocker',
+  'Other',
+];
+
+export const ADHERENCE_LEVELS = ['Adherent', 'Partially adherent', 'Non-adherent'];
+
+export const ADHERENCE_COLORS = {
+  Adherent: 'bg-green-100 text-green-800',
+  'Partially adherent': 'bg-yellow-100 text-yellow-800',
+  'Non-adherent': 'bg-red-100 text-red-800',
+};
+
+// A medication is current until its stop date passes
+export function isCurrentMedication(medication, now = new Date()) {
+  return !medication.stopDate || new Date(medication.stopDate) > now;
+}
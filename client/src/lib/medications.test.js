@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { isCurrentMedication } from './medications';
+
+describe('isCurrentMedication', () => {
+  const now = new Date('2024-06-01T00:00:00.000Z');
+
+  it('treats medications without a stop date as current', () => {
+    expect(isCurrentMedication({ stopDate: null }, now)).toBe(true);
+  });
+
+  it('treats medications stopped in the past as discontinued', () => {
+    expect(isCurrentMedication({ stopDate: '2024-05-01T00:00:00.000Z' }, now)).toBe(false);
+    expect(isCurrentMedication({ stopDate: '2024-07-01T00:00:00.000Z' }, now)).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+import { systolicBands, DEFAULT_GUIDELINE } from '@shared/bpClassification';
+
+export { diastolicThresholds } from '@shared/bpClassification';
+
+const STAGE_COLORS = {
+  Normal: '#22c55e',
+  Elevated: '#eab308',
+  'Stage 1': '#f97316',
+  'Stage 2': '#ef4444',
+  Crisis: '#991b1b',
+};
+
+// Systolic bands of the active guideline, drawn behind the member BP trend chart
+export function chartBands(guideline = DEFAULT_GUIDELINE) {
+  return systolicBands(guideline).map(band => ({ ...band, color: STAGE_COLORS[band.status] }));
+}
+
+const byDateAsc = (a, b) => a.date - b.date;
+
+// Chart points, oldest first
+export function trendData(readings = []) {
+  return readings
+    .map(reading => ({
+      date: new Date(reading.readingDate),
+      systolic: reading.systolic,
+      diastolic: reading.diastolic,
+      htnStatus: reading.htnStatus,
+    }))
+    .sort(byDateAsc)
+    .map(point => ({ ...point, timestamp: point.date.getTime() }));
+}
+
+// Collapse consecutive readings with the same HTN status into stages, oldest first
+export function stageHistory(readings = []) {
+  return trendData(readings).reduce((stages, point) => {
+    const current = stages[stages.length - 1];
+    if (current && current.status === point.htnStatus) {
+      current.to = point.date;
+      current.readings++;
+    } else {
+      stages.push({ status: point.htnStatus, from: point.date, to: point.date, readings: 1 });
+    }
+    return stages;
+  }, []);
+}
+
+// Readings, encounters and conditions merged into one list, newest first
+export function buildTimeline({ readings = [], encounters = [], conditions = [] }) {
+  const events = [
+    ...readings.map(reading => ({
+      id: `reading-${reading.id}`,
+      type: 'reading',
+      date: new Date(reading.readingDate),
+      title: `${reading.systolic}/${reading.diastolic} mmHg`,
+      detail: reading.heartRate ? `HR ${reading.heartRate} bpm` : null,
+      status: reading.htnStatus,
+    })),
+    ...encounters.map(encounter => ({
+      id: `encounter-${encounter.id}`,
+      type: 'encounter',
+      date: new Date(encounter.encounterDate),
+      title: `Session #${encounter.sessionNumber}: ${encounter.topic}`,
+      detail: `${encounter.communicationType} with ${encounter.callerName} • ${encounter.callStatus}`,
+      status: encounter.isCompleted ? 'Completed' : 'Pending',
+    })),
+    ...conditions.map(condition => ({
+      id: `condition-${condition.id}`,
+      type: 'condition',
+      date: new Date(condition.reportedDate),
+      title: condition.icd10Code ? `${condition.condition} (${condition.icd10Code})` : condition.condition,
+      detail: condition.notes || null,
+      status: condition.status === 'resolved' ? 'Resolved' : null,
+    })),
+  ];
+
+  return events.sort((a, b) => b.date - a.date);
+}
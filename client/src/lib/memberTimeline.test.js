@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { trendData, stageHistory, buildTimeline, chartBands } from './memberTimeline';
+
+const reading = (id, readingDate, systolic, diastolic, htnStatus) => ({
+  id, readingDate, systolic, diastolic, htnStatus,
+});
+
+describe('memberTimeline', () => {
+  const readings = [
+    reading('r3', '2024-03-01T09:00:00.000Z', 118, 76, 'Normal'),
+    reading('r1', '2024-01-01T09:00:00.000Z', 145, 92, 'Stage 2'),
+    reading('r2', '2024-02-01T09:00:00.000Z', 142, 88, 'Stage 2'),
+  ];
+
+  it('orders trend points oldest first', () => {
+    expect(trendData(readings).map(point => point.systolic)).toEqual([145, 142, 118]);
+  });
+
+  it('collapses consecutive readings into HTN stages', () => {
+    const stages = stageHistory(readings);
+
+    expect(stages).toHaveLength(2);
+    expect(stages[0]).toMatchObject({ status: 'Stage 2', readings: 2 });
+    expect(stages[0].from.toISOString()).toBe('2024-01-01T09:00:00.000Z');
+    expect(stages[0].to.toISOString()).toBe('2024-02-01T09:00:00.000Z');
+    expect(stages[1]).toMatchObject({ status: 'Normal', readings: 1 });
+  });
+
+  it('merges readings, encounters and conditions newest first', () => {
+    const timeline = buildTimeline({
+      readings: [readings[1]],
+      encounters: [{
+        id: 'e1',
+        encounterDate: '2024-01-15T10:00:00.000Z',
+        sessionNumber: 1,
+        topic: 'Intro call',
+        communicationType: 'Phone',
+        callerName: 'Coach Kim',
+        callStatus: 'Completed',
+        isCompleted: true,
+      }],
+      conditions: [{ id: 'c1', condition: 'Hypertension', reportedDate: '2023-12-20T00:00:00.000Z' }],
+    });
+
+    expect(timeline.map(event => event.id)).toEqual(['encounter-e1', 'reading-r1', 'condition-c1']);
+    expect(timeline[0].title).toBe('Session #1: Intro call');
+  });
+
+  it('labels coded and resolved conditions', () => {
+    const [event] = buildTimeline({
+      conditions: [{
+        id: 'c2',
+        condition: 'Obstructive sleep apnea',
+        icd10Code: 'G47.33',
+        status: 'resolved',
+        reportedDate: '2024-02-01T00:00:00.000Z',
+      }],
+    });
+
+    expect(event.title).toBe('Obstructive sleep apnea (G47.33)');
+    expect(event.status).toBe('Resolved');
+  });
+
+  it('colours chart bands by the program stage of each guideline category', () => {
+    const bands = chartBands('esc-esh-2018');
+
+    expect(bands.map(band => band.label)).toEqual([
+      'Optimal',
+      'Normal',
+      'High normal',
+      'Grade 1 hypertension',
+      'Grade 2 hypertension',
+      'Grade 3 hypertension',
+    ]);
+    expect(bands[1].color).toBe(bands[0].color);
+  });
+});
@@ -4,3 +4,40 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
+
+// Save text generated in the browser (e.g. a CSV report) or a downloaded Blob as a file
+export function downloadFile(fileName, content, type = 'text/csv') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// The file name a download response gives in Content-Disposition, if any
+export function attachmentFileName(response) {
+  const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+  return match ? match[1] : null;
+}
+
+// Error responses to Blob requests arrive as a Blob too, so read the message out of it
+export async function blobErrorMessage(error) {
+  const data = error.response?.data;
+  if (!(data instanceof Blob)) return 'Something went wrong';
+  try {
+    return JSON.parse(await data.text()).error || 'Something went wrong';
+  } catch {
+    return 'Something went wrong';
+  }
+}
+
+// Read a chosen file as base64 (without the data URL prefix) for upload in a JSON body
+export function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
@@ -4,6 +4,11 @@ import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
 import { Alert, AlertDescription } from '../components/ui/alert';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
+import AuditLogPanel from '../components/AuditLogPanel';
+import CoachWorkloadPanel from '../components/CoachWorkloadPanel';
+import ProgramReportsPanel from '../components/ProgramReportsPanel';
+import ExportButton from '../components/ExportButton';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, LineChart, Line } from 'recharts';
 import { Calendar, Users, Activity, TrendingUp, AlertTriangle, Phone, FileText } from 'lucide-react';
 
@@ -173,6 +178,7 @@ const AdminDashboard = () => {
           <Badge variant="outline" className="bg-blue-50 text-blue-700">
             Super Admin
           </Badge>
+          <ExportButton path="/admin/dashboard-overview" name="dashboard-overview" label="Export Overview" />
           <Button 
             variant="outline" 
             onClick={() => window.location.reload()}
@@ -182,289 +188,327 @@ const AdminDashboard = () => {
         </div>
       </div>
 
-      {/* Overview Cards */}
-      {dashboardData && (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Total Members</CardTitle>
-              <Users className="h-4 w-4 text-muted-foreground" />
-            </CardHeader>
-            <CardContent>
-              <div className="text-2xl font-bold">
-                {dashboardData.membersByUnion.reduce((sum, item) => sum + item.count, 0)}
-              </div>
-              <div className="text-xs text-muted-foreground mt-1">
-                Across all unions
-              </div>
-            </CardContent>
-          </Card>
+      <Tabs defaultValue="overview" className="space-y-6">
+        <TabsList>
+          <TabsTrigger value="overview">Overview</TabsTrigger>
+          <TabsTrigger value="coach-workload">Coach Workload</TabsTrigger>
+          <TabsTrigger value="reports">Reports</TabsTrigger>
+          <TabsTrigger value="audit-log">Audit Log</TabsTrigger>
+        </TabsList>
 
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Recent Readings (7d)</CardTitle>
-              <Activity className="h-4 w-4 text-muted-foreground" />
-            </CardHeader>
-            <CardContent>
-              <div className="text-2xl font-bold">
-                {dashboardData.recentActivity.readings.reduce((sum, item) => sum + item.count, 0)}
-              </div>
-              <div className="text-xs text-muted-foreground mt-1">
-                Blood pressure readings
-              </div>
-            </CardContent>
-          </Card>
+        <TabsContent value="overview" className="space-y-6">
+          {/* Overview Cards */}
+          {dashboardData && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">Total Members</CardTitle>
+                  <Users className="h-4 w-4 text-muted-foreground" />
+                </CardHeader>
+                <CardContent>
+                  <div className="text-2xl font-bold">
+                    {dashboardData.membersByUnion.reduce((sum, item) => sum + item.count, 0)}
+                  </div>
+                  <div className="text-xs text-muted-foreground mt-1">
+                    Across all unions
+                  </div>
+                </CardContent>
+              </Card>
 
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Recent Encounters (7d)</CardTitle>
-              <Phone className="h-4 w-4 text-muted-foreground" />
-            </CardHeader>
-            <CardContent>
-              <div className="text-2xl font-bold">
-                {dashboardData.recentActivity.encounters.reduce((sum, item) => sum + item.count, 0)}
-              </div>
-              <div className="text-xs text-muted-foreground mt-1">
-                Communication sessions
-              </div>
-            </CardContent>
-          </Card>
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">Recent Readings (7d)</CardTitle>
+                  <Activity className="h-4 w-4 text-muted-foreground" />
+                </CardHeader>
+                <CardContent>
+                  <div className="text-2xl font-bold">
+                    {dashboardData.recentActivity.readings.reduce((sum, item) => sum + item.count, 0)}
+                  </div>
+                  <div className="text-xs text-muted-foreground mt-1">
+                    Blood pressure readings
+                  </div>
+                </CardContent>
+              </Card>
 
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">High Risk Members</CardTitle>
-              <AlertTriangle className="h-4 w-4 text-red-500" />
-            </CardHeader>
-            <CardContent>
-              <div className="text-2xl font-bold text-red-600">
-                {dashboardData.highRiskMembers.reduce((sum, item) => sum + item.count, 0)}
-              </div>
-              <div className="text-xs text-muted-foreground mt-1">
-                Stage 2 & Crisis status
-              </div>
-            </CardContent>
-          </Card>
-        </div>
-      )}
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">Recent Encounters (7d)</CardTitle>
+                  <Phone className="h-4 w-4 text-muted-foreground" />
+                </CardHeader>
+                <CardContent>
+                  <div className="text-2xl font-bold">
+                    {dashboardData.recentActivity.encounters.reduce((sum, item) => sum + item.count, 0)}
+                  </div>
+                  <div className="text-xs text-muted-foreground mt-1">
+                    Communication sessions
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">High Risk Members</CardTitle>
+                  <AlertTriangle className="h-4 w-4 text-red-500" />
+                </CardHeader>
+                <CardContent>
+                  <div className="text-2xl font-bold text-red-600">
+                    {dashboardData.highRiskMembers.reduce((sum, item) => sum + item.count, 0)}
+                  </div>
+                  <div className="text-xs text-muted-foreground mt-1">
+                    Stage 2 & Crisis status
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+          )}
 
-      {/* Daily Readings by Union */}
-      {dailyReadings && (
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              <Calendar className="h-5 w-5" />
-              Daily Readings by Union - {dailyReadings.date}
-            </CardTitle>
-            <CardDescription>
-              Blood pressure readings taken today, categorized by HTN status
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={dailyReadings.readings}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="union" />
-                <YAxis />
-                <Tooltip />
-                <Legend />
-                <Bar dataKey="normalCount" stackId="a" fill="#10B981" name="Normal" />
-                <Bar dataKey="elevatedCount" stackId="a" fill="#F59E0B" name="Elevated" />
-                <Bar dataKey="stage1Count" stackId="a" fill="#EF4444" name="Stage 1" />
-                <Bar dataKey="stage2Count" stackId="a" fill="#DC2626" name="Stage 2" />
-                <Bar dataKey="crisisCount" stackId="a" fill="#7F1D1D" name="Crisis" />
-              </BarChart>
-            </ResponsiveContainer>
-          </CardContent>
-        </Card>
-      )}
+          {/* Daily Readings by Union */}
+          {dailyReadings && (
+            <Card>
+              <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                <div>
+                  <CardTitle className="flex items-center gap-2">
+                    <Calendar className="h-5 w-5" />
+                    Daily Readings by Union - {dailyReadings.date}
+                  </CardTitle>
+                  <CardDescription>
+                    Blood pressure readings taken today, categorized by HTN status
+                  </CardDescription>
+                </div>
+                <ExportButton path="/admin/daily-readings" name="daily-readings" size="sm" />
+              </CardHeader>
+              <CardContent>
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={dailyReadings.readings}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="union" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="normalCount" stackId="a" fill="#10B981" name="Normal" />
+                    <Bar dataKey="elevatedCount" stackId="a" fill="#F59E0B" name="Elevated" />
+                    <Bar dataKey="stage1Count" stackId="a" fill="#EF4444" name="Stage 1" />
+                    <Bar dataKey="stage2Count" stackId="a" fill="#DC2626" name="Stage 2" />
+                    <Bar dataKey="crisisCount" stackId="a" fill="#7F1D1D" name="Crisis" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </CardContent>
+            </Card>
+          )}
 
-      {/* Enrollment Metrics */}
-      {enrollmentMetrics && (
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Enrollment Metrics */}
+          {enrollmentMetrics && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card>
+                <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                  <div>
+                    <CardTitle>New Enrollments (Last 30 Days)</CardTitle>
+                    <CardDescription>
+                      {enrollmentMetrics.period.startDate} to {enrollmentMetrics.period.endDate}
+                    </CardDescription>
+                  </div>
+                  <ExportButton path="/admin/enrollment-metrics" params={enrollmentMetrics.period} name="enrollment-metrics" size="sm" />
+                </CardHeader>
+                <CardContent>
+                  <ResponsiveContainer width="100%" height={250}>
+                    <PieChart>
+                      <Pie
+                        data={enrollmentMetrics.newEnrollments}
+                        cx="50%"
+                        cy="50%"
+                        labelLine={false}
+                        label={({ union, count }) => `${union}: ${count}`}
+                        outerRadius={80}
+                        fill="#8884d8"
+                        dataKey="count"
+                      >
+                        {enrollmentMetrics.newEnrollments.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={UNION_COLORS[entry.union] || COLORS[index % COLORS.length]} />
+                        ))}
+                      </Pie>
+                      <Tooltip />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Total Enrollments by Union</CardTitle>
+                  <CardDescription>All-time member enrollment</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <ResponsiveContainer width="100%" height={250}>
+                    <BarChart data={enrollmentMetrics.totalEnrollments}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="union" />
+                      <YAxis />
+                      <Tooltip />
+                      <Bar dataKey="total" fill="#3B82F6" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
+            </div>
+          )}
+
+          {/* Activity Statistics */}
+          {activityStats && (
+            <Card>
+              <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                <div>
+                  <CardTitle>Activity Statistics (Last 30 Days)</CardTitle>
+                  <CardDescription>
+                    Communication encounters and blood pressure readings by union
+                  </CardDescription>
+                </div>
+                <ExportButton path="/admin/activity-stats" params={activityStats.period} name="activity-stats" size="sm" />
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div>
+                    <h4 className="text-lg font-semibold mb-4">Encounter Statistics</h4>
+                    <ResponsiveContainer width="100%" height={250}>
+                      <BarChart data={activityStats.encounterStats}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="union" />
+                        <YAxis />
+                        <Tooltip />
+                        <Legend />
+                        <Bar dataKey="totalEncounters" fill="#8884d8" name="Total" />
+                        <Bar dataKey="completedEncounters" fill="#82ca9d" name="Completed" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+              
+                  <div>
+                    <h4 className="text-lg font-semibold mb-4">Reading Statistics</h4>
+                    <ResponsiveContainer width="100%" height={250}>
+                      <BarChart data={activityStats.readingStats}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="union" />
+                        <YAxis />
+                        <Tooltip />
+                        <Bar dataKey="totalReadings" fill="#ffc658" name="Total Readings" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Recent Readings Detailed */}
           <Card>
             <CardHeader>
-              <CardTitle>New Enrollments (Last 30 Days)</CardTitle>
+              <CardTitle className="flex items-center gap-2">
+                <FileText className="h-5 w-5" />
+                Recent Readings Details
+              </CardTitle>
               <CardDescription>
-                {enrollmentMetrics.period.startDate} to {enrollmentMetrics.period.endDate}
+                Detailed view of blood pressure readings with member information
               </CardDescription>
+              <div className="flex gap-4 mt-4">
+                <div>
+                  <label className="text-sm font-medium">Date:</label>
+                  <input
+                    type="date"
+                    value={selectedDate}
+                    onChange={(e) => setSelectedDate(e.target.value)}
+                    className="ml-2 px-3 py-1 border rounded"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Union:</label>
+                  <Select value={selectedUnion} onValueChange={setSelectedUnion}>
+                    <SelectTrigger className="w-40 ml-2">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All Unions</SelectItem>
+                      <SelectItem value="Firefighters">Firefighters</SelectItem>
+                      <SelectItem value="Police">Police</SelectItem>
+                      <SelectItem value="EMS">EMS</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <ExportButton
+                  path="/admin/recent-readings-detailed"
+                  params={{ date: selectedDate, union: selectedUnion }}
+                  name="recent-readings-detailed"
+                  size="sm"
+                />
+              </div>
             </CardHeader>
             <CardContent>
-              <ResponsiveContainer width="100%" height={250}>
-                <PieChart>
-                  <Pie
-                    data={enrollmentMetrics.newEnrollments}
-                    cx="50%"
-                    cy="50%"
-                    labelLine={false}
-                    label={({ union, count }) => `${union}: ${count}`}
-                    outerRadius={80}
-                    fill="#8884d8"
-                    dataKey="count"
-                  >
-                    {enrollmentMetrics.newEnrollments.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={UNION_COLORS[entry.union] || COLORS[index % COLORS.length]} />
-                    ))}
-                  </Pie>
-                  <Tooltip />
-                </PieChart>
-              </ResponsiveContainer>
+              {recentReadingsDetailed && recentReadingsDetailed.readings.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse border border-gray-300">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="border border-gray-300 px-4 py-2 text-left">Member</th>
+                        <th className="border border-gray-300 px-4 py-2 text-left">Employee ID</th>
+                        <th className="border border-gray-300 px-4 py-2 text-left">Union</th>
+                        <th className="border border-gray-300 px-4 py-2 text-left">BP Reading</th>
+                        <th className="border border-gray-300 px-4 py-2 text-left">Heart Rate</th>
+                        <th className="border border-gray-300 px-4 py-2 text-left">HTN Status</th>
+                        <th className="border border-gray-300 px-4 py-2 text-left">Time</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {recentReadingsDetailed.readings.map((reading) => (
+                        <tr key={reading.id} className="hover:bg-gray-50">
+                          <td className="border border-gray-300 px-4 py-2">
+                            {reading.member.firstName} {reading.member.lastName}
+                          </td>
+                          <td className="border border-gray-300 px-4 py-2">
+                            {reading.member.employeeId}
+                          </td>
+                          <td className="border border-gray-300 px-4 py-2">
+                            <Badge style={{ backgroundColor: UNION_COLORS[reading.member.union] }}>
+                              {reading.member.union}
+                            </Badge>
+                          </td>
+                          <td className="border border-gray-300 px-4 py-2">
+                            {reading.systolic}/{reading.diastolic}
+                          </td>
+                          <td className="border border-gray-300 px-4 py-2">
+                            {reading.heartRate || 'N/A'}
+                          </td>
+                          <td className="border border-gray-300 px-4 py-2">
+                            <Badge className={getHTNStatusColor(reading.htnStatus)}>
+                              {reading.htnStatus}
+                            </Badge>
+                          </td>
+                          <td className="border border-gray-300 px-4 py-2">
+                            {new Date(reading.readingDate).toLocaleTimeString()}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="text-center py-8 text-gray-500">
+                  No readings found for the selected date and union.
+                </div>
+              )}
             </CardContent>
           </Card>
+        </TabsContent>
 
-          <Card>
-            <CardHeader>
-              <CardTitle>Total Enrollments by Union</CardTitle>
-              <CardDescription>All-time member enrollment</CardDescription>
-            </CardHeader>
-            <CardContent>
-              <ResponsiveContainer width="100%" height={250}>
-                <BarChart data={enrollmentMetrics.totalEnrollments}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="union" />
-                  <YAxis />
-                  <Tooltip />
-                  <Bar dataKey="total" fill="#3B82F6" />
-                </BarChart>
-              </ResponsiveContainer>
-            </CardContent>
-          </Card>
-        </div>
-      )}
+        <TabsContent value="coach-workload">
+          <CoachWorkloadPanel />
+        </TabsContent>
 
-      {/* Activity Statistics */}
-      {activityStats && (
-        <Card>
-          <CardHeader>
-            <CardTitle>Activity Statistics (Last 30 Days)</CardTitle>
-            <CardDescription>
-              Communication encounters and blood pressure readings by union
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-              <div>
-                <h4 className="text-lg font-semibold mb-4">Encounter Statistics</h4>
-                <ResponsiveContainer width="100%" height={250}>
-                  <BarChart data={activityStats.encounterStats}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="union" />
-                    <YAxis />
-                    <Tooltip />
-                    <Legend />
-                    <Bar dataKey="totalEncounters" fill="#8884d8" name="Total" />
-                    <Bar dataKey="completedEncounters" fill="#82ca9d" name="Completed" />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-              
-              <div>
-                <h4 className="text-lg font-semibold mb-4">Reading Statistics</h4>
-                <ResponsiveContainer width="100%" height={250}>
-                  <BarChart data={activityStats.readingStats}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="union" />
-                    <YAxis />
-                    <Tooltip />
-                    <Bar dataKey="totalReadings" fill="#ffc658" name="Total Readings" />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-          </CardContent>
-        </Card>
-      )}
+        <TabsContent value="reports">
+          <ProgramReportsPanel />
+        </TabsContent>
 
-      {/* Recent Readings Detailed */}
-      <Card>
-        <CardHeader>
-          <CardTitle className="flex items-center gap-2">
-            <FileText className="h-5 w-5" />
-            Recent Readings Details
-          </CardTitle>
-          <CardDescription>
-            Detailed view of blood pressure readings with member information
-          </CardDescription>
-          <div className="flex gap-4 mt-4">
-            <div>
-              <label className="text-sm font-medium">Date:</label>
-              <input
-                type="date"
-                value={selectedDate}
-                onChange={(e) => setSelectedDate(e.target.value)}
-                className="ml-2 px-3 py-1 border rounded"
-              />
-            </div>
-            <div>
-              <label className="text-sm font-medium">Union:</label>
-              <Select value={selectedUnion} onValueChange={setSelectedUnion}>
-                <SelectTrigger className="w-40 ml-2">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="all">All Unions</SelectItem>
-                  <SelectItem value="Firefighters">Firefighters</SelectItem>
-                  <SelectItem value="Police">Police</SelectItem>
-                  <SelectItem value="EMS">EMS</SelectItem>
-                </SelectContent>
-              </Select>
-            </div>
-          </div>
-        </CardHeader>
-        <CardContent>
-          {recentReadingsDetailed && recentReadingsDetailed.readings.length > 0 ? (
-            <div className="overflow-x-auto">
-              <table className="w-full border-collapse border border-gray-300">
-                <thead>
-                  <tr className="bg-gray-50">
-                    <th className="border border-gray-300 px-4 py-2 text-left">Member</th>
-                    <th className="border border-gray-300 px-4 py-2 text-left">Employee ID</th>
-                    <th className="border border-gray-300 px-4 py-2 text-left">Union</th>
-                    <th className="border border-gray-300 px-4 py-2 text-left">BP Reading</th>
-                    <th className="border border-gray-300 px-4 py-2 text-left">Heart Rate</th>
-                    <th className="border border-gray-300 px-4 py-2 text-left">HTN Status</th>
-                    <th className="border border-gray-300 px-4 py-2 text-left">Time</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {recentReadingsDetailed.readings.map((reading) => (
-                    <tr key={reading.id} className="hover:bg-gray-50">
-                      <td className="border border-gray-300 px-4 py-2">
-                        {reading.member.firstName} {reading.member.lastName}
-                      </td>
-                      <td className="border border-gray-300 px-4 py-2">
-                        {reading.member.employeeId}
-                      </td>
-                      <td className="border border-gray-300 px-4 py-2">
-                        <Badge style={{ backgroundColor: UNION_COLORS[reading.member.union] }}>
-                          {reading.member.union}
-                        </Badge>
-                      </td>
-                      <td className="border border-gray-300 px-4 py-2">
-                        {reading.systolic}/{reading.diastolic}
-                      </td>
-                      <td className="border border-gray-300 px-4 py-2">
-                        {reading.heartRate || 'N/A'}
-                      </td>
-                      <td className="border border-gray-300 px-4 py-2">
-                        <Badge className={getHTNStatusColor(reading.htnStatus)}>
-                          {reading.htnStatus}
-                        </Badge>
-                      </td>
-                      <td className="border border-gray-300 px-4 py-2">
-                        {new Date(reading.readingDate).toLocaleTimeString()}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          ) : (
-            <div className="text-center py-8 text-gray-500">
-              No readings found for the selected date and union.
-            </div>
-          )}
-        </CardContent>
-      </Card>
+        <TabsContent value="audit-log">
+          <AuditLogPanel />
+        </TabsContent>
+      </Tabs>
     </div>
   );
 };
@@ -0,0 +1,357 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import { format, formatDistanceToNow } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Skeleton } from '@/components/ui/skeleton';
+import { useToast } from '@/hooks/use-toast';
+import { BellRing, AlertTriangle, TrendingUp } from 'lucide-react';
+import { alertsAPI } from '@/services/api';
+import ListPagination from '@/components/ListPagination';
+import SortableTableHead from '@/components/SortableTableHead';
+
+const PAGE_SIZE = 25;
+
+const SEVERITY_COLORS = {
+  critical: 'bg-red-200 text-red-900',
+  severe: 'bg-orange-100 text-orange-800'
+};
+
+const STATUS_COLORS = {
+  open: 'bg-red-100 text-red-800',
+  acknowledged: 'bg-yellow-100 text-yellow-800',
+  resolved: 'bg-green-100 text-green-800'
+};
+
+const ACTION_LABELS = {
+  acknowledge: { title: 'Acknowledge Alert', button: 'Acknowledge', done: 'Alert acknowledged' },
+  resolve: { title: 'Resolve Alert', button: 'Resolve', done: 'Alert resolved' }
+};
+
+const fullName = (firstName, lastName) => [firstName, lastName].filter(Boolean).join(' ');
+
+function AlertActionDialog({ action, alert, onClose }) {
+  const [note, setNote] = useState('');
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const labels = ACTION_LABELS[action];
+
+  const mutation = useMutation({
+    mutationFn: () => {
+      const payload = note.trim() ? { note: note.trim() } : {};
+      return action === 'acknowledge'
+        ? alertsAPI.acknowledge(alert.id, payload)
+        : alertsAPI.resolve(alert.id, payload);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['alerts'] });
+      toast({
+        title: labels.done,
+        description: `${alert.memberName} ${alert.memberLastName} • ${alert.systolic}/${alert.diastolic} mmHg`,
+      });
+      onClose();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{labels.title}</DialogTitle>
+          <DialogDescription>
+            {alert.memberName} {alert.memberLastName} • {alert.systolic}/{alert.diastolic} mmHg ({alert.htnStatus})
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div>
+            <Label htmlFor="alertNote">Note</Label>
+            <Textarea
+              id="alertNote"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Action taken, e.g. called member and advised urgent care"
+              rows={3}
+            />
+          </div>
+          <div className="flex justify-end space-x-2">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button onClick={() => mutation.mutate()} disabled={mutation.isPending}>
+              {mutation.isPending ? 'Saving...' : labels.button}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function AlertRow({ alert, onAction }) {
+  const acknowledgedBy = fullName(alert.acknowledgedByFirstName, alert.acknowledgedByLastName);
+  const resolvedBy = fullName(alert.resolvedByFirstName, alert.resolvedByLastName);
+
+  return (
+    <TableRow>
+      <TableCell>
+        <Badge className={SEVERITY_COLORS[alert.severity]}>
+          <AlertTriangle className="h-3 w-3 mr-1" />
+          {alert.severity === 'critical' ? 'Critical' : 'Severe'}
+        </Badge>
+        {alert.escalationLevel > 0 && (
+          <div className="text-xs text-red-700 mt-1 flex items-center">
+            <TrendingUp className="h-3 w-3 mr-1" />
+            Escalated (level {alert.escalationLevel})
+          </div>
+        )}
+      </TableCell>
+      <TableCell>
+        <Link to={`/members/${alert.memberId}`} className="font-medium hover:underline">
+          {alert.memberName} {alert.memberLastName}
+        </Link>
+        <div className="text-sm text-muted-foreground">{alert.employeeId}</div>
+      </TableCell>
+      <TableCell>
+        <div className="font-mono text-lg">{alert.systolic}/{alert.diastolic}</div>
+        <div className="text-sm text-muted-foreground">
+          {alert.htnStatus}{alert.sessionId && ' • session average'}
+        </div>
+      </TableCell>
+      <TableCell>
+        <div>{format(new Date(alert.createdAt), 'MMM dd, yyyy HH:mm')}</div>
+        <div className="text-sm text-muted-foreground">
+          {formatDistanceToNow(new Date(alert.createdAt), { addSuffix: true })}
+        </div>
+      </TableCell>
+      <TableCell>
+        <Badge className={STATUS_COLORS[alert.status]}>{alert.status}</Badge>
+        {alert.acknowledgedAt && (
+          <div className="text-xs text-muted-foreground mt-1">
+            Acknowledged by {acknowledgedBy || alert.acknowledgedBy || 'unknown'} • {format(new Date(alert.acknowledgedAt), 'MMM dd, HH:mm')}
+          </div>
+        )}
+        {alert.acknowledgementNote && (
+          <div className="text-xs text-muted-foreground italic">“{alert.acknowledgementNote}”</div>
+        )}
+        {alert.resolvedAt && (
+          <div className="text-xs text-muted-foreground">
+            Resolved by {resolvedBy || alert.resolvedBy || 'unknown'} • {format(new Date(alert.resolvedAt), 'MMM dd, HH:mm')}
+          </div>
+        )}
+      </TableCell>
+      <TableCell>
+        <div className="flex space-x-2">
+          {alert.status === 'open' && (
+            <Button size="sm" onClick={() => onAction('acknowledge', alert)}>
+              Acknowledge
+            </Button>
+          )}
+          {alert.status !== 'resolved' && (
+            <Button variant="outline" size="sm" onClick={() => onAction('resolve', alert)}>
+              Resolve
+            </Button>
+          )}
+        </div>
+      </TableCell>
+    </TableRow>
+  );
+}
+
+export default function Alerts() {
+  const [filterStatus, setFilterStatus] = useState('open');
+  const [sorting, setSorting] = useState({ sort: 'createdAt', order: 'desc' });
+  const [offset, setOffset] = useState(0);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const listParams = {
+    ...sorting,
+    limit: PAGE_SIZE,
+    offset,
+    ...(filterStatus !== 'all' && { status: filterStatus }),
+  };
+
+  const { data: alertsPage, isLoading } = useQuery({
+    queryKey: ['alerts', listParams],
+    queryFn: () => alertsAPI.getAll(listParams).then(res => res.data),
+    placeholderData: keepPreviousData,
+    refetchInterval: 30 * 1000,
+  });
+
+  const { data: summary } = useQuery({
+    queryKey: ['alerts', 'summary'],
+    queryFn: () => alertsAPI.getSummary().then(res => res.data),
+    refetchInterval: 30 * 1000,
+  });
+
+  const alerts = alertsPage?.data || [];
+
+  const handleStatusChange = (status) => {
+    setFilterStatus(status);
+    setOffset(0);
+  };
+
+  const handleSortingChange = (nextSorting) => {
+    setSorting(nextSorting);
+    setOffset(0);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="space-y-6">
+        <Skeleton className="h-8 w-48" />
+        <Skeleton className="h-64 w-full" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Alerts</h1>
+        <p className="text-muted-foreground">
+          Hypertensive crisis and severe readings awaiting clinical follow-up
+        </p>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="grid gap-4 md:grid-cols-3">
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Open Alerts</CardTitle>
+            <BellRing className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{summary?.open ?? 0}</div>
+            <p className="text-xs text-muted-foreground">Not yet acknowledged</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Critical</CardTitle>
+            <AlertTriangle className="h-4 w-4 text-red-600" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold text-red-600">{summary?.critical ?? 0}</div>
+            <p className="text-xs text-muted-foreground">Open hypertensive crises</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Escalated</CardTitle>
+            <TrendingUp className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{summary?.escalated ?? 0}</div>
+            <p className="text-xs text-muted-foreground">Passed the acknowledgement window</p>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Alert Inbox */}
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between">
+          <div>
+            <CardTitle>Inbox ({alertsPage?.total ?? 0})</CardTitle>
+            <CardDescription>
+              Unacknowledged alerts escalate to administrators
+            </CardDescription>
+          </div>
+          <div className="w-48">
+            <Select value={filterStatus} onValueChange={handleStatusChange}>
+              <SelectTrigger>
+                <SelectValue placeholder="All statuses" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="open">Open</SelectItem>
+                <SelectItem value="acknowledged">Acknowledged</SelectItem>
+                <SelectItem value="resolved">Resolved</SelectItem>
+                <SelectItem value="all">All statuses</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <SortableTableHead column="severity" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Severity
+                </SortableTableHead>
+                <TableHead>Member</TableHead>
+                <TableHead>Reading</TableHead>
+                <SortableTableHead column="createdAt" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Raised
+                </SortableTableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {alerts.map((alert) => (
+                <AlertRow
+                  key={alert.id}
+                  alert={alert}
+                  onAction={(action, target) => setPendingAction({ action, alert: target })}
+                />
+              ))}
+              {alerts.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-muted-foreground py-8">
+                    No alerts
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <ListPagination
+            total={alertsPage?.total ?? 0}
+            limit={PAGE_SIZE}
+            offset={offset}
+            onOffsetChange={setOffset}
+          />
+        </CardContent>
+      </Card>
+
+      {pendingAction && (
+        <AlertActionDialog
+          action={pendingAction.action}
+          alert={pendingAction.alert}
+          onClose={() => setPendingAction(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,11 @@
-import { useQuery } from '@tanstack/react-query';
+import { useState } from 'react';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { format } from 'date-fns';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Badge } from '@/components/ui/badge';
 import { Skeleton } from '@/components/ui/skeleton';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { 
   BarChart, 
   Bar, 
@@ -10,6 +13,7 @@ import {
   YAxis, 
   CartesianGrid, 
   Tooltip, 
+  Legend,
   ResponsiveContainer,
   PieChart,
   Pie,
@@ -17,7 +21,9 @@ import {
   LineChart,
   Line,
   Area,
-  AreaChart
+  AreaChart,
+  ComposedChart,
+  ErrorBar
 } from 'recharts';
 import { 
   TrendingUp, 
@@ -28,9 +34,11 @@ import {
   Target,
   Activity,
   AlertTriangle,
-  CheckCircle
+  CheckCircle,
+  History
 } from 'lucide-react';
 import { analyticsAPI } from '@/services/api';
+import ExportButton from '@/components/ExportButton';
 
 const COLORS = ['#3b82f6', '#ef4444', '#f59e0b', '#10b981', '#8b5cf6'];
 const HTN_COLORS = {
@@ -41,6 +49,9 @@ const HTN_COLORS = {
   Crisis: '#dc2626'
 };
 
+// Months come as YYYY-MM; noon on the 1st reads as that month in any time zone
+const monthLabel = (month) => format(new Date(`${month}-01T12:00:00`), 'MMM yyyy');
+
 function MetricCard({ title, value, description, icon: Icon, trend, trendValue, color = 'blue' }) {
   const TrendIcon = trend === 'up' ? TrendingUp : TrendingDown;
   const trendColor = trend === 'up' ? 'text-green-600' : 'text-red-600';
@@ -165,7 +176,49 @@ function OverviewTab({ data }) {
   );
 }
 
-function ClinicalTab({ data }) {
+function MedicationControlCard({ data }) {
+  const { byClass = [], controlTarget, treatedMembers = 0 } = data || {};
+
+  const chartData = byClass.map(row => ({
+    name: row.drugClass,
+    on: row.on.controlRate,
+    off: row.off.controlRate
+  }));
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>BP Control by Medication Class</CardTitle>
+          <CardDescription>
+            Share of readings below {controlTarget?.systolic ?? 130}/{controlTarget?.diastolic ?? 80} while on vs off each class
+            ({treatedMembers} treated {treatedMembers === 1 ? 'member' : 'members'})
+          </CardDescription>
+        </div>
+        <ExportButton path="/analytics/medications" name="analytics-medications" size="sm" />
+      </CardHeader>
+      <CardContent>
+        {chartData.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">No medications recorded yet.</div>
+        ) : (
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis unit="%" domain={[0, 100]} />
+              <Tooltip formatter={(value) => (value === null ? 'No readings' : `${value}%`)} />
+              <Legend />
+              <Bar dataKey="on" name="On class" fill="#22c55e" />
+              <Bar dataKey="off" name="Off class" fill="#94a3b8" />
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ClinicalTab({ data, medications }) {
   const { htnStatusDistribution, averageBloodPressure, riskCategories } = data || {};
 
   const riskData = riskCategories ? [
@@ -252,6 +305,8 @@ function ClinicalTab({ data }) {
           </CardContent>
         </Card>
       </div>
+
+      <MedicationControlCard data={medications} />
     </div>
   );
 }
@@ -372,8 +427,160 @@ function EngagementTab({ data }) {
   );
 }
 
-function ImpactTab({ data }) {
-  const { participationRate, membersWithMultipleReadings, totalActiveMembers, totalMembers } = data || {};
+const IMPACT_COMPARISONS = [
+  { value: 'latest', label: 'First vs latest reading' },
+  { value: 'last90Days', label: 'First reading vs last 90 days' },
+];
+
+const formatInterval = (ci, unit = '%') => (ci ? `95% CI ${ci.lower}${unit} to ${ci.upper}${unit}` : 'Too few members for an interval');
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+// Error bars are drawn as distances below and above the rate
+const withErrorBar = (name, rate) => ({
+  name,
+  rate: rate.rate,
+  error: rate.ci ? [rate.rate - rate.ci.lower, rate.ci.upper - rate.rate] : [0, 0],
+});
+
+function ImpactOutcomes({ outcomes, compare, onCompareChange }) {
+  const { stageChange, systolicChange, diastolicChange, control, controlByMonth, controlTrend } = outcomes;
+  const excluded = outcomes.membersExcluded.tooFewReadings + outcomes.membersExcluded.noRecentReadings;
+
+  const stageData = [
+    { name: 'Improved', members: stageChange.improved.count, fill: '#22c55e' },
+    { name: 'Unchanged', members: stageChange.unchanged, fill: '#94a3b8' },
+    { name: 'Worsened', members: stageChange.worsened, fill: '#ef4444' },
+  ];
+
+  const controlData = [withErrorBar('Baseline', control.baseline), withErrorBar('Current', control.current)];
+
+  const monthlyData = controlByMonth.map(month => ({
+    month: monthLabel(month.month),
+    rate: month.rate,
+    range: month.ci ? [month.ci.lower, month.ci.upper] : null,
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold">BP Outcomes</h3>
+          <p className="text-sm text-muted-foreground">
+            {outcomes.membersCompared} members with at least {outcomes.minimumReadings} readings compared
+            {excluded > 0 && `; ${excluded} left out for too few${outcomes.membersExcluded.noRecentReadings > 0 ? ' or no recent' : ''} readings`}
+          </p>
+        </div>
+        <Select value={compare} onValueChange={onCompareChange}>
+          <SelectTrigger className="w-64">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {IMPACT_COMPARISONS.map(option => (
+              <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3">
+        <MetricCard
+          title="Moved Down a Stage"
+          value={stageChange.improved.rate === null ? '—' : `${stageChange.improved.rate}%`}
+          description={formatInterval(stageChange.improved.ci)}
+          icon={TrendingDown}
+          color="green"
+        />
+        <MetricCard
+          title="Mean Systolic Change"
+          value={systolicChange.mean === null ? '—' : `${formatSigned(systolicChange.mean)} mmHg`}
+          description={formatInterval(systolicChange.ci, '')}
+          icon={Heart}
+          color="red"
+        />
+        <MetricCard
+          title="Mean Diastolic Change"
+          value={diastolicChange.mean === null ? '—' : `${formatSigned(diastolicChange.mean)} mmHg`}
+          description={formatInterval(diastolicChange.ci, '')}
+          icon={Activity}
+          color="purple"
+        />
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>BP Control (&lt;130/80)</CardTitle>
+            <CardDescription>Compared members at baseline and now, with 95% confidence intervals</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={controlData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis unit="%" domain={[0, 100]} />
+                <Tooltip formatter={(value) => `${value}%`} />
+                <Bar dataKey="rate" name="Controlled" fill="#10b981">
+                  <ErrorBar dataKey="error" width={6} stroke="#374151" />
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>HTN Stage Change</CardTitle>
+            <CardDescription>Members whose stage moved since their first reading</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={stageData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Bar dataKey="members" name="Members">
+                  {stageData.map(entry => (
+                    <Cell key={entry.name} fill={entry.fill} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Control Rate by Month</CardTitle>
+          <CardDescription>
+            Members controlled at their last reading each month, with the 95% confidence band.{' '}
+            {controlTrend
+              ? `Trend: ${formatSigned(controlTrend.pointsPerMonth)} points a month over ${controlTrend.months} months.`
+              : `A trend needs at least ${outcomes.minimumTrendMonths} months with readings.`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={monthlyData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis unit="%" domain={[0, 100]} />
+              <Tooltip formatter={(value) => (Array.isArray(value) ? `${value[0]}% to ${value[1]}%` : `${value}%`)} />
+              <Legend />
+              <Area dataKey="range" name="95% CI" stroke="none" fill="#10b981" fillOpacity={0.15} connectNulls />
+              <Line type="monotone" dataKey="rate" name="Control rate" stroke="#10b981" connectNulls />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function ImpactTab({ data, compare, onCompareChange }) {
+  const { participationRate, membersWithMultipleReadings, totalActiveMembers, totalMembers, outcomes } = data || {};
 
   return (
     <div className="space-y-6">
@@ -408,6 +615,8 @@ function ImpactTab({ data }) {
         />
       </div>
 
+      {outcomes && <ImpactOutcomes outcomes={outcomes} compare={compare} onCompareChange={onCompareChange} />}
+
       <div className="grid gap-6 md:grid-cols-2">
         <Card>
           <CardHeader>
@@ -475,7 +684,181 @@ function ImpactTab({ data }) {
   );
 }
 
+// Frozen at the end of each month; lower is better for risk and blood pressure
+const SNAPSHOT_KPIS = [
+  { key: 'enrolledMembers', label: 'Enrolled members' },
+  { key: 'newMembers', label: 'New members' },
+  { key: 'participationRate', label: 'Participation rate', unit: '%' },
+  { key: 'controlRate', label: 'BP control rate (<130/80)', unit: '%' },
+  { key: 'highRiskRate', label: 'Stage 2 or Crisis', unit: '%', lowerIsBetter: true },
+  { key: 'avgSystolic', label: 'Average systolic', unit: ' mmHg', lowerIsBetter: true },
+  { key: 'avgDiastolic', label: 'Average diastolic', unit: ' mmHg', lowerIsBetter: true },
+  { key: 'readings', label: 'BP readings' },
+  { key: 'encounters', label: 'Encounters' },
+  { key: 'completedEncounters', label: 'Completed encounters' },
+];
+
+const SNAPSHOT_GROUPS = ['All members', 'Firefighters', 'Police', 'EMS'];
+
+const formatKpi = (value, unit = '') => (value === null || value === undefined ? '—' : `${value}${unit}`);
+
+function KpiChange({ kpi, current, previous }) {
+  if (current === null || current === undefined || previous === null || previous === undefined) {
+    return <span className="text-muted-foreground">—</span>;
+  }
+
+  const change = Math.round((current - previous) * 10) / 10;
+  if (change === 0) {
+    return <span className="text-muted-foreground">No change</span>;
+  }
+
+  const improved = kpi.lowerIsBetter ? change < 0 : change > 0;
+  const ChangeIcon = change > 0 ? TrendingUp : TrendingDown;
+  // Rates change by percentage points
+  const unit = kpi.unit === '%' ? ' pts' : kpi.unit || '';
+
+  return (
+    <span className={`inline-flex items-center gap-1 ${improved ? 'text-green-600' : 'text-red-600'}`}>
+      <ChangeIcon className="h-3 w-3" />
+      {change > 0 ? '+' : ''}{change}{unit}
+    </span>
+  );
+}
+
+function HistoryTab() {
+  const [union, setUnion] = useState('All members');
+  const [selectedMonth, setSelectedMonth] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['analytics', 'snapshots', union],
+    queryFn: () => analyticsAPI.getSnapshots({ union }).then(res => res.data),
+  });
+
+  if (isLoading) {
+    return <Skeleton className="h-64 w-full" />;
+  }
+
+  const snapshots = data?.snapshots || [];
+  if (snapshots.length === 0) {
+    return (
+      <Card>
+        <CardContent className="text-center py-12 text-muted-foreground">
+          No snapshots yet. The first is captured when the current month ends.
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const monthIndex = selectedMonth ? snapshots.findIndex(snapshot => snapshot.month === selectedMonth) : -1;
+  const currentIndex = monthIndex >= 0 ? monthIndex : snapshots.length - 1;
+  const current = snapshots[currentIndex];
+  const previous = snapshots[currentIndex - 1];
+
+  const trendData = snapshots.map(snapshot => ({
+    month: monthLabel(snapshot.month),
+    participation: snapshot.participationRate,
+    control: snapshot.controlRate,
+    highRisk: snapshot.highRiskRate,
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-4">
+        <Select value={union} onValueChange={(value) => { setUnion(value); setSelectedMonth(null); }}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {SNAPSHOT_GROUPS.map(group => (
+              <SelectItem key={group} value={group}>{group}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={current.month} onValueChange={setSelectedMonth}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {[...snapshots].reverse().map(snapshot => (
+              <SelectItem key={snapshot.month} value={snapshot.month}>{monthLabel(snapshot.month)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Month over Month
+          </CardTitle>
+          <CardDescription>
+            {monthLabel(current.month)} compared with {previous ? monthLabel(previous.month) : 'the month before (no snapshot)'}, as the dashboard stood when each month ended
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-left text-muted-foreground">
+                <th className="py-2 font-medium">Metric</th>
+                <th className="py-2 font-medium text-right">{previous ? monthLabel(previous.month) : 'Previous'}</th>
+                <th className="py-2 font-medium text-right">{monthLabel(current.month)}</th>
+                <th className="py-2 font-medium text-right">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {SNAPSHOT_KPIS.map(kpi => (
+                <tr key={kpi.key} className="border-b last:border-0">
+                  <td className="py-2">{kpi.label}</td>
+                  <td className="py-2 text-right">{formatKpi(previous?.[kpi.key], kpi.unit)}</td>
+                  <td className="py-2 text-right font-medium">{formatKpi(current[kpi.key], kpi.unit)}</td>
+                  <td className="py-2 text-right">
+                    <KpiChange kpi={kpi} current={current[kpi.key]} previous={previous?.[kpi.key]} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Rates by Month</CardTitle>
+          <CardDescription>Participation, BP control and high-risk share at each month end</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={trendData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis unit="%" domain={[0, 100]} />
+              <Tooltip formatter={(value) => (value === null ? '—' : `${value}%`)} />
+              <Legend />
+              <Line type="monotone" dataKey="participation" name="Participation" stroke="#3b82f6" connectNulls />
+              <Line type="monotone" dataKey="control" name="BP control" stroke="#10b981" connectNulls />
+              <Line type="monotone" dataKey="highRisk" name="Stage 2 or Crisis" stroke="#ef4444" connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// Each tab's dataset, downloadable as CSV, XLSX or JSON
+const TAB_EXPORTS = {
+  overview: { path: '/analytics', name: 'analytics' },
+  clinical: { path: '/analytics/clinical', name: 'analytics-clinical' },
+  engagement: { path: '/analytics/engagement', name: 'analytics-engagement' },
+  impact: { path: '/analytics/impact', name: 'analytics-impact' },
+  history: { path: '/analytics/snapshots', name: 'analytics-snapshots' },
+};
+
 export default function Analytics() {
+  const [activeTab, setActiveTab] = useState('overview');
+  const [impactCompare, setImpactCompare] = useState('latest');
+
   const { data: overview, isLoading: overviewLoading } = useQuery({
     queryKey: ['analytics', 'overview'],
     queryFn: () => analyticsAPI.getOverview().then(res => res.data),
@@ -492,8 +875,14 @@ export default function Analytics() {
   });
 
   const { data: impact, isLoading: impactLoading } = useQuery({
-    queryKey: ['analytics', 'impact'],
-    queryFn: () => analyticsAPI.getImpact().then(res => res.data),
+    queryKey: ['analytics', 'impact', impactCompare],
+    queryFn: () => analyticsAPI.getImpact({ compare: impactCompare }).then(res => res.data),
+    placeholderData: keepPreviousData,
+  });
+
+  const { data: medications } = useQuery({
+    queryKey: ['analytics', 'medications'],
+    queryFn: () => analyticsAPI.getMedications().then(res => res.data),
   });
 
   const isLoading = overviewLoading || clinicalLoading || engagementLoading || impactLoading;
@@ -524,19 +913,23 @@ export default function Analytics() {
 
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-3xl font-bold">Analytics</h1>
-        <p className="text-muted-foreground">
-          Comprehensive insights into the Hypertension Prevention Program
-        </p>
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Analytics</h1>
+          <p className="text-muted-foreground">
+            Comprehensive insights into the Hypertension Prevention Program
+          </p>
+        </div>
+        <ExportButton {...TAB_EXPORTS[activeTab]} params={activeTab === 'impact' ? { compare: impactCompare } : undefined} />
       </div>
 
-      <Tabs defaultValue="overview" className="space-y-6">
-        <TabsList className="grid w-full grid-cols-4">
+      <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
+        <TabsList className="grid w-full grid-cols-5">
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="clinical">Clinical</TabsTrigger>
           <TabsTrigger value="engagement">Engagement</TabsTrigger>
           <TabsTrigger value="impact">Impact</TabsTrigger>
+          <TabsTrigger value="history">History</TabsTrigger>
         </TabsList>
 
         <TabsContent value="overview">
@@ -544,7 +937,7 @@ export default function Analytics() {
         </TabsContent>
 
         <TabsContent value="clinical">
-          <ClinicalTab data={clinical} />
+          <ClinicalTab data={clinical} medications={medications} />
         </TabsContent>
 
         <TabsContent value="engagement">
@@ -552,7 +945,11 @@ export default function Analytics() {
         </TabsContent>
 
         <TabsContent value="impact">
-          <ImpactTab data={impact} />
+          <ImpactTab data={impact} compare={impactCompare} onCompareChange={setImpactCompare} />
+        </TabsContent>
+
+        <TabsContent value="history">
+          <HistoryTab />
         </TabsContent>
       </Tabs>
     </div>
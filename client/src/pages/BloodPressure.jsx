@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { format } from 'date-fns';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -31,14 +31,22 @@ import {
 } from '@/components/ui/table';
 import { Skeleton } from '@/components/ui/skeleton';
 import { useToast } from '@/hooks/use-toast';
-import { Plus, Heart, TrendingUp, TrendingDown, AlertTriangle } from 'lucide-react';
-import { bloodPressureAPI, membersAPI } from '@/services/api';
+import { Plus, Heart, TrendingUp, TrendingDown, AlertTriangle, Upload } from 'lucide-react';
+import { bloodPressureAPI, analyticsAPI } from '@/services/api';
+import RecentlyDeleted from '@/components/RecentlyDeleted';
+import MemberCombobox from '@/components/MemberCombobox';
+import ListPagination from '@/components/ListPagination';
+import SortableTableHead from '@/components/SortableTableHead';
 import BluetoothScanner from '@/components/BluetoothScanner';
 import BluetoothStatus from '@/components/BluetoothStatus';
 import BluetoothReading from '@/components/BluetoothReading';
+import ExportButton from '@/components/ExportButton';
+import ReadingImportWizard from '@/components/ReadingImportWizard';
 import { useBluetooth } from '@/hooks/useBluetooth';
 import { Bluetooth } from 'lucide-react';
 
+const PAGE_SIZE = 25;
+
 const HTN_STATUS_COLORS = {
   Normal: 'bg-green-100 text-green-800',
   Elevated: 'bg-yellow-100 text-yellow-800',
@@ -55,9 +63,9 @@ const HTN_STATUS_ICONS = {
   Crisis: AlertTriangle
 };
 
-function BloodPressureForm({ reading, onSuccess, onCancel, bluetoothMeasurement }) {
+function BloodPressureForm({ reading, onSuccess, onCancel, bluetoothMeasurement, defaultMemberId }) {
   const [formData, setFormData] = useState({
-    memberId: reading?.memberId || '',
+    memberId: reading?.memberId || defaultMemberId || '',
     systolic: reading?.systolic || '',
     diastolic: reading?.diastolic || '',
     heartRate: reading?.heartRate || '',
@@ -67,11 +75,6 @@ function BloodPressureForm({ reading, onSuccess, onCancel, bluetoothMeasurement
   const { toast } = useToast();
   const queryClient = useQueryClient();
 
-  const { data: members } = useQuery({
-    queryKey: ['members'],
-    queryFn: () => membersAPI.getAll().then(res => res.data),
-  });
-
   const mutation = useMutation({
     mutationFn: (data) => {
       const payload = {
@@ -88,12 +91,20 @@ function BloodPressureForm({ reading, onSuccess, onCancel, bluetoothMeasurement
         return bloodPressureAPI.create(payload);
       }
     },
-    onSuccess: () => {
+    onSuccess: ({ data: saved }) => {
       queryClient.invalidateQueries({ queryKey: ['bloodPressure'] });
       toast({
         title: reading ? 'Reading updated' : 'Reading recorded',
         description: `Blood pressure reading has been ${reading ? 'updated' : 'recorded'} successfully.`,
       });
+      if (saved.alert) {
+        queryClient.invalidateQueries({ queryKey: ['alerts'] });
+        toast({
+          title: saved.alert.severity === 'critical' ? 'Hypertensive crisis alert raised' : 'Severe reading alert raised',
+          description: 'The care team has been notified. Follow up from the Alerts inbox.',
+          variant: 'destructive',
+        });
+      }
       onSuccess();
     },
     onError: (error) => {
@@ -153,22 +164,12 @@ function BloodPressureForm({ reading, onSuccess, onCancel, bluetoothMeasurement
     <form onSubmit={handleSubmit} className="space-y-4">
       <div>
         <Label htmlFor="memberId">Member</Label>
-        <Select 
-          value={formData.memberId} 
-          onValueChange={(value) => handleChange('memberId', value)}
+        <MemberCombobox
+          id="memberId"
+          value={formData.memberId}
+          onChange={(value) => handleChange('memberId', value)}
           disabled={!!reading}
-        >
-          <SelectTrigger>
-            <SelectValue placeholder="Select member" />
-          </SelectTrigger>
-          <SelectContent>
-            {members?.map((member) => (
-              <SelectItem key={member.id} value={member.id}>
-                {member.firstName} {member.lastName} ({member.employeeId})
-              </SelectItem>
-            ))}
-          </SelectContent>
-        </Select>
+        />
       </div>
 
       <div className="grid grid-cols-3 gap-4">
@@ -263,13 +264,23 @@ function ReadingRow({ reading, onEdit, onDelete }) {
           <StatusIcon className="h-3 w-3 mr-1" />
           {reading.htnStatus}
         </Badge>
+        {reading.sessionId && (
+          <div className="text-xs text-muted-foreground mt-1">
+            Session reading{reading.sessionFlag && ' • excluded from average'}
+          </div>
+        )}
+        {reading.importedAt && (
+          <div className="text-xs text-muted-foreground mt-1">
+            Imported{reading.source && ` from ${reading.source}`}
+          </div>
+        )}
       </TableCell>
       <TableCell>
         {format(new Date(reading.readingDate), 'MMM dd, yyyy HH:mm')}
       </TableCell>
       <TableCell>
         <div className="flex space-x-2">
-          <Button variant="outline" size="sm" onClick={() => onEdit(reading)}>
+          <Button variant="outline" size="sm" onClick={() => onEdit(reading)} disabled={!!reading.sessionId}>
             Edit
           </Button>
           <Button variant="outline" size="sm" onClick={() => onDelete(reading)}>
@@ -283,8 +294,11 @@ function ReadingRow({ reading, onEdit, onDelete }) {
 
 export default function BloodPressure() {
   const [dialogOpen, setDialogOpen] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
   const [editingReading, setEditingReading] = useState(null);
   const [filterStatus, setFilterStatus] = useState('all');
+  const [sorting, setSorting] = useState({ sort: 'readingDate', order: 'desc' });
+  const [offset, setOffset] = useState(0);
   const [showBluetooth, setShowBluetooth] = useState(false);
   const [bluetoothReading, setBluetoothReading] = useState(null);
   const [selectedMemberId, setSelectedMemberId] = useState(null);
@@ -318,11 +332,31 @@ export default function BloodPressure() {
     }
   });
 
-  const { data: readings, isLoading } = useQuery({
-    queryKey: ['bloodPressure'],
-    queryFn: () => bloodPressureAPI.getAll().then(res => res.data),
+  const filters = {
+    ...sorting,
+    ...(filterStatus !== 'all' && { htnStatus: filterStatus }),
+  };
+  const listParams = { ...filters, limit: PAGE_SIZE, offset };
+
+  const { data: readingsPage, isLoading } = useQuery({
+    queryKey: ['bloodPressure', listParams],
+    queryFn: () => bloodPressureAPI.getAll(listParams).then(res => res.data),
+    placeholderData: keepPreviousData,
+  });
+
+  // Program-wide totals; the table itself only holds one page
+  const { data: stats } = useQuery({
+    queryKey: ['bloodPressure', 'stats'],
+    queryFn: () => Promise.all([analyticsAPI.getOverview(), analyticsAPI.getClinical()])
+      .then(([overview, clinical]) => ({
+        total: overview.data.overview.totalReadings,
+        statusCounts: Object.fromEntries(overview.data.htnDistribution.map(item => [item.htnStatus, item.count])),
+        averageBloodPressure: clinical.data.averageBloodPressure,
+      })),
   });
 
+  const readings = readingsPage?.data || [];
+
   const deleteMutation = useMutation({
     mutationFn: (id) => bloodPressureAPI.delete(id),
     onSuccess: () => {
@@ -341,9 +375,55 @@ export default function BloodPressure() {
     },
   });
 
-  const filteredReadings = readings?.filter(reading => {
-    return filterStatus === 'all' || reading.htnStatus === filterStatus;
-  }) || [];
+  const deleteSessionMutation = useMutation({
+    mutationFn: (sessionId) => bloodPressureAPI.deleteSession(sessionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bloodPressure'] });
+      toast({
+        title: 'Session deleted',
+        description: 'The measurement session and its readings have been removed.',
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to delete session',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const sessionMutation = useMutation({
+    mutationFn: (readings) => bloodPressureAPI.createSession({ memberId: selectedMemberId, readings }),
+    onSuccess: ({ data: session }) => {
+      queryClient.invalidateQueries({ queryKey: ['bloodPressure'] });
+      if (session.alert) {
+        queryClient.invalidateQueries({ queryKey: ['alerts'] });
+      }
+      toast({
+        title: 'Session recorded',
+        description: `Average ${session.meanSystolic}/${session.meanDiastolic} mmHg (${session.htnStatus}) from ${session.includedCount} of ${session.readingCount} readings.`,
+      });
+      handleDialogClose();
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to record session',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleStatusChange = (status) => {
+    setFilterStatus(status);
+    setOffset(0);
+  };
+
+  const handleSortingChange = (nextSorting) => {
+    setSorting(nextSorting);
+    setOffset(0);
+  };
 
   const handleEdit = (reading) => {
     setEditingReading(reading);
@@ -351,6 +431,14 @@ export default function BloodPressure() {
   };
 
   const handleDelete = (reading) => {
+    // Session readings are only removed together, so the stored average stays consistent
+    if (reading.sessionId) {
+      if (confirm('This reading is part of a measurement session. Delete the whole session?')) {
+        deleteSessionMutation.mutate(reading.sessionId);
+      }
+      return;
+    }
+
     if (confirm('Are you sure you want to delete this blood pressure reading?')) {
       deleteMutation.mutate(reading.id);
     }
@@ -361,6 +449,7 @@ export default function BloodPressure() {
     setEditingReading(null);
     setBluetoothReading(null);
     setShowBluetooth(false);
+    setSelectedMemberId(null);
   };
 
   const handleBluetoothClick = () => {
@@ -368,22 +457,9 @@ export default function BloodPressure() {
     setDialogOpen(true);
   };
 
-  // Calculate statistics
-  const stats = readings?.reduce((acc, reading) => {
-    acc.total++;
-    acc.statusCounts[reading.htnStatus] = (acc.statusCounts[reading.htnStatus] || 0) + 1;
-    acc.totalSystolic += reading.systolic;
-    acc.totalDiastolic += reading.diastolic;
-    return acc;
-  }, {
-    total: 0,
-    statusCounts: {},
-    totalSystolic: 0,
-    totalDiastolic: 0
-  }) || { total: 0, statusCounts: {}, totalSystolic: 0, totalDiastolic: 0 };
-
-  const avgSystolic = stats.total > 0 ? Math.round(stats.totalSystolic / stats.total) : 0;
-  const avgDiastolic = stats.total > 0 ? Math.round(stats.totalDiastolic / stats.total) : 0;
+  const statusCounts = stats?.statusCounts || {};
+  const avgSystolic = Math.round(stats?.averageBloodPressure.systolic || 0);
+  const avgDiastolic = Math.round(stats?.averageBloodPressure.diastolic || 0);
 
   if (isLoading) {
     return (
@@ -425,6 +501,22 @@ export default function BloodPressure() {
             />
           )}
           
+          <RecentlyDeleted
+            title="Recently Deleted Readings"
+            queryKey={['bloodPressure', 'deleted']}
+            fetchDeleted={bloodPressureAPI.getDeleted}
+            restore={bloodPressureAPI.restore}
+            invalidateKey="bloodPressure"
+            renderItem={(reading) => (
+              <div>
+                <div className="font-medium">{reading.memberName} {reading.memberLastName}</div>
+                <div className="text-sm text-muted-foreground font-mono">
+                  {reading.systolic}/{reading.diastolic} • {format(new Date(reading.readingDate), 'MMM dd, yyyy')}
+                </div>
+              </div>
+            )}
+          />
+
           {/* Bluetooth Button */}
           {isBluetoothSupported && !isBluetoothConnected && (
             <Button variant="outline" onClick={handleBluetoothClick}>
@@ -432,7 +524,30 @@ export default function BloodPressure() {
               Connect Device
             </Button>
           )}
+
+          <ExportButton path="/blood-pressure-readings/export" params={filters} name="blood-pressure-readings" />
           
+          <Dialog open={importDialogOpen} onOpenChange={setImportDialogOpen}>
+            <DialogTrigger asChild>
+              <Button variant="outline">
+                <Upload className="h-4 w-4 mr-2" />
+                Import History
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+              <DialogHeader>
+                <DialogTitle>Import Reading History</DialogTitle>
+                <DialogDescription>
+                  Add past readings from a home monitor export; nothing is saved until you import
+                </DialogDescription>
+              </DialogHeader>
+              <ReadingImportWizard
+                onSuccess={() => setImportDialogOpen(false)}
+                onCancel={() => setImportDialogOpen(false)}
+              />
+            </DialogContent>
+          </Dialog>
+
           <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
             <DialogTrigger asChild>
               <Button onClick={() => setEditingReading(null)}>
@@ -465,18 +580,29 @@ export default function BloodPressure() {
                     }}
                   />
                 ) : (
-                  <BluetoothReading
-                    memberId={selectedMemberId}
-                    onSave={(measurement) => {
-                      setBluetoothReading(measurement);
-                      setShowBluetooth(false);
-                      // The form will auto-populate with the measurement
-                    }}
-                    onCancel={() => {
-                      setShowBluetooth(false);
-                      setBluetoothReading(null);
-                    }}
-                  />
+                  <>
+                    <div>
+                      <Label htmlFor="bluetoothMemberId">Member</Label>
+                      <MemberCombobox
+                        id="bluetoothMemberId"
+                        value={selectedMemberId || ''}
+                        onChange={setSelectedMemberId}
+                      />
+                    </div>
+                    <BluetoothReading
+                      memberId={selectedMemberId}
+                      onSave={(measurement) => {
+                        setBluetoothReading(measurement);
+                        setShowBluetooth(false);
+                        // The form will auto-populate with the measurement
+                      }}
+                      onSaveSession={(readings) => sessionMutation.mutate(readings)}
+                      onCancel={() => {
+                        setShowBluetooth(false);
+                        setBluetoothReading(null);
+                      }}
+                    />
+                  </>
                 )}
               </div>
             ) : (
@@ -485,6 +611,7 @@ export default function BloodPressure() {
                 onSuccess={handleDialogClose}
                 onCancel={handleDialogClose}
                 bluetoothMeasurement={bluetoothReading}
+                defaultMemberId={selectedMemberId}
               />
             )}
           </DialogContent>
@@ -499,7 +626,7 @@ export default function BloodPressure() {
             <Heart className="h-4 w-4 text-red-600" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{stats.total}</div>
+            <div className="text-2xl font-bold">{stats?.total ?? 0}</div>
             <p className="text-xs text-muted-foreground">All time</p>
           </CardContent>
         </Card>
@@ -511,7 +638,7 @@ export default function BloodPressure() {
           </CardHeader>
           <CardContent>
             <div className="text-2xl font-bold">{avgSystolic}/{avgDiastolic}</div>
-            <p className="text-xs text-muted-foreground">mmHg</p>
+            <p className="text-xs text-muted-foreground">mmHg, latest per member</p>
           </CardContent>
         </Card>
 
@@ -522,7 +649,7 @@ export default function BloodPressure() {
           </CardHeader>
           <CardContent>
             <div className="text-2xl font-bold">
-              {(stats.statusCounts['Stage 2'] || 0) + (stats.statusCounts['Crisis'] || 0)}
+              {(statusCounts['Stage 2'] || 0) + (statusCounts['Crisis'] || 0)}
             </div>
             <p className="text-xs text-muted-foreground">Stage 2 + Crisis</p>
           </CardContent>
@@ -534,7 +661,7 @@ export default function BloodPressure() {
             <TrendingUp className="h-4 w-4 text-green-600" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{stats.statusCounts['Normal'] || 0}</div>
+            <div className="text-2xl font-bold">{statusCounts['Normal'] || 0}</div>
             <p className="text-xs text-muted-foreground">Healthy readings</p>
           </CardContent>
         </Card>
@@ -548,7 +675,7 @@ export default function BloodPressure() {
         <CardContent>
           <div className="w-48">
             <Label htmlFor="status">HTN Status</Label>
-            <Select value={filterStatus} onValueChange={setFilterStatus}>
+            <Select value={filterStatus} onValueChange={handleStatusChange}>
               <SelectTrigger>
                 <SelectValue placeholder="All statuses" />
               </SelectTrigger>
@@ -568,7 +695,7 @@ export default function BloodPressure() {
       {/* Readings Table */}
       <Card>
         <CardHeader>
-          <CardTitle>Recent Readings ({filteredReadings.length})</CardTitle>
+          <CardTitle>Recent Readings ({readingsPage?.total ?? 0})</CardTitle>
           <CardDescription>
             Latest blood pressure measurements
           </CardDescription>
@@ -578,14 +705,18 @@ export default function BloodPressure() {
             <TableHeader>
               <TableRow>
                 <TableHead>Member</TableHead>
-                <TableHead>Blood Pressure</TableHead>
+                <SortableTableHead column="systolic" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Blood Pressure
+                </SortableTableHead>
                 <TableHead>HTN Status</TableHead>
-                <TableHead>Date</TableHead>
+                <SortableTableHead column="readingDate" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Date
+                </SortableTableHead>
                 <TableHead>Actions</TableHead>
               </TableRow>
             </TableHeader>
             <TableBody>
-              {filteredReadings.map((reading) => (
+              {readings.map((reading) => (
                 <ReadingRow
                   key={reading.id}
                   reading={reading}
@@ -595,6 +726,12 @@ export default function BloodPressure() {
               ))}
             </TableBody>
           </Table>
+          <ListPagination
+            total={readingsPage?.total ?? 0}
+            limit={PAGE_SIZE}
+            offset={offset}
+            onOffsetChange={setOffset}
+          />
         </CardContent>
       </Card>
     </div>
@@ -1,13 +1,10 @@
 import { useState } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { format } from 'date-fns';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
-import { Textarea } from '@/components/ui/textarea';
-import { Checkbox } from '@/components/ui/checkbox';
 import { 
   Dialog, 
   DialogContent, 
@@ -33,8 +30,16 @@ import {
 } from '@/components/ui/table';
 import { Skeleton } from '@/components/ui/skeleton';
 import { useToast } from '@/hooks/use-toast';
-import { Plus, MessageSquare, Phone, Mail, Users, CheckCircle, Clock } from 'lucide-react';
-import { encountersAPI, membersAPI } from '@/services/api';
+import { Plus, MessageSquare, Phone, Mail, Users, CheckCircle, Clock, Send } from 'lucide-react';
+import { encountersAPI } from '@/services/api';
+import RecentlyDeleted from '@/components/RecentlyDeleted';
+import ExportButton from '@/components/ExportButton';
+import ListPagination from '@/components/ListPagination';
+import SortableTableHead from '@/components/SortableTableHead';
+import EncounterForm from '@/components/EncounterForm';
+import SendMessageForm from '@/components/SendMessageForm';
+
+const PAGE_SIZE = 25;
 
 const COMMUNICATION_ICONS = {
   Phone: Phone,
@@ -50,184 +55,6 @@ const COMMUNICATION_COLORS = {
   'In-Person': 'bg-orange-100 text-orange-800'
 };
 
-function EncounterForm({ encounter, onSuccess, onCancel }) {
-  const [formData, setFormData] = useState({
-    memberId: encounter?.memberId || '',
-    communicationType: encounter?.communicationType || 'Phone',
-    topic: encounter?.topic || '',
-    content: encounter?.content || '',
-    callStatus: encounter?.callStatus || '',
-    callerName: encounter?.callerName || '',
-    encounterDate: encounter?.encounterDate ? format(new Date(encounter.encounterDate), "yyyy-MM-dd'T'HH:mm") : format(new Date(), "yyyy-MM-dd'T'HH:mm"),
-    isCompleted: encounter?.isCompleted || false
-  });
-
-  const { toast } = useToast();
-  const queryClient = useQueryClient();
-
-  const { data: members } = useQuery({
-    queryKey: ['members'],
-    queryFn: () => membersAPI.getAll().then(res => res.data),
-  });
-
-  const mutation = useMutation({
-    mutationFn: (data) => {
-      const payload = {
-        ...data,
-        encounterDate: new Date(data.encounterDate).toISOString()
-      };
-      
-      if (encounter) {
-        return encountersAPI.update(encounter.id, payload);
-      } else {
-        return encountersAPI.create(payload);
-      }
-    },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['encounters'] });
-      toast({
-        title: encounter ? 'Encounter updated' : 'Encounter recorded',
-        description: `Encounter has been ${encounter ? 'updated' : 'recorded'} successfully.`,
-      });
-      onSuccess();
-    },
-    onError: (error) => {
-      toast({
-        title: 'Error',
-        description: error.response?.data?.error || 'Something went wrong',
-        variant: 'destructive',
-      });
-    },
-  });
-
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    mutation.mutate(formData);
-  };
-
-  const handleChange = (field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }));
-  };
-
-  return (
-    <form onSubmit={handleSubmit} className="space-y-4">
-      <div>
-        <Label htmlFor="memberId">Member</Label>
-        <Select 
-          value={formData.memberId} 
-          onValueChange={(value) => handleChange('memberId', value)}
-          disabled={!!encounter}
-        >
-          <SelectTrigger>
-            <SelectValue placeholder="Select member" />
-          </SelectTrigger>
-          <SelectContent>
-            {members?.map((member) => (
-              <SelectItem key={member.id} value={member.id}>
-                {member.firstName} {member.lastName} ({member.employeeId})
-              </SelectItem>
-            ))}
-          </SelectContent>
-        </Select>
-      </div>
-
-      <div className="grid grid-cols-2 gap-4">
-        <div>
-          <Label htmlFor="communicationType">Communication Type</Label>
-          <Select 
-            value={formData.communicationType} 
-            onValueChange={(value) => handleChange('communicationType', value)}
-          >
-            <SelectTrigger>
-              <SelectValue placeholder="Select type" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="Phone">Phone</SelectItem>
-              <SelectItem value="Text">Text</SelectItem>
-              <SelectItem value="Email">Email</SelectItem>
-              <SelectItem value="In-Person">In-Person</SelectItem>
-            </SelectContent>
-          </Select>
-        </div>
-        <div>
-          <Label htmlFor="callStatus">Call Status</Label>
-          <Input
-            id="callStatus"
-            value={formData.callStatus}
-            onChange={(e) => handleChange('callStatus', e.target.value)}
-            placeholder="e.g., Completed, No Answer, Voicemail"
-            required
-          />
-        </div>
-      </div>
-
-      <div className="grid grid-cols-2 gap-4">
-        <div>
-          <Label htmlFor="topic">Topic</Label>
-          <Input
-            id="topic"
-            value={formData.topic}
-            onChange={(e) => handleChange('topic', e.target.value)}
-            placeholder="e.g., Blood Pressure Follow-up"
-            required
-          />
-        </div>
-        <div>
-          <Label htmlFor="callerName">Caller Name</Label>
-          <Input
-            id="callerName"
-            value={formData.callerName}
-            onChange={(e) => handleChange('callerName', e.target.value)}
-            placeholder="Staff member name"
-            required
-          />
-        </div>
-      </div>
-
-      <div>
-        <Label htmlFor="content">Content</Label>
-        <Textarea
-          id="content"
-          value={formData.content}
-          onChange={(e) => handleChange('content', e.target.value)}
-          placeholder="Detailed notes about the encounter..."
-          rows={4}
-          required
-        />
-      </div>
-
-      <div>
-        <Label htmlFor="encounterDate">Encounter Date & Time</Label>
-        <Input
-          id="encounterDate"
-          type="datetime-local"
-          value={formData.encounterDate}
-          onChange={(e) => handleChange('encounterDate', e.target.value)}
-          required
-        />
-      </div>
-
-      <div className="flex items-center space-x-2">
-        <Checkbox
-          id="isCompleted"
-          checked={formData.isCompleted}
-          onCheckedChange={(checked) => handleChange('isCompleted', checked)}
-        />
-        <Label htmlFor="isCompleted">Mark as completed</Label>
-      </div>
-
-      <div className="flex justify-end space-x-2">
-        <Button type="button" variant="outline" onClick={onCancel}>
-          Cancel
-        </Button>
-        <Button type="submit" disabled={mutation.isPending}>
-          {mutation.isPending ? 'Saving...' : (encounter ? 'Update' : 'Record')}
-        </Button>
-      </div>
-    </form>
-  );
-}
-
 function EncounterRow({ encounter, onEdit, onDelete }) {
   const CommunicationIcon = COMMUNICATION_ICONS[encounter.communicationType] || MessageSquare;
   
@@ -300,18 +127,45 @@ function EncounterRow({ encounter, onEdit, onDelete }) {
 
 export default function Encounters() {
   const [dialogOpen, setDialogOpen] = useState(false);
+  const [messageDialogOpen, setMessageDialogOpen] = useState(false);
   const [editingEncounter, setEditingEncounter] = useState(null);
   const [filterType, setFilterType] = useState('all');
   const [filterStatus, setFilterStatus] = useState('all');
+  const [sorting, setSorting] = useState({ sort: 'encounterDate', order: 'desc' });
+  const [offset, setOffset] = useState(0);
 
   const { toast } = useToast();
   const queryClient = useQueryClient();
 
-  const { data: encounters, isLoading } = useQuery({
-    queryKey: ['encounters'],
-    queryFn: () => encountersAPI.getAll().then(res => res.data),
+  const filters = {
+    ...sorting,
+    ...(filterType !== 'all' && { communicationType: filterType }),
+    ...(filterStatus !== 'all' && { isCompleted: filterStatus === 'completed' }),
+  };
+  const listParams = { ...filters, limit: PAGE_SIZE, offset };
+
+  const { data: encountersPage, isLoading } = useQuery({
+    queryKey: ['encounters', listParams],
+    queryFn: () => encountersAPI.getAll(listParams).then(res => res.data),
+    placeholderData: keepPreviousData,
+  });
+
+  // Program-wide totals, read from the list counts rather than the current page
+  const { data: stats } = useQuery({
+    queryKey: ['encounters', 'stats'],
+    queryFn: () => Promise.all([
+      encountersAPI.getAll({ limit: 1 }),
+      encountersAPI.getAll({ limit: 1, isCompleted: true }),
+      encountersAPI.getAll({ limit: 1, communicationType: 'Phone' }),
+    ]).then(([all, completed, phone]) => ({
+      total: all.data.total,
+      completed: completed.data.total,
+      phone: phone.data.total,
+    })),
   });
 
+  const encounters = encountersPage?.data || [];
+
   const deleteMutation = useMutation({
     mutationFn: (id) => encountersAPI.delete(id),
     onSuccess: () => {
@@ -330,14 +184,15 @@ export default function Encounters() {
     },
   });
 
-  const filteredEncounters = encounters?.filter(encounter => {
-    const matchesType = filterType === 'all' || encounter.communicationType === filterType;
-    const matchesStatus = filterStatus === 'all' || 
-      (filterStatus === 'completed' && encounter.isCompleted) ||
-      (filterStatus === 'pending' && !encounter.isCompleted);
-    
-    return matchesType && matchesStatus;
-  }) || [];
+  const handleFilterChange = (setFilter) => (value) => {
+    setFilter(value);
+    setOffset(0);
+  };
+
+  const handleSortingChange = (nextSorting) => {
+    setSorting(nextSorting);
+    setOffset(0);
+  };
 
   const handleEdit = (encounter) => {
     setEditingEncounter(encounter);
@@ -355,17 +210,7 @@ export default function Encounters() {
     setEditingEncounter(null);
   };
 
-  // Calculate statistics
-  const stats = encounters?.reduce((acc, encounter) => {
-    acc.total++;
-    acc.typeCounts[encounter.communicationType] = (acc.typeCounts[encounter.communicationType] || 0) + 1;
-    if (encounter.isCompleted) acc.completed++;
-    return acc;
-  }, {
-    total: 0,
-    completed: 0,
-    typeCounts: {}
-  }) || { total: 0, completed: 0, typeCounts: {} };
+  const { total = 0, completed = 0, phone = 0 } = stats || {};
 
   if (isLoading) {
     return (
@@ -397,29 +242,70 @@ export default function Encounters() {
           </p>
         </div>
         
-        <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
-          <DialogTrigger asChild>
-            <Button onClick={() => setEditingEncounter(null)}>
-              <Plus className="h-4 w-4 mr-2" />
-              Record Encounter
-            </Button>
-          </DialogTrigger>
-          <DialogContent className="max-w-3xl">
-            <DialogHeader>
-              <DialogTitle>
-                {editingEncounter ? 'Edit Encounter' : 'Record New Encounter'}
-              </DialogTitle>
-              <DialogDescription>
-                {editingEncounter ? 'Update encounter details' : 'Record a new communication encounter'}
-              </DialogDescription>
-            </DialogHeader>
-            <EncounterForm
-              encounter={editingEncounter}
-              onSuccess={handleDialogClose}
-              onCancel={handleDialogClose}
-            />
-          </DialogContent>
-        </Dialog>
+        <div className="flex gap-2 items-center">
+          <RecentlyDeleted
+            title="Recently Deleted Encounters"
+            queryKey={['encounters', 'deleted']}
+            fetchDeleted={encountersAPI.getDeleted}
+            restore={encountersAPI.restore}
+            invalidateKey="encounters"
+            renderItem={(encounter) => (
+              <div>
+                <div className="font-medium">{encounter.memberName} {encounter.memberLastName}</div>
+                <div className="text-sm text-muted-foreground">
+                  Session #{encounter.sessionNumber} • {encounter.topic}
+                </div>
+              </div>
+            )}
+          />
+
+          <ExportButton path="/encounters/export" params={filters} name="encounters" />
+
+          <Dialog open={messageDialogOpen} onOpenChange={setMessageDialogOpen}>
+            <DialogTrigger asChild>
+              <Button variant="outline">
+                <Send className="h-4 w-4 mr-2" />
+                Send Message
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-2xl">
+              <DialogHeader>
+                <DialogTitle>Send Message</DialogTitle>
+                <DialogDescription>
+                  Text or email a member from a template; the message is logged as an encounter
+                </DialogDescription>
+              </DialogHeader>
+              <SendMessageForm
+                onSuccess={() => setMessageDialogOpen(false)}
+                onCancel={() => setMessageDialogOpen(false)}
+              />
+            </DialogContent>
+          </Dialog>
+
+          <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+            <DialogTrigger asChild>
+              <Button onClick={() => setEditingEncounter(null)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Record Encounter
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-3xl">
+              <DialogHeader>
+                <DialogTitle>
+                  {editingEncounter ? 'Edit Encounter' : 'Record New Encounter'}
+                </DialogTitle>
+                <DialogDescription>
+                  {editingEncounter ? 'Update encounter details' : 'Record a new communication encounter'}
+                </DialogDescription>
+              </DialogHeader>
+              <EncounterForm
+                encounter={editingEncounter}
+                onSuccess={handleDialogClose}
+                onCancel={handleDialogClose}
+              />
+            </DialogContent>
+          </Dialog>
+        </div>
       </div>
 
       {/* Statistics Cards */}
@@ -430,7 +316,7 @@ export default function Encounters() {
             <MessageSquare className="h-4 w-4 text-blue-600" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{stats.total}</div>
+            <div className="text-2xl font-bold">{total}</div>
             <p className="text-xs text-muted-foreground">All time</p>
           </CardContent>
         </Card>
@@ -441,9 +327,9 @@ export default function Encounters() {
             <CheckCircle className="h-4 w-4 text-green-600" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{stats.completed}</div>
+            <div className="text-2xl font-bold">{completed}</div>
             <p className="text-xs text-muted-foreground">
-              {stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0}% completion rate
+              {total > 0 ? Math.round((completed / total) * 100) : 0}% completion rate
             </p>
           </CardContent>
         </Card>
@@ -454,7 +340,7 @@ export default function Encounters() {
             <Phone className="h-4 w-4 text-purple-600" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{stats.typeCounts.Phone || 0}</div>
+            <div className="text-2xl font-bold">{phone}</div>
             <p className="text-xs text-muted-foreground">Voice communications</p>
           </CardContent>
         </Card>
@@ -465,7 +351,7 @@ export default function Encounters() {
             <Clock className="h-4 w-4 text-orange-600" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{stats.total - stats.completed}</div>
+            <div className="text-2xl font-bold">{total - completed}</div>
             <p className="text-xs text-muted-foreground">Require follow-up</p>
           </CardContent>
         </Card>
@@ -480,7 +366,7 @@ export default function Encounters() {
           <div className="flex space-x-4">
             <div className="w-48">
               <Label htmlFor="type">Communication Type</Label>
-              <Select value={filterType} onValueChange={setFilterType}>
+              <Select value={filterType} onValueChange={handleFilterChange(setFilterType)}>
                 <SelectTrigger>
                   <SelectValue placeholder="All types" />
                 </SelectTrigger>
@@ -495,7 +381,7 @@ export default function Encounters() {
             </div>
             <div className="w-48">
               <Label htmlFor="status">Status</Label>
-              <Select value={filterStatus} onValueChange={setFilterStatus}>
+              <Select value={filterStatus} onValueChange={handleFilterChange(setFilterStatus)}>
                 <SelectTrigger>
                   <SelectValue placeholder="All statuses" />
                 </SelectTrigger>
@@ -513,7 +399,7 @@ export default function Encounters() {
       {/* Encounters Table */}
       <Card>
         <CardHeader>
-          <CardTitle>Recent Encounters ({filteredEncounters.length})</CardTitle>
+          <CardTitle>Recent Encounters ({encountersPage?.total ?? 0})</CardTitle>
           <CardDescription>
             Latest communication encounters with members
           </CardDescription>
@@ -523,16 +409,20 @@ export default function Encounters() {
             <TableHeader>
               <TableRow>
                 <TableHead>Member</TableHead>
-                <TableHead>Type</TableHead>
+                <SortableTableHead column="communicationType" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Type
+                </SortableTableHead>
                 <TableHead>Topic & Content</TableHead>
                 <TableHead>Status</TableHead>
                 <TableHead>Completion</TableHead>
-                <TableHead>Date</TableHead>
+                <SortableTableHead column="encounterDate" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Date
+                </SortableTableHead>
                 <TableHead>Actions</TableHead>
               </TableRow>
             </TableHeader>
             <TableBody>
-              {filteredEncounters.map((encounter) => (
+              {encounters.map((encounter) => (
                 <EncounterRow
                   key={encounter.id}
                   encounter={encounter}
@@ -542,6 +432,12 @@ export default function Encounters() {
               ))}
             </TableBody>
           </Table>
+          <ListPagination
+            total={encountersPage?.total ?? 0}
+            limit={PAGE_SIZE}
+            offset={offset}
+            onOffsetChange={setOffset}
+          />
         </CardContent>
       </Card>
     </div>
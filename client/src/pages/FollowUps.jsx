@@ -0,0 +1,307 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import { format, startOfMonth, endOfMonth, isSameDay } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Calendar } from '@/components/ui/calendar';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Skeleton } from '@/components/ui/skeleton';
+import { useToast } from '@/hooks/use-toast';
+import { Plus, CalendarClock, CalendarX, CheckCircle } from 'lucide-react';
+import { followUpsAPI } from '@/services/api';
+import ListPagination from '@/components/ListPagination';
+import FollowUpForm from '@/components/FollowUpForm';
+
+const PAGE_SIZE = 25;
+
+// One month of follow-ups fits well inside the API's page-size cap
+const MONTH_LIMIT = 500;
+
+const STATUS_COLORS = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  overdue: 'bg-red-100 text-red-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const statusOf = (followUp) => (followUp.isOverdue ? 'overdue' : followUp.status);
+
+function FollowUpItem({ followUp, onReschedule }) {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const actionMutation = useMutation({
+    mutationFn: (action) => (action === 'complete'
+      ? followUpsAPI.complete(followUp.id, {})
+      : followUpsAPI.cancel(followUp.id)),
+    onSuccess: (_, action) => {
+      queryClient.invalidateQueries({ queryKey: ['follow-ups'] });
+      toast({
+        title: action === 'complete' ? 'Follow-up completed' : 'Follow-up cancelled',
+        description: `${followUp.memberName} ${followUp.memberLastName} • ${followUp.reason}`,
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Something went wrong',
+        variant: 'destructive',
+      });
+    },
+  });
+
+  const handleCancel = () => {
+    if (confirm('Are you sure you want to cancel this follow-up?')) {
+      actionMutation.mutate('cancel');
+    }
+  };
+
+  const status = statusOf(followUp);
+
+  return (
+    <div className="flex items-start justify-between border rounded-md p-3">
+      <div className="space-y-1">
+        <div className="flex items-center space-x-2">
+          <Link to={`/members/${followUp.memberId}`} className="font-medium hover:underline">
+            {followUp.memberName} {followUp.memberLastName}
+          </Link>
+          <Badge className={STATUS_COLORS[status]}>
+            {status === 'overdue' ? `${followUp.daysOverdue}d overdue` : status}
+          </Badge>
+        </div>
+        <div className="text-sm">{followUp.reason}</div>
+        <div className="text-xs text-muted-foreground">
+          Due {format(new Date(followUp.dueDate), 'MMM dd, yyyy')}
+          {followUp.assigneeFirstName && ` • ${followUp.assigneeFirstName} ${followUp.assigneeLastName}`}
+        </div>
+      </div>
+      {followUp.status === 'scheduled' && (
+        <div className="flex space-x-2">
+          <Button size="sm" onClick={() => actionMutation.mutate('complete')} disabled={actionMutation.isPending}>
+            Complete
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => onReschedule(followUp)}>
+            Reschedule
+          </Button>
+          <Button variant="ghost" size="sm" onClick={handleCancel} disabled={actionMutation.isPending}>
+            Cancel
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function FollowUps() {
+  const [month, setMonth] = useState(new Date());
+  const [selectedDay, setSelectedDay] = useState(new Date());
+  const [assigneeScope, setAssigneeScope] = useState('me');
+  const [overdueOffset, setOverdueOffset] = useState(0);
+  const [scheduleOpen, setScheduleOpen] = useState(false);
+  const [reschedulingFollowUp, setReschedulingFollowUp] = useState(null);
+
+  const scopeParams = assigneeScope === 'me' ? { assignedTo: 'me' } : {};
+
+  const monthParams = {
+    ...scopeParams,
+    startDate: format(startOfMonth(month), 'yyyy-MM-dd'),
+    endDate: format(endOfMonth(month), 'yyyy-MM-dd'),
+    limit: MONTH_LIMIT,
+  };
+
+  const { data: monthPage, isLoading } = useQuery({
+    queryKey: ['follow-ups', 'month', monthParams],
+    queryFn: () => followUpsAPI.getAll(monthParams).then(res => res.data),
+    placeholderData: keepPreviousData,
+  });
+
+  const overdueParams = { ...scopeParams, limit: PAGE_SIZE, offset: overdueOffset };
+
+  const { data: overduePage } = useQuery({
+    queryKey: ['follow-ups', 'overdue', overdueParams],
+    queryFn: () => followUpsAPI.getOverdue(overdueParams).then(res => res.data),
+    placeholderData: keepPreviousData,
+  });
+
+  const monthFollowUps = monthPage?.data || [];
+  const overdueFollowUps = overduePage?.data || [];
+  const dayFollowUps = monthFollowUps.filter(followUp => isSameDay(new Date(followUp.dueDate), selectedDay));
+
+  const daysWith = (predicate) => monthFollowUps.filter(predicate).map(followUp => new Date(followUp.dueDate));
+
+  const handleScopeChange = (scope) => {
+    setAssigneeScope(scope);
+    setOverdueOffset(0);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="space-y-6">
+        <Skeleton className="h-8 w-48" />
+        <Skeleton className="h-64 w-full" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Follow-ups</h1>
+          <p className="text-muted-foreground">
+            Upcoming and missed follow-up contacts with members
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="w-44">
+            <Select value={assigneeScope} onValueChange={handleScopeChange}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="me">My follow-ups</SelectItem>
+                <SelectItem value="all">Everyone</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <Dialog open={scheduleOpen} onOpenChange={setScheduleOpen}>
+            <DialogTrigger asChild>
+              <Button>
+                <Plus className="h-4 w-4 mr-2" />
+                Schedule Follow-up
+              </Button>
+            </DialogTrigger>
+            <DialogContent>
+              <DialogHeader>
+                <DialogTitle>Schedule Follow-up</DialogTitle>
+                <DialogDescription>Plan the next contact with a member</DialogDescription>
+              </DialogHeader>
+              <FollowUpForm
+                onSuccess={() => setScheduleOpen(false)}
+                onCancel={() => setScheduleOpen(false)}
+              />
+            </DialogContent>
+          </Dialog>
+        </div>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-[auto_1fr]">
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <CalendarClock className="h-5 w-5 mr-2" />
+              Calendar
+            </CardTitle>
+            <CardDescription>
+              <span className="text-blue-700">Scheduled</span> •{' '}
+              <span className="text-red-700">Missed</span> •{' '}
+              <span className="text-green-700">Completed</span>
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Calendar
+              mode="single"
+              selected={selectedDay}
+              onSelect={(day) => day && setSelectedDay(day)}
+              month={month}
+              onMonthChange={setMonth}
+              modifiers={{
+                scheduled: daysWith(followUp => followUp.status === 'scheduled' && !followUp.isOverdue),
+                missed: daysWith(followUp => followUp.isOverdue),
+                completed: daysWith(followUp => followUp.status === 'completed'),
+              }}
+              modifiersClassNames={{
+                completed: 'font-semibold text-green-700',
+                scheduled: 'font-semibold text-blue-700 underline',
+                missed: 'font-semibold text-red-700 underline',
+              }}
+            />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{format(selectedDay, 'EEEE, MMMM d')}</CardTitle>
+            <CardDescription>
+              {dayFollowUps.length} follow-up{dayFollowUps.length === 1 ? '' : 's'} due
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {dayFollowUps.map((followUp) => (
+              <FollowUpItem key={followUp.id} followUp={followUp} onReschedule={setReschedulingFollowUp} />
+            ))}
+            {dayFollowUps.length === 0 && (
+              <div className="text-center text-muted-foreground py-8">
+                Nothing due this day
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <CalendarX className="h-5 w-5 mr-2 text-red-600" />
+            Missed Follow-ups ({overduePage?.total ?? 0})
+          </CardTitle>
+          <CardDescription>
+            Scheduled follow-ups past their due date, most overdue first
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {overdueFollowUps.map((followUp) => (
+            <FollowUpItem key={followUp.id} followUp={followUp} onReschedule={setReschedulingFollowUp} />
+          ))}
+          {overdueFollowUps.length === 0 && (
+            <div className="flex items-center justify-center text-muted-foreground py-8">
+              <CheckCircle className="h-4 w-4 mr-2 text-green-600" />
+              No missed follow-ups
+            </div>
+          )}
+          <ListPagination
+            total={overduePage?.total ?? 0}
+            limit={PAGE_SIZE}
+            offset={overdueOffset}
+            onOffsetChange={setOverdueOffset}
+          />
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!reschedulingFollowUp} onOpenChange={(open) => !open && setReschedulingFollowUp(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Reschedule Follow-up</DialogTitle>
+            <DialogDescription>
+              {reschedulingFollowUp && `${reschedulingFollowUp.memberName} ${reschedulingFollowUp.memberLastName}`}
+            </DialogDescription>
+          </DialogHeader>
+          {reschedulingFollowUp && (
+            <FollowUpForm
+              key={reschedulingFollowUp.id}
+              followUp={reschedulingFollowUp}
+              onSuccess={() => setReschedulingFollowUp(null)}
+              onCancel={() => setReschedulingFollowUp(null)}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ import { Input } from '../components/ui/input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Alert, AlertDescription } from '../components/ui/alert';
 import { Label } from '../components/ui/label';
+import { authAPI } from '../services/api';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -28,32 +29,20 @@ const Login = () => {
     setError('');
 
     try {
-      const response = await fetch('http://localhost:3002/api/auth/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      });
+      const { data } = await authAPI.login(formData);
 
-      const data = await response.json();
+      // Store token and user info
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('user', JSON.stringify(data.user));
 
-      if (response.ok) {
-        // Store token and user info
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
-        
-        // Redirect based on role
-        if (data.user.role === 'super_admin') {
-          navigate('/admin-dashboard');
-        } else {
-          navigate('/dashboard');
-        }
+      // Redirect based on role
+      if (data.user.role === 'super_admin') {
+        navigate('/admin-dashboard');
       } else {
-        setError(data.error || 'Login failed');
+        navigate('/dashboard');
       }
     } catch (error) {
-      setError('Network error. Please try again.');
+      setError(error.response?.data?.error || 'Network error. Please try again.');
     } finally {
       setLoading(false);
     }
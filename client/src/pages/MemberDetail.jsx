@@ -0,0 +1,316 @@
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  ComposedChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceArea,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { ArrowLeft, Heart, MessageSquare, Stethoscope, User } from 'lucide-react';
+import CoachPanel from '@/components/CoachPanel';
+import MedicalHistoryPanel from '@/components/MedicalHistoryPanel';
+import MedicationsPanel from '@/components/MedicationsPanel';
+import MessagingPanel from '@/components/MessagingPanel';
+import { membersAPI, bloodPressureAPI, encountersAPI, medicalHistoryAPI } from '@/services/api';
+import { useBpGuideline } from '@/hooks/useBpGuideline';
+import {
+  chartBands,
+  diastolicThresholds,
+  trendData,
+  stageHistory,
+  buildTimeline,
+} from '@/lib/memberTimeline';
+
+const HTN_STATUS_COLORS = {
+  Normal: 'bg-green-100 text-green-800',
+  Elevated: 'bg-yellow-100 text-yellow-800',
+  'Stage 1': 'bg-orange-100 text-orange-800',
+  'Stage 2': 'bg-red-100 text-red-800',
+  Crisis: 'bg-red-200 text-red-900'
+};
+
+const UNION_COLORS = {
+  Firefighters: 'bg-red-100 text-red-800',
+  Police: 'bg-blue-100 text-blue-800',
+  EMS: 'bg-green-100 text-green-800'
+};
+
+const TIMELINE_ICONS = {
+  reading: Heart,
+  encounter: MessageSquare,
+  condition: Stethoscope,
+};
+
+function SummaryCard({ title, value, description, icon }) {
+  const Icon = icon;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardTitle className="text-sm font-medium">{title}</CardTitle>
+        <Icon className="h-4 w-4 text-muted-foreground" />
+      </CardHeader>
+      <CardContent>
+        <div className="text-2xl font-bold">{value}</div>
+        <p className="text-xs text-muted-foreground">{description}</p>
+      </CardContent>
+    </Card>
+  );
+}
+
+function BloodPressureTrend({ readings, guideline }) {
+  const data = trendData(readings);
+
+  if (data.length === 0) {
+    return <div className="text-center py-8 text-muted-foreground">No readings recorded yet.</div>;
+  }
+
+  const maxValue = Math.max(...data.map(point => point.systolic), 160);
+  const yMax = Math.ceil((maxValue + 10) / 10) * 10;
+
+  return (
+    <ResponsiveContainer width="100%" height={320}>
+      <ComposedChart data={data}>
+        {chartBands(guideline).map(band => (
+          <ReferenceArea
+            key={band.label}
+            y1={band.from}
+            y2={Math.min(band.to, yMax)}
+            fill={band.color}
+            fillOpacity={0.08}
+            ifOverflow="hidden"
+          />
+        ))}
+        {diastolicThresholds(guideline).map(value => (
+          <ReferenceLine key={value} y={value} stroke="#94a3b8" strokeDasharray="4 4" />
+        ))}
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis
+          dataKey="timestamp"
+          type="number"
+          scale="time"
+          domain={['dataMin', 'dataMax']}
+          tickFormatter={(value) => format(new Date(value), 'MMM dd')}
+        />
+        <YAxis domain={[40, yMax]} unit=" mmHg" width={80} />
+        <Tooltip
+          labelFormatter={(value) => format(new Date(value), 'MMM dd, yyyy HH:mm')}
+          formatter={(value, name) => [`${value} mmHg`, name]}
+        />
+        <Legend />
+        <Line type="monotone" dataKey="systolic" name="Systolic" stroke="#ef4444" strokeWidth={2} dot />
+        <Line type="monotone" dataKey="diastolic" name="Diastolic" stroke="#3b82f6" strokeWidth={2} dot />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+function StageHistory({ readings }) {
+  const stages = stageHistory(readings);
+
+  if (stages.length === 0) {
+    return <div className="text-center py-8 text-muted-foreground">No HTN stage history yet.</div>;
+  }
+
+  return (
+    <ol className="space-y-3">
+      {[...stages].reverse().map((stage) => (
+        <li key={stage.from.toISOString()} className="flex items-center justify-between">
+          <Badge className={HTN_STATUS_COLORS[stage.status]}>{stage.status}</Badge>
+          <span className="text-sm text-muted-foreground">
+            {format(stage.from, 'MMM dd, yyyy')}
+            {stage.to > stage.from && ` – ${format(stage.to, 'MMM dd, yyyy')}`}
+            {' • '}
+            {stage.readings} {stage.readings === 1 ? 'reading' : 'readings'}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function Timeline({ events }) {
+  if (events.length === 0) {
+    return <div className="text-center py-8 text-muted-foreground">Nothing recorded for this member yet.</div>;
+  }
+
+  return (
+    <ol className="relative border-l border-border ml-3 space-y-6">
+      {events.map((event) => {
+        const Icon = TIMELINE_ICONS[event.type];
+        return (
+          <li key={event.id} className="ml-6">
+            <span className="absolute -left-3 flex h-6 w-6 items-center justify-center rounded-full bg-background border">
+              <Icon className="h-3 w-3" />
+            </span>
+            <div className="flex items-center gap-2">
+              <span className="font-medium">{event.title}</span>
+              {event.status && (
+                <Badge variant="outline" className={HTN_STATUS_COLORS[event.status]}>
+                  {event.status}
+                </Badge>
+              )}
+            </div>
+            <div className="text-xs text-muted-foreground">
+              {format(event.date, 'MMM dd, yyyy HH:mm')}
+            </div>
+            {event.detail && <p className="text-sm text-muted-foreground mt-1">{event.detail}</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default function MemberDetail() {
+  const { id } = useParams();
+  const guideline = useBpGuideline();
+
+  const { data: member, isLoading, isError } = useQuery({
+    queryKey: ['members', 'detail', id],
+    queryFn: () => membersAPI.getById(id).then(res => res.data),
+  });
+
+  const { data: readings = [] } = useQuery({
+    queryKey: ['bloodPressure', 'member', id],
+    queryFn: () => bloodPressureAPI.getByMember(id).then(res => res.data),
+  });
+
+  const { data: encounters = [] } = useQuery({
+    queryKey: ['encounters', 'member', id],
+    queryFn: () => encountersAPI.getByMember(id).then(res => res.data),
+  });
+
+  const { data: conditions = [] } = useQuery({
+    queryKey: ['medicalHistory', id],
+    queryFn: () => medicalHistoryAPI.getByMember(id).then(res => res.data),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="space-y-6">
+        <Skeleton className="h-8 w-64" />
+        <Skeleton className="h-80 w-full" />
+      </div>
+    );
+  }
+
+  if (isError || !member) {
+    return (
+      <div className="space-y-4">
+        <Button variant="outline" asChild>
+          <Link to="/members">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to members
+          </Link>
+        </Button>
+        <div className="text-center py-8 text-muted-foreground">Member not found.</div>
+      </div>
+    );
+  }
+
+  const latestReading = trendData(readings).at(-1);
+  const activeConditions = conditions.filter(condition => condition.status !== 'resolved');
+  const timeline = buildTimeline({ readings, encounters, conditions });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center space-x-4">
+          <div className="w-12 h-12 bg-gray-200 rounded-full flex items-center justify-center">
+            <User className="h-6 w-6" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold">
+              {member.firstName} {member.lastName}
+            </h1>
+            <div className="flex items-center gap-2 text-muted-foreground">
+              <span>{member.employeeId}</span>
+              <Badge className={UNION_COLORS[member.union]}>{member.union}</Badge>
+              <span>{member.age} years • {member.gender}</span>
+              {member.isActive === false && <Badge variant="secondary">Archived</Badge>}
+            </div>
+          </div>
+        </div>
+        <Button variant="outline" asChild>
+          <Link to="/members">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to members
+          </Link>
+        </Button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-4">
+        <SummaryCard
+          title="Latest Reading"
+          value={latestReading ? `${latestReading.systolic}/${latestReading.diastolic}` : '—'}
+          description={latestReading
+            ? `${latestReading.htnStatus} • ${format(latestReading.date, 'MMM dd, yyyy')}`
+            : 'No readings yet'}
+          icon={Heart}
+        />
+        <SummaryCard title="Readings" value={readings.length} description="Blood pressure measurements" icon={Heart} />
+        <SummaryCard title="Encounters" value={encounters.length} description="Coaching sessions" icon={MessageSquare} />
+        <SummaryCard
+          title="Active Conditions"
+          value={activeConditions.length}
+          description={`${conditions.length} medical history ${conditions.length === 1 ? 'entry' : 'entries'}`}
+          icon={Stethoscope}
+        />
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Blood Pressure Trend</CardTitle>
+          <CardDescription>
+            Shaded bands show {guideline.name} systolic categories; dashed lines mark the diastolic Stage 1 and Stage 2 cut-offs
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <BloodPressureTrend readings={readings} guideline={guideline.id} />
+        </CardContent>
+      </Card>
+
+      <div className="grid gap-6 md:grid-cols-3">
+        <Card>
+          <CardHeader>
+            <CardTitle>HTN Stage History</CardTitle>
+            <CardDescription>Most recent stage first</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <StageHistory readings={readings} />
+          </CardContent>
+        </Card>
+
+        <Card className="md:col-span-2">
+          <CardHeader>
+            <CardTitle>Timeline</CardTitle>
+            <CardDescription>Readings, encounters and conditions in date order</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Timeline events={timeline} />
+          </CardContent>
+        </Card>
+      </div>
+
+      <CoachPanel member={member} />
+
+      <MessagingPanel member={member} />
+
+      <MedicalHistoryPanel memberId={id} conditions={conditions} />
+
+      <MedicationsPanel memberId={id} />
+    </div>
+  );
+}
@@ -1,11 +1,13 @@
-import { useState } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
 import { format } from 'date-fns';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
 import { 
   Dialog, 
   DialogContent, 
@@ -29,10 +31,28 @@ import {
   TableHeader,
   TableRow,
 } from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
 import { Skeleton } from '@/components/ui/skeleton';
 import { useToast } from '@/hooks/use-toast';
-import { Plus, Search, Edit, Trash2, User } from 'lucide-react';
+import { Plus, Search, Edit, Trash2, User, Upload } from 'lucide-react';
 import { membersAPI } from '@/services/api';
+import RecentlyDeleted from '@/components/RecentlyDeleted';
+import ExportButton from '@/components/ExportButton';
+import RosterImportWizard from '@/components/RosterImportWizard';
+import ListPagination from '@/components/ListPagination';
+import SortableTableHead from '@/components/SortableTableHead';
+import { normalizePhone, isValidEmail } from '@shared/contact';
+import { CONSENT_TYPES, CONSENT_LABELS, CONSENT_DESCRIPTIONS, CONSENT_VERSIONS } from '@shared/consent';
+
+const PAGE_SIZE = 25;
 
 function MemberForm({ member, onSuccess, onCancel }) {
   const [formData, setFormData] = useState({
@@ -41,17 +61,47 @@ function MemberForm({ member, onSuccess, onCancel }) {
     lastName: member?.lastName || '',
     dateOfBirth: member?.dateOfBirth ? format(new Date(member.dateOfBirth), 'yyyy-MM-dd') : '',
     gender: member?.gender || 'Male',
-    union: member?.union || 'Firefighters'
+    union: member?.union || 'Firefighters',
+    phone: member?.phone || '',
+    email: member?.email || '',
+    addressLine1: member?.addressLine1 || '',
+    addressLine2: member?.addressLine2 || '',
+    city: member?.city || '',
+    state: member?.state || '',
+    postalCode: member?.postalCode || '',
+    preferredLanguage: member?.preferredLanguage || ''
   });
+  // Only the consents the user changes are sent, so saving other edits never records a decision
+  const [consentChanges, setConsentChanges] = useState({});
 
   const { toast } = useToast();
   const queryClient = useQueryClient();
 
+  const { data: consentRecords } = useQuery({
+    queryKey: ['members', member?.id, 'consents'],
+    queryFn: () => membersAPI.getConsents(member.id).then(res => res.data),
+    enabled: !!member,
+  });
+
+  const currentConsents = consentRecords?.current || {};
+
+  const phoneInvalid = formData.phone.trim() !== '' && !normalizePhone(formData.phone);
+  const emailInvalid = formData.email.trim() !== '' && !isValidEmail(formData.email.trim());
+
   const mutation = useMutation({
     mutationFn: (data) => {
       const payload = {
         ...data,
-        dateOfBirth: new Date(data.dateOfBirth).toISOString()
+        dateOfBirth: new Date(data.dateOfBirth).toISOString(),
+        phone: data.phone.trim() || null,
+        email: data.email.trim() || null,
+        addressLine1: data.addressLine1.trim() || null,
+        addressLine2: data.addressLine2.trim() || null,
+        city: data.city.trim() || null,
+        state: data.state.trim() || null,
+        postalCode: data.postalCode.trim() || null,
+        preferredLanguage: data.preferredLanguage.trim() || null,
+        ...(Object.keys(consentChanges).length > 0 && { consents: consentChanges })
       };
       
       if (member) {
@@ -86,6 +136,20 @@ function MemberForm({ member, onSuccess, onCancel }) {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
 
+  const handleConsentChange = (type, granted) => {
+    setConsentChanges(prev => {
+      const { [type]: _previous, ...rest } = prev;
+      return granted === (currentConsents[type]?.granted ?? false) ? rest : { ...rest, [type]: granted };
+    });
+  };
+
+  const consentStatus = (type) => {
+    const record = currentConsents[type];
+    if (!record) return 'Not recorded';
+    const decision = record.granted ? 'Granted' : 'Declined';
+    return `${decision} ${format(new Date(record.recordedAt), 'MMM dd, yyyy')} (form v${record.version})`;
+  };
+
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <div className="grid grid-cols-2 gap-4">
@@ -160,11 +224,114 @@ function MemberForm({ member, onSuccess, onCancel }) {
         </div>
       </div>
 
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="phone">Mobile Phone</Label>
+          <Input
+            id="phone"
+            type="tel"
+            value={formData.phone}
+            onChange={(e) => handleChange('phone', e.target.value)}
+            placeholder="(555) 123-4567"
+          />
+          {phoneInvalid && <p className="text-xs text-red-600 mt-1">Enter a 10-digit US number or +country code</p>}
+        </div>
+        <div>
+          <Label htmlFor="email">Email</Label>
+          <Input
+            id="email"
+            type="email"
+            value={formData.email}
+            onChange={(e) => handleChange('email', e.target.value)}
+          />
+          {emailInvalid && <p className="text-xs text-red-600 mt-1">Enter a valid email address</p>}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="addressLine1">Address</Label>
+          <Input
+            id="addressLine1"
+            value={formData.addressLine1}
+            onChange={(e) => handleChange('addressLine1', e.target.value)}
+          />
+        </div>
+        <div>
+          <Label htmlFor="addressLine2">Address Line 2</Label>
+          <Input
+            id="addressLine2"
+            value={formData.addressLine2}
+            onChange={(e) => handleChange('addressLine2', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-4">
+        <div>
+          <Label htmlFor="city">City</Label>
+          <Input
+            id="city"
+            value={formData.city}
+            onChange={(e) => handleChange('city', e.target.value)}
+          />
+        </div>
+        <div>
+          <Label htmlFor="state">State</Label>
+          <Input
+            id="state"
+            value={formData.state}
+            onChange={(e) => handleChange('state', e.target.value)}
+            maxLength={2}
+            placeholder="CA"
+          />
+        </div>
+        <div>
+          <Label htmlFor="postalCode">ZIP Code</Label>
+          <Input
+            id="postalCode"
+            value={formData.postalCode}
+            onChange={(e) => handleChange('postalCode', e.target.value)}
+            maxLength={10}
+          />
+        </div>
+        <div>
+          <Label htmlFor="preferredLanguage">Language</Label>
+          <Input
+            id="preferredLanguage"
+            value={formData.preferredLanguage}
+            onChange={(e) => handleChange('preferredLanguage', e.target.value)}
+            placeholder="English"
+          />
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <Label>Consent</Label>
+        {CONSENT_TYPES.map((type) => (
+          <div key={type} className="flex items-start space-x-2">
+            <Checkbox
+              id={`consent-${type}`}
+              checked={consentChanges[type] ?? currentConsents[type]?.granted ?? false}
+              onCheckedChange={(checked) => handleConsentChange(type, checked === true)}
+              disabled={!!member && !consentRecords}
+            />
+            <div className="grid gap-0.5">
+              <Label htmlFor={`consent-${type}`}>{CONSENT_LABELS[type]}</Label>
+              <p className="text-xs text-muted-foreground">
+                {CONSENT_DESCRIPTIONS[type]} • Form v{CONSENT_VERSIONS[type]}
+                {member && ` • ${consentStatus(type)}`}
+              </p>
+            </div>
+          </div>
+        ))}
+      </div>
+
       <div className="flex justify-end space-x-2">
         <Button type="button" variant="outline" onClick={onCancel}>
           Cancel
         </Button>
-        <Button type="submit" disabled={mutation.isPending}>
+        <Button type="submit" disabled={mutation.isPending || phoneInvalid || emailInvalid}>
           {mutation.isPending ? 'Saving...' : (member ? 'Update' : 'Create')}
         </Button>
       </div>
@@ -172,6 +339,67 @@ function MemberForm({ member, onSuccess, onCancel }) {
   );
 }
 
+function DeleteMemberDialog({ member, onConfirm, onCancel, isPending }) {
+  const { data: dependents, isLoading } = useQuery({
+    queryKey: ['members', member?.id, 'dependents'],
+    queryFn: () => membersAPI.getDependents(member.id).then(res => res.data),
+    enabled: !!member,
+  });
+
+  const hasDependents = dependents?.total > 0;
+
+  return (
+    <AlertDialog open={!!member} onOpenChange={(open) => !open && onCancel()}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>
+            Delete {member?.firstName} {member?.lastName}?
+          </AlertDialogTitle>
+          <AlertDialogDescription>
+            {isLoading
+              ? 'Checking for related records...'
+              : hasDependents
+                ? 'This member has clinical records and cannot be deleted on their own.'
+                : 'This member has no related records. They can be restored for 90 days.'}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        {hasDependents && (
+          <div className="space-y-3">
+            <ul className="text-sm space-y-1">
+              <li>{dependents.bloodPressureReadings} blood pressure readings</li>
+              <li>{dependents.encounters} encounters</li>
+              <li>{dependents.medicalHistory} medical history entries</li>
+            </ul>
+            <p className="text-sm text-muted-foreground">
+              Archiving deactivates the member and keeps their clinical history.
+              Deleting removes the member together with all of these records.
+            </p>
+          </div>
+        )}
+
+        <AlertDialogFooter>
+          <AlertDialogCancel disabled={isPending}>Cancel</AlertDialogCancel>
+          {hasDependents ? (
+            <>
+              <Button variant="outline" disabled={isPending} onClick={() => onConfirm('archive')}>
+                Archive member
+              </Button>
+              <Button variant="destructive" disabled={isPending} onClick={() => onConfirm('cascade')}>
+                Delete with all records
+              </Button>
+            </>
+          ) : (
+            <Button variant="destructive" disabled={isPending || isLoading} onClick={() => onConfirm()}>
+              Delete
+            </Button>
+          )}
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
+
 function MemberRow({ member, onEdit, onDelete }) {
   const unionColors = {
     Firefighters: 'bg-red-100 text-red-800',
@@ -187,7 +415,14 @@ function MemberRow({ member, onEdit, onDelete }) {
             <User className="h-4 w-4" />
           </div>
           <div>
-            <div className="font-medium">{member.firstName} {member.lastName}</div>
+            <div className="font-medium">
+              <Link to={`/members/${member.id}`} className="hover:underline">
+                {member.firstName} {member.lastName}
+              </Link>
+              {member.isActive === false && (
+                <Badge variant="secondary" className="ml-2">Archived</Badge>
+              )}
+            </div>
             <div className="text-sm text-muted-foreground">{member.employeeId}</div>
           </div>
         </div>
@@ -199,6 +434,13 @@ function MemberRow({ member, onEdit, onDelete }) {
       </TableCell>
       <TableCell>{member.age} years</TableCell>
       <TableCell>{member.gender}</TableCell>
+      <TableCell>
+        {member.coachId ? (
+          `${member.coachFirstName} ${member.coachLastName}`
+        ) : (
+          <span className="text-muted-foreground">Unassigned</span>
+        )}
+      </TableCell>
       <TableCell>{format(new Date(member.createdAt), 'MMM dd, yyyy')}</TableCell>
       <TableCell>
         <div className="flex space-x-2">
@@ -217,24 +459,55 @@ function MemberRow({ member, onEdit, onDelete }) {
 export default function Members() {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedUnion, setSelectedUnion] = useState('all');
+  const [selectedCoach, setSelectedCoach] = useState('all');
   const [dialogOpen, setDialogOpen] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
   const [editingMember, setEditingMember] = useState(null);
+  const [deletingMember, setDeletingMember] = useState(null);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [sorting, setSorting] = useState({ sort: 'lastName', order: 'asc' });
+  const [offset, setOffset] = useState(0);
 
   const { toast } = useToast();
   const queryClient = useQueryClient();
 
-  const { data: members, isLoading } = useQuery({
-    queryKey: ['members'],
-    queryFn: () => membersAPI.getAll().then(res => res.data),
+  // Wait for typing to pause before searching on the server
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setOffset(0);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const filters = {
+    ...sorting,
+    ...(selectedUnion !== 'all' && { union: selectedUnion }),
+    ...(selectedCoach !== 'all' && { coachId: selectedCoach }),
+    ...(debouncedSearch && { search: debouncedSearch }),
+  };
+  const listParams = { ...filters, limit: PAGE_SIZE, offset };
+
+  const { data: membersPage, isLoading } = useQuery({
+    queryKey: ['members', listParams],
+    queryFn: () => membersAPI.getAll(listParams).then(res => res.data),
+    placeholderData: keepPreviousData,
   });
 
+  const members = membersPage?.data || [];
+
   const deleteMutation = useMutation({
-    mutationFn: (id) => membersAPI.delete(id),
-    onSuccess: () => {
+    mutationFn: ({ id, mode }) => membersAPI.delete(id, mode),
+    onSuccess: (_, { mode }) => {
       queryClient.invalidateQueries({ queryKey: ['members'] });
+      queryClient.invalidateQueries({ queryKey: ['bloodPressure'] });
+      queryClient.invalidateQueries({ queryKey: ['encounters'] });
+      setDeletingMember(null);
       toast({
-        title: 'Member deleted',
-        description: 'Member has been removed successfully.',
+        title: mode === 'archive' ? 'Member archived' : 'Member deleted',
+        description: mode === 'archive'
+          ? 'Member has been deactivated and their history kept.'
+          : 'Member has been removed successfully.',
       });
     },
     onError: (error) => {
@@ -246,16 +519,20 @@ export default function Members() {
     },
   });
 
-  const filteredMembers = members?.filter(member => {
-    const matchesSearch = !searchTerm || 
-      member.firstName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      member.lastName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      member.employeeId.toLowerCase().includes(searchTerm.toLowerCase());
-    
-    const matchesUnion = selectedUnion === 'all' || member.union === selectedUnion;
-    
-    return matchesSearch && matchesUnion;
-  }) || [];
+  const handleUnionChange = (union) => {
+    setSelectedUnion(union);
+    setOffset(0);
+  };
+
+  const handleCoachChange = (coach) => {
+    setSelectedCoach(coach);
+    setOffset(0);
+  };
+
+  const handleSortingChange = (nextSorting) => {
+    setSorting(nextSorting);
+    setOffset(0);
+  };
 
   const handleEdit = (member) => {
     setEditingMember(member);
@@ -263,9 +540,7 @@ export default function Members() {
   };
 
   const handleDelete = (member) => {
-    if (confirm(`Are you sure you want to delete ${member.firstName} ${member.lastName}?`)) {
-      deleteMutation.mutate(member.id);
-    }
+    setDeletingMember(member);
   };
 
   const handleDialogClose = () => {
@@ -296,29 +571,68 @@ export default function Members() {
           </p>
         </div>
         
-        <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
-          <DialogTrigger asChild>
-            <Button onClick={() => setEditingMember(null)}>
-              <Plus className="h-4 w-4 mr-2" />
-              Add Member
-            </Button>
-          </DialogTrigger>
-          <DialogContent className="max-w-2xl">
-            <DialogHeader>
-              <DialogTitle>
-                {editingMember ? 'Edit Member' : 'Add New Member'}
-              </DialogTitle>
-              <DialogDescription>
-                {editingMember ? 'Update member information' : 'Add a new first responder to the program'}
-              </DialogDescription>
-            </DialogHeader>
-            <MemberForm
-              member={editingMember}
-              onSuccess={handleDialogClose}
-              onCancel={handleDialogClose}
-            />
-          </DialogContent>
-        </Dialog>
+        <div className="flex gap-2 items-center">
+          <RecentlyDeleted
+            title="Recently Deleted Members"
+            queryKey={['members', 'deleted']}
+            fetchDeleted={membersAPI.getDeleted}
+            restore={membersAPI.restore}
+            invalidateKey="members"
+            renderItem={(member) => (
+              <div>
+                <div className="font-medium">{member.firstName} {member.lastName}</div>
+                <div className="text-sm text-muted-foreground">{member.employeeId}</div>
+              </div>
+            )}
+          />
+
+          <ExportButton path="/members/export" params={filters} name="members" />
+
+          <Dialog open={importDialogOpen} onOpenChange={setImportDialogOpen}>
+            <DialogTrigger asChild>
+              <Button variant="outline">
+                <Upload className="h-4 w-4 mr-2" />
+                Import Roster
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+              <DialogHeader>
+                <DialogTitle>Import Roster</DialogTitle>
+                <DialogDescription>
+                  Add members from a union roster; nothing is saved until you import
+                </DialogDescription>
+              </DialogHeader>
+              <RosterImportWizard
+                onSuccess={() => setImportDialogOpen(false)}
+                onCancel={() => setImportDialogOpen(false)}
+              />
+            </DialogContent>
+          </Dialog>
+
+          <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+            <DialogTrigger asChild>
+              <Button onClick={() => setEditingMember(null)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Member
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+              <DialogHeader>
+                <DialogTitle>
+                  {editingMember ? 'Edit Member' : 'Add New Member'}
+                </DialogTitle>
+                <DialogDescription>
+                  {editingMember ? 'Update member information' : 'Add a new first responder to the program'}
+                </DialogDescription>
+              </DialogHeader>
+              <MemberForm
+                member={editingMember}
+                onSuccess={handleDialogClose}
+                onCancel={handleDialogClose}
+              />
+            </DialogContent>
+          </Dialog>
+        </div>
       </div>
 
       {/* Filters */}
@@ -334,7 +648,7 @@ export default function Members() {
                 <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
                 <Input
                   id="search"
-                  placeholder="Search by name or employee ID..."
+                  placeholder="Search by name, employee ID, condition or topic..."
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                   className="pl-10"
@@ -343,7 +657,7 @@ export default function Members() {
             </div>
             <div className="w-48">
               <Label htmlFor="union">Union</Label>
-              <Select value={selectedUnion} onValueChange={setSelectedUnion}>
+              <Select value={selectedUnion} onValueChange={handleUnionChange}>
                 <SelectTrigger>
                   <SelectValue placeholder="All unions" />
                 </SelectTrigger>
@@ -355,6 +669,19 @@ export default function Members() {
                 </SelectContent>
               </Select>
             </div>
+            <div className="w-48">
+              <Label htmlFor="coach">Caseload</Label>
+              <Select value={selectedCoach} onValueChange={handleCoachChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All members" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All members</SelectItem>
+                  <SelectItem value="me">My members</SelectItem>
+                  <SelectItem value="unassigned">Unassigned</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
           </div>
         </CardContent>
       </Card>
@@ -362,7 +689,7 @@ export default function Members() {
       {/* Members Table */}
       <Card>
         <CardHeader>
-          <CardTitle>Members ({filteredMembers.length})</CardTitle>
+          <CardTitle>Members ({membersPage?.total ?? 0})</CardTitle>
           <CardDescription>
             All registered first responders in the program
           </CardDescription>
@@ -371,16 +698,23 @@ export default function Members() {
           <Table>
             <TableHeader>
               <TableRow>
-                <TableHead>Member</TableHead>
-                <TableHead>Union</TableHead>
+                <SortableTableHead column="lastName" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Member
+                </SortableTableHead>
+                <SortableTableHead column="union" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Union
+                </SortableTableHead>
                 <TableHead>Age</TableHead>
                 <TableHead>Gender</TableHead>
-                <TableHead>Joined</TableHead>
+                <TableHead>Coach</TableHead>
+                <SortableTableHead column="createdAt" sorting={sorting} onSortingChange={handleSortingChange}>
+                  Joined
+                </SortableTableHead>
                 <TableHead>Actions</TableHead>
               </TableRow>
             </TableHeader>
             <TableBody>
-              {filteredMembers.map((member) => (
+              {members.map((member) => (
                 <MemberRow
                   key={member.id}
                   member={member}
@@ -390,8 +724,21 @@ export default function Members() {
               ))}
             </TableBody>
           </Table>
+          <ListPagination
+            total={membersPage?.total ?? 0}
+            limit={PAGE_SIZE}
+            offset={offset}
+            onOffsetChange={setOffset}
+          />
         </CardContent>
       </Card>
+
+      <DeleteMemberDialog
+        member={deletingMember}
+        onConfirm={(mode) => deleteMutation.mutate({ id: deletingMember.id, mode })}
+        onCancel={() => setDeletingMember(null)}
+        isPending={deleteMutation.isPending}
+      />
     </div>
   );
 }
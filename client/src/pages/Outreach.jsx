@@ -0,0 +1,279 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import { format, formatDistanceToNow } from 'date-fns';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Skeleton } from '@/components/ui/skeleton';
+import { PhoneCall, TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { outreachAPI } from '@/services/api';
+import ListPagination from '@/components/ListPagination';
+import EncounterForm from '@/components/EncounterForm';
+
+const PAGE_SIZE = 25;
+
+const PRIORITY_COLORS = {
+  Critical: 'bg-red-200 text-red-900',
+  High: 'bg-orange-100 text-orange-800',
+  Medium: 'bg-yellow-100 text-yellow-800',
+  Low: 'bg-green-100 text-green-800'
+};
+
+const TREND_ICONS = {
+  rising: { icon: TrendingUp, className: 'text-red-600', label: 'Rising' },
+  falling: { icon: TrendingDown, className: 'text-green-600', label: 'Falling' },
+  stable: { icon: Minus, className: 'text-muted-foreground', label: 'Stable' }
+};
+
+function TrendIndicator({ trend }) {
+  if (!trend) {
+    return <span className="text-sm text-muted-foreground">Not enough readings</span>;
+  }
+
+  const { icon: Icon, className, label } = TREND_ICONS[trend];
+  return (
+    <span className={`flex items-center text-sm ${className}`}>
+      <Icon className="h-4 w-4 mr-1" />
+      {label}
+    </span>
+  );
+}
+
+function QueueRow({ entry, onLogCall }) {
+  return (
+    <TableRow>
+      <TableCell className="font-mono text-muted-foreground">{entry.rank}</TableCell>
+      <TableCell>
+        <Link to={`/members/${entry.id}`} className="font-medium hover:underline">
+          {entry.firstName} {entry.lastName}
+        </Link>
+        <div className="text-sm text-muted-foreground">{entry.employeeId} • {entry.union}</div>
+        {(entry.phone || entry.preferredLanguage) && (
+          <div className="text-xs text-muted-foreground">
+            {[entry.phone, entry.preferredLanguage].filter(Boolean).join(' • ')}
+          </div>
+        )}
+      </TableCell>
+      <TableCell>
+        <Badge className={PRIORITY_COLORS[entry.priority]}>{entry.priority}</Badge>
+        <div className="text-xs text-muted-foreground mt-1">Score {entry.score}</div>
+      </TableCell>
+      <TableCell>
+        {entry.latestReading ? (
+          <>
+            <div className="font-mono">{entry.latestReading.systolic}/{entry.latestReading.diastolic}</div>
+            <div className="text-sm text-muted-foreground">
+              {format(new Date(entry.latestReading.readingDate), 'MMM dd, yyyy')}
+            </div>
+          </>
+        ) : (
+          <span className="text-sm text-muted-foreground">None</span>
+        )}
+      </TableCell>
+      <TableCell>
+        {entry.lastEncounterDate ? (
+          <span className="text-sm">
+            {formatDistanceToNow(new Date(entry.lastEncounterDate), { addSuffix: true })}
+          </span>
+        ) : (
+          <span className="text-sm text-muted-foreground">Never</span>
+        )}
+      </TableCell>
+      <TableCell>
+        <TrendIndicator trend={entry.trend} />
+      </TableCell>
+      <TableCell>
+        <ul className="text-xs space-y-0.5">
+          {entry.reasons.map((reason) => (
+            <li key={reason.factor}>
+              <span className={reason.points < 0 ? 'text-green-700' : 'text-red-700'}>
+                {reason.points > 0 ? `+${reason.points}` : reason.points}
+              </span>{' '}
+              {reason.detail}
+            </li>
+          ))}
+        </ul>
+      </TableCell>
+      <TableCell>
+        <Button size="sm" onClick={() => onLogCall(entry)}>
+          <PhoneCall className="h-4 w-4 mr-1" />
+          Log Call
+        </Button>
+      </TableCell>
+    </TableRow>
+  );
+}
+
+export default function Outreach() {
+  const [filterPriority, setFilterPriority] = useState('all');
+  const [caseloadScope, setCaseloadScope] = useState('all');
+  const [offset, setOffset] = useState(0);
+  const [callingMember, setCallingMember] = useState(null);
+
+  const queryClient = useQueryClient();
+
+  const queueParams = {
+    limit: PAGE_SIZE,
+    offset,
+    ...(filterPriority !== 'all' && { priority: filterPriority }),
+    ...(caseloadScope === 'me' && { coachId: 'me' }),
+  };
+
+  const { data: queuePage, isLoading } = useQuery({
+    queryKey: ['outreach', 'queue', queueParams],
+    queryFn: () => outreachAPI.getQueue(queueParams).then(res => res.data),
+    placeholderData: keepPreviousData,
+  });
+
+  const queue = queuePage?.data || [];
+
+  const handlePriorityChange = (priority) => {
+    setFilterPriority(priority);
+    setOffset(0);
+  };
+
+  const handleScopeChange = (scope) => {
+    setCaseloadScope(scope);
+    setOffset(0);
+  };
+
+  const handleCallLogged = () => {
+    // A new encounter changes the contact gap, so the member's rank moves
+    queryClient.invalidateQueries({ queryKey: ['outreach'] });
+    setCallingMember(null);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="space-y-6">
+        <Skeleton className="h-8 w-48" />
+        <Skeleton className="h-64 w-full" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Today's Calls</h1>
+        <p className="text-muted-foreground">
+          Members ranked by risk, time since their last reading and contact, and blood pressure trend
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between">
+          <div>
+            <CardTitle>Call List ({queuePage?.total ?? 0})</CardTitle>
+            <CardDescription>
+              Hypertensive crisis members are always at the top
+            </CardDescription>
+          </div>
+          <div className="flex space-x-2">
+            <div className="w-40">
+              <Select value={caseloadScope} onValueChange={handleScopeChange}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All members</SelectItem>
+                  <SelectItem value="me">My members</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="w-48">
+              <Select value={filterPriority} onValueChange={handlePriorityChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All priorities" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All priorities</SelectItem>
+                  <SelectItem value="Critical">Critical</SelectItem>
+                  <SelectItem value="High">High</SelectItem>
+                  <SelectItem value="Medium">Medium</SelectItem>
+                  <SelectItem value="Low">Low</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>#</TableHead>
+                <TableHead>Member</TableHead>
+                <TableHead>Priority</TableHead>
+                <TableHead>Latest Reading</TableHead>
+                <TableHead>Last Contact</TableHead>
+                <TableHead>Trend</TableHead>
+                <TableHead>Why</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {queue.map((entry) => (
+                <QueueRow key={entry.id} entry={entry} onLogCall={setCallingMember} />
+              ))}
+              {queue.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center text-muted-foreground py-8">
+                    No members to call
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <ListPagination
+            total={queuePage?.total ?? 0}
+            limit={PAGE_SIZE}
+            offset={offset}
+            onOffsetChange={setOffset}
+          />
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!callingMember} onOpenChange={(open) => !open && setCallingMember(null)}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>Log Call</DialogTitle>
+            <DialogDescription>
+              {callingMember && `${callingMember.firstName} ${callingMember.lastName} • ${callingMember.priority} priority${callingMember.phone ? ` • ${callingMember.phone}` : ''}`}
+            </DialogDescription>
+          </DialogHeader>
+          {callingMember && (
+            <EncounterForm
+              key={callingMember.id}
+              defaultMemberId={callingMember.id}
+              onSuccess={handleCallLogged}
+              onCancel={() => setCallingMember(null)}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
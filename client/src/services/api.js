@@ -12,6 +12,10 @@ const api = axios.create({
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -26,41 +30,128 @@ api.interceptors.response.use(
   },
   (error) => {
     console.error('API Error:', error.response?.data || error.message);
+
+    // Missing, expired or insufficient credentials: send the user back to log in
+    const status = error.response?.status;
+    const isLoginRequest = error.config?.url === '/auth/login';
+    if ((status === 401 || status === 403) && !isLoginRequest) {
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+      if (window.location.pathname !== '/login') {
+        window.location.assign('/login');
+      }
+    }
+
     return Promise.reject(error);
   }
 );
 
+// Auth API
+export const authAPI = {
+  login: (credentials) => api.post('/auth/login', credentials),
+  getProfile: () => api.get('/auth/profile'),
+};
+
 // Members API
 export const membersAPI = {
-  getAll: () => api.get('/members'),
+  getAll: (params) => api.get('/members', { params }),
+  search: (q, limit) => api.get('/members/search', { params: { q, limit } }),
   getById: (id) => api.get(`/members/${id}`),
   create: (data) => api.post('/members', data),
   update: (id, data) => api.put(`/members/${id}`, data),
-  delete: (id) => api.delete(`/members/${id}`),
+  delete: (id, mode) => api.delete(`/members/${id}`, { params: mode ? { mode } : undefined }),
+  getDependents: (id) => api.get(`/members/${id}/dependents`),
+  getCoaches: () => api.get('/members/coaches'),
+  assignCoach: (id, data) => api.put(`/members/${id}/coach`, data),
+  getCoachHistory: (id) => api.get(`/members/${id}/coach-history`),
+  getConsents: (id) => api.get(`/members/${id}/consents`),
+  importRoster: (data) => api.post('/members/import', data),
+  getDeleted: () => api.get('/members/deleted'),
+  restore: (id) => api.post(`/members/${id}/restore`),
 };
 
 // Blood Pressure API
 export const bloodPressureAPI = {
-  getAll: () => api.get('/blood-pressure-readings'),
+  getAll: (params) => api.get('/blood-pressure-readings', { params }),
   getByMember: (memberId) => api.get(`/blood-pressure-readings/member/${memberId}`),
   create: (data) => api.post('/blood-pressure-readings', data),
   update: (id, data) => api.put(`/blood-pressure-readings/${id}`, data),
   delete: (id) => api.delete(`/blood-pressure-readings/${id}`),
+  getDeleted: () => api.get('/blood-pressure-readings/deleted'),
+  restore: (id) => api.post(`/blood-pressure-readings/${id}/restore`),
+  getGuideline: () => api.get('/blood-pressure-readings/guideline'),
+  reclassify: () => api.post('/blood-pressure-readings/reclassify'),
+  importHistory: (data) => api.post('/blood-pressure-readings/import', data),
+  createSession: (data) => api.post('/blood-pressure-readings/sessions', data),
+  getSessionsByMember: (memberId) => api.get(`/blood-pressure-readings/sessions/member/${memberId}`),
+  deleteSession: (id) => api.delete(`/blood-pressure-readings/sessions/${id}`),
+  restoreSession: (id) => api.post(`/blood-pressure-readings/sessions/${id}/restore`),
 };
 
 // Encounters API
 export const encountersAPI = {
-  getAll: () => api.get('/encounters'),
+  getAll: (params) => api.get('/encounters', { params }),
   getByMember: (memberId) => api.get(`/encounters/member/${memberId}`),
   create: (data) => api.post('/encounters', data),
   update: (id, data) => api.put(`/encounters/${id}`, data),
   delete: (id) => api.delete(`/encounters/${id}`),
+  getDeleted: () => api.get('/encounters/deleted'),
+  restore: (id) => api.post(`/encounters/${id}/restore`),
 };
 
 // Medical History API
 export const medicalHistoryAPI = {
   getByMember: (memberId) => api.get(`/medical-history/member/${memberId}`),
   create: (data) => api.post('/medical-history', data),
+  update: (id, data) => api.put(`/medical-history/${id}`, data),
+  delete: (id) => api.delete(`/medical-history/${id}`),
+  restore: (id) => api.post(`/medical-history/${id}/restore`),
+};
+
+// Medications API
+export const medicationsAPI = {
+  getByMember: (memberId) => api.get(`/medications/member/${memberId}`),
+  create: (data) => api.post('/medications', data),
+  update: (id, data) => api.put(`/medications/${id}`, data),
+  delete: (id) => api.delete(`/medications/${id}`),
+  restore: (id) => api.post(`/medications/${id}/restore`),
+  getAdherence: (memberId) => api.get(`/medications/member/${memberId}/adherence`),
+  recordAdherence: (data) => api.post('/medications/adherence', data),
+};
+
+// Alerts API
+export const alertsAPI = {
+  getAll: (params) => api.get('/alerts', { params }),
+  getSummary: () => api.get('/alerts/summary'),
+  getById: (id) => api.get(`/alerts/${id}`),
+  acknowledge: (id, data) => api.post(`/alerts/${id}/acknowledge`, data),
+  resolve: (id, data) => api.post(`/alerts/${id}/resolve`, data),
+};
+
+// Follow-ups API
+export const followUpsAPI = {
+  getAll: (params) => api.get('/follow-ups', { params }),
+  getOverdue: (params) => api.get('/follow-ups/overdue', { params }),
+  getAssignees: () => api.get('/follow-ups/assignees'),
+  create: (data) => api.post('/follow-ups', data),
+  update: (id, data) => api.put(`/follow-ups/${id}`, data),
+  complete: (id, data) => api.post(`/follow-ups/${id}/complete`, data),
+  cancel: (id) => api.post(`/follow-ups/${id}/cancel`),
+};
+
+// Messages API
+export const messagesAPI = {
+  getTemplates: () => api.get('/messages/templates'),
+  getAll: (params) => api.get('/messages', { params }),
+  getPreferences: (memberId) => api.get(`/messages/member/${memberId}/preferences`),
+  updatePreferences: (memberId, data) => api.put(`/messages/member/${memberId}/preferences`, data),
+  preview: (data) => api.post('/messages/preview', data),
+  send: (data) => api.post('/messages', data),
+};
+
+// Outreach API
+export const outreachAPI = {
+  getQueue: (params) => api.get('/outreach/queue', { params }),
 };
 
 // Analytics API
@@ -70,7 +161,23 @@ export const analyticsAPI = {
   getClinical: () => api.get('/analytics/clinical'),
   getEngagement: () => api.get('/analytics/engagement'),
   getEquity: () => api.get('/analytics/equity'),
-  getImpact: () => api.get('/analytics/impact'),
+  getImpact: (params) => api.get('/analytics/impact', { params }),
+  getMedications: () => api.get('/analytics/medications'),
+  getSnapshots: (params) => api.get('/analytics/snapshots', { params }),
+};
+
+// Super Admin API
+export const adminAPI = {
+  getAuditLog: (params) => api.get('/admin/audit-log', { params }),
+  getCoachWorkload: (params) => api.get('/admin/coach-workload', { params }),
+  getProgramReports: () => api.get('/admin/reports'),
+  downloadProgramReport: (id) => api.get(`/admin/reports/${id}`, { responseType: 'blob' }),
+  generateProgramReport: (params) => api.get('/admin/reports/program', { params, responseType: 'blob' }),
+};
+
+// Data export API: downloads a list or dataset as a file (format is csv, xlsx or json)
+export const exportAPI = {
+  download: (path, params, format) => api.get(path, { params: { ...params, format }, responseType: 'blob' }),
 };
 
 export default api;
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import api from './api';
+
+const respondWith = (status, data = {}) => (config) => {
+  if (status < 400) {
+    return Promise.resolve({ status, data, headers: {}, config });
+  }
+  const error = new Error(`Request failed with status code ${status}`);
+  error.config = config;
+  error.response = { status, data, headers: {}, config };
+  return Promise.reject(error);
+};
+
+describe('api client', () => {
+  const originalAdapter = api.defaults.adapter;
+  const originalLocation = window.location;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    Object.defineProperty(window, 'location', {
+      configurable: true,
+      value: { pathname: '/members', assign: vi.fn() },
+    });
+  });
+
+  afterEach(() => {
+    api.defaults.adapter = originalAdapter;
+    Object.defineProperty(window, 'location', { configurable: true, value: originalLocation });
+    vi.restoreAllMocks();
+  });
+
+  it('should attach the stored token to requests', async () => {
+    localStorage.setItem('token', 'abc123');
+    const adapter = vi.fn(respondWith(200));
+    api.defaults.adapter = adapter;
+
+    await api.get('/members');
+
+    expect(adapter.mock.calls[0][0].headers.Authorization).toBe('Bearer abc123');
+  });
+
+  it('should not send an Authorization header without a token', async () => {
+    const adapter = vi.fn(respondWith(200));
+    api.defaults.adapter = adapter;
+
+    await api.get('/members');
+
+    expect(adapter.mock.calls[0][0].headers.Authorization).toBeUndefined();
+  });
+
+  it.each([401, 403])('should clear the session and redirect to /login on %i', async (status) => {
+    localStorage.setItem('token', 'abc123');
+    localStorage.setItem('user', '{}');
+    api.defaults.adapter = respondWith(status, { error: 'Denied' });
+
+    await expect(api.get('/members')).rejects.toThrow();
+
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('user')).toBeNull();
+    expect(window.location.assign).toHaveBeenCalledWith('/login');
+  });
+
+  it('should not redirect when the login request itself fails', async () => {
+    api.defaults.adapter = respondWith(401, { error: 'Invalid credentials' });
+
+    await expect(api.post('/auth/login', {})).rejects.toThrow();
+
+    expect(window.location.assign).not.toHaveBeenCalled();
+  });
+});
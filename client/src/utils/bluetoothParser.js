@@ -1,19 +1,10 @@
 // Bluetooth Blood Pressure Data Parser Utilities
 // Helper functions for parsing and validating BP measurements
+import { classifyBloodPressure, DEFAULT_GUIDELINE } from '@shared/bpClassification';
 
-// HTN Status calculation based on AHA guidelines
-export function calculateHTNStatus(systolic, diastolic) {
-  if (systolic >= 180 || diastolic >= 120) {
-    return 'Crisis';
-  } else if (systolic >= 140 || diastolic >= 90) {
-    return 'Stage 2';
-  } else if (systolic >= 130 || diastolic >= 80) {
-    return 'Stage 1';
-  } else if (systolic >= 120 && diastolic < 80) {
-    return 'Elevated';
-  } else {
-    return 'Normal';
-  }
+// HTN Status calculation using the same guideline engine as the server
+export function calculateHTNStatus(systolic, diastolic, guideline = DEFAULT_GUIDELINE) {
+  return classifyBloodPressure(systolic, diastolic, guideline).status;
 }
 
 // Validate blood pressure reading values
@@ -57,7 +48,7 @@ export function validateBPReading(systolic, diastolic, heartRate = null) {
 }
 
 // Format measurement for display
-export function formatMeasurement(measurement) {
+export function formatMeasurement(measurement, guideline = DEFAULT_GUIDELINE) {
   if (!measurement) return null;
   
   const { systolic, diastolic, heartRate, timestamp, deviceTimestamp } = measurement;
@@ -70,7 +61,7 @@ export function formatMeasurement(measurement) {
     systolic,
     diastolic,
     heartRate: heartRate ? `${heartRate} bpm` : null,
-    htnStatus: calculateHTNStatus(systolic, diastolic),
+    htnStatus: calculateHTNStatus(systolic, diastolic, guideline),
     timestamp: measurementTime,
     formattedTime: formatTimestamp(measurementTime)
   };
@@ -2,6 +2,10 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Dependency-free modules shared with the server (e.g. BP classification)
+const sharedDir = fileURLToPath(new URL('../server/src/shared', import.meta.url))
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -9,6 +13,12 @@ export default defineConfig({
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),
+      "@shared": sharedDir,
+    },
+  },
+  server: {
+    fs: {
+      allow: [fileURLToPath(new URL('.', import.meta.url)), sharedDir],
     },
   },
 })
@@ -0,0 +1,233 @@
+import { eq, and, inArray, isNotNull, lte, ne } from 'drizzle-orm';
+import {
+  db,
+  alerts,
+  alertDeliveries,
+  members,
+  bloodPressureReadings,
+  measurementSessions,
+  users,
+  type Alert,
+  type BloodPressureReading
+} from '../db/index.js';
+import type { HtnStatus } from '../shared/bpClassification.js';
+import type { Role } from '../middleware/permissions.js';
+import { activeChannels, type AlertNotification } from './channels.js';
+
+// Severe but below crisis: ESC/ESH grade 2 and above
+export const SEVERE_SYSTOLIC = 160;
+export const SEVERE_DIASTOLIC = 100;
+
+export const DEFAULT_ESCALATION_MINUTES = 15;
+
+// Who is notified at each escalation level; the last level is final
+export const ESCALATION_ROLES: Role[][] = [
+  ['user', 'admin', 'super_admin'],
+  ['admin', 'super_admin'],
+  ['super_admin']
+];
+
+export type AlertSeverity = Alert['severity'];
+
+interface AlertSource {
+  memberId: string;
+  readingId?: string | null;
+  sessionId?: string | null;
+  systolic: number;
+  diastolic: number;
+  htnStatus: HtnStatus;
+}
+
+// Crisis under the active guideline is critical; a severe reading that is not a crisis still alerts
+export function alertSeverity(htnStatus: HtnStatus, systolic: number, diastolic: number): AlertSeverity | null {
+  if (htnStatus === 'Crisis') return 'critical';
+  if (systolic >= SEVERE_SYSTOLIC || diastolic >= SEVERE_DIASTOLIC) return 'severe';
+  return null;
+}
+
+// Minutes an open alert waits before escalating, from ALERT_ESCALATION_MINUTES
+export function escalationIntervalMs() {
+  const configured = Number(process.env.ALERT_ESCALATION_MINUTES);
+  const minutes = Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_ESCALATION_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+const nextEscalation = (level: number, from: Date) =>
+  level < ESCALATION_ROLES.length - 1 ? new Date(from.getTime() + escalationIntervalMs()) : null;
+
+function recipientsFor(level: number) {
+  return db.select({ email: users.email })
+    .from(users)
+    .where(and(inArray(users.role, ESCALATION_ROLES[level]), eq(users.isActive, true)))
+    .all()
+    .map(user => user.email);
+}
+
+function formatNotification(alert: Alert, member: AlertNotification['member'], escalationLevel: number) {
+  const label = alert.severity === 'critical' ? 'Hypertensive crisis' : 'Severe blood pressure';
+  const prefix = escalationLevel > 0 ? `[Escalation ${escalationLevel}] ` : '';
+  const subject = `${prefix}${label}: ${member.firstName} ${member.lastName} ${alert.systolic}/${alert.diastolic} mmHg`;
+  const text = [
+    `${label} reading recorded for ${member.firstName} ${member.lastName} (employee ${member.employeeId}).`,
+    `Reading: ${alert.systolic}/${alert.diastolic} mmHg (${alert.htnStatus})`,
+    `Recorded: ${alert.createdAt.toISOString()}`,
+    escalationLevel > 0 ? `This alert has not been acknowledged and was escalated to level ${escalationLevel}.` : '',
+    'Acknowledge it in the Alerts inbox.'
+  ].filter(Boolean).join('\n');
+
+  return { subject, text };
+}
+
+// What an alert was raised about and has since been deleted, if anything: nobody should be
+// paged about a member, reading or session that is no longer on file
+function deletedSource(alert: Alert): 'member' | 'reading' | 'session' | null {
+  const isDeleted = (row: { deletedAt: Date | null } | undefined) => !row || row.deletedAt !== null;
+
+  if (isDeleted(db.select({ deletedAt: members.deletedAt }).from(members).where(eq(members.id, alert.memberId)).get())) {
+    return 'member';
+  }
+  if (alert.readingId && isDeleted(db.select({ deletedAt: bloodPressureReadings.deletedAt })
+    .from(bloodPressureReadings)
+    .where(eq(bloodPressureReadings.id, alert.readingId))
+    .get())) {
+    return 'reading';
+  }
+  if (alert.sessionId && isDeleted(db.select({ deletedAt: measurementSessions.deletedAt })
+    .from(measurementSessions)
+    .where(eq(measurementSessions.id, alert.sessionId))
+    .get())) {
+    return 'session';
+  }
+  return null;
+}
+
+// Send an alert through every active channel and record each attempt. A failing channel
+// does not stop the others. Alerts whose member, reading or session was deleted are not sent.
+export async function notifyAlert(alert: Alert, escalationLevel: number = alert.escalationLevel) {
+  if (deletedSource(alert)) return;
+
+  const member = db.select({
+    id: members.id,
+    firstName: members.firstName,
+    lastName: members.lastName,
+    employeeId: members.employeeId
+  })
+  .from(members)
+  .where(eq(members.id, alert.memberId))
+  .get();
+
+  if (!member) return;
+
+  const recipients = recipientsFor(escalationLevel);
+  const notification: AlertNotification = {
+    alert,
+    member,
+    escalationLevel,
+    recipients,
+    ...formatNotification(alert, member, escalationLevel)
+  };
+
+  for (const channel of activeChannels()) {
+    let error: string | null = null;
+    try {
+      await channel.send(notification);
+    } catch (sendError) {
+      error = sendError instanceof Error ? sendError.message : String(sendError);
+      console.error(`Error sending alert ${alert.id} via ${channel.name}:`, sendError);
+    }
+
+    db.insert(alertDeliveries).values({
+      alertId: alert.id,
+      channel: channel.name,
+      escalationLevel,
+      recipients,
+      status: error ? 'failed' : 'sent',
+      error
+    }).run();
+  }
+}
+
+// Raise an alert if the reading is a crisis or severe. A reading only ever has one unresolved
+// alert, so re-saving it does not page anyone twice. Notification runs in the background.
+export function raiseAlert(source: AlertSource): Alert | null {
+  const severity = alertSeverity(source.htnStatus, source.systolic, source.diastolic);
+  if (!severity) return null;
+
+  if (source.readingId) {
+    const existing = db.select({ id: alerts.id })
+      .from(alerts)
+      .where(and(eq(alerts.readingId, source.readingId), ne(alerts.status, 'resolved')))
+      .get();
+    if (existing) return null;
+  }
+
+  const now = new Date();
+  const alert = db.insert(alerts).values({
+    memberId: source.memberId,
+    readingId: source.readingId ?? null,
+    sessionId: source.sessionId ?? null,
+    severity,
+    systolic: source.systolic,
+    diastolic: source.diastolic,
+    htnStatus: source.htnStatus,
+    escalateAt: nextEscalation(0, now),
+    createdAt: now
+  }).returning().get();
+
+  notifyAlert(alert).catch(error => console.error('Error notifying alert:', error));
+
+  return alert;
+}
+
+export function raiseAlertForReading(reading: BloodPressureReading) {
+  return raiseAlert({
+    memberId: reading.memberId,
+    readingId: reading.id,
+    systolic: reading.systolic,
+    diastolic: reading.diastolic,
+    htnStatus: reading.htnStatus
+  });
+}
+
+// Escalate open alerts whose timer has run out: bump the level, notify the next tier and
+// start the next timer (none after the final level). An alert whose member, reading or
+// session has been deleted is resolved instead.
+export async function escalateDueAlerts(now: Date = new Date()) {
+  const due = db.select()
+    .from(alerts)
+    .where(and(eq(alerts.status, 'open'), isNotNull(alerts.escalateAt), lte(alerts.escalateAt, now)))
+    .all();
+
+  let escalatedCount = 0;
+
+  for (const alert of due) {
+    const deleted = deletedSource(alert);
+    if (deleted) {
+      db.update(alerts)
+        .set({
+          status: 'resolved',
+          resolvedAt: now,
+          resolutionNote: `Resolved automatically: the ${deleted} was deleted`,
+          escalateAt: null
+        })
+        .where(and(eq(alerts.id, alert.id), eq(alerts.status, 'open')))
+        .run();
+      continue;
+    }
+
+    const escalationLevel = Math.min(alert.escalationLevel + 1, ESCALATION_ROLES.length - 1);
+    const escalated = db.update(alerts)
+      .set({ escalationLevel, escalateAt: nextEscalation(escalationLevel, now) })
+      .where(and(eq(alerts.id, alert.id), eq(alerts.status, 'open')))
+      .returning()
+      .get();
+
+    // Acknowledged between the select and the update
+    if (!escalated) continue;
+
+    escalatedCount++;
+    await notifyAlert(escalated, escalationLevel);
+  }
+
+  return escalatedCount;
+}
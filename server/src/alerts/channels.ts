@@ -0,0 +1,100 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import type { Alert } from '../db/index.js';
+
+// What a channel receives for one notification attempt (first notice or an escalation)
+export interface AlertNotification {
+  alert: Alert;
+  member: { id: string; firstName: string; lastName: string; employeeId: string };
+  escalationLevel: number;
+  recipients: string[];
+  subject: string;
+  text: string;
+}
+
+export interface AlertChannel {
+  name: string;
+  send(notification: AlertNotification): Promise<void>;
+}
+
+// Server log; always safe to enable
+export const logChannel: AlertChannel = {
+  name: 'log',
+  async send({ subject, recipients }) {
+    console.warn(`🚨 ${subject} → ${recipients.length > 0 ? recipients.join(', ') : 'no recipients'}`);
+  }
+};
+
+// Local SMTP stand-in: writes each message as an .eml file into ALERT_OUTBOX_DIR
+export const emailChannel: AlertChannel = {
+  name: 'email',
+  async send({ alert, escalationLevel, recipients, subject, text }) {
+    const outbox = process.env.ALERT_OUTBOX_DIR || 'alerts-outbox';
+    const from = process.env.ALERT_EMAIL_FROM || 'alerts@htn-prevention.local';
+    const message = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text
+    ].join('\r\n');
+
+    await mkdir(outbox, { recursive: true });
+    await writeFile(path.join(outbox, `${Date.now()}-${alert.id}-L${escalationLevel}.eml`), message);
+  }
+};
+
+// POSTs the notification as JSON to ALERT_WEBHOOK_URL (paging service, chat bot, etc.)
+export const webhookChannel: AlertChannel = {
+  name: 'webhook',
+  async send(notification) {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('ALERT_WEBHOOK_URL is not set');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notification),
+      signal: AbortSignal.timeout(5000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+};
+
+const AVAILABLE_CHANNELS: Record<string, AlertChannel> = {
+  log: logChannel,
+  email: emailChannel,
+  webhook: webhookChannel
+};
+
+let channelOverride: AlertChannel[] | null = null;
+
+// Replace the configured channels (tests, or embedding a custom channel); null restores ALERT_CHANNELS
+export function setAlertChannels(channels: AlertChannel[] | null) {
+  channelOverride = channels;
+}
+
+// Channels enabled with ALERT_CHANNELS, a comma-separated list of log, email and webhook
+export function activeChannels(): AlertChannel[] {
+  if (channelOverride) return channelOverride;
+
+  return (process.env.ALERT_CHANNELS || 'log')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .flatMap(name => {
+      const channel = AVAILABLE_CHANNELS[name];
+      if (!channel) {
+        console.warn(`Unknown alert channel "${name}" in ALERT_CHANNELS, skipping`);
+        return [];
+      }
+      return [channel];
+    });
+}
@@ -0,0 +1,49 @@
+import { isControlled } from './medicationControl.js';
+
+// A member has improved when their latest systolic is at least this far below their first
+export const IMPROVEMENT_MMHG = 5;
+
+type CaseloadReading = {
+  memberId: string;
+  systolic: number;
+  diastolic: number;
+  readingDate: Date;
+};
+
+// BP outcomes across one coach's caseload, judged on each member's first and latest reading
+export function caseloadOutcomes(memberIds: string[], readings: CaseloadReading[]) {
+  const caseload = new Set(memberIds);
+  const readingsByMember = new Map<string, CaseloadReading[]>();
+
+  readings
+    .filter(reading => caseload.has(reading.memberId))
+    .forEach(reading => {
+      const memberReadings = readingsByMember.get(reading.memberId) ?? [];
+      memberReadings.push(reading);
+      readingsByMember.set(reading.memberId, memberReadings);
+    });
+
+  let controlled = 0;
+  let improved = 0;
+  let latestSystolicTotal = 0;
+
+  readingsByMember.forEach(memberReadings => {
+    const sorted = [...memberReadings].sort((a, b) => a.readingDate.getTime() - b.readingDate.getTime());
+    const first = sorted[0];
+    const latest = sorted[sorted.length - 1];
+
+    if (isControlled(latest)) controlled++;
+    if (sorted.length > 1 && first.systolic - latest.systolic >= IMPROVEMENT_MMHG) improved++;
+    latestSystolicTotal += latest.systolic;
+  });
+
+  const membersWithReadings = readingsByMember.size;
+
+  return {
+    membersWithReadings,
+    controlled,
+    controlRate: membersWithReadings > 0 ? Math.round((controlled / membersWithReadings) * 1000) / 10 : null,
+    improved,
+    avgLatestSystolic: membersWithReadings > 0 ? Math.round((latestSystolicTotal / membersWithReadings) * 10) / 10 : null
+  };
+}
@@ -0,0 +1,113 @@
+import { eq, and, desc, sql } from 'drizzle-orm';
+import { z } from 'zod';
+import { db, members, memberConsents, type MemberConsent } from './index.js';
+import { CONSENT_TYPES, CONSENT_VERSIONS, type ConsentType } from '../shared/consent.js';
+
+// Consent decisions submitted with a member; omitted types are left as they are
+export const consentChangesSchema = z.object({
+  program_participation: z.boolean().optional(),
+  data_sharing: z.boolean().optional(),
+  messaging: z.boolean().optional()
+});
+
+export type ConsentChanges = z.infer<typeof consentChangesSchema>;
+
+export type CurrentConsents = Record<ConsentType, MemberConsent | null>;
+
+// Consent rows are append-only, so the highest rowid of a type is the member's current decision
+const isLatestConsent = sql`${memberConsents}.rowid = (
+  select max(latest.rowid) from member_consents latest
+  where latest.member_id = ${memberConsents.memberId} and latest.consent_type = ${memberConsents.consentType}
+)`;
+
+export function currentConsents(memberId: string): CurrentConsents {
+  const records = db.select()
+    .from(memberConsents)
+    .where(eq(memberConsents.memberId, memberId))
+    .orderBy(desc(sql`${memberConsents}.rowid`))
+    .all();
+
+  return Object.fromEntries(
+    CONSENT_TYPES.map(type => [type, records.find(record => record.consentType === type) ?? null])
+  ) as CurrentConsents;
+}
+
+export function hasConsent(memberId: string, type: ConsentType) {
+  return currentConsents(memberId)[type]?.granted === true;
+}
+
+// Members whose current decision for a consent type is a grant
+export function membersWithConsent(type: ConsentType): Set<string> {
+  return new Set(
+    db.select({ memberId: memberConsents.memberId })
+      .from(memberConsents)
+      .where(and(eq(memberConsents.consentType, type), eq(memberConsents.granted, true), isLatestConsent))
+      .all()
+      .map(row => row.memberId)
+  );
+}
+
+// SQL condition on members: the member's current decision for this consent is a grant
+export function consentGranted(type: ConsentType) {
+  return sql`exists (
+    select 1 from ${memberConsents}
+    where ${memberConsents.memberId} = ${members.id}
+      and ${memberConsents.consentType} = ${type}
+      and ${memberConsents.granted} = 1
+      and ${isLatestConsent}
+  )`;
+}
+
+// SQL condition on members: the member has withdrawn (not merely never given) this consent
+export function consentWithdrawn(type: ConsentType) {
+  return sql`exists (
+    select 1 from ${memberConsents}
+    where ${memberConsents.memberId} = ${members.id}
+      and ${memberConsents.consentType} = ${type}
+      and ${memberConsents.granted} = 0
+      and ${isLatestConsent}
+  )`;
+}
+
+// Record each decision that differs from the member's current one. Granting a consent that
+// was given to an older form version records a new grant under the current version.
+export function recordConsentChanges(memberId: string, changes: ConsentChanges, recordedBy: string | null) {
+  const current = currentConsents(memberId);
+  const now = new Date();
+
+  const records = CONSENT_TYPES.flatMap(type => {
+    const granted = changes[type];
+    if (granted === undefined) return [];
+
+    const existing = current[type];
+    const unchanged = existing
+      && existing.granted === granted
+      && (!granted || existing.version === CONSENT_VERSIONS[type]);
+    if (unchanged) return [];
+
+    // A first-ever "no" is worth keeping too: it shows the member was asked
+    return [{ memberId, consentType: type, granted, version: CONSENT_VERSIONS[type], recordedBy, recordedAt: now }];
+  });
+
+  if (records.length > 0) {
+    db.insert(memberConsents).values(records).run();
+  }
+
+  return records.length;
+}
+
+// Current consent decisions in API form: granted, version and when, keyed by type
+export function consentSummary(memberId: string) {
+  const current = currentConsents(memberId);
+  return Object.fromEntries(CONSENT_TYPES.map(type => {
+    const record = current[type];
+    return [type, record
+      ? {
+          granted: record.granted,
+          version: record.version,
+          isCurrentVersion: record.version === CONSENT_VERSIONS[type],
+          recordedAt: record.recordedAt
+        }
+      : null];
+  })) as Record<ConsentType, { granted: boolean; version: string; isCurrentVersion: boolean; recordedAt: Date } | null>;
+}
@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { normalizePhone, isValidEmail } from '../shared/contact.js';
+
+// PRD Appendix B: phone and email must be valid. Phones are stored in E.164 form.
+export const phoneSchema = z.string().transform((value, ctx) => {
+  const phone = normalizePhone(value);
+  if (!phone) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid phone number' });
+    return z.NEVER;
+  }
+  return phone;
+});
+
+export const emailSchema = z.string().trim().toLowerCase().refine(isValidEmail, 'Invalid email address');
+
+// Contact fields accepted on member create/update; null clears a field
+export const contactFieldsSchema = z.object({
+  phone: phoneSchema.nullable().optional(),
+  email: emailSchema.nullable().optional(),
+  addressLine1: z.string().trim().min(1).max(100).nullable().optional(),
+  addressLine2: z.string().trim().min(1).max(100).nullable().optional(),
+  city: z.string().trim().min(2).max(50).nullable().optional(),
+  state: z.string().trim().regex(/^[A-Za-z]{2}$/, 'State must be a 2-letter code').toUpperCase().nullable().optional(),
+  postalCode: z.string().trim().regex(/^\d{5}(-\d{4})?$/, 'ZIP code must be 5 or 9 digits').nullable().optional(),
+  preferredLanguage: z.string().trim().min(2).max(50).nullable().optional()
+});
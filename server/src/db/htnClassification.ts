@@ -0,0 +1,96 @@
+import { eq, ne } from 'drizzle-orm';
+import { db, bloodPressureReadings, measurementSessions } from './index.js';
+import {
+  classifyBloodPressure,
+  isGuidelineId,
+  DEFAULT_GUIDELINE,
+  type GuidelineId
+} from '../shared/bpClassification.js';
+import { summarizeSession, type SessionReadingInput } from '../shared/measurementSession.js';
+
+// Guideline selected for this deployment with BP_GUIDELINE (aha-acc-2017, esc-esh-2018 or jnc7)
+export function activeGuideline(): GuidelineId {
+  const configured = process.env.BP_GUIDELINE;
+
+  if (!configured) return DEFAULT_GUIDELINE;
+  if (isGuidelineId(configured)) return configured;
+
+  console.warn(`Unknown BP_GUIDELINE "${configured}", falling back to ${DEFAULT_GUIDELINE}`);
+  return DEFAULT_GUIDELINE;
+}
+
+// Classify a reading under the active guideline; the result is what gets stored on the row
+export function classifyReading(systolic: number, diastolic: number) {
+  const classification = classifyBloodPressure(systolic, diastolic, activeGuideline());
+
+  return {
+    classification,
+    columns: {
+      htnStatus: classification.status,
+      guideline: classification.guideline,
+      htnRule: classification.ruleId
+    }
+  };
+}
+
+// Average a measurement session under the active guideline
+export function summarizeReadings<T extends SessionReadingInput>(readings: T[]) {
+  return summarizeSession(readings, activeGuideline());
+}
+
+// Re-run classification on readings stored under a different guideline than the active one.
+// Soft-deleted readings are included so a restore does not bring back a stale stage.
+// Measurement sessions are reclassified from their mean, and their readings from their own values.
+export function reclassifyReadings(guidelineId: GuidelineId = activeGuideline()) {
+  return db.transaction((tx) => {
+    const sessions = tx.select({
+      id: measurementSessions.id,
+      meanSystolic: measurementSessions.meanSystolic,
+      meanDiastolic: measurementSessions.meanDiastolic
+    })
+    .from(measurementSessions)
+    .where(ne(measurementSessions.guideline, guidelineId))
+    .all();
+
+    sessions.forEach(session => {
+      const classification = classifyBloodPressure(session.meanSystolic, session.meanDiastolic, guidelineId);
+
+      tx.update(measurementSessions)
+        .set({
+          htnStatus: classification.status,
+          guideline: classification.guideline,
+          htnRule: classification.ruleId
+        })
+        .where(eq(measurementSessions.id, session.id))
+        .run();
+    });
+
+    const stale = tx.select({
+      id: bloodPressureReadings.id,
+      systolic: bloodPressureReadings.systolic,
+      diastolic: bloodPressureReadings.diastolic,
+      htnStatus: bloodPressureReadings.htnStatus
+    })
+    .from(bloodPressureReadings)
+    .where(ne(bloodPressureReadings.guideline, guidelineId))
+    .all();
+
+    let statusChanged = 0;
+
+    stale.forEach(reading => {
+      const classification = classifyBloodPressure(reading.systolic, reading.diastolic, guidelineId);
+      if (classification.status !== reading.htnStatus) statusChanged++;
+
+      tx.update(bloodPressureReadings)
+        .set({
+          htnStatus: classification.status,
+          guideline: classification.guideline,
+          htnRule: classification.ruleId
+        })
+        .where(eq(bloodPressureReadings.id, reading.id))
+        .run();
+    });
+
+    return { guideline: guidelineId, reclassified: stale.length, statusChanged };
+  });
+}
@@ -0,0 +1,185 @@
+import { isControlled } from './medicationControl.js';
+import { classifyBloodPressure, HTN_STATUSES } from '../shared/bpClassification.js';
+
+// Program impact outcomes (PRD §4.4): how members' blood pressure has moved since their first
+// reading. Only members with at least MIN_TREND_READINGS readings are compared (rule 3), and
+// every rate and mean comes with a 95% confidence interval so small cohorts read as such.
+// Baseline and current readings are classified under the default guideline, so a stage change
+// is never just a change of guideline.
+
+export const MIN_TREND_READINGS = 3;
+export const RECENT_WINDOW_DAYS = 90;
+const CONTROL_HISTORY_MONTHS = 12;
+// A line through two monthly rates is only their difference; a trend needs a third month to
+// show a direction
+export const MIN_CONTROL_TREND_MONTHS = 3;
+
+// 'latest' compares the first reading with the latest one; 'last90Days' with the mean of the
+// readings taken in the last 90 days
+export const IMPACT_COMPARISONS = ['latest', 'last90Days'] as const;
+export type ImpactComparison = typeof IMPACT_COMPARISONS[number];
+
+type ReadingForOutcome = {
+  memberId: string;
+  systolic: number;
+  diastolic: number;
+  readingDate: Date;
+};
+
+export interface Interval {
+  lower: number;
+  upper: number;
+}
+
+export interface Proportion {
+  count: number;
+  of: number;
+  // Percentages to one decimal place; null when there is nobody to count
+  rate: number | null;
+  ci: Interval | null;
+}
+
+export interface MeanChange {
+  members: number;
+  mean: number | null;
+  ci: Interval | null;
+}
+
+const Z_95 = 1.96;
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom; larger samples use Z_95
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const round = (value: number) => Math.round(value * 10) / 10;
+
+// Wilson score interval, which stays inside 0-100% for small samples and extreme rates
+export function proportion(count: number, of: number): Proportion {
+  if (of === 0) return { count, of, rate: null, ci: null };
+
+  const p = count / of;
+  const denominator = 1 + (Z_95 ** 2) / of;
+  const center = (p + (Z_95 ** 2) / (2 * of)) / denominator;
+  const margin = (Z_95 * Math.sqrt((p * (1 - p)) / of + (Z_95 ** 2) / (4 * of ** 2))) / denominator;
+
+  return {
+    count,
+    of,
+    rate: round(p * 100),
+    ci: { lower: round(Math.max(0, center - margin) * 100), upper: round(Math.min(1, center + margin) * 100) }
+  };
+}
+
+// Mean with a t-based interval; a single value has no interval
+export function meanChange(values: number[]): MeanChange {
+  const n = values.length;
+  if (n === 0) return { members: 0, mean: null, ci: null };
+
+  const mean = values.reduce((total, value) => total + value, 0) / n;
+  if (n === 1) return { members: n, mean: round(mean), ci: null };
+
+  const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / (n - 1);
+  const margin = (T_95[n - 2] ?? Z_95) * Math.sqrt(variance / n);
+  return { members: n, mean: round(mean), ci: { lower: round(mean - margin), upper: round(mean + margin) } };
+}
+
+const stageRank = (systolic: number, diastolic: number) =>
+  HTN_STATUSES.indexOf(classifyBloodPressure(systolic, diastolic).status);
+
+const byDate = (a: ReadingForOutcome, b: ReadingForOutcome) => a.readingDate.getTime() - b.readingDate.getTime();
+
+const monthOf = (date: Date) => date.toISOString().slice(0, 7);
+
+// Least-squares slope of the monthly control rate, in percentage points per month. Months with no
+// readings are skipped; fewer than MIN_CONTROL_TREND_MONTHS months give no trend.
+function controlTrend(months: ({ month: string } & Proportion)[]) {
+  const points = months
+    .map((month, index) => ({ x: index, y: month.rate }))
+    .filter((point): point is { x: number; y: number } => point.y !== null);
+  if (points.length < MIN_CONTROL_TREND_MONTHS) return null;
+
+  const meanX = points.reduce((total, point) => total + point.x, 0) / points.length;
+  const meanY = points.reduce((total, point) => total + point.y, 0) / points.length;
+  const covariance = points.reduce((total, point) => total + (point.x - meanX) * (point.y - meanY), 0);
+  const spread = points.reduce((total, point) => total + (point.x - meanX) ** 2, 0);
+  return { months: points.length, pointsPerMonth: round(covariance / spread) };
+}
+
+export function impactOutcomes(
+  readings: ReadingForOutcome[],
+  { compare = 'latest', now = new Date() }: { compare?: ImpactComparison; now?: Date } = {}
+) {
+  const byMember = new Map<string, ReadingForOutcome[]>();
+  readings.forEach(reading => {
+    byMember.set(reading.memberId, [...(byMember.get(reading.memberId) ?? []), reading]);
+  });
+
+  const windowStart = new Date(now.getTime() - RECENT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  let tooFewReadings = 0;
+  let noRecentReadings = 0;
+  const compared: { baseline: { systolic: number; diastolic: number }; current: { systolic: number; diastolic: number } }[] = [];
+
+  byMember.forEach(memberReadings => {
+    if (memberReadings.length < MIN_TREND_READINGS) {
+      tooFewReadings++;
+      return;
+    }
+    const [baseline, ...followUps] = [...memberReadings].sort(byDate);
+
+    if (compare === 'latest') {
+      compared.push({ baseline, current: followUps[followUps.length - 1] });
+      return;
+    }
+    const recent = followUps.filter(reading => reading.readingDate >= windowStart && reading.readingDate <= now);
+    if (recent.length === 0) {
+      noRecentReadings++;
+      return;
+    }
+    compared.push({
+      baseline,
+      current: {
+        systolic: Math.round(recent.reduce((total, reading) => total + reading.systolic, 0) / recent.length),
+        diastolic: Math.round(recent.reduce((total, reading) => total + reading.diastolic, 0) / recent.length)
+      }
+    });
+  });
+
+  const shifts = compared.map(({ baseline, current }) =>
+    Math.sign(stageRank(current.systolic, current.diastolic) - stageRank(baseline.systolic, baseline.diastolic)));
+
+  // Each month's control rate among members with a reading that month, from their last reading in it
+  const controlByMonth = Array.from({ length: CONTROL_HISTORY_MONTHS }, (_, index) => {
+    const month = monthOf(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (CONTROL_HISTORY_MONTHS - 1 - index), 1)));
+    const lastInMonth = new Map<string, ReadingForOutcome>();
+    readings.forEach(reading => {
+      if (monthOf(reading.readingDate) !== month) return;
+      const current = lastInMonth.get(reading.memberId);
+      if (!current || reading.readingDate > current.readingDate) lastInMonth.set(reading.memberId, reading);
+    });
+    const monthReadings = [...lastInMonth.values()];
+    return { month, ...proportion(monthReadings.filter(isControlled).length, monthReadings.length) };
+  });
+
+  return {
+    compare,
+    minimumReadings: MIN_TREND_READINGS,
+    minimumTrendMonths: MIN_CONTROL_TREND_MONTHS,
+    membersCompared: compared.length,
+    membersExcluded: { tooFewReadings, noRecentReadings },
+    stageChange: {
+      improved: proportion(shifts.filter(shift => shift < 0).length, shifts.length),
+      unchanged: shifts.filter(shift => shift === 0).length,
+      worsened: shifts.filter(shift => shift > 0).length
+    },
+    systolicChange: meanChange(compared.map(({ baseline, current }) => current.systolic - baseline.systolic)),
+    diastolicChange: meanChange(compared.map(({ baseline, current }) => current.diastolic - baseline.diastolic)),
+    control: {
+      baseline: proportion(compared.filter(({ baseline }) => isControlled(baseline)).length, compared.length),
+      current: proportion(compared.filter(({ current }) => isControlled(current)).length, compared.length)
+    },
+    controlByMonth,
+    controlTrend: controlTrend(controlByMonth)
+  };
+}
@@ -0,0 +1,38 @@
+import { asc, desc } from 'drizzle-orm';
+import type { SQLiteColumn } from 'drizzle-orm/sqlite-core';
+import { z } from 'zod';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+// Query-string parameters shared by every paginated list endpoint
+export const paginationSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+  offset: z.coerce.number().int().min(0).default(0),
+  order: z.enum(['asc', 'desc']).optional()
+});
+
+// Query-string booleans arrive as the strings "true" / "false"
+export const queryBoolean = z.enum(['true', 'false']).transform(value => value === 'true');
+
+export function orderByColumn(column: SQLiteColumn, order: 'asc' | 'desc') {
+  return order === 'asc' ? asc(column) : desc(column);
+}
+
+export function startOfDay(date: Date): Date {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
+
+// Date-range filters include the whole end day
+export function endOfDay(date: Date): Date {
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+}
+
+// Response envelope for paginated lists
+export function paginated<T>(data: T[], total: number, { limit, offset }: { limit: number; offset: number }) {
+  return { data, total, limit, offset };
+}
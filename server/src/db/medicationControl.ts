@@ -0,0 +1,63 @@
+import { MEDICATION_CLASSES } from './schema.js';
+
+// AHA/ACC treatment goal: a reading is "controlled" below 130/80
+export const CONTROLLED_SYSTOLIC = 130;
+export const CONTROLLED_DIASTOLIC = 80;
+
+type ReadingForControl = {
+  memberId: string;
+  systolic: number;
+  diastolic: number;
+  readingDate: Date;
+};
+
+type MedicationCourse = {
+  memberId: string;
+  drugClass: string;
+  startDate: Date;
+  stopDate: Date | null;
+};
+
+export function isControlled(reading: { systolic: number; diastolic: number }) {
+  return reading.systolic < CONTROLLED_SYSTOLIC && reading.diastolic < CONTROLLED_DIASTOLIC;
+}
+
+// True when the member was taking the course on the reading date (stop date is exclusive)
+function coversReading(course: MedicationCourse, reading: ReadingForControl) {
+  return course.memberId === reading.memberId
+    && course.startDate <= reading.readingDate
+    && (course.stopDate === null || reading.readingDate < course.stopDate);
+}
+
+const controlRate = (readings: ReadingForControl[]) => {
+  const controlled = readings.filter(isControlled).length;
+  return {
+    readings: readings.length,
+    controlled,
+    controlRate: readings.length > 0 ? Math.round((controlled / readings.length) * 1000) / 10 : null
+  };
+};
+
+// Compare BP control for readings taken on vs off each drug class.
+// Only members who have ever had a medication course are counted, so "off" means
+// treated members on other classes or between courses rather than the untreated population.
+export function medicationClassControl(readings: ReadingForControl[], courses: MedicationCourse[]) {
+  const treatedMembers = new Set(courses.map(course => course.memberId));
+  const treatedReadings = readings.filter(reading => treatedMembers.has(reading.memberId));
+
+  return MEDICATION_CLASSES
+    .map(drugClass => {
+      const classCourses = courses.filter(course => course.drugClass === drugClass);
+      const onReadings = new Set(treatedReadings.filter(reading =>
+        classCourses.some(course => coversReading(course, reading))));
+      const offReadings = treatedReadings.filter(reading => !onReadings.has(reading));
+
+      return {
+        drugClass,
+        members: new Set(classCourses.map(course => course.memberId)).size,
+        on: controlRate([...onReadings]),
+        off: controlRate(offReadings)
+      };
+    })
+    .filter(row => row.members > 0);
+}
@@ -0,0 +1,96 @@
+import { sql } from 'drizzle-orm';
+import { db, members } from './index.js';
+
+// FTS5 index over the text a coach might remember a member by. Drizzle can't declare
+// virtual tables, so the index is created here and kept in sync by reindexMember().
+const CREATE_INDEX = sql.raw(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS member_search USING fts5(
+    member_id UNINDEXED,
+    name,
+    employee_id,
+    conditions,
+    topics,
+    tokenize = 'unicode61 remove_diacritics 2'
+  )
+`);
+
+// bm25 column weights: member_id, name, employee_id, conditions, topics
+const RANK = sql.raw('bm25(member_search, 0.0, 10.0, 10.0, 3.0, 1.0)');
+
+let indexReady = false;
+
+function ensureIndex() {
+  if (!indexReady) {
+    db.run(CREATE_INDEX);
+    indexReady = true;
+  }
+}
+
+// Turn free text into an FTS5 query: every term must match, each as a prefix
+export function toMatchExpression(query: string): string | null {
+  const terms = query
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean);
+
+  if (terms.length === 0) return null;
+
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// Rebuild one member's index row; deleted members are dropped from the index
+export function reindexMember(memberId: string) {
+  ensureIndex();
+
+  db.run(sql`DELETE FROM member_search WHERE member_id = ${memberId}`);
+  db.run(sql`
+    INSERT INTO member_search (member_id, name, employee_id, conditions, topics)
+    SELECT
+      m.id,
+      m.first_name || ' ' || m.last_name,
+      m.employee_id,
+      (SELECT group_concat(condition || ' ' || coalesce(icd10_code, '') || ' ' || coalesce(notes, ''), ' ')
+        FROM medical_history WHERE member_id = m.id AND deleted_at IS NULL),
+      (SELECT group_concat(topic, ' ') FROM encounters WHERE member_id = m.id AND deleted_at IS NULL)
+    FROM members m
+    WHERE m.id = ${memberId} AND m.deleted_at IS NULL
+  `);
+}
+
+export function rebuildMemberSearchIndex() {
+  ensureIndex();
+
+  const rows = db.all<{ id: string }>(sql`SELECT id FROM members WHERE deleted_at IS NULL`);
+  db.transaction(() => {
+    db.run(sql`DELETE FROM member_search`);
+    rows.forEach(row => reindexMember(row.id));
+  });
+
+  return rows.length;
+}
+
+// WHERE condition restricting a members query to search matches
+export function memberSearchCondition(query: string) {
+  ensureIndex();
+
+  const expression = toMatchExpression(query);
+  if (!expression) return undefined;
+
+  return sql`${members.id} IN (SELECT member_id FROM member_search WHERE member_search MATCH ${expression})`;
+}
+
+// Ranked search; best matches first
+export function searchMembers(query: string, limit: number) {
+  ensureIndex();
+
+  const expression = toMatchExpression(query);
+  if (!expression) return [];
+
+  return db.all<{ id: string; rank: number }>(sql`
+    SELECT member_id AS id, ${RANK} AS rank
+    FROM member_search
+    WHERE member_search MATCH ${expression}
+    ORDER BY rank
+    LIMIT ${limit}
+  `);
+}
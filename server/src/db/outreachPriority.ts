@@ -0,0 +1,145 @@
+import type { HtnStatus } from '../shared/bpClassification.js';
+
+// Outreach call-list ranking. Priority comes from the latest HTN stage (PRD §4.3), so Crisis
+// members always sit at the top; within a priority, members are ordered by a score built from
+// the stage, how long since their last reading and last contact, their trend and open alerts.
+
+export type OutreachPriority = 'Critical' | 'High' | 'Medium' | 'Low';
+export type Trend = 'rising' | 'falling' | 'stable';
+
+export const PRIORITY_ORDER: OutreachPriority[] = ['Critical', 'High', 'Medium', 'Low'];
+
+const PRIORITY_BY_STATUS: Record<HtnStatus, OutreachPriority> = {
+  Crisis: 'Critical',
+  'Stage 2': 'High',
+  'Stage 1': 'Medium',
+  Elevated: 'Low',
+  Normal: 'Low'
+};
+
+const STAGE_POINTS: Record<HtnStatus, number> = {
+  Crisis: 100,
+  'Stage 2': 60,
+  'Stage 1': 40,
+  Elevated: 20,
+  Normal: 0
+};
+
+// Members with no readings still need a baseline
+export const NO_READING_POINTS = 30;
+
+// PRD §4.4: a trend needs at least 3 data points
+export const TREND_MIN_READINGS = 3;
+export const TREND_WINDOW = 5;
+export const TREND_THRESHOLD_MMHG = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type QueueReading = {
+  systolic: number;
+  diastolic: number;
+  htnStatus: HtnStatus;
+  readingDate: Date;
+};
+
+export interface OutreachInput {
+  readings: QueueReading[];
+  lastEncounterDate: Date | null;
+  openAlerts: number;
+}
+
+export interface RankingReason {
+  factor: 'stage' | 'reading_gap' | 'contact_gap' | 'trend' | 'alert';
+  points: number;
+  detail: string;
+}
+
+const daysBetween = (from: Date, to: Date) => Math.floor((to.getTime() - from.getTime()) / DAY_MS);
+
+// Compare the latest systolic with the mean of the readings before it (newest first, up to TREND_WINDOW)
+export function readingTrend(readings: QueueReading[]): Trend | null {
+  if (readings.length < TREND_MIN_READINGS) return null;
+
+  const [latest, ...earlier] = [...readings]
+    .sort((a, b) => b.readingDate.getTime() - a.readingDate.getTime())
+    .slice(0, TREND_WINDOW);
+  const baseline = earlier.reduce((sum, reading) => sum + reading.systolic, 0) / earlier.length;
+  const change = latest.systolic - baseline;
+
+  if (change >= TREND_THRESHOLD_MMHG) return 'rising';
+  if (change <= -TREND_THRESHOLD_MMHG) return 'falling';
+  return 'stable';
+}
+
+export function scoreOutreach({ readings, lastEncounterDate, openAlerts }: OutreachInput, now: Date = new Date()) {
+  const reasons: RankingReason[] = [];
+  const latest = readings.reduce<QueueReading | null>(
+    (newest, reading) => (!newest || reading.readingDate > newest.readingDate ? reading : newest),
+    null
+  );
+
+  if (latest) {
+    reasons.push({
+      factor: 'stage',
+      points: STAGE_POINTS[latest.htnStatus],
+      detail: `Latest reading ${latest.systolic}/${latest.diastolic} is ${latest.htnStatus}`
+    });
+
+    const readingAge = daysBetween(latest.readingDate, now);
+    if (readingAge > 90) {
+      reasons.push({ factor: 'reading_gap', points: 20, detail: `No reading in ${readingAge} days` });
+    } else if (readingAge > 30) {
+      reasons.push({ factor: 'reading_gap', points: 10, detail: `No reading in ${readingAge} days` });
+    }
+  } else {
+    reasons.push({ factor: 'stage', points: NO_READING_POINTS, detail: 'No blood pressure reading on file' });
+  }
+
+  if (!lastEncounterDate) {
+    reasons.push({ factor: 'contact_gap', points: 20, detail: 'Never contacted' });
+  } else {
+    const contactAge = daysBetween(lastEncounterDate, now);
+    if (contactAge > 60) {
+      reasons.push({ factor: 'contact_gap', points: 15, detail: `Last contacted ${contactAge} days ago` });
+    } else if (contactAge > 30) {
+      reasons.push({ factor: 'contact_gap', points: 10, detail: `Last contacted ${contactAge} days ago` });
+    } else if (contactAge < 7) {
+      reasons.push({ factor: 'contact_gap', points: -15, detail: `Contacted ${contactAge === 0 ? 'today' : `${contactAge} days ago`}` });
+    }
+  }
+
+  const trend = readingTrend(readings);
+  if (trend === 'rising') {
+    reasons.push({ factor: 'trend', points: 15, detail: 'Systolic trending up' });
+  } else if (trend === 'falling') {
+    reasons.push({ factor: 'trend', points: -10, detail: 'Systolic trending down' });
+  }
+
+  if (openAlerts > 0) {
+    reasons.push({ factor: 'alert', points: 25, detail: `${openAlerts} unacknowledged alert${openAlerts > 1 ? 's' : ''}` });
+  }
+
+  // Members without a reading are unstaged; Medium keeps them ahead of members known to be controlled
+  const priority: OutreachPriority = latest ? PRIORITY_BY_STATUS[latest.htnStatus] : 'Medium';
+
+  return {
+    priority,
+    score: reasons.reduce((sum, reason) => sum + reason.points, 0),
+    latestReading: latest,
+    trend,
+    reasons
+  };
+}
+
+export type OutreachScore = ReturnType<typeof scoreOutreach>;
+
+// Priority first (Crisis on top), then score, then longest since contact
+export function compareOutreach(
+  a: OutreachScore & { lastEncounterDate: Date | null },
+  b: OutreachScore & { lastEncounterDate: Date | null }
+) {
+  const byPriority = PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority);
+  if (byPriority !== 0) return byPriority;
+  if (a.score !== b.score) return b.score - a.score;
+  return (a.lastEncounterDate?.getTime() ?? 0) - (b.lastEncounterDate?.getTime() ?? 0);
+}
@@ -1,4 +1,4 @@
-import { sqliteTable, text, integer } from 'drizzle-orm/sqlite-core';
+import { sqliteTable, text, integer, real, blob, unique } from 'drizzle-orm/sqlite-core';
 import { relations } from 'drizzle-orm';
 
 // Users Table
@@ -7,7 +7,7 @@ export const users = sqliteTable('users', {
   username: text('username', { length: 50 }).notNull().unique(),
   email: text('email', { length: 100 }).notNull().unique(),
   passwordHash: text('password_hash', { length: 255 }).notNull(),
-  role: text('role', { enum: ['user', 'admin', 'super_admin'] }).default('user').notNull(),
+  role: text('role', { enum: ['user', 'admin', 'super_admin', 'analyst'] }).default('user').notNull(),
   firstName: text('first_name', { length: 50 }).notNull(),
   lastName: text('last_name', { length: 50 }).notNull(),
   isActive: integer('is_active', { mode: 'boolean' }).default(true).notNull(),
@@ -25,10 +25,63 @@ export const members = sqliteTable('members', {
   dateOfBirth: integer('date_of_birth', { mode: 'timestamp' }).notNull(),
   gender: text('gender', { length: 10 }).notNull(),
   union: text('union', { enum: ['Firefighters', 'Police', 'EMS'] }).notNull(),
+  phone: text('phone', { length: 20 }),
+  email: text('email', { length: 254 }),
+  addressLine1: text('address_line1', { length: 100 }),
+  addressLine2: text('address_line2', { length: 100 }),
+  city: text('city', { length: 50 }),
+  state: text('state', { length: 2 }),
+  postalCode: text('postal_code', { length: 10 }),
+  preferredLanguage: text('preferred_language', { length: 50 }),
+  isActive: integer('is_active', { mode: 'boolean' }).default(true).notNull(),
+  coachId: text('coach_id').references(() => users.id),
+  archivedAt: integer('archived_at', { mode: 'timestamp' }),
+  deletedAt: integer('deleted_at', { mode: 'timestamp' }),
+  deletedBy: text('deleted_by'),
   createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull(),
   updatedAt: integer('updated_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
 });
 
+// Member Consents Table (append-only; the latest row per member and consent type is current)
+export const memberConsents = sqliteTable('member_consents', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  consentType: text('consent_type', { enum: ['program_participation', 'data_sharing', 'messaging'] }).notNull(),
+  granted: integer('granted', { mode: 'boolean' }).notNull(),
+  version: text('version', { length: 20 }).notNull(),
+  recordedBy: text('recorded_by'),
+  recordedAt: integer('recorded_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Caseload Assignments Table (history of a member's primary coach; coachId is null when unassigned)
+export const caseloadAssignments = sqliteTable('caseload_assignments', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  coachId: text('coach_id').references(() => users.id),
+  previousCoachId: text('previous_coach_id').references(() => users.id),
+  reason: text('reason', { length: 200 }),
+  assignedBy: text('assigned_by'),
+  assignedAt: integer('assigned_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Measurement Sessions Table (AHA protocol: several readings averaged into one result)
+export const measurementSessions = sqliteTable('measurement_sessions', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  startedAt: integer('started_at', { mode: 'timestamp' }).notNull(),
+  readingCount: integer('reading_count').notNull(),
+  includedCount: integer('included_count').notNull(),
+  meanSystolic: integer('mean_systolic').notNull(),
+  meanDiastolic: integer('mean_diastolic').notNull(),
+  meanHeartRate: integer('mean_heart_rate'),
+  htnStatus: text('htn_status', { enum: ['Normal', 'Elevated', 'Stage 1', 'Stage 2', 'Crisis'] }).notNull(),
+  guideline: text('guideline', { length: 20 }).default('aha-acc-2017').notNull(),
+  htnRule: text('htn_rule', { length: 50 }),
+  deletedAt: integer('deleted_at', { mode: 'timestamp' }),
+  deletedBy: text('deleted_by'),
+  createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
 // Blood Pressure Readings Table
 export const bloodPressureReadings = sqliteTable('blood_pressure_readings', {
   id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
@@ -38,6 +91,16 @@ export const bloodPressureReadings = sqliteTable('blood_pressure_readings', {
   heartRate: integer('heart_rate'),
   readingDate: integer('reading_date', { mode: 'timestamp' }).notNull(),
   htnStatus: text('htn_status', { enum: ['Normal', 'Elevated', 'Stage 1', 'Stage 2', 'Crisis'] }).notNull(),
+  guideline: text('guideline', { length: 20 }).default('aha-acc-2017').notNull(),
+  htnRule: text('htn_rule', { length: 50 }),
+  sessionId: text('session_id').references(() => measurementSessions.id),
+  sessionFlag: text('session_flag', { enum: ['discarded_first', 'outlier'] }),
+  // Historical readings imported from a device export keep the device's reading date
+  source: text('source', { length: 100 }),
+  importedAt: integer('imported_at', { mode: 'timestamp' }),
+  importedBy: text('imported_by'),
+  deletedAt: integer('deleted_at', { mode: 'timestamp' }),
+  deletedBy: text('deleted_by'),
   createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
 });
 
@@ -51,34 +114,258 @@ export const encounters = sqliteTable('encounters', {
   content: text('content').notNull(),
   callStatus: text('call_status', { length: 50 }).notNull(),
   callerName: text('caller_name', { length: 100 }).notNull(),
+  recordedBy: text('recorded_by'),
   encounterDate: integer('encounter_date', { mode: 'timestamp' }).notNull(),
   isCompleted: integer('is_completed', { mode: 'boolean' }).default(false).notNull(),
+  deletedAt: integer('deleted_at', { mode: 'timestamp' }),
+  deletedBy: text('deleted_by'),
   createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
 });
 
+// Follow-ups Table (scheduled next contact with a member; overdue once the due date has passed)
+export const followUps = sqliteTable('follow_ups', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  encounterId: text('encounter_id').references(() => encounters.id),
+  assignedTo: text('assigned_to').notNull(),
+  dueDate: integer('due_date', { mode: 'timestamp' }).notNull(),
+  reason: text('reason', { length: 200 }).notNull(),
+  status: text('status', { enum: ['scheduled', 'completed', 'cancelled'] }).default('scheduled').notNull(),
+  completedEncounterId: text('completed_encounter_id').references(() => encounters.id),
+  completedAt: integer('completed_at', { mode: 'timestamp' }),
+  createdBy: text('created_by'),
+  createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull(),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
 // Medical History Table
 export const medicalHistory = sqliteTable('medical_history', {
   id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
   memberId: text('member_id').notNull().references(() => members.id),
   condition: text('condition', { length: 200 }).notNull(),
+  icd10Code: text('icd10_code', { length: 10 }),
+  status: text('status', { enum: ['active', 'resolved'] }).default('active').notNull(),
+  onsetDate: integer('onset_date', { mode: 'timestamp' }),
+  severity: text('severity', { enum: ['mild', 'moderate', 'severe'] }),
   notes: text('notes'),
   reportedDate: integer('reported_date', { mode: 'timestamp' }).notNull(),
+  deletedAt: integer('deleted_at', { mode: 'timestamp' }),
+  deletedBy: text('deleted_by'),
+  createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull(),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Antihypertensive drug classes tracked for BP-control comparisons
+export const MEDICATION_CLASSES = [
+  'ACE inhibitor',
+  'ARB',
+  'Calcium channel blocker',
+  'Thiazide diuretic',
+  'Loop diuretic',
+  'Beta blocker',
+  'Mineralocorticoid antagonist',
+  'Alpha blocker',
+  'Other'
+] as const;
+
+// Medications Table
+export const medications = sqliteTable('medications', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  drugName: text('drug_name', { length: 100 }).notNull(),
+  drugClass: text('drug_class', { enum: MEDICATION_CLASSES }).notNull(),
+  dose: text('dose', { length: 50 }).notNull(),
+  frequency: text('frequency', { length: 50 }).notNull(),
+  startDate: integer('start_date', { mode: 'timestamp' }).notNull(),
+  stopDate: integer('stop_date', { mode: 'timestamp' }),
+  prescriber: text('prescriber', { length: 100 }),
+  notes: text('notes'),
+  deletedAt: integer('deleted_at', { mode: 'timestamp' }),
+  deletedBy: text('deleted_by'),
+  createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull(),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Medication Adherence Log Table (member-level, optionally tied to an encounter or medication)
+export const medicationAdherence = sqliteTable('medication_adherence', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  medicationId: text('medication_id').references(() => medications.id),
+  encounterId: text('encounter_id').references(() => encounters.id),
+  adherence: text('adherence', { enum: ['Adherent', 'Partially adherent', 'Non-adherent'] }).notNull(),
+  missedDoses: integer('missed_doses'),
+  barriers: text('barriers'),
+  recordedBy: text('recorded_by'),
+  recordedAt: integer('recorded_at', { mode: 'timestamp' }).notNull(),
+  createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Clinical Alerts Table (crisis or severe readings; acknowledged by clinicians, escalated when ignored)
+export const alerts = sqliteTable('alerts', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  readingId: text('reading_id').references(() => bloodPressureReadings.id),
+  sessionId: text('session_id').references(() => measurementSessions.id),
+  severity: text('severity', { enum: ['critical', 'severe'] }).notNull(),
+  systolic: integer('systolic').notNull(),
+  diastolic: integer('diastolic').notNull(),
+  htnStatus: text('htn_status', { enum: ['Normal', 'Elevated', 'Stage 1', 'Stage 2', 'Crisis'] }).notNull(),
+  status: text('status', { enum: ['open', 'acknowledged', 'resolved'] }).default('open').notNull(),
+  escalationLevel: integer('escalation_level').default(0).notNull(),
+  escalateAt: integer('escalate_at', { mode: 'timestamp' }),
+  acknowledgedBy: text('acknowledged_by'),
+  acknowledgedAt: integer('acknowledged_at', { mode: 'timestamp' }),
+  acknowledgementNote: text('acknowledgement_note'),
+  resolvedBy: text('resolved_by'),
+  resolvedAt: integer('resolved_at', { mode: 'timestamp' }),
+  resolutionNote: text('resolution_note'),
+  createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Alert Deliveries Table (one row per channel per notification attempt)
+export const alertDeliveries = sqliteTable('alert_deliveries', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  alertId: text('alert_id').notNull().references(() => alerts.id),
+  channel: text('channel', { length: 20 }).notNull(),
+  escalationLevel: integer('escalation_level').notNull(),
+  recipients: text('recipients', { mode: 'json' }).$type<string[]>(),
+  status: text('status', { enum: ['sent', 'failed'] }).notNull(),
+  error: text('error'),
+  sentAt: integer('sent_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Member Contact Preferences Table (one row per member; which channel they prefer and any opt-outs)
+export const memberContactPreferences = sqliteTable('member_contact_preferences', {
+  memberId: text('member_id').primaryKey().references(() => members.id),
+  preferredChannel: text('preferred_channel', { enum: ['sms', 'email'] }).default('sms').notNull(),
+  smsOptedOutAt: integer('sms_opted_out_at', { mode: 'timestamp' }),
+  emailOptedOutAt: integer('email_opted_out_at', { mode: 'timestamp' }),
+  updatedBy: text('updated_by'),
+  updatedAt: integer('updated_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Messages Table (every outbound SMS/email attempt; a sent message is also logged as an encounter)
+export const messages = sqliteTable('messages', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  memberId: text('member_id').notNull().references(() => members.id),
+  channel: text('channel', { enum: ['sms', 'email'] }).notNull(),
+  templateId: text('template_id', { length: 50 }).notNull(),
+  followUpId: text('follow_up_id').references(() => followUps.id),
+  recipient: text('recipient', { length: 254 }).notNull(),
+  subject: text('subject', { length: 200 }),
+  body: text('body').notNull(),
+  transport: text('transport', { length: 20 }).notNull(),
+  status: text('status', { enum: ['sent', 'failed'] }).notNull(),
+  error: text('error'),
+  encounterId: text('encounter_id').references(() => encounters.id),
+  sentBy: text('sent_by'),
+  sentAt: integer('sent_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Audit Log Table (PRD §8.4 / §4.5: retained for 7 years)
+export const auditLog = sqliteTable('audit_log', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  userId: text('user_id'),
+  userRole: text('user_role', { length: 20 }),
+  action: text('action', { enum: ['read', 'create', 'update', 'delete', 'restore', 'archive', 'export'] }).notNull(),
+  entityType: text('entity_type', { length: 50 }).notNull(),
+  entityId: text('entity_id'),
+  memberId: text('member_id'),
+  changes: text('changes', { mode: 'json' }),
+  method: text('method', { length: 10 }).notNull(),
+  path: text('path', { length: 500 }).notNull(),
+  ipAddress: text('ip_address', { length: 64 }),
   createdAt: integer('created_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
 });
 
+// Program Reports Table (PRD §8.3: each month's program report, archived as a PDF once the month ends)
+export const programReports = sqliteTable('program_reports', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  month: text('month', { length: 7 }).notNull().unique(),
+  periodStart: integer('period_start', { mode: 'timestamp' }).notNull(),
+  periodEnd: integer('period_end', { mode: 'timestamp' }).notNull(),
+  fileName: text('file_name', { length: 100 }).notNull(),
+  content: blob('content', { mode: 'buffer' }).notNull(),
+  generatedAt: integer('generated_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+});
+
+// Analytics Snapshots Table (PRD §4.5: key KPIs frozen per union, and for all members, as each
+// month ends, so past dashboards can be compared after records change)
+export const analyticsSnapshots = sqliteTable('analytics_snapshots', {
+  id: text('id').primaryKey().$defaultFn(() => crypto.randomUUID()),
+  month: text('month', { length: 7 }).notNull(),
+  union: text('union', { length: 20 }).notNull(),
+  enrolledMembers: integer('enrolled_members').notNull(),
+  newMembers: integer('new_members').notNull(),
+  participatingMembers: integer('participating_members').notNull(),
+  measuredMembers: integer('measured_members').notNull(),
+  controlledMembers: integer('controlled_members').notNull(),
+  normalCount: integer('normal_count').notNull(),
+  elevatedCount: integer('elevated_count').notNull(),
+  stage1Count: integer('stage1_count').notNull(),
+  stage2Count: integer('stage2_count').notNull(),
+  crisisCount: integer('crisis_count').notNull(),
+  avgSystolic: real('avg_systolic'),
+  avgDiastolic: real('avg_diastolic'),
+  readings: integer('readings').notNull(),
+  encounters: integer('encounters').notNull(),
+  completedEncounters: integer('completed_encounters').notNull(),
+  capturedAt: integer('captured_at', { mode: 'timestamp' }).$defaultFn(() => new Date()).notNull()
+}, (table) => ({
+  monthUnion: unique().on(table.month, table.union)
+}));
+
 // Relations
 export const usersRelations = relations(users, ({ many }) => ({}));
 
-export const membersRelations = relations(members, ({ many }) => ({
+export const membersRelations = relations(members, ({ one, many }) => ({
+  coach: one(users, {
+    fields: [members.coachId],
+    references: [users.id]
+  }),
+  caseloadAssignments: many(caseloadAssignments),
+  consents: many(memberConsents),
   bloodPressureReadings: many(bloodPressureReadings),
+  measurementSessions: many(measurementSessions),
   encounters: many(encounters),
-  medicalHistory: many(medicalHistory)
+  followUps: many(followUps),
+  medicalHistory: many(medicalHistory),
+  medications: many(medications),
+  medicationAdherence: many(medicationAdherence),
+  contactPreferences: one(memberContactPreferences),
+  messages: many(messages)
+}));
+
+export const memberConsentsRelations = relations(memberConsents, ({ one }) => ({
+  member: one(members, {
+    fields: [memberConsents.memberId],
+    references: [members.id]
+  })
+}));
+
+export const caseloadAssignmentsRelations = relations(caseloadAssignments, ({ one }) => ({
+  member: one(members, {
+    fields: [caseloadAssignments.memberId],
+    references: [members.id]
+  })
+}));
+
+export const measurementSessionsRelations = relations(measurementSessions, ({ one, many }) => ({
+  member: one(members, {
+    fields: [measurementSessions.memberId],
+    references: [members.id]
+  }),
+  readings: many(bloodPressureReadings)
 }));
 
 export const bloodPressureReadingsRelations = relations(bloodPressureReadings, ({ one }) => ({
   member: one(members, {
     fields: [bloodPressureReadings.memberId],
     references: [members.id]
+  }),
+  session: one(measurementSessions, {
+    fields: [bloodPressureReadings.sessionId],
+    references: [measurementSessions.id]
   })
 }));
 
@@ -89,6 +376,17 @@ export const encountersRelations = relations(encounters, ({ one }) => ({
   })
 }));
 
+export const followUpsRelations = relations(followUps, ({ one }) => ({
+  member: one(members, {
+    fields: [followUps.memberId],
+    references: [members.id]
+  }),
+  encounter: one(encounters, {
+    fields: [followUps.encounterId],
+    references: [encounters.id]
+  })
+}));
+
 export const medicalHistoryRelations = relations(medicalHistory, ({ one }) => ({
   member: one(members, {
     fields: [medicalHistory.memberId],
@@ -96,15 +394,109 @@ export const medicalHistoryRelations = relations(medicalHistory, ({ one }) => ({
   })
 }));
 
+export const medicationsRelations = relations(medications, ({ one, many }) => ({
+  member: one(members, {
+    fields: [medications.memberId],
+    references: [members.id]
+  }),
+  adherence: many(medicationAdherence)
+}));
+
+export const medicationAdherenceRelations = relations(medicationAdherence, ({ one }) => ({
+  member: one(members, {
+    fields: [medicationAdherence.memberId],
+    references: [members.id]
+  }),
+  medication: one(medications, {
+    fields: [medicationAdherence.medicationId],
+    references: [medications.id]
+  }),
+  encounter: one(encounters, {
+    fields: [medicationAdherence.encounterId],
+    references: [encounters.id]
+  })
+}));
+
+export const alertsRelations = relations(alerts, ({ one, many }) => ({
+  member: one(members, {
+    fields: [alerts.memberId],
+    references: [members.id]
+  }),
+  reading: one(bloodPressureReadings, {
+    fields: [alerts.readingId],
+    references: [bloodPressureReadings.id]
+  }),
+  session: one(measurementSessions, {
+    fields: [alerts.sessionId],
+    references: [measurementSessions.id]
+  }),
+  deliveries: many(alertDeliveries)
+}));
+
+export const alertDeliveriesRelations = relations(alertDeliveries, ({ one }) => ({
+  alert: one(alerts, {
+    fields: [alertDeliveries.alertId],
+    references: [alerts.id]
+  })
+}));
+
+export const memberContactPreferencesRelations = relations(memberContactPreferences, ({ one }) => ({
+  member: one(members, {
+    fields: [memberContactPreferences.memberId],
+    references: [members.id]
+  })
+}));
+
+export const messagesRelations = relations(messages, ({ one }) => ({
+  member: one(members, {
+    fields: [messages.memberId],
+    references: [members.id]
+  }),
+  followUp: one(followUps, {
+    fields: [messages.followUpId],
+    references: [followUps.id]
+  }),
+  encounter: one(encounters, {
+    fields: [messages.encounterId],
+    references: [encounters.id]
+  })
+}));
+
 // Types
 export type User = typeof users.$inferSelect;
 export type NewUser = typeof users.$inferInsert;
 export type Member = typeof members.$inferSelect;
 export type NewMember = typeof members.$inferInsert;
+export type MemberConsent = typeof memberConsents.$inferSelect;
+export type NewMemberConsent = typeof memberConsents.$inferInsert;
+export type CaseloadAssignment = typeof caseloadAssignments.$inferSelect;
+export type NewCaseloadAssignment = typeof caseloadAssignments.$inferInsert;
 export type BloodPressureReading = typeof bloodPressureReadings.$inferSelect;
 export type NewBloodPressureReading = typeof bloodPressureReadings.$inferInsert;
+export type MeasurementSession = typeof measurementSessions.$inferSelect;
+export type NewMeasurementSession = typeof measurementSessions.$inferInsert;
 export type Encounter = typeof encounters.$inferSelect;
 export type NewEncounter = typeof encounters.$inferInsert;
+export type FollowUp = typeof followUps.$inferSelect;
+export type NewFollowUp = typeof followUps.$inferInsert;
 export type MedicalHistory = typeof medicalHistory.$inferSelect;
 export type NewMedicalHistory = typeof medicalHistory.$inferInsert;
+export type Medication = typeof medications.$inferSelect;
+export type NewMedication = typeof medications.$inferInsert;
+export type MedicationAdherence = typeof medicationAdherence.$inferSelect;
+export type NewMedicationAdherence = typeof medicationAdherence.$inferInsert;
+export type Alert = typeof alerts.$inferSelect;
+export type NewAlert = typeof alerts.$inferInsert;
+export type AlertDelivery = typeof alertDeliveries.$inferSelect;
+export type NewAlertDelivery = typeof alertDeliveries.$inferInsert;
+export type MemberContactPreferences = typeof memberContactPreferences.$inferSelect;
+export type NewMemberContactPreferences = typeof memberContactPreferences.$inferInsert;
+export type Message = typeof messages.$inferSelect;
+export type NewMessage = typeof messages.$inferInsert;
+export type ProgramReport = typeof programReports.$inferSelect;
+export type NewProgramReport = typeof programReports.$inferInsert;
+export type AnalyticsSnapshot = typeof analyticsSnapshots.$inferSelect;
+export type NewAnalyticsSnapshot = typeof analyticsSnapshots.$inferInsert;
+export type AuditLogEntry = typeof auditLog.$inferSelect;
+export type NewAuditLogEntry = typeof auditLog.$inferInsert;
 
@@ -0,0 +1,21 @@
+// PRD §4.5 rule 3: deleted records are soft-deleted and recoverable for 90 days
+export const RECOVERY_WINDOW_DAYS = 90;
+
+// Rows deleted before this date are past the recovery window
+export function recoveryCutoff(now: Date = new Date()): Date {
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - RECOVERY_WINDOW_DAYS);
+  return cutoff;
+}
+
+export function isRecoverable(deletedAt: Date | null, now: Date = new Date()): boolean {
+  return deletedAt !== null && deletedAt >= recoveryCutoff(now);
+}
+
+// Stamp applied to a row when it is soft-deleted
+export function deletionStamp(req: any) {
+  return {
+    deletedAt: new Date(),
+    deletedBy: req.user?.userId ?? null
+  };
+}
@@ -0,0 +1,25 @@
+import { eq, and, inArray } from 'drizzle-orm';
+import { db, users } from './index.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
+
+// Staff who can own clinical work: follow-ups, caseloads and encounters
+export const CLINICIAN_ROLES = PERMISSIONS.encounters.write;
+
+export async function findActiveClinician(userId: string) {
+  const [clinician] = await db.select({ id: users.id, firstName: users.firstName, lastName: users.lastName })
+    .from(users)
+    .where(and(eq(users.id, userId), eq(users.isActive, true), inArray(users.role, CLINICIAN_ROLES)));
+  return clinician;
+}
+
+export function listActiveClinicians() {
+  return db.select({
+    id: users.id,
+    firstName: users.firstName,
+    lastName: users.lastName,
+    role: users.role
+  })
+  .from(users)
+  .where(and(eq(users.isActive, true), inArray(users.role, CLINICIAN_ROLES)))
+  .orderBy(users.lastName, users.firstName);
+}
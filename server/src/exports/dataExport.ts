@@ -0,0 +1,198 @@
+import type { Request, Response, NextFunction } from 'express';
+import { z } from 'zod';
+import { toCsv } from '../imports/csv.js';
+import { writeXlsx } from './xlsx.js';
+import { recordAudit } from '../middleware/audit.js';
+import type { Role } from '../middleware/permissions.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'] as const;
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+// Entity exports read the database one page at a time and write each page as it arrives
+export const EXPORT_BATCH_SIZE = 1000;
+
+export const exportFormatSchema = z.object({
+  format: z.enum(EXPORT_FORMATS).default('csv')
+});
+
+export interface ExportColumn<T> {
+  // Property name in JSON exports
+  key: string;
+  // Column heading in CSV and XLSX exports
+  header: string;
+  value?: (row: T) => unknown;
+}
+
+export interface ExportTable<T = any> {
+  name: string;
+  columns: ExportColumn<T>[];
+  batches: AsyncIterable<T[]> | Iterable<T[]>;
+}
+
+const CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+// Page through a query until a short page shows there is nothing left
+export async function* batchesOf<T>(fetchPage: (limit: number, offset: number) => Promise<T[]>) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const rows = await fetchPage(EXPORT_BATCH_SIZE, offset);
+    if (rows.length > 0) yield rows;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+const cellValue = <T>(column: ExportColumn<T>, row: T) =>
+  column.value ? column.value(row) : (row as Record<string, unknown>)[column.key];
+
+async function* tableRows<T>(table: ExportTable<T>) {
+  yield [table.columns.map(column => column.header)];
+  for await (const rows of table.batches) {
+    yield rows.map(row => table.columns.map(column => cellValue(column, row)));
+  }
+}
+
+export const exportFileName = (name: string, format: ExportFormat) =>
+  `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+function startDownload(res: Response, name: string, format: ExportFormat) {
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(name, format)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+// Stream tables to the response as a download: CSV (tables one after another, each under its
+// name when there are several), an XLSX workbook with a sheet per table, or JSON (an array of
+// records, or an object of arrays keyed by table name)
+export async function sendExport(res: Response, name: string, format: ExportFormat, tables: ExportTable[]) {
+  const write = (chunk: string | Buffer) =>
+    res.write(chunk) ? undefined : new Promise<void>(resolve => res.once('drain', resolve));
+
+  startDownload(res, name, format);
+  try {
+    if (format === 'xlsx') {
+      await writeXlsx(write, tables.map(table => ({ name: table.name, batches: tableRows(table) })));
+    } else if (format === 'csv') {
+      // Excel needs the byte order mark to read UTF-8 CSV
+      await write('\uFEFF');
+      for (const [index, table] of tables.entries()) {
+        if (tables.length > 1) await write(`${index > 0 ? '\r\n' : ''}${toCsv([[table.name]])}`);
+        for await (const rows of tableRows(table)) await write(toCsv(rows));
+      }
+    } else {
+      const keyed = tables.length > 1;
+      await write(keyed ? '{' : '');
+      for (const [index, table] of tables.entries()) {
+        await write(`${index > 0 ? ',' : ''}${keyed ? `${JSON.stringify(table.name)}:` : ''}[`);
+        let first = true;
+        for await (const rows of table.batches) {
+          const records = rows.map(row => JSON.stringify(Object.fromEntries(
+            table.columns.map(column => [column.key, cellValue(column, row) ?? null])
+          )));
+          if (records.length === 0) continue;
+          await write(`${first ? '' : ','}${records.join(',')}`);
+          first = false;
+        }
+        await write(']');
+      }
+      await write(keyed ? '}' : '');
+    }
+    res.end();
+  } catch (error) {
+    // The download has started, so the status can no longer change; cut it short instead
+    console.error('Error streaming export:', error);
+    res.destroy(error as Error);
+  }
+}
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+
+// Nested objects become dotted column names, e.g. member.firstName
+function flattenRecord(record: Record<string, unknown>, prefix = ''): Record<string, unknown> {
+  return Object.entries(record).reduce<Record<string, unknown>>((flat, [key, value]) => {
+    if (isRecord(value)) Object.assign(flat, flattenRecord(value, `${prefix}${key}.`));
+    else flat[`${prefix}${key}`] = Array.isArray(value) ? value.join(', ') : value;
+    return flat;
+  }, {});
+}
+
+// Lay out a JSON dataset (an analytics response) as tables: each list of records becomes a table
+// of its own, and every other value is listed in a "summary" table of metric/value pairs
+export function datasetTables(dataset: unknown): ExportTable[] {
+  const summary: { metric: string; value: unknown }[] = [];
+  const tables: ExportTable[] = [];
+
+  const visit = (value: unknown, path: string[]) => {
+    const name = path.join('.');
+    if (Array.isArray(value) && value.length > 0 && value.every(isRecord)) {
+      const rows = value.map(record => flattenRecord(record));
+      const keys = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      tables.push({ name: name || 'data', columns: keys.map(key => ({ key, header: key })), batches: [rows] });
+    } else if (isRecord(value)) {
+      Object.entries(value).forEach(([key, child]) => visit(child, [...path, key]));
+    } else if (Array.isArray(value)) {
+      summary.push({ metric: name, value: value.join(', ') });
+    } else {
+      summary.push({ metric: name || 'value', value });
+    }
+  };
+  visit(dataset, []);
+
+  if (summary.length === 0) return tables;
+  return [
+    { name: 'summary', columns: [{ key: 'metric', header: 'Metric' }, { key: 'value', header: 'Value' }], batches: [summary] },
+    ...tables
+  ];
+}
+
+export function recordExport(req: Request, entityType: string) {
+  const user = (req as any).user;
+  return recordAudit({
+    userId: user?.userId ?? null,
+    userRole: user?.role ?? null,
+    action: 'export',
+    entityType,
+    entityId: null,
+    memberId: null,
+    changes: null,
+    method: req.method,
+    path: req.originalUrl,
+    ipAddress: req.ip ?? null
+  });
+}
+
+// Let a JSON dataset route be downloaded with ?format=csv|xlsx|json. The route runs as usual
+// with the same query filters; its response is then sent as a file and the export audited.
+export function exportableDataset(entityType: string, name: string, roles: Role[]) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    if (req.query.format === undefined) return next();
+
+    const parsed = exportFormatSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation failed', details: parsed.error.errors });
+    }
+    if (!roles.includes((req as any).user?.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    const { format } = parsed.data;
+
+    const originalJson = res.json.bind(res);
+    res.json = (body: any) => {
+      if (res.statusCode >= 400) return originalJson(body);
+
+      recordExport(req, entityType);
+      if (format === 'json') {
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(name, format)}"`);
+        return originalJson(body);
+      }
+      sendExport(res, name, format, datasetTables(body));
+      return res;
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,198 @@
+import { deflateSync } from 'zlib';
+
+// Writes a PDF of text, lines and filled rectangles, enough for generated reports. Text uses the
+// standard Helvetica fonts, which every viewer has, so nothing is embedded; characters outside
+// WinAnsi print as "?". Page coordinates are in points from the top-left corner.
+
+export const LETTER = { width: 612, height: 792 };
+
+export type PdfFont = 'regular' | 'bold';
+
+export interface TextOptions {
+  size?: number;
+  font?: PdfFont;
+  // #rrggbb
+  color?: string;
+  align?: 'left' | 'center' | 'right';
+}
+
+export interface PdfPage {
+  // y is the text baseline
+  text(x: number, y: number, value: string, options?: TextOptions): void;
+  line(x1: number, y1: number, x2: number, y2: number, options?: { color?: string; width?: number }): void;
+  rect(x: number, y: number, width: number, height: number, color: string): void;
+}
+
+const FONTS: Record<PdfFont, { resource: string; baseFont: string }> = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Advance widths in 1/1000 em of characters 32-126, from the Helvetica AFM files
+const WIDTHS: Record<PdfFont, number[]> = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes of the punctuation outside Latin-1 that reports are likely to use
+const WIN_ANSI: Record<string, number> = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function encode(text: string) {
+  return Array.from(text, character => {
+    const code = character.codePointAt(0)!;
+    if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) return code;
+    return WIN_ANSI[character] ?? 0x3f;
+  });
+}
+
+export function textWidth(text: string, size: number, font: PdfFont = 'regular') {
+  const units = encode(text).reduce((total, code) =>
+    total + (code >= 32 && code < 127 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH), 0);
+  return (units * size) / 1000;
+}
+
+// Shorten text with an ellipsis until it fits the width
+export function fitText(text: string, width: number, size: number, font: PdfFont = 'regular') {
+  if (textWidth(text, size, font) <= width) return text;
+  let fitted = text;
+  while (fitted.length > 0 && textWidth(`${fitted}…`, size, font) > width) fitted = fitted.slice(0, -1);
+  return `${fitted.trimEnd()}…`;
+}
+
+// Break text into lines that fit the width, at spaces where possible
+export function wrapText(text: string, width: number, size: number, font: PdfFont = 'regular') {
+  const lines: string[] = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size, font) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.map(wrapped => fitText(wrapped, width, size, font));
+}
+
+const number = (value: number) => String(Math.round(value * 100) / 100);
+
+function pdfString(text: string) {
+  const escaped = encode(text).map(code => {
+    const character = String.fromCharCode(code);
+    return character === '(' || character === ')' || character === '\\' ? `\\${character}` : character;
+  });
+  return `(${escaped.join('')})`;
+}
+
+function rgb(hex: string) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(channel => number(channel / 255)).join(' ');
+}
+
+const pdfDate = (date: Date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+export function createPdf(pageSize = LETTER) {
+  const contents: string[][] = [];
+
+  function addPage(): PdfPage {
+    const operations: string[] = [];
+    contents.push(operations);
+    const fromTop = (y: number) => number(pageSize.height - y);
+
+    return {
+      text(x, y, value, { size = 10, font = 'regular', color = '#000000', align = 'left' } = {}) {
+        const width = textWidth(value, size, font);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        operations.push(`BT /${FONTS[font].resource} ${number(size)} Tf ${rgb(color)} rg ${number(left)} ${fromTop(y)} Td ${pdfString(value)} Tj ET`);
+      },
+      line(x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+        operations.push(`${rgb(color)} RG ${number(width)} w ${number(x1)} ${fromTop(y1)} m ${number(x2)} ${fromTop(y2)} l S`);
+      },
+      rect(x, y, width, height, color) {
+        operations.push(`${rgb(color)} rg ${number(x)} ${fromTop(y + height)} ${number(width)} ${number(height)} re f`);
+      }
+    };
+  }
+
+  // Objects 1 and 2 are the catalog and page tree, then the fonts, each page's content and
+  // page object, and the document info
+  function toBuffer(info: { title: string; createdAt?: Date }): Buffer {
+    const objects: Buffer[] = [Buffer.alloc(0), Buffer.alloc(0)];
+    const add = (body: string | Buffer) => {
+      objects.push(typeof body === 'string' ? Buffer.from(body, 'latin1') : body);
+      return objects.length;
+    };
+
+    const fontIds = Object.values(FONTS).map(({ resource, baseFont }) =>
+      [resource, add(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`)] as const);
+    const fontResources = fontIds.map(([resource, id]) => `/${resource} ${id} 0 R`).join(' ');
+
+    const pageIds = contents.map(operations => {
+      const stream = deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+      const contentId = add(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+      return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageSize.width} ${pageSize.height}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+    objects[0] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+    objects[1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`, 'latin1');
+    const infoId = add(`<< /Title ${pdfString(info.title)} /Producer (HTN Prevention API) /CreationDate (${pdfDate(info.createdAt ?? new Date())}) >>`);
+
+    // A binary comment after the header tells transfer tools the file is not text
+    const chunks: Buffer[] = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const start = offset;
+      const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      chunks.push(chunk);
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF',
+      ''
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+
+  return {
+    pageSize,
+    addPage,
+    get pageCount() {
+      return contents.length;
+    },
+    toBuffer
+  };
+}
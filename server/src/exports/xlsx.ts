@@ -0,0 +1,208 @@
+import { createDeflateRaw } from 'zlib';
+
+// Writes an .xlsx workbook as its rows are produced, so a large export never has to be held
+// in memory. Each worksheet is a deflated zip entry whose sizes follow the data (zip "data
+// descriptors"); cells are numbers, booleans or inline strings, with no styles. Archives are
+// limited to 4 GB (no zip64).
+
+export type ChunkWriter = (chunk: Buffer) => void | Promise<void>;
+
+export interface XlsxSheet {
+  name: string;
+  // Rows arrive in batches, e.g. one database page at a time
+  batches: AsyncIterable<unknown[][]> | Iterable<unknown[][]>;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let crc = n;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+
+function updateCrc(crc: number, data: Buffer) {
+  let value = crc ^ 0xffffffff;
+  for (const byte of data) value = CRC_TABLE[(value ^ byte) & 0xff] ^ (value >>> 8);
+  return (value ^ 0xffffffff) >>> 0;
+}
+
+// Bit 3: sizes and CRC follow the data; bit 11: names are UTF-8
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+interface ZipEntry {
+  name: Buffer;
+  offset: number;
+  crc: number;
+  compressedSize: number;
+  size: number;
+}
+
+function zipWriter(write: ChunkWriter) {
+  const entries: ZipEntry[] = [];
+  let offset = 0;
+
+  const emit = async (chunk: Buffer) => {
+    offset += chunk.length;
+    await write(chunk);
+  };
+
+  async function addEntry(fileName: string, parts: AsyncIterable<string> | Iterable<string>) {
+    const name = Buffer.from(fileName, 'utf8');
+    const entry: ZipEntry = { name, offset, crc: 0, compressedSize: 0, size: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(name.length, 26);
+    await emit(Buffer.concat([header, name]));
+
+    const deflate = createDeflateRaw();
+    const compressed = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await emit(chunk);
+      }
+    })();
+
+    for await (const part of parts) {
+      const data = Buffer.from(part, 'utf8');
+      entry.crc = updateCrc(entry.crc, data);
+      entry.size += data.length;
+      if (!deflate.write(data)) await new Promise(resolve => deflate.once('drain', resolve));
+    }
+    deflate.end();
+    await compressed;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await emit(descriptor);
+
+    entries.push(entry);
+  }
+
+  async function finish() {
+    const directoryOffset = offset;
+    const records = entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.name]);
+    });
+    const directory = Buffer.concat(records);
+    await emit(directory);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await emit(end);
+  }
+
+  return { addEntry, finish };
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Escape markup and drop control characters XML cannot carry
+function escapeXml(text: string) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnName(index: number) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value: unknown, ref: string) {
+  if (value == null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+async function* sheetXml(batches: XlsxSheet['batches']) {
+  yield `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>`;
+  let rowNumber = 0;
+  for await (const rows of batches) {
+    yield rows.map(cells => {
+      rowNumber++;
+      return `<row r="${rowNumber}">${cells.map((value, index) => cellXml(value, `${columnName(index)}${rowNumber}`)).join('')}</row>`;
+    }).join('');
+  }
+  yield '</sheetData></worksheet>';
+}
+
+// Sheet names are at most 31 characters, unique, and may not contain : \ / ? * [ ]
+function sheetNames(names: string[]) {
+  const used = new Set<string>();
+  return names.map((name, index) => {
+    const base = name.replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+    let unique = base;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) unique = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+}
+
+export async function writeXlsx(write: ChunkWriter, sheets: XlsxSheet[]) {
+  const zip = zipWriter(write);
+  const names = sheetNames(sheets.map(sheet => sheet.name));
+
+  await zip.addEntry('[Content_Types].xml', [
+    `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`,
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    ...sheets.map((_, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`),
+    '</Types>'
+  ]);
+  await zip.addEntry('_rels/.rels', [
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`,
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`,
+    '</Relationships>'
+  ]);
+  await zip.addEntry('xl/workbook.xml', [
+    `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>`,
+    ...names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`),
+    '</sheets></workbook>'
+  ]);
+  await zip.addEntry('xl/_rels/workbook.xml.rels', [
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`,
+    ...sheets.map((_, index) =>
+      `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`),
+    '</Relationships>'
+  ]);
+
+  for (const [index, sheet] of sheets.entries()) {
+    await zip.addEntry(`xl/worksheets/sheet${index + 1}.xml`, sheetXml(sheet.batches));
+  }
+
+  await zip.finish();
+}
@@ -0,0 +1,110 @@
+import { FHIR_VERSION, FHIR_CONTENT_TYPE, type FhirResource } from './resources.js';
+
+type SearchParamType = 'token' | 'reference' | 'date' | 'string';
+
+interface ResourceCapability {
+  type: string;
+  profile?: string;
+  interactions: ('read' | 'search-type')[];
+  searchParams: { name: string; type: SearchParamType; documentation?: string }[];
+}
+
+const PATIENT_PARAM = { name: 'patient', type: 'reference', documentation: 'Patient/<id> or <id>' } as const;
+const SUBJECT_PARAM = { name: 'subject', type: 'reference', documentation: 'Same as patient' } as const;
+const ID_PARAM = { name: '_id', type: 'token' } as const;
+
+// What the /fhir endpoint serves; the routes implement exactly these searches
+export const FHIR_RESOURCES: ResourceCapability[] = [
+  {
+    type: 'Patient',
+    interactions: ['read', 'search-type'],
+    searchParams: [
+      ID_PARAM,
+      { name: 'identifier', type: 'token', documentation: 'Employee ID' },
+      { name: 'name', type: 'string', documentation: 'Starts a first or last name' },
+      { name: 'family', type: 'string' },
+      { name: 'given', type: 'string' },
+      { name: 'birthdate', type: 'date' },
+      { name: 'gender', type: 'token' },
+      { name: 'active', type: 'token' }
+    ]
+  },
+  {
+    type: 'Observation',
+    profile: 'http://hl7.org/fhir/StructureDefinition/vitalsigns',
+    interactions: ['read', 'search-type'],
+    searchParams: [
+      ID_PARAM,
+      PATIENT_PARAM,
+      SUBJECT_PARAM,
+      { name: 'date', type: 'date' },
+      { name: 'code', type: 'token', documentation: 'LOINC 85354-9 (blood pressure panel) or 8867-4 (heart rate)' },
+      { name: 'combo-code', type: 'token', documentation: 'Also matches the panel components 8480-6 and 8462-4' },
+      { name: 'category', type: 'token', documentation: 'vital-signs' }
+    ]
+  },
+  {
+    type: 'Encounter',
+    interactions: ['read', 'search-type'],
+    searchParams: [
+      ID_PARAM,
+      PATIENT_PARAM,
+      SUBJECT_PARAM,
+      { name: 'date', type: 'date' },
+      { name: 'status', type: 'token', documentation: 'finished or in-progress' },
+      { name: 'class', type: 'token', documentation: 'AMB (in person) or VR (phone, text, email)' }
+    ]
+  },
+  {
+    type: 'Condition',
+    interactions: ['read', 'search-type'],
+    searchParams: [
+      ID_PARAM,
+      PATIENT_PARAM,
+      SUBJECT_PARAM,
+      { name: 'code', type: 'token', documentation: 'ICD-10-CM code' },
+      { name: 'clinical-status', type: 'token', documentation: 'active or resolved' },
+      { name: 'onset-date', type: 'date' },
+      { name: 'recorded-date', type: 'date' }
+    ]
+  },
+  {
+    type: 'Bundle',
+    interactions: ['search-type'],
+    searchParams: [{ ...PATIENT_PARAM, documentation: 'Required: a collection of everything held on the patient' }]
+  }
+];
+
+export function capabilityStatement(base: string): FhirResource {
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'HTN Prevention API' },
+    implementation: { description: 'HTN Prevention Program for First Responders', url: base },
+    fhirVersion: FHIR_VERSION,
+    format: [FHIR_CONTENT_TYPE, 'json'],
+    rest: [{
+      mode: 'server',
+      security: {
+        description: 'Send Authorization: Bearer <token> from POST /api/auth/login. Only members who have given data sharing consent are served.'
+      },
+      // POST /fhir with Patients (matched by employee ID), blood pressure Observations and Conditions
+      interaction: [
+        { code: 'transaction', documentation: 'All or nothing: any failed entry fails the whole Bundle' },
+        { code: 'batch', documentation: 'Each entry is imported or rejected on its own' }
+      ],
+      resource: FHIR_RESOURCES.map(resource => ({
+        type: resource.type,
+        ...(resource.profile && { profile: resource.profile }),
+        interaction: resource.interactions.map(code => ({ code })),
+        searchParam: [
+          ...resource.searchParams.map(param => ({ ...param })),
+          { name: '_count', type: 'number' },
+          { name: '_offset', type: 'number' }
+        ]
+      }))
+    }]
+  };
+}
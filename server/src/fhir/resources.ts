@@ -0,0 +1,232 @@
+import type { Member, BloodPressureReading, Encounter, MedicalHistory } from '../db/schema.js';
+
+// Maps program records onto HL7 FHIR R4 resources. Resource ids are the record ids, except that
+// a reading with a heart rate also yields a heart-rate Observation, whose id carries a suffix.
+
+export const FHIR_VERSION = '4.0.1';
+export const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+export const LOINC_SYSTEM = 'http://loinc.org';
+export const ICD10_SYSTEM = 'http://hl7.org/fhir/sid/icd-10-cm';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+export const SNOMED_SYSTEM = 'http://snomed.info/sct';
+export const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CLINICAL_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-category';
+export const ENCOUNTER_CLASS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+
+// Identifiers and extensions local to this program
+export const EMPLOYEE_ID_SYSTEM = 'urn:htn-prevention:employee-id';
+const UNION_EXTENSION_URL = 'urn:htn-prevention:union';
+
+export const LOINC = {
+  bloodPressurePanel: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  diastolic: { code: '8462-4', display: 'Diastolic blood pressure' },
+  heartRate: { code: '8867-4', display: 'Heart rate' }
+} as const;
+
+export const VITAL_SIGNS_CATEGORY = 'vital-signs';
+
+export const HEART_RATE_ID_SUFFIX = '-heart-rate';
+
+// Phone and text check-ins are virtual encounters; in-person ones are ambulatory
+export const ENCOUNTER_CLASSES: Record<Encounter['communicationType'], { code: string; display: string }> = {
+  'In-Person': { code: 'AMB', display: 'ambulatory' },
+  Phone: { code: 'VR', display: 'virtual' },
+  Text: { code: 'VR', display: 'virtual' },
+  Email: { code: 'VR', display: 'virtual' }
+};
+
+export const SEVERITY_CODES: Record<NonNullable<MedicalHistory['severity']>, { code: string; display: string }> = {
+  mild: { code: '255604002', display: 'Mild' },
+  moderate: { code: '6736007', display: 'Moderate' },
+  severe: { code: '24484000', display: 'Severe' }
+};
+
+export type FhirResource = { resourceType: string; id?: string; [key: string]: unknown };
+
+const dateTime = (date: Date) => date.toISOString();
+const date = (value: Date) => value.toISOString().slice(0, 10);
+
+const patientReference = (memberId: string) => ({ reference: `Patient/${memberId}` });
+
+const loincConcept = (code: { code: string; display: string }, text?: string) => ({
+  coding: [{ system: LOINC_SYSTEM, ...code }],
+  ...(text && { text })
+});
+
+const quantity = (value: number, unit: string, code: string) => ({ value, unit, system: UCUM_SYSTEM, code });
+
+// FHIR genders are male, female, other and unknown; anything else recorded is "unknown"
+export function fhirGender(gender: string) {
+  const value = gender.trim().toLowerCase();
+  return ['male', 'female', 'other'].includes(value) ? value : 'unknown';
+}
+
+export function toPatient(member: Member): FhirResource {
+  const telecom = [
+    member.phone && { system: 'phone', value: member.phone },
+    member.email && { system: 'email', value: member.email }
+  ].filter(Boolean);
+  const line = [member.addressLine1, member.addressLine2].filter(Boolean);
+  const hasAddress = line.length > 0 || member.city || member.state || member.postalCode;
+
+  return {
+    resourceType: 'Patient',
+    id: member.id,
+    meta: { lastUpdated: dateTime(member.updatedAt) },
+    extension: [{ url: UNION_EXTENSION_URL, valueString: member.union }],
+    identifier: [{ system: EMPLOYEE_ID_SYSTEM, value: member.employeeId }],
+    active: member.isActive,
+    name: [{ use: 'official', family: member.lastName, given: [member.firstName] }],
+    ...(telecom.length > 0 && { telecom }),
+    gender: fhirGender(member.gender),
+    birthDate: date(member.dateOfBirth),
+    ...(hasAddress && {
+      address: [{
+        ...(line.length > 0 && { line }),
+        ...(member.city && { city: member.city }),
+        ...(member.state && { state: member.state }),
+        ...(member.postalCode && { postalCode: member.postalCode })
+      }]
+    }),
+    ...(member.preferredLanguage && { communication: [{ language: { text: member.preferredLanguage } }] })
+  };
+}
+
+const vitalSignsCategory = [{
+  coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: VITAL_SIGNS_CATEGORY, display: 'Vital Signs' }]
+}];
+
+// Fields shared by the blood pressure and heart rate Observations of one reading
+function readingObservation(reading: BloodPressureReading, id: string, profile: string) {
+  return {
+    resourceType: 'Observation',
+    id,
+    meta: { lastUpdated: dateTime(reading.createdAt), profile: [`http://hl7.org/fhir/StructureDefinition/${profile}`] },
+    status: 'final',
+    category: vitalSignsCategory,
+    subject: patientReference(reading.memberId),
+    effectiveDateTime: dateTime(reading.readingDate),
+    ...(reading.source && { device: { display: reading.source } })
+  };
+}
+
+export function toBloodPressureObservation(reading: BloodPressureReading): FhirResource {
+  return {
+    ...readingObservation(reading, reading.id, 'bp'),
+    code: loincConcept(LOINC.bloodPressurePanel, 'Blood pressure'),
+    interpretation: [{ text: reading.htnStatus }],
+    component: [
+      { code: loincConcept(LOINC.systolic), valueQuantity: quantity(reading.systolic, 'mmHg', 'mm[Hg]') },
+      { code: loincConcept(LOINC.diastolic), valueQuantity: quantity(reading.diastolic, 'mmHg', 'mm[Hg]') }
+    ]
+  };
+}
+
+// Only for readings that recorded a heart rate
+export function toHeartRateObservation(reading: BloodPressureReading & { heartRate: number }): FhirResource {
+  return {
+    ...readingObservation(reading, `${reading.id}${HEART_RATE_ID_SUFFIX}`, 'heartrate'),
+    code: loincConcept(LOINC.heartRate, 'Heart rate'),
+    valueQuantity: quantity(reading.heartRate, 'beats/minute', '/min')
+  };
+}
+
+// The Observations recorded by one reading: its blood pressure panel and, if taken, heart rate
+export function readingObservations(reading: BloodPressureReading): FhirResource[] {
+  const { heartRate } = reading;
+  return [
+    toBloodPressureObservation(reading),
+    ...(heartRate !== null ? [toHeartRateObservation({ ...reading, heartRate })] : [])
+  ];
+}
+
+export function toEncounter(encounter: Encounter): FhirResource {
+  const encounterClass = ENCOUNTER_CLASSES[encounter.communicationType];
+  return {
+    resourceType: 'Encounter',
+    id: encounter.id,
+    meta: { lastUpdated: dateTime(encounter.createdAt) },
+    status: encounter.isCompleted ? 'finished' : 'in-progress',
+    class: { system: ENCOUNTER_CLASS_SYSTEM, ...encounterClass },
+    type: [{ text: encounter.communicationType }],
+    subject: patientReference(encounter.memberId),
+    participant: [{ individual: { display: encounter.callerName } }],
+    period: { start: dateTime(encounter.encounterDate) },
+    reasonCode: [{ text: encounter.topic }]
+  };
+}
+
+export function toCondition(entry: MedicalHistory): FhirResource {
+  return {
+    resourceType: 'Condition',
+    id: entry.id,
+    meta: { lastUpdated: dateTime(entry.updatedAt) },
+    clinicalStatus: { coding: [{ system: CONDITION_CLINICAL_SYSTEM, code: entry.status }] },
+    category: [{ coding: [{ system: CONDITION_CATEGORY_SYSTEM, code: 'problem-list-item', display: 'Problem List Item' }] }],
+    ...(entry.severity && { severity: { coding: [{ system: SNOMED_SYSTEM, ...SEVERITY_CODES[entry.severity] }] } }),
+    code: {
+      ...(entry.icd10Code && { coding: [{ system: ICD10_SYSTEM, code: entry.icd10Code }] }),
+      text: entry.condition
+    },
+    subject: patientReference(entry.memberId),
+    ...(entry.onsetDate && { onsetDateTime: dateTime(entry.onsetDate) }),
+    recordedDate: dateTime(entry.reportedDate),
+    ...(entry.notes && { note: [{ text: entry.notes }] })
+  };
+}
+
+export interface OutcomeIssue {
+  severity: 'error' | 'warning' | 'information';
+  code: string;
+  diagnostics: string;
+  // Where the issue is, e.g. Bundle.entry[2]
+  expression?: string[];
+}
+
+export function operationOutcomeOf(issues: OutcomeIssue[]): FhirResource {
+  return { resourceType: 'OperationOutcome', issue: issues };
+}
+
+// FHIR's error body: issue codes such as "invalid", "not-found" and "exception"
+export function operationOutcome(code: string, diagnostics: string, severity: OutcomeIssue['severity'] = 'error'): FhirResource {
+  return operationOutcomeOf([{ severity, code, diagnostics }]);
+}
+
+export function bundle(
+  type: 'searchset' | 'collection',
+  base: string,
+  resources: FhirResource[],
+  options: { total?: number; links?: { relation: string; url: string }[] } = {}
+): FhirResource {
+  return {
+    resourceType: 'Bundle',
+    type,
+    timestamp: dateTime(new Date()),
+    ...(options.total !== undefined && { total: options.total }),
+    ...(options.links && { link: options.links }),
+    entry: resources.map(resource => ({
+      fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+      resource,
+      ...(type === 'searchset' && { search: { mode: 'match' } })
+    }))
+  };
+}
+
+export interface EntryResponse {
+  status: string;
+  location?: string;
+  outcome: FhirResource;
+}
+
+// The answer to a transaction or batch: one response per entry, in the order they were sent
+export function transactionResponse(type: 'transaction-response' | 'batch-response', responses: EntryResponse[]): FhirResource {
+  return {
+    resourceType: 'Bundle',
+    type,
+    timestamp: dateTime(new Date()),
+    entry: responses.map(response => ({ response }))
+  };
+}
@@ -0,0 +1,121 @@
+import { and, or, gte, lt, inArray, sql, type SQL, type SQLWrapper } from 'drizzle-orm';
+import type { SQLiteColumn } from 'drizzle-orm/sqlite-core';
+import { z } from 'zod';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../db/listQuery.js';
+
+// FHIR search parameters as zod schemas, so a malformed search is a validation failure like any
+// other query string. A parameter may be repeated (ANDed) and a token may list values (ORed).
+
+// _count of 0 asks for the total only
+export const fhirPageSchema = z.object({
+  _count: z.coerce.number().int().min(0).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+  _offset: z.coerce.number().int().min(0).default(0)
+});
+
+const repeated = z.union([z.string(), z.array(z.string())])
+  .transform(value => (Array.isArray(value) ? value : [value]));
+
+// patient=Patient/<id> or patient=<id>
+export const referenceParam = z.string()
+  .transform(value => value.replace(/^Patient\//, ''))
+  .pipe(z.string().uuid());
+
+export interface Token {
+  system?: string;
+  code: string;
+}
+
+// code=<code>, <system>|<code> or |<code> (no system), comma-separated for "any of"
+export const tokenParam = z.string().min(1).transform(value => value.split(',').map((part): Token => {
+  const divider = part.indexOf('|');
+  if (divider === -1) return { code: part };
+  return { ...(divider > 0 && { system: part.slice(0, divider) }), code: part.slice(divider + 1) };
+}));
+
+// Codes from a token search that belong to the given system (or name none)
+export const tokenCodes = (tokens: Token[], system: string) =>
+  tokens.filter(token => token.system === undefined || token.system === system).map(token => token.code);
+
+// Column matches any of the values; no values matches nothing
+export const anyOf = (column: SQLiteColumn, values: string[]): SQL =>
+  values.length > 0 ? inArray(column, values) : sql`0`;
+
+// FHIR string search: case-insensitive "starts with"
+export function startsWith(column: SQLWrapper, value: string): SQL {
+  const pattern = `${value.toLowerCase().replace(/[\\%_]/g, character => `\\${character}`)}%`;
+  return sql`lower(${column}) like ${pattern} escape '\\'`;
+}
+
+const DATE_SEARCH = /^(eq|ne|gt|ge|lt|le|sa|eb)?(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+
+export interface DateSearch {
+  prefix: string;
+  start: Date;
+  // Exclusive end of the period the value names, e.g. the next day for 2024-05-01
+  end: Date;
+}
+
+// A date is a period as long as its precision: 2024 is the whole year, 2024-05-01 the whole day
+function parseDateSearch(value: string, ctx: z.RefinementCtx): DateSearch | typeof z.NEVER {
+  const match = DATE_SEARCH.exec(value);
+  if (!match) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid date search "${value}"` });
+    return z.NEVER;
+  }
+  const [, prefix = 'eq', year, month, day, hour, minute, second, zone] = match;
+
+  if (hour === undefined) {
+    const start = new Date(Date.UTC(Number(year), Number(month ?? 1) - 1, Number(day ?? 1)));
+    const end = new Date(start);
+    if (day) end.setUTCDate(end.getUTCDate() + 1);
+    else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCFullYear(end.getUTCFullYear() + 1);
+    return { prefix, start, end };
+  }
+
+  const start = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second ?? '00'}${zone ?? 'Z'}`);
+  const end = new Date(start.getTime() + (second === undefined ? 60 * 1000 : 1000));
+  return { prefix, start, end };
+}
+
+export const dateParam = repeated.pipe(z.array(z.string().transform(parseDateSearch)));
+
+// SQL conditions for date searches on a timestamp column
+export function dateConditions(column: SQLiteColumn, searches: DateSearch[] = []): SQL[] {
+  return searches.map(({ prefix, start, end }) => {
+    switch (prefix) {
+      case 'ne': return or(lt(column, start), gte(column, end))!;
+      case 'gt':
+      case 'sa': return gte(column, end);
+      case 'ge': return gte(column, start);
+      case 'lt':
+      case 'eb': return lt(column, start);
+      case 'le': return lt(column, end);
+      default: return and(gte(column, start), lt(column, end))!;
+    }
+  });
+}
+
+// Base URL for links and fullUrls, e.g. https://host/fhir
+export const fhirBase = (req: { protocol: string; get(name: string): string | undefined; baseUrl: string }) =>
+  `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+// self and next links of a search page, keeping the request's other parameters
+export function pageLinks(base: string, type: string, query: Record<string, unknown>, page: { _count: number; _offset: number }, total: number) {
+  const url = (offset: number) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (key === '_offset' || key === '_count') return;
+      (Array.isArray(value) ? value : [value]).forEach(item => params.append(key, String(item)));
+    });
+    params.set('_count', String(page._count));
+    params.set('_offset', String(offset));
+    return `${base}/${type}?${params}`;
+  };
+
+  const links = [{ relation: 'self', url: url(page._offset) }];
+  if (page._count > 0 && page._offset + page._count < total) {
+    links.push({ relation: 'next', url: url(page._offset + page._count) });
+  }
+  return links;
+}
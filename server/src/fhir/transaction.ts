@@ -0,0 +1,262 @@
+import { z } from 'zod';
+import { LOINC, LOINC_SYSTEM, ICD10_SYSTEM, SNOMED_SYSTEM, SEVERITY_CODES, EMPLOYEE_ID_SYSTEM } from './resources.js';
+
+// Transaction and batch Bundles sent by partner clinics. Each entry is mapped onto the input the
+// clinical API validates for a reading or a medical history entry; the route matches subjects to
+// members, validates, de-duplicates and writes.
+
+export const MAX_TRANSACTION_ENTRIES = 1000;
+
+const codingSchema = z.object({
+  system: z.string().optional(),
+  code: z.string().optional(),
+  display: z.string().optional()
+});
+
+const conceptSchema = z.object({
+  coding: z.array(codingSchema).default([]),
+  text: z.string().optional()
+});
+
+const identifierSchema = z.object({
+  system: z.string().optional(),
+  value: z.string().optional()
+});
+
+const referenceSchema = z.object({
+  reference: z.string().optional(),
+  identifier: identifierSchema.optional()
+});
+
+const quantitySchema = z.object({
+  value: z.number(),
+  unit: z.string().optional(),
+  code: z.string().optional()
+});
+
+// Only the envelope is checked up front, so one bad resource fails its own entry
+export const transactionBundleSchema = z.object({
+  resourceType: z.literal('Bundle'),
+  type: z.enum(['transaction', 'batch']),
+  entry: z.array(z.object({
+    fullUrl: z.string().optional(),
+    resource: z.object({ resourceType: z.string() }).passthrough(),
+    request: z.object({ method: z.string(), url: z.string().optional() })
+  })).max(MAX_TRANSACTION_ENTRIES).default([])
+});
+
+type TransactionEntry = z.infer<typeof transactionBundleSchema>['entry'][number];
+
+const patientSchema = z.object({
+  identifier: z.array(identifierSchema).default([])
+});
+
+const observationSchema = z.object({
+  status: z.string(),
+  code: conceptSchema,
+  subject: referenceSchema,
+  effectiveDateTime: z.string().optional(),
+  effectiveInstant: z.string().optional(),
+  valueQuantity: quantitySchema.optional(),
+  component: z.array(z.object({ code: conceptSchema, valueQuantity: quantitySchema.optional() })).default([]),
+  device: z.object({ display: z.string().optional() }).optional()
+});
+
+const conditionSchema = z.object({
+  clinicalStatus: conceptSchema.optional(),
+  verificationStatus: conceptSchema.optional(),
+  code: conceptSchema,
+  subject: referenceSchema,
+  severity: conceptSchema.optional(),
+  onsetDateTime: z.string().optional(),
+  recordedDate: z.string().optional(),
+  note: z.array(z.object({ text: z.string() })).default([])
+});
+
+export interface EntryIssue {
+  code: 'invalid' | 'not-found' | 'not-supported';
+  diagnostics: string;
+}
+
+// Who a record is about: a member id (Patient/<id>), an employee ID (a logical or conditional
+// reference) or the fullUrl of a Patient entry in the same Bundle
+export type SubjectReference = { memberId: string } | { employeeId: string } | { fullUrl: string };
+
+export type ParsedEntry =
+  | { issue: EntryIssue }
+  | { patient: { employeeId: string } }
+  | { bloodPressure: { subject: SubjectReference; reading: Record<string, unknown>; source: string } }
+  | { heartRate: { subject: SubjectReference; heartRate: number; readingDate: string } }
+  | { condition: { subject: SubjectReference; input: Record<string, unknown> } };
+
+// Readings without a device name are labelled with where they came from
+export const FHIR_IMPORT_SOURCE = 'FHIR import';
+
+const FINAL_STATUSES = ['final', 'amended', 'corrected'];
+const RESOLVED_STATUSES = ['inactive', 'remission', 'resolved'];
+const EXCLUDED_VERIFICATION = ['refuted', 'entered-in-error'];
+
+const MM_HG_UNITS = ['mm[Hg]', 'mmHg'];
+const PER_MINUTE_UNITS = ['/min', 'beats/minute', 'bpm'];
+
+const FHIR_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const FHIR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const invalid = (diagnostics: string) => ({ issue: { code: 'invalid' as const, diagnostics } });
+const notSupported = (diagnostics: string) => ({ issue: { code: 'not-supported' as const, diagnostics } });
+
+export const zodDiagnostics = (error: z.ZodError) =>
+  error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+
+// A zoned FHIR dateTime as a UTC ISO string; bare dates only where allowed. Anything else is
+// passed through so validation reports it.
+function isoDateTime(value: string, allowDate = false) {
+  if (FHIR_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value))) return new Date(value).toISOString();
+  if (allowDate && FHIR_DATE.test(value)) return `${value}T00:00:00.000Z`;
+  return value;
+}
+
+const hasLoinc = (concept: z.infer<typeof conceptSchema>, code: { code: string }) =>
+  concept.coding.some(coding => coding.system === LOINC_SYSTEM && coding.code === code.code);
+
+const unitOf = (quantity: z.infer<typeof quantitySchema>) => quantity.code ?? quantity.unit;
+
+function subjectReference(subject: z.infer<typeof referenceSchema>): SubjectReference | null {
+  if (subject.identifier) {
+    const { system, value } = subject.identifier;
+    return system === EMPLOYEE_ID_SYSTEM && value ? { employeeId: value } : null;
+  }
+  if (!subject.reference) return null;
+
+  // Patient?identifier=<system>|<value>, as in a conditional create
+  const conditional = /^Patient\?identifier=(.+)$/.exec(subject.reference);
+  if (conditional) {
+    const [system, value] = decodeURIComponent(conditional[1]).split('|');
+    return system === EMPLOYEE_ID_SYSTEM && value ? { employeeId: value } : null;
+  }
+  const literal = /^Patient\/([^/?]+)$/.exec(subject.reference);
+  return literal ? { memberId: literal[1] } : { fullUrl: subject.reference };
+}
+
+const UNKNOWN_SUBJECT = `subject must reference a Patient in this Bundle, Patient/<id> or an ${EMPLOYEE_ID_SYSTEM} identifier`;
+
+function parsePatient(resource: unknown): ParsedEntry {
+  const parsed = patientSchema.safeParse(resource);
+  if (!parsed.success) return invalid(zodDiagnostics(parsed.error));
+
+  const employeeId = parsed.data.identifier.find(identifier => identifier.system === EMPLOYEE_ID_SYSTEM)?.value;
+  if (!employeeId) return invalid(`Patient needs an ${EMPLOYEE_ID_SYSTEM} identifier to match a member`);
+  return { patient: { employeeId } };
+}
+
+// A blood pressure panel (85354-9) with systolic and diastolic components, or a lone heart rate
+// (8867-4), which is only kept with a panel taken at the same time
+function parseObservation(resource: unknown): ParsedEntry {
+  const parsed = observationSchema.safeParse(resource);
+  if (!parsed.success) return invalid(zodDiagnostics(parsed.error));
+  const observation = parsed.data;
+
+  if (!FINAL_STATUSES.includes(observation.status)) {
+    return notSupported(`Only final, amended or corrected observations are imported, not ${observation.status}`);
+  }
+  const subject = subjectReference(observation.subject);
+  if (!subject) return invalid(UNKNOWN_SUBJECT);
+
+  const effective = observation.effectiveDateTime ?? observation.effectiveInstant;
+  if (!effective) return invalid('effectiveDateTime is required');
+  const readingDate = isoDateTime(effective);
+
+  if (hasLoinc(observation.code, LOINC.bloodPressurePanel)) {
+    const component = (code: { code: string }) =>
+      observation.component.find(item => hasLoinc(item.code, code))?.valueQuantity;
+    const systolic = component(LOINC.systolic);
+    const diastolic = component(LOINC.diastolic);
+    const heartRate = component(LOINC.heartRate);
+
+    if (!systolic || !diastolic) {
+      return invalid(`A blood pressure panel needs systolic (${LOINC.systolic.code}) and diastolic (${LOINC.diastolic.code}) components with values`);
+    }
+    const units = [systolic, diastolic].map(unitOf).filter((unit): unit is string => unit !== undefined);
+    if (units.some(unit => !MM_HG_UNITS.includes(unit))) return invalid('Blood pressure must be in mm[Hg]');
+    if (heartRate && unitOf(heartRate) && !PER_MINUTE_UNITS.includes(unitOf(heartRate)!)) {
+      return invalid('Heart rate must be in /min');
+    }
+
+    return {
+      bloodPressure: {
+        subject,
+        reading: {
+          systolic: systolic.value,
+          diastolic: diastolic.value,
+          ...(heartRate && { heartRate: heartRate.value }),
+          readingDate
+        },
+        source: (observation.device?.display ?? FHIR_IMPORT_SOURCE).slice(0, 100)
+      }
+    };
+  }
+
+  if (hasLoinc(observation.code, LOINC.heartRate)) {
+    const quantity = observation.valueQuantity;
+    if (!quantity) return invalid('A heart rate Observation needs a valueQuantity');
+    if (unitOf(quantity) && !PER_MINUTE_UNITS.includes(unitOf(quantity)!)) return invalid('Heart rate must be in /min');
+    return { heartRate: { subject, heartRate: quantity.value, readingDate } };
+  }
+
+  return notSupported(`Only blood pressure panel (${LOINC.bloodPressurePanel.code}) and heart rate (${LOINC.heartRate.code}) Observations are imported`);
+}
+
+// A Condition becomes a medical history entry: ICD-10-CM coding when sent, named by its text
+function parseCondition(resource: unknown): ParsedEntry {
+  const parsed = conditionSchema.safeParse(resource);
+  if (!parsed.success) return invalid(zodDiagnostics(parsed.error));
+  const condition = parsed.data;
+
+  const verification = condition.verificationStatus?.coding.map(coding => coding.code) ?? [];
+  if (verification.some(code => code && EXCLUDED_VERIFICATION.includes(code))) {
+    return notSupported('Refuted and entered-in-error conditions are not imported');
+  }
+  const subject = subjectReference(condition.subject);
+  if (!subject) return invalid(UNKNOWN_SUBJECT);
+
+  const icd10 = condition.code.coding.find(coding => coding.system === ICD10_SYSTEM && coding.code);
+  const name = condition.code.text ?? icd10?.display ?? condition.code.coding.find(coding => coding.display)?.display;
+  if (!name) return invalid('Condition.code needs text or a display to name the condition');
+
+  const clinicalStatus = condition.clinicalStatus?.coding[0]?.code;
+  const severity = Object.entries(SEVERITY_CODES).find(([, severityCode]) =>
+    condition.severity?.coding.some(coding => coding.system === SNOMED_SYSTEM && coding.code === severityCode.code))?.[0];
+  const notes = condition.note.map(note => note.text).join('\n');
+
+  return {
+    condition: {
+      subject,
+      input: {
+        condition: name.trim(),
+        ...(icd10 && { icd10Code: icd10.code }),
+        ...(clinicalStatus && { status: RESOLVED_STATUSES.includes(clinicalStatus) ? 'resolved' : 'active' }),
+        ...(condition.onsetDateTime && { onsetDate: isoDateTime(condition.onsetDateTime, true) }),
+        ...(severity && { severity }),
+        ...(notes && { notes }),
+        reportedDate: condition.recordedDate ? isoDateTime(condition.recordedDate, true) : new Date().toISOString()
+      }
+    }
+  };
+}
+
+// Every entry is a create; a Patient may also be a (conditional) update, but either way it is only
+// matched to a member and never written
+export function parseEntry(entry: TransactionEntry): ParsedEntry {
+  const { resourceType } = entry.resource;
+  const method = entry.request.method.toUpperCase();
+
+  if (resourceType === 'Patient') {
+    if (method !== 'POST' && method !== 'PUT') return notSupported(`${method} is not supported for Patient`);
+    return parsePatient(entry.resource);
+  }
+  if (resourceType !== 'Observation' && resourceType !== 'Condition') {
+    return notSupported(`${resourceType} resources are not imported`);
+  }
+  if (method !== 'POST') return notSupported(`Only POST is supported for ${resourceType}`);
+  return resourceType === 'Observation' ? parseObservation(entry.resource) : parseCondition(entry.resource);
+}
@@ -0,0 +1,51 @@
+import { z } from 'zod';
+import { parseSpreadsheetDateTime, type ImportField } from './spreadsheet.js';
+
+export const readingFieldsSchema = z.object({
+  systolic: z.number().min(70).max(300),
+  diastolic: z.number().min(40).max(200),
+  heartRate: z.number().min(30).max(250).optional(),
+  readingDate: z.string().datetime()
+});
+
+// Imported history keeps its original date however old it is, but cannot be in the future
+export const historicalReadingSchema = readingFieldsSchema.refine(data => data.systolic > data.diastolic, {
+  message: "Systolic pressure must be greater than diastolic pressure"
+}).refine(data => new Date(data.readingDate) <= new Date(), {
+  message: "Reading date is in the future"
+});
+
+// Device exports and our own records may differ in seconds, so duplicates match to the minute
+export const readingKey = (readingDate: Date, systolic: number, diastolic: number) =>
+  `${Math.floor(readingDate.getTime() / 60000)}|${systolic}|${diastolic}`;
+
+export type ReadingField = 'readingDate' | 'readingTime' | 'systolic' | 'diastolic' | 'heartRate';
+
+// Header names cover Omron Connect, Withings and similar home-monitor exports
+export const READING_FIELDS: ImportField<ReadingField>[] = [
+  { field: 'readingDate', label: 'Date', required: true, aliases: ['measurement date', 'reading date', 'date time', 'datetime', 'timestamp', 'measured at'] },
+  // Only when the export splits the date and the time into two columns
+  { field: 'readingTime', label: 'Time', required: false, aliases: ['measurement time', 'reading time'] },
+  { field: 'systolic', label: 'Systolic', required: true, aliases: ['sys', 'sbp', 'systolic mmhg', 'systolic pressure'] },
+  { field: 'diastolic', label: 'Diastolic', required: true, aliases: ['dia', 'dbp', 'diastolic mmhg', 'diastolic pressure'] },
+  { field: 'heartRate', label: 'Pulse', required: false, aliases: ['heart rate', 'pulse bpm', 'heart rate bpm', 'hr', 'bpm'] }
+];
+
+// Readings are stored as whole mmHg and bpm, so a decimal is left as text for validation to reject
+const asNumber = (value: string) => (/^\d+$/.test(value) ? Number(value) : value);
+
+// Turn a device-export row into the shape the historical reading schema validates. Values
+// that cannot be converted are passed through so validation reports them.
+export function readingImportInput(values: Partial<Record<ReadingField, string>>, timezoneOffset: number) {
+  const input: Record<string, unknown> = {};
+
+  if (values.readingDate) {
+    input.readingDate = parseSpreadsheetDateTime(values.readingDate, values.readingTime, timezoneOffset)
+      ?? [values.readingDate, values.readingTime].filter(Boolean).join(' ');
+  }
+  if (values.systolic) input.systolic = asNumber(values.systolic);
+  if (values.diastolic) input.diastolic = asNumber(values.diastolic);
+  if (values.heartRate) input.heartRate = asNumber(values.heartRate);
+
+  return input;
+}
@@ -0,0 +1,63 @@
+import { parseSpreadsheetDate, type ImportField } from './spreadsheet.js';
+
+export const UNIONS = ['Firefighters', 'Police', 'EMS'] as const;
+
+export type RosterField =
+  | 'employeeId'
+  | 'firstName'
+  | 'lastName'
+  | 'dateOfBirth'
+  | 'gender'
+  | 'union'
+  | 'phone'
+  | 'email'
+  | 'addressLine1'
+  | 'addressLine2'
+  | 'city'
+  | 'state'
+  | 'postalCode'
+  | 'preferredLanguage';
+
+export const ROSTER_FIELDS: ImportField<RosterField>[] = [
+  { field: 'employeeId', label: 'Employee ID', required: true, aliases: ['employee no', 'employee number', 'emp id', 'badge', 'badge number', 'payroll number'] },
+  { field: 'firstName', label: 'First Name', required: true, aliases: ['first', 'given name', 'forename'] },
+  { field: 'lastName', label: 'Last Name', required: true, aliases: ['last', 'surname', 'family name'] },
+  { field: 'dateOfBirth', label: 'Date of Birth', required: true, aliases: ['dob', 'birth date', 'birthdate', 'birthday'] },
+  { field: 'gender', label: 'Gender', required: true, aliases: ['sex'] },
+  // Not required when the whole roster comes from one union
+  { field: 'union', label: 'Union', required: false, aliases: ['department', 'service'] },
+  { field: 'phone', label: 'Phone', required: false, aliases: ['mobile', 'cell', 'phone number', 'mobile phone', 'cell phone'] },
+  { field: 'email', label: 'Email', required: false, aliases: ['email address', 'e-mail'] },
+  { field: 'addressLine1', label: 'Address', required: false, aliases: ['address 1', 'address line 1', 'street', 'street address'] },
+  { field: 'addressLine2', label: 'Address Line 2', required: false, aliases: ['address 2', 'apt', 'unit'] },
+  { field: 'city', label: 'City', required: false, aliases: ['town'] },
+  { field: 'state', label: 'State', required: false, aliases: ['st', 'province'] },
+  { field: 'postalCode', label: 'ZIP Code', required: false, aliases: ['zip', 'zipcode', 'postcode', 'postal code'] },
+  { field: 'preferredLanguage', label: 'Preferred Language', required: false, aliases: ['language'] }
+];
+
+const GENDERS: Record<string, string> = { m: 'Male', male: 'Male', f: 'Female', female: 'Female' };
+
+function rosterUnion(value: string) {
+  const key = value.toLowerCase().replace(/[^a-z]/g, '');
+  if (key === 'firefighter' || key === 'fire' || key === 'firedepartment') return 'Firefighters';
+  if (key === 'policedepartment' || key === 'policeofficer') return 'Police';
+  return UNIONS.find(union => union.toLowerCase() === key) ?? value;
+}
+
+// Turn a roster row's text into the shape memberSchema validates: dates become ISO
+// timestamps and common spellings of gender and union are normalized. Values that
+// cannot be converted are passed through so validation reports them.
+export function rosterMemberInput(values: Partial<Record<RosterField, string>>, defaultUnion?: string) {
+  const input: Record<string, unknown> = { ...values };
+
+  if (values.dateOfBirth) {
+    input.dateOfBirth = parseSpreadsheetDate(values.dateOfBirth) ?? values.dateOfBirth;
+  }
+  if (values.gender) {
+    input.gender = GENDERS[values.gender.toLowerCase()] ?? values.gender;
+  }
+  input.union = values.union ? rosterUnion(values.union) : defaultUnion;
+
+  return input;
+}
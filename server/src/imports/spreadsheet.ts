@@ -0,0 +1,187 @@
+import { parseCsv } from './csv.js';
+import { readXlsx } from './xlsx.js';
+
+// Uploaded spreadsheets arrive base64-encoded in a JSON body; keep IMPORT_BODY_LIMIT in index.ts above this
+export const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+export const IMPORT_MAX_ROWS = 5000;
+
+export interface ImportField<F extends string = string> {
+  field: F;
+  label: string;
+  required: boolean;
+  // Header spellings recognised without manual mapping, compared lowercase without punctuation
+  aliases: string[];
+}
+
+// A column mapping: which spreadsheet header feeds each field (null when none does)
+export type ColumnMapping<F extends string = string> = Partial<Record<F, string | null>>;
+
+export interface SpreadsheetRow {
+  // 1-based row number as shown in the spreadsheet, counting the header row
+  row: number;
+  cells: string[];
+}
+
+export interface Spreadsheet {
+  headers: string[];
+  rows: SpreadsheetRow[];
+}
+
+const headerKey = (header: string) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Read a .csv or .xlsx upload into a header row and its non-blank data rows
+export function readSpreadsheet(fileName: string, content: Buffer): { spreadsheet: Spreadsheet } | { error: string } {
+  const extension = fileName.toLowerCase().match(/\.([a-z]+)$/)?.[1];
+  if (content.length > IMPORT_MAX_BYTES) {
+    return { error: `File is larger than ${IMPORT_MAX_BYTES / 1024 / 1024} MB` };
+  }
+
+  let table: string[][];
+  // A worksheet row numbered past IMPORT_MAX_ROWS + 1 (the header) is more than an import takes
+  try {
+    if (extension === 'csv' || extension === 'txt') table = parseCsv(content.toString('utf8'));
+    else if (extension === 'xlsx') table = readXlsx(content, { maxRows: IMPORT_MAX_ROWS + 1 });
+    else return { error: 'Upload a .csv or .xlsx file' };
+  } catch (error) {
+    return { error: `Could not read ${fileName}: ${error instanceof Error ? error.message : String(error)}` };
+  }
+
+  const headerIndex = table.findIndex(cells => cells.some(cell => cell.trim() !== ''));
+  if (headerIndex < 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const headers = table[headerIndex].map(header => header.trim());
+  const rows = table
+    .map((cells, index) => ({ row: index + 1, cells: cells.map(cell => cell.trim()) }))
+    .slice(headerIndex + 1)
+    .filter(({ cells }) => cells.some(cell => cell !== ''));
+
+  if (rows.length === 0) {
+    return { error: 'The file has a header row but no data' };
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return { error: `The file has ${rows.length} rows; import at most ${IMPORT_MAX_ROWS} at a time` };
+  }
+
+  return { spreadsheet: { headers, rows } };
+}
+
+// Match each field to a header by name; an explicit mapping overrides the guess for its fields
+export function resolveMapping<F extends string>(
+  headers: string[],
+  fields: ImportField<F>[],
+  requested: ColumnMapping<F> = {}
+): Record<F, string | null> {
+  const keys = headers.map(headerKey);
+
+  return Object.fromEntries(fields.map(({ field, label, aliases }) => {
+    if (requested[field] !== undefined) {
+      const header = requested[field];
+      return [field, header && headers.includes(header) ? header : null];
+    }
+    const candidates = [field, label, ...aliases].map(headerKey);
+    const index = keys.findIndex(key => candidates.includes(key));
+    return [field, index >= 0 ? headers[index] : null];
+  })) as Record<F, string | null>;
+}
+
+// The mapped cell values of one row, blank cells omitted
+export function mappedValues<F extends string>(
+  headers: string[],
+  mapping: Record<F, string | null>,
+  cells: string[]
+): Partial<Record<F, string>> {
+  const values: Partial<Record<F, string>> = {};
+  (Object.entries(mapping) as [F, string | null][]).forEach(([field, header]) => {
+    if (!header) return;
+    const value = cells[headers.indexOf(header)] ?? '';
+    if (value !== '') values[field] = value;
+  });
+  return values;
+}
+
+const DAY_MS = 86400000;
+
+// Excel counts days from 1899-12-30 (allowing for its 1900 leap-year bug); the fraction is the time of day
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// Milliseconds since midnight for "7:32", "19:05:22", "7:32 PM" or an Excel time fraction
+function timeOfDay(value: string): number | null {
+  const clock = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+  if (clock) {
+    let hours = Number(clock[1]);
+    const [minutes, seconds] = [Number(clock[2]), Number(clock[3] ?? 0)];
+    if (clock[4]) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (clock[4].toLowerCase() === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+  }
+  if (/^(0|0?\.\d+)$/.test(value)) {
+    return Math.round(Number(value) * DAY_MS / 1000) * 1000;
+  }
+  return null;
+}
+
+// A spreadsheet date as wall-clock milliseconds (UTC fields) with or without a time:
+// ISO (YYYY-MM-DD[ hh:mm[:ss]]), US (M/D/YYYY[ h:mm[ AM]]) or an Excel serial day number
+function wallClock(value: string): { date: number; time: number | null } | null {
+  let year: number, month: number, day: number;
+  let time: number | null = null;
+
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](.+))?$/);
+  const us = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:\s+(.+))?$/);
+  if (iso || us) {
+    const parts = iso ? [iso[1], iso[2], iso[3]] : [us![3], us![1], us![2]];
+    [year, month, day] = parts.map(Number);
+    const clock = iso ? iso[4] : us![4];
+    if (clock) {
+      time = timeOfDay(clock.trim());
+      if (time === null) return null;
+    }
+  } else if (/^\d{1,5}(\.\d+)?$/.test(value)) {
+    const serial = Number(value);
+    const date = new Date(EXCEL_EPOCH + Math.floor(serial) * DAY_MS);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!Number.isInteger(serial)) time = Math.round((serial % 1) * DAY_MS / 1000) * 1000;
+  } else {
+    return null;
+  }
+
+  const date = Date.UTC(year, month - 1, day);
+  const check = new Date(date);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return { date, time };
+}
+
+// Parse a spreadsheet date, ignoring any time of day. Returns midnight UTC as an ISO string,
+// or null when the value is not a real date.
+export function parseSpreadsheetDate(value: string): string | null {
+  const parsed = wallClock(value.replace(/[T ].*$/, ''));
+  return parsed ? new Date(parsed.date).toISOString() : null;
+}
+
+// Parse a date and time from one cell or a date cell and a time cell. Times without a zone are
+// wall-clock times offset from UTC by timezoneOffset minutes (as Date#getTimezoneOffset reports).
+export function parseSpreadsheetDateTime(dateValue: string, timeValue?: string, timezoneOffset = 0): string | null {
+  if (!timeValue && /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/.test(dateValue)) {
+    const date = new Date(dateValue);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const parsed = wallClock(dateValue);
+  if (!parsed) return null;
+
+  let time = parsed.time ?? 0;
+  if (timeValue) {
+    const separate = timeOfDay(timeValue);
+    if (separate === null) return null;
+    time = separate;
+  }
+
+  return new Date(parsed.date + time + timezoneOffset * 60000).toISOString();
+}
@@ -0,0 +1,166 @@
+import { inflateRawSync } from 'zlib';
+
+// Reads the first worksheet of an .xlsx workbook as rows of cell text. An .xlsx file is a
+// zip archive of XML parts; only what a roster needs is read (no styles or formulas). Dates
+// arrive as Excel serial numbers, which parseSpreadsheetDate in spreadsheet.ts converts.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Limit on the unpacked size of all parts together, so a small upload cannot inflate into
+// gigabytes. A workbook at IMPORT_MAX_ROWS stays well under it.
+export const XLSX_MAX_UNCOMPRESSED_BYTES = 25 * 1024 * 1024;
+
+// Excel's own sheet size. Blank cells and rows are left out of the XML and padded back in from
+// their references, so a reference past these (or past the caller's maxRows) is refused before
+// any padding; the cell budget stops a few far-right cells on every row padding out millions.
+export const XLSX_MAX_COLUMNS = 16384;
+export const XLSX_MAX_ROWS = 1048576;
+export const XLSX_MAX_CELLS = 1000000;
+
+const TOO_LARGE = `Workbook is larger than ${XLSX_MAX_UNCOMPRESSED_BYTES / 1024 / 1024} MB uncompressed`;
+
+function inflateEntry(data: Buffer, maxOutputLength: number) {
+  if (maxOutputLength < 1) throw new Error(TOO_LARGE);
+  try {
+    return inflateRawSync(data, { maxOutputLength });
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ERR_BUFFER_TOO_LARGE') throw new Error(TOO_LARGE);
+    throw error;
+  }
+}
+
+function readZipEntries(archive: Buffer) {
+  let end = -1;
+  for (let offset = archive.length - 22; offset >= Math.max(0, archive.length - 22 - 0xffff); offset--) {
+    if (archive.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const entryCount = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const entries = new Map<string, Buffer>();
+  let unpackedBytes = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (archive.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) throw new Error('Corrupt zip directory');
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (archive.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw new Error('Corrupt zip entry');
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const data = archive.subarray(dataStart, dataStart + compressedSize);
+
+    const content = method === 0 ? data : method === 8 ? inflateEntry(data, XLSX_MAX_UNCOMPRESSED_BYTES - unpackedBytes) : null;
+    if (content) {
+      unpackedBytes += content.length;
+      if (unpackedBytes > XLSX_MAX_UNCOMPRESSED_BYTES) throw new Error(TOO_LARGE);
+      entries.set(name, content);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+const XML_ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeXml(text: string) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code: string) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return XML_ENTITIES[code] ?? entity;
+  });
+}
+
+// All text runs inside an element, e.g. a shared string with rich-text formatting
+function textContent(xml: string) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+}
+
+function attribute(tag: string, name: string) {
+  return tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? null;
+}
+
+// "A" -> 0, "Z" -> 25, "AA" -> 26
+function columnIndex(cellRef: string) {
+  const letters = cellRef.match(/^[A-Z]+/)?.[0] ?? '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function firstSheetPath(entries: Map<string, Buffer>) {
+  const workbook = entries.get('xl/workbook.xml')?.toString('utf8');
+  const relationships = entries.get('xl/_rels/workbook.xml.rels')?.toString('utf8');
+  const sheetTag = workbook?.match(/<sheet\s[^>]*>/)?.[0];
+  const relationshipId = sheetTag && attribute(sheetTag, 'r:id');
+
+  if (relationshipId && relationships) {
+    const relationship = [...relationships.matchAll(/<Relationship\s[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => attribute(tag, 'Id') === relationshipId);
+    const target = relationship && attribute(relationship, 'Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+}
+
+export function readXlsx(file: Buffer, { maxRows = XLSX_MAX_ROWS }: { maxRows?: number } = {}): string[][] {
+  const entries = readZipEntries(file);
+  const sheet = entries.get(firstSheetPath(entries))?.toString('utf8');
+  if (!sheet) throw new Error('Workbook has no worksheet');
+
+  const sharedStrings = [...(entries.get('xl/sharedStrings.xml')?.toString('utf8') ?? '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(match => textContent(match[1]));
+
+  const rowLimit = Math.min(maxRows, XLSX_MAX_ROWS);
+  const rows: string[][] = [];
+  let cellCount = 0;
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    // Blank rows are left out of the XML; keep row numbers matching what the user sees
+    const rowNumber = Number(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    if (!Number.isInteger(rowNumber) || rowNumber < 1 || rowNumber > rowLimit) {
+      throw new Error(`Row ${rowNumber} is beyond the ${rowLimit} rows that can be read`);
+    }
+
+    const cells: string[] = [];
+    for (const cellMatch of rowMatch[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = cellMatch[1];
+      const content = cellMatch[2] ?? '';
+      const ref = attribute(tag, 'r');
+      const index = ref ? columnIndex(ref) : cells.length;
+      if (index < 0 || index >= XLSX_MAX_COLUMNS) {
+        throw new Error(`Cell ${ref} is outside the ${XLSX_MAX_COLUMNS} columns of a worksheet`);
+      }
+      const type = attribute(tag, 't');
+      const value = decodeXml(content.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '');
+
+      let text: string;
+      if (type === 's') text = sharedStrings[Number(value)] ?? '';
+      else if (type === 'inlineStr') text = textContent(content);
+      else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+      else text = value;
+
+      cellCount += Math.max(index + 1 - cells.length, 0);
+      if (cellCount > XLSX_MAX_CELLS) throw new Error(`Worksheet has more than ${XLSX_MAX_CELLS} cells`);
+      while (cells.length < index) cells.push('');
+      cells[index] = text;
+    }
+
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = cells;
+  }
+
+  return rows;
+}
@@ -6,15 +6,41 @@ import dotenv from 'dotenv';
 import { membersRouter } from './routes/members.js';
 import { bloodPressureRouter } from './routes/bloodPressure.js';
 import { encountersRouter } from './routes/encounters.js';
+import { followUpsRouter } from './routes/followUps.js';
+import { messagesRouter } from './routes/messages.js';
 import { medicalHistoryRouter } from './routes/medicalHistory.js';
+import { medicationsRouter } from './routes/medications.js';
+import { alertsRouter } from './routes/alerts.js';
+import { outreachRouter } from './routes/outreach.js';
 import { analyticsRouter } from './routes/analytics.js';
-import authRouter from './routes/auth.js';
+import authRouter, { authenticateToken } from './routes/auth.js';
 import { adminAnalyticsRouter } from './routes/adminAnalytics.js';
+import { fhirRouter } from './routes/fhir.js';
+import { FHIR_CONTENT_TYPE } from './fhir/resources.js';
+import { authorize } from './middleware/permissions.js';
+import { auditTrail } from './middleware/audit.js';
+import {
+  members,
+  bloodPressureReadings,
+  measurementSessions,
+  encounters,
+  followUps,
+  messages,
+  medicalHistory,
+  medications,
+  medicationAdherence
+} from './db/index.js';
+import { startPurgeJob } from './jobs/purgeDeleted.js';
+import { startAlertEscalationJob } from './jobs/escalateAlerts.js';
+import { startMonthlyReportJob } from './jobs/monthlyReport.js';
+import { startAnalyticsSnapshotJob } from './jobs/analyticsSnapshot.js';
+import { rebuildMemberSearchIndex } from './db/memberSearch.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const IMPORT_BODY_LIMIT = '8mb';
 
 // Middleware
 app.use(helmet());
@@ -22,9 +48,16 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://your-frontend-domain.com'] 
     : ['http://localhost:3000', 'http://localhost:5173'],
-  credentials: true
+  credentials: true,
+  // Lets the client keep the file name the server gives an export download
+  exposedHeaders: ['Content-Disposition']
 }));
 app.use(morgan('combined'));
+// Spreadsheet imports carry the file base64-encoded (IMPORT_MAX_BYTES plus a third), so
+// they get a larger body limit than the rest of the API
+app.use(['/api/members/import', '/api/blood-pressure-readings/import'], express.json({ limit: IMPORT_BODY_LIMIT }));
+// FHIR clients send application/fhir+json, and a transaction Bundle can be as large as an import
+app.use('/fhir', express.json({ type: ['application/json', FHIR_CONTENT_TYPE], limit: IMPORT_BODY_LIMIT }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -39,13 +72,26 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRouter);
-app.use('/api/members', membersRouter);
-app.use('/api/blood-pressure-readings', bloodPressureRouter);
-app.use('/api/encounters', encountersRouter);
-app.use('/api/medical-history', medicalHistoryRouter);
-app.use('/api/analytics', analyticsRouter);
+app.use('/api/members', authenticateToken, authorize('members'), auditTrail('member', members, { import: 'route' }), membersRouter);
+app.use('/api/blood-pressure-readings', authenticateToken, authorize('bloodPressure'), auditTrail('bloodPressureReading', bloodPressureReadings, {
+  sessions: { entityType: 'measurementSession', table: measurementSessions },
+  import: 'route'
+}), bloodPressureRouter);
+app.use('/api/encounters', authenticateToken, authorize('encounters'), auditTrail('encounter', encounters), encountersRouter);
+app.use('/api/follow-ups', authenticateToken, authorize('followUps'), auditTrail('followUp', followUps), followUpsRouter);
+app.use('/api/messages', authenticateToken, authorize('messages'), auditTrail('message', messages), messagesRouter);
+app.use('/api/medical-history', authenticateToken, authorize('medicalHistory'), auditTrail('medicalHistory', medicalHistory), medicalHistoryRouter);
+app.use('/api/medications', authenticateToken, authorize('medications'), auditTrail('medication', medications, {
+  adherence: { entityType: 'medicationAdherence', table: medicationAdherence }
+}), medicationsRouter);
+app.use('/api/alerts', authenticateToken, authorize('alerts'), alertsRouter);
+app.use('/api/outreach', authenticateToken, authorize('outreach'), outreachRouter);
+app.use('/api/analytics', authenticateToken, authorize('analytics'), analyticsRouter);
 app.use('/api/admin', adminAnalyticsRouter);
 
+// HL7 FHIR R4 facade for partner EHRs; the router checks tokens itself so /fhir/metadata stays public
+app.use('/fhir', fhirRouter);
+
 // Error handling middleware
 app.use((err: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
   console.error(err.stack);
@@ -63,5 +109,10 @@ app.use('*', (req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on http://0.0.0.0:${PORT}`);
   console.log(`📊 Health check: http://0.0.0.0:${PORT}/health`);
+  startPurgeJob();
+  startAlertEscalationJob();
+  startMonthlyReportJob();
+  startAnalyticsSnapshotJob();
+  console.log(`🔎 Indexed ${rebuildMemberSearchIndex()} members for search`);
 });
 
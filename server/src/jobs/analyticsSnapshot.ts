@@ -0,0 +1,36 @@
+import { eq } from 'drizzle-orm';
+import { db, analyticsSnapshots, type AnalyticsSnapshot } from '../db/index.js';
+import { previousMonth } from '../reports/programMetrics.js';
+import { buildAnalyticsSnapshot } from '../reports/analyticsSnapshots.js';
+
+const SIX_HOURS_MS = 6 * 60 * 60 * 1000;
+
+// Freeze the KPIs of the month that has just ended, unless they already are. Returns the new
+// snapshot rows, or null when there was nothing to do.
+export async function snapshotMonthlyAnalytics(now: Date = new Date()): Promise<AnalyticsSnapshot[] | null> {
+  const month = previousMonth(now);
+  const [existing] = await db.select({ id: analyticsSnapshots.id }).from(analyticsSnapshots).where(eq(analyticsSnapshots.month, month));
+  if (existing) return null;
+
+  const rows = await buildAnalyticsSnapshot(month);
+  return db.insert(analyticsSnapshots).values(rows).returning().all();
+}
+
+// Check at startup and every six hours, so a month is captured soon after it ends
+export function startAnalyticsSnapshotJob(intervalMs: number = SIX_HOURS_MS) {
+  const run = async () => {
+    try {
+      const snapshot = await snapshotMonthlyAnalytics();
+      if (snapshot) {
+        console.log(`📸 Captured the analytics snapshot for ${snapshot[0].month}`);
+      }
+    } catch (error) {
+      console.error('Error capturing the monthly analytics snapshot:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
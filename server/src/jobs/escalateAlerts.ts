@@ -0,0 +1,21 @@
+import { escalateDueAlerts } from '../alerts/alerting.js';
+
+const ONE_MINUTE_MS = 60 * 1000;
+
+// Check for unacknowledged alerts that are due to escalate every minute
+export function startAlertEscalationJob(intervalMs: number = ONE_MINUTE_MS) {
+  const run = async () => {
+    try {
+      const escalated = await escalateDueAlerts();
+      if (escalated > 0) {
+        console.log(`🚨 Escalated ${escalated} unacknowledged alerts`);
+      }
+    } catch (error) {
+      console.error('Error escalating alerts:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
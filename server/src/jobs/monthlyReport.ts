@@ -0,0 +1,46 @@
+import { eq } from 'drizzle-orm';
+import { db, programReports, type ProgramReport } from '../db/index.js';
+import { buildProgramMetrics, monthPeriod, previousMonth } from '../reports/programMetrics.js';
+import { renderProgramReport, reportFileName } from '../reports/programReportPdf.js';
+
+const SIX_HOURS_MS = 6 * 60 * 60 * 1000;
+
+// Archive the report of the month that has just ended, unless it already is. Returns the new
+// report, or null when there was nothing to do.
+export async function archiveMonthlyReport(now: Date = new Date()): Promise<ProgramReport | null> {
+  const month = previousMonth(now);
+  const [existing] = await db.select({ id: programReports.id }).from(programReports).where(eq(programReports.month, month));
+  if (existing) return null;
+
+  const period = monthPeriod(month);
+  const metrics = await buildProgramMetrics(period);
+  return db.insert(programReports)
+    .values({
+      month,
+      periodStart: period.start,
+      periodEnd: period.end,
+      fileName: reportFileName(period, month),
+      content: renderProgramReport(metrics)
+    })
+    .returning()
+    .get();
+}
+
+// Check at startup and every six hours, so a new month's report is archived soon after it begins
+export function startMonthlyReportJob(intervalMs: number = SIX_HOURS_MS) {
+  const run = async () => {
+    try {
+      const report = await archiveMonthlyReport();
+      if (report) {
+        console.log(`📄 Archived the program report for ${report.month}`);
+      }
+    } catch (error) {
+      console.error('Error archiving the monthly program report:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,165 @@
+import { and, inArray, notInArray, isNotNull, lt } from 'drizzle-orm';
+import {
+  db,
+  members,
+  bloodPressureReadings,
+  measurementSessions,
+  encounters,
+  followUps,
+  caseloadAssignments,
+  medicalHistory,
+  medications,
+  medicationAdherence,
+  alerts,
+  alertDeliveries,
+  memberContactPreferences,
+  memberConsents,
+  messages
+} from '../db/index.js';
+import { recoveryCutoff } from '../db/softDelete.js';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface PurgeResult {
+  members: number;
+  bloodPressureReadings: number;
+  measurementSessions: number;
+  encounters: number;
+  medicalHistory: number;
+  medications: number;
+}
+
+// Permanently remove soft-deleted rows that are past the recovery window.
+// Purging a member also removes the clinical rows that reference it.
+export function purgeDeletedRecords(now: Date = new Date()): PurgeResult {
+  const cutoff = recoveryCutoff(now);
+
+  return db.transaction((tx) => {
+    const expiredMembers = tx.select({ id: members.id })
+      .from(members)
+      .where(and(isNotNull(members.deletedAt), lt(members.deletedAt, cutoff)))
+      .all()
+      .map(member => member.id);
+
+    if (expiredMembers.length > 0) {
+      const expiredAlerts = tx.select({ id: alerts.id }).from(alerts).where(inArray(alerts.memberId, expiredMembers));
+      tx.delete(alertDeliveries).where(inArray(alertDeliveries.alertId, expiredAlerts)).run();
+      tx.delete(alerts).where(inArray(alerts.memberId, expiredMembers)).run();
+      tx.delete(medicationAdherence).where(inArray(medicationAdherence.memberId, expiredMembers)).run();
+      tx.delete(messages).where(inArray(messages.memberId, expiredMembers)).run();
+      tx.delete(memberContactPreferences).where(inArray(memberContactPreferences.memberId, expiredMembers)).run();
+      tx.delete(memberConsents).where(inArray(memberConsents.memberId, expiredMembers)).run();
+      tx.delete(followUps).where(inArray(followUps.memberId, expiredMembers)).run();
+      tx.delete(caseloadAssignments).where(inArray(caseloadAssignments.memberId, expiredMembers)).run();
+      tx.delete(bloodPressureReadings).where(inArray(bloodPressureReadings.memberId, expiredMembers)).run();
+      tx.delete(measurementSessions).where(inArray(measurementSessions.memberId, expiredMembers)).run();
+      tx.delete(encounters).where(inArray(encounters.memberId, expiredMembers)).run();
+      tx.delete(medicalHistory).where(inArray(medicalHistory.memberId, expiredMembers)).run();
+      tx.delete(medications).where(inArray(medications.memberId, expiredMembers)).run();
+    }
+
+    // Adherence entries outlive the medication or encounter they were linked to
+    const expiredMedications = tx.select({ id: medications.id })
+      .from(medications)
+      .where(and(isNotNull(medications.deletedAt), lt(medications.deletedAt, cutoff)));
+    tx.update(medicationAdherence)
+      .set({ medicationId: null })
+      .where(inArray(medicationAdherence.medicationId, expiredMedications))
+      .run();
+
+    const expiredEncounters = tx.select({ id: encounters.id })
+      .from(encounters)
+      .where(and(isNotNull(encounters.deletedAt), lt(encounters.deletedAt, cutoff)));
+    tx.update(medicationAdherence)
+      .set({ encounterId: null })
+      .where(inArray(medicationAdherence.encounterId, expiredEncounters))
+      .run();
+    tx.update(followUps)
+      .set({ encounterId: null })
+      .where(inArray(followUps.encounterId, expiredEncounters))
+      .run();
+    tx.update(followUps)
+      .set({ completedEncounterId: null })
+      .where(inArray(followUps.completedEncounterId, expiredEncounters))
+      .run();
+    tx.update(messages)
+      .set({ encounterId: null })
+      .where(inArray(messages.encounterId, expiredEncounters))
+      .run();
+
+    // Alerts are kept as a record of who was paged; drop only the link to purged readings and sessions
+    const expiredReadings = tx.select({ id: bloodPressureReadings.id })
+      .from(bloodPressureReadings)
+      .where(and(isNotNull(bloodPressureReadings.deletedAt), lt(bloodPressureReadings.deletedAt, cutoff)));
+    tx.update(alerts)
+      .set({ readingId: null })
+      .where(inArray(alerts.readingId, expiredReadings))
+      .run();
+
+    const expiredSessions = tx.select({ id: measurementSessions.id })
+      .from(measurementSessions)
+      .where(and(isNotNull(measurementSessions.deletedAt), lt(measurementSessions.deletedAt, cutoff)));
+    tx.update(alerts)
+      .set({ sessionId: null })
+      .where(inArray(alerts.sessionId, expiredSessions))
+      .run();
+
+    const readings = tx.delete(bloodPressureReadings)
+      .where(and(isNotNull(bloodPressureReadings.deletedAt), lt(bloodPressureReadings.deletedAt, cutoff)))
+      .run();
+
+    // Readings go first: a session is only purged once nothing references it
+    const referencedSessions = tx.select({ sessionId: bloodPressureReadings.sessionId })
+      .from(bloodPressureReadings)
+      .where(isNotNull(bloodPressureReadings.sessionId));
+    const purgedSessions = tx.delete(measurementSessions)
+      .where(and(
+        isNotNull(measurementSessions.deletedAt),
+        lt(measurementSessions.deletedAt, cutoff),
+        notInArray(measurementSessions.id, referencedSessions)
+      ))
+      .run();
+
+    const purgedEncounters = tx.delete(encounters)
+      .where(and(isNotNull(encounters.deletedAt), lt(encounters.deletedAt, cutoff)))
+      .run();
+
+    const purgedHistory = tx.delete(medicalHistory)
+      .where(and(isNotNull(medicalHistory.deletedAt), lt(medicalHistory.deletedAt, cutoff)))
+      .run();
+
+    const purgedMedications = tx.delete(medications)
+      .where(and(isNotNull(medications.deletedAt), lt(medications.deletedAt, cutoff)))
+      .run();
+
+    const purgedMembers = expiredMembers.length > 0
+      ? tx.delete(members).where(inArray(members.id, expiredMembers)).run().changes
+      : 0;
+
+    return {
+      members: purgedMembers,
+      bloodPressureReadings: readings.changes,
+      measurementSessions: purgedSessions.changes,
+      encounters: purgedEncounters.changes,
+      medicalHistory: purgedHistory.changes,
+      medications: purgedMedications.changes
+    };
+  });
+}
+
+// Run the purge once at startup and then daily
+export function startPurgeJob(intervalMs: number = ONE_DAY_MS) {
+  const run = () => {
+    try {
+      const result = purgeDeletedRecords();
+      console.log('🧹 Purged soft-deleted records:', result);
+    } catch (error) {
+      console.error('Error purging soft-deleted records:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,83 @@
+export type MessageChannel = 'sms' | 'email';
+
+// Carrier segments are 160 characters; three segments is as long as a reminder should get
+export const SMS_MAX_LENGTH = 480;
+
+export const PROGRAM_NAME = 'HTN Prevention Program';
+
+// Appended to every message so the member can always opt out (TCPA/CAN-SPAM)
+export const OPT_OUT_FOOTERS: Record<MessageChannel, string> = {
+  sms: 'Reply STOP to opt out.',
+  email: 'To stop receiving these emails, reply UNSUBSCRIBE or ask your health coach.'
+};
+
+// Sent in order, one per lifestyle-tip message, starting again after the last
+export const LIFESTYLE_TIPS = [
+  'Aim for 30 minutes of brisk walking most days; it can lower systolic pressure by 5-8 mmHg.',
+  'Check food labels and keep sodium under 1,500 mg a day where you can. Shift meals and takeout are often the saltiest.',
+  'Fill half your plate with vegetables and fruit. Potassium-rich foods like bananas, beans and spinach help balance sodium.',
+  'Limit alcohol to no more than one drink a day for women or two for men.',
+  'Poor sleep raises blood pressure. Protect 7 hours where your shift pattern allows, and keep your sleep room dark and cool.',
+  'Try 5 minutes of slow breathing after a stressful call: in for 4 seconds, out for 6.'
+];
+
+export interface TemplateContext {
+  member: { firstName: string; lastName: string };
+  senderName: string;
+  followUp?: { dueDate: Date; reason: string } | null;
+  // How many lifestyle tips the member has already been sent
+  tipsSent: number;
+}
+
+export interface MessageTemplate {
+  id: string;
+  // Also used as the topic of the encounter the message is logged as
+  name: string;
+  description: string;
+  requiresFollowUp: boolean;
+  subject(context: TemplateContext): string;
+  body(context: TemplateContext): string;
+}
+
+// Follow-up due dates are stored at midday UTC, so format them in UTC to keep the calendar day
+const formatDueDate = (date: Date) =>
+  date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+export const MESSAGE_TEMPLATES: Record<string, MessageTemplate> = {
+  'reading-reminder': {
+    id: 'reading-reminder',
+    name: 'Reading reminder',
+    description: 'Ask the member to take and share a blood pressure reading',
+    requiresFollowUp: false,
+    subject: () => `${PROGRAM_NAME}: time for a blood pressure check`,
+    body: ({ member, senderName }) =>
+      `Hi ${member.firstName}, it's time for your next blood pressure check. ` +
+      `Sit quietly for 5 minutes, then take two readings a minute apart and send them in. ` +
+      `- ${senderName}, ${PROGRAM_NAME}`
+  },
+  'lifestyle-tip': {
+    id: 'lifestyle-tip',
+    name: 'Lifestyle tip',
+    description: 'Send the next tip in the lifestyle series',
+    requiresFollowUp: false,
+    subject: () => `${PROGRAM_NAME}: a tip for healthy blood pressure`,
+    body: ({ member, senderName, tipsSent }) =>
+      `Hi ${member.firstName}, here's this week's tip: ${LIFESTYLE_TIPS[tipsSent % LIFESTYLE_TIPS.length]} ` +
+      `- ${senderName}, ${PROGRAM_NAME}`
+  },
+  'follow-up-confirmation': {
+    id: 'follow-up-confirmation',
+    name: 'Follow-up confirmation',
+    description: 'Confirm the date of a scheduled follow-up',
+    requiresFollowUp: true,
+    subject: ({ followUp }) => `${PROGRAM_NAME}: follow-up on ${formatDueDate(followUp!.dueDate)}`,
+    body: ({ member, senderName, followUp }) =>
+      `Hi ${member.firstName}, this confirms your follow-up with ${senderName} on ${formatDueDate(followUp!.dueDate)} ` +
+      `(${followUp!.reason}). Let us know if you need to change it. - ${PROGRAM_NAME}`
+  }
+};
+
+// The full text sent to the member: the (possibly edited) body plus the opt-out footer
+export function composeText(channel: MessageChannel, body: string) {
+  return `${body.trim()}\n\n${OPT_OUT_FOOTERS[channel]}`;
+}
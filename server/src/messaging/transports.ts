@@ -0,0 +1,80 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import type { MessageChannel } from './templates.js';
+
+// One message to one member, ready to hand to a provider
+export interface OutboundMessage {
+  id: string;
+  channel: MessageChannel;
+  to: string;
+  subject: string | null;
+  text: string;
+}
+
+// A messaging provider. A real SMS/email gateway plugs in by implementing this and
+// registering it with setMessageTransport.
+export interface MessageTransport {
+  name: string;
+  send(message: OutboundMessage): Promise<void>;
+}
+
+// Server log only; nothing leaves the machine
+export const consoleTransport: MessageTransport = {
+  name: 'console',
+  async send({ channel, to, subject, text }) {
+    console.log(`✉️  ${channel.toUpperCase()} → ${to}${subject ? ` (${subject})` : ''}\n${text}`);
+  }
+};
+
+// Local outbox for development: writes each email as an .eml and each SMS as a .txt file
+// into MESSAGE_OUTBOX_DIR
+export const fileTransport: MessageTransport = {
+  name: 'file',
+  async send({ id, channel, to, subject, text }) {
+    const outbox = process.env.MESSAGE_OUTBOX_DIR || 'messages-outbox';
+    const headers = channel === 'email'
+      ? [
+          `From: ${process.env.MESSAGE_EMAIL_FROM || 'coach@htn-prevention.local'}`,
+          `To: ${to}`,
+          `Subject: ${subject ?? ''}`,
+          `Date: ${new Date().toUTCString()}`,
+          'Content-Type: text/plain; charset=utf-8'
+        ]
+      : [
+          `From: ${process.env.MESSAGE_SMS_FROM || 'HTN-PROGRAM'}`,
+          `To: ${to}`,
+          `Date: ${new Date().toUTCString()}`
+        ];
+
+    await mkdir(outbox, { recursive: true });
+    await writeFile(
+      path.join(outbox, `${Date.now()}-${id}.${channel === 'email' ? 'eml' : 'txt'}`),
+      [...headers, '', text].join('\r\n')
+    );
+  }
+};
+
+const AVAILABLE_TRANSPORTS: Record<string, MessageTransport> = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let transportOverride: MessageTransport | null = null;
+
+// Replace the configured transport (tests, or a real provider); null restores MESSAGE_TRANSPORT
+export function setMessageTransport(transport: MessageTransport | null) {
+  transportOverride = transport;
+}
+
+// Transport selected with MESSAGE_TRANSPORT (console or file)
+export function activeTransport(): MessageTransport {
+  if (transportOverride) return transportOverride;
+
+  const name = (process.env.MESSAGE_TRANSPORT || 'console').trim();
+  const transport = AVAILABLE_TRANSPORTS[name];
+  if (!transport) {
+    console.warn(`Unknown message transport "${name}" in MESSAGE_TRANSPORT, using console`);
+    return consoleTransport;
+  }
+  return transport;
+}
@@ -0,0 +1,138 @@
+import type { Request, Response, NextFunction } from 'express';
+import { eq } from 'drizzle-orm';
+import type { SQLiteColumn, SQLiteTable } from 'drizzle-orm/sqlite-core';
+import { db, auditLog, type NewAuditLogEntry } from '../db/index.js';
+
+export type AuditAction = NewAuditLogEntry['action'];
+export type FieldChanges = Record<string, { before: unknown; after: unknown }>;
+
+type AuditedTable = SQLiteTable & { id: SQLiteColumn };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Work out which record (if any) a request path refers to, relative to the router mount point:
+// "/<id>", "/<id>/restore", "/member/<memberId>" or a collection path such as "/" or "/deleted"
+export function parseAuditPath(path: string) {
+  const segments = path.split('/').filter(Boolean);
+
+  if (segments[0] === 'member') {
+    return { entityId: null, memberId: segments[1] ?? null, subresource: null };
+  }
+
+  if (segments[0] && UUID_PATTERN.test(segments[0])) {
+    return { entityId: segments[0], memberId: null, subresource: segments[1] ?? null };
+  }
+
+  return { entityId: null, memberId: null, subresource: segments[0] ?? null };
+}
+
+// A POST to a record ("/<id>/complete") acts on it; only a POST to a collection creates one
+export function auditActionFor(method: string, subresource: string | null, query: any, entityId: string | null = null): AuditAction {
+  switch (method.toUpperCase()) {
+    case 'GET':
+      return subresource === 'export' ? 'export' : 'read';
+    case 'PUT':
+    case 'PATCH':
+      return 'update';
+    case 'DELETE':
+      return query?.mode === 'archive' ? 'archive' : 'delete';
+    default:
+      if (subresource === 'restore') return 'restore';
+      return entityId ? 'update' : 'create';
+  }
+}
+
+const normalize = (value: unknown) => (value instanceof Date ? value.toISOString() : value);
+
+// Field-level before/after diff between two snapshots of a row
+export function diffRecords(before: Record<string, any> | null, after: Record<string, any> | null): FieldChanges {
+  const changes: FieldChanges = {};
+  const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+
+  keys.forEach(key => {
+    const previous = normalize(before?.[key] ?? null);
+    const next = normalize(after?.[key] ?? null);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[key] = { before: previous, after: next };
+    }
+  });
+
+  return changes;
+}
+
+export async function recordAudit(entry: NewAuditLogEntry) {
+  try {
+    await db.insert(auditLog).values(entry);
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+}
+
+async function loadRecord(table: AuditedTable, id: string) {
+  const rows = await db.select().from(table).where(eq(table.id, id));
+  return (rows[0] as Record<string, any> | undefined) ?? null;
+}
+
+// A collection mounted below a router's own records, e.g. "/sessions" on the readings router:
+// audited against its own table, or 'route' when its handlers call recordAudit themselves
+// (bulk imports, which create many records per request)
+export type AuditCollection = { entityType: string; table: AuditedTable } | 'route';
+
+// Middleware that writes an audit_log entry for every successful PHI read and write on a router.
+// Must run after authenticateToken so the actor is known.
+export function auditTrail(rootEntityType: string, rootTable: AuditedTable, collections: Record<string, AuditCollection> = {}) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const [, first, ...rest] = req.path.split('/');
+      const collection = Object.hasOwn(collections, first) ? collections[first] : null;
+      if (collection === 'route') return next();
+
+      const entityType = collection ? collection.entityType : rootEntityType;
+      const table = collection ? collection.table : rootTable;
+      const { entityId, memberId: pathMemberId, subresource } = parseAuditPath(collection ? `/${rest.join('/')}` : req.path);
+      const action = auditActionFor(req.method, subresource, req.query, entityId);
+      const user = (req as any).user;
+      const isRead = action === 'read' || action === 'export';
+      const before = entityId && !isRead ? await loadRecord(table, entityId) : null;
+
+      let responseBody: any;
+      const originalJson = res.json.bind(res);
+      res.json = (body: any) => {
+        responseBody = body;
+        return originalJson(body);
+      };
+
+      res.on('finish', async () => {
+        try {
+          if (res.statusCode >= 400) return;
+
+          const recordId = entityId ?? (action === 'create' ? responseBody?.id ?? null : null);
+          const after = !isRead && recordId ? await loadRecord(table, recordId) : null;
+          const snapshot = after ?? before ?? (action === 'read' && !Array.isArray(responseBody) ? responseBody : null);
+          const memberId = entityType === 'member'
+            ? recordId
+            : snapshot?.memberId ?? pathMemberId ?? null;
+
+          await recordAudit({
+            userId: user?.userId ?? null,
+            userRole: user?.role ?? null,
+            action,
+            entityType,
+            entityId: recordId,
+            memberId,
+            changes: isRead ? null : diffRecords(before, after),
+            method: req.method,
+            path: req.originalUrl,
+            ipAddress: req.ip ?? null
+          });
+        } catch (error) {
+          console.error('Error writing audit entry:', error);
+        }
+      });
+    } catch (error) {
+      console.error('Error preparing audit entry:', error);
+    }
+
+    next();
+  };
+}
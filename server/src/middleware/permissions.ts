@@ -0,0 +1,74 @@
+import type { Request, Response, NextFunction } from 'express';
+
+export type Role = 'user' | 'admin' | 'super_admin' | 'analyst';
+export type Action = 'read' | 'write' | 'delete' | 'export';
+export type Resource =
+  | 'members'
+  | 'bloodPressure'
+  | 'encounters'
+  | 'followUps'
+  | 'messages'
+  | 'medicalHistory'
+  | 'medications'
+  | 'alerts'
+  | 'outreach'
+  | 'analytics';
+
+export const ROLES: Role[] = ['user', 'admin', 'super_admin', 'analyst'];
+
+const ALL_ROLES: Role[] = [...ROLES];
+const CLINICAL_STAFF: Role[] = ['user', 'admin', 'super_admin'];
+const ADMINS: Role[] = ['admin', 'super_admin'];
+
+// Permission matrix: which roles may perform which action on each resource.
+// Analysts are read-only; only admins may remove clinical records. Exporting (downloading a
+// whole filtered list as a file) is granted separately from viewing so it can be narrowed.
+export const PERMISSIONS: Record<Resource, Record<Action, Role[]>> = {
+  members: { read: ALL_ROLES, write: CLINICAL_STAFF, delete: ADMINS, export: ALL_ROLES },
+  bloodPressure: { read: ALL_ROLES, write: CLINICAL_STAFF, delete: ADMINS, export: ALL_ROLES },
+  encounters: { read: ALL_ROLES, write: CLINICAL_STAFF, delete: ADMINS, export: ALL_ROLES },
+  followUps: { read: CLINICAL_STAFF, write: CLINICAL_STAFF, delete: [], export: [] },
+  messages: { read: CLINICAL_STAFF, write: CLINICAL_STAFF, delete: [], export: [] },
+  medicalHistory: { read: ALL_ROLES, write: CLINICAL_STAFF, delete: ADMINS, export: ALL_ROLES },
+  medications: { read: ALL_ROLES, write: CLINICAL_STAFF, delete: ADMINS, export: [] },
+  alerts: { read: CLINICAL_STAFF, write: CLINICAL_STAFF, delete: [], export: [] },
+  outreach: { read: CLINICAL_STAFF, write: [], delete: [], export: [] },
+  analytics: { read: ALL_ROLES, write: [], delete: [], export: ALL_ROLES }
+};
+
+// Map an HTTP verb onto a permission action
+export function actionForMethod(method: string): Action {
+  switch (method.toUpperCase()) {
+    case 'GET':
+    case 'HEAD':
+    case 'OPTIONS':
+      return 'read';
+    case 'DELETE':
+      return 'delete';
+    default:
+      return 'write';
+  }
+}
+
+export function can(role: string | undefined, resource: Resource, action: Action): boolean {
+  if (!role) return false;
+  return PERMISSIONS[resource][action].includes(role as Role);
+}
+
+// Middleware to check the authenticated user's role against the permission matrix.
+// Must run after authenticateToken so that req.user is populated.
+export function authorize(resource: Resource) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const userRole = (req as any).user?.role;
+
+    if (!userRole) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    if (!can(userRole, resource, actionForMethod(req.method))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  };
+}
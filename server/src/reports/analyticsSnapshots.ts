@@ -0,0 +1,73 @@
+import { members, type NewAnalyticsSnapshot } from '../db/index.js';
+import { isControlled } from '../db/medicationControl.js';
+import type { HtnStatus } from '../shared/bpClassification.js';
+import {
+  ALL_MEMBERS,
+  monthPeriod,
+  loadRoster,
+  loadReadings,
+  loadEncounters,
+  enrolledAt,
+  latestReadings,
+  type ReportMember
+} from './programMetrics.js';
+
+// The KPIs frozen for a month, one row per union and one for all members. Members are counted as
+// they stood at the end of the month: enrolled then, and with the stage and control of their
+// latest reading by then.
+
+const STAGE_COLUMNS: Record<HtnStatus, 'normalCount' | 'elevatedCount' | 'stage1Count' | 'stage2Count' | 'crisisCount'> = {
+  Normal: 'normalCount',
+  Elevated: 'elevatedCount',
+  'Stage 1': 'stage1Count',
+  'Stage 2': 'stage2Count',
+  Crisis: 'crisisCount'
+};
+
+const mean = (values: number[]) =>
+  values.length > 0 ? Math.round((values.reduce((total, value) => total + value, 0) / values.length) * 10) / 10 : null;
+
+export async function buildAnalyticsSnapshot(month: string): Promise<NewAnalyticsSnapshot[]> {
+  const period = monthPeriod(month);
+  const { start, end } = period;
+
+  const roster = await loadRoster(period);
+  const readings = await loadReadings(period);
+  const monthEncounters = await loadEncounters(period);
+
+  const latest = latestReadings(readings, end);
+  const monthReadings = readings.filter(reading => reading.readingDate >= start);
+
+  const groups: { union: string; roster: ReportMember[] }[] = [
+    ...members.union.enumValues.map(union => ({ union, roster: roster.filter(member => member.union === union) })),
+    { union: ALL_MEMBERS, roster }
+  ];
+
+  return groups.map(group => {
+    const ids = new Set(group.roster.map(member => member.id));
+    const enrolled = group.roster.filter(member => enrolledAt(member, end));
+    const latestOfEnrolled = enrolled.flatMap(member => latest.get(member.id) ?? []);
+    const groupReadings = monthReadings.filter(reading => ids.has(reading.memberId));
+    const groupEncounters = monthEncounters.filter(encounter => ids.has(encounter.memberId));
+    const participants = new Set(groupReadings.map(reading => reading.memberId));
+
+    const stages = Object.fromEntries(Object.values(STAGE_COLUMNS).map(column => [column, 0])) as Record<typeof STAGE_COLUMNS[HtnStatus], number>;
+    latestOfEnrolled.forEach(reading => stages[STAGE_COLUMNS[reading.htnStatus]]++);
+
+    return {
+      month,
+      union: group.union,
+      enrolledMembers: enrolled.length,
+      newMembers: group.roster.filter(member => member.createdAt >= start).length,
+      participatingMembers: enrolled.filter(member => participants.has(member.id)).length,
+      measuredMembers: latestOfEnrolled.length,
+      controlledMembers: latestOfEnrolled.filter(isControlled).length,
+      ...stages,
+      avgSystolic: mean(latestOfEnrolled.map(reading => reading.systolic)),
+      avgDiastolic: mean(latestOfEnrolled.map(reading => reading.diastolic)),
+      readings: groupReadings.length,
+      encounters: groupEncounters.length,
+      completedEncounters: groupEncounters.filter(encounter => encounter.isCompleted).length
+    };
+  });
+}
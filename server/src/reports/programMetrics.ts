@@ -0,0 +1,211 @@
+import { and, eq, gte, lt, isNull, count } from 'drizzle-orm';
+import { db, members, bloodPressureReadings, encounters, messages } from '../db/index.js';
+import { isControlled } from '../db/medicationControl.js';
+import { HTN_STATUSES, type HtnStatus } from '../shared/bpClassification.js';
+
+// The figures in a program report (PRD §8.3) for a period: enrollment by union, participation,
+// how members' HTN stages shifted between the start and end of the period, BP control and
+// engagement volume. A member's stage and control at a point in time come from their latest
+// reading before it. Periods run from start up to (not including) end; months are UTC months.
+
+export interface ReportPeriod {
+  start: Date;
+  end: Date;
+}
+
+export interface Rate {
+  count: number;
+  of: number;
+  // Percentage to one decimal place; null when there is nobody to count
+  rate: number | null;
+}
+
+export interface ProgramMetrics {
+  period: ReportPeriod;
+  generatedAt: Date;
+  // One row per union, then ALL_MEMBERS
+  enrollment: { union: string; newMembers: number; enrolled: number }[];
+  participation: { union: string; participating: Rate }[];
+  htnStages: { status: HtnStatus; atStart: number; atEnd: number }[];
+  stageShifts: { compared: number; improved: number; unchanged: number; worsened: number };
+  control: { union: string; atStart: Rate; atEnd: Rate }[];
+  engagement: {
+    readings: number;
+    encounters: number;
+    completedEncounters: number;
+    membersReached: number;
+    messagesSent: number;
+    byType: { type: string; count: number }[];
+  };
+}
+
+export const ALL_MEMBERS = 'All members';
+
+const MONTH = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// 2024-05 → May 2024 (UTC)
+export function monthPeriod(month: string): ReportPeriod {
+  const match = MONTH.exec(month);
+  if (!match) throw new Error(`Invalid month "${month}"`);
+  const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return { start, end };
+}
+
+// The last month that has ended, e.g. 2024-04 during May 2024
+export function previousMonth(now: Date = new Date()) {
+  const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return month.toISOString().slice(0, 7);
+}
+
+export const rate = (count: number, of: number): Rate => ({
+  count,
+  of,
+  rate: of > 0 ? Math.round((count / of) * 1000) / 10 : null
+});
+
+export type ReportMember = { id: string; union: string; createdAt: Date; archivedAt: Date | null };
+export type ReportReading = { memberId: string; systolic: number; diastolic: number; htnStatus: HtnStatus; readingDate: Date };
+export type ReportEncounter = { memberId: string; communicationType: string; isCompleted: boolean | null };
+
+// Enrolled at a point in time: joined before it and not archived by then
+export const enrolledAt = (member: ReportMember, at: Date) =>
+  member.createdAt < at && (member.archivedAt === null || member.archivedAt >= at);
+
+// Each member's latest reading before a point in time
+export function latestReadings(readings: ReportReading[], at: Date) {
+  const latest = new Map<string, ReportReading>();
+  readings.forEach(reading => {
+    if (reading.readingDate >= at) return;
+    const current = latest.get(reading.memberId);
+    if (!current || reading.readingDate > current.readingDate) latest.set(reading.memberId, reading);
+  });
+  return latest;
+}
+
+// Members who had joined by the end of the period, whether or not they have been archived since
+export function loadRoster({ end }: ReportPeriod): Promise<ReportMember[]> {
+  return db.select({
+    id: members.id,
+    union: members.union,
+    createdAt: members.createdAt,
+    archivedAt: members.archivedAt
+  })
+  .from(members)
+  .where(and(isNull(members.deletedAt), lt(members.createdAt, end)));
+}
+
+// Every reading taken before the end of the period, so the latest one at any point is known
+export function loadReadings({ end }: ReportPeriod): Promise<ReportReading[]> {
+  return db.select({
+    memberId: bloodPressureReadings.memberId,
+    systolic: bloodPressureReadings.systolic,
+    diastolic: bloodPressureReadings.diastolic,
+    htnStatus: bloodPressureReadings.htnStatus,
+    readingDate: bloodPressureReadings.readingDate
+  })
+  .from(bloodPressureReadings)
+  .innerJoin(members, eq(bloodPressureReadings.memberId, members.id))
+  .where(and(isNull(bloodPressureReadings.deletedAt), isNull(members.deletedAt), lt(bloodPressureReadings.readingDate, end)));
+}
+
+// Encounters logged during the period
+export function loadEncounters({ start, end }: ReportPeriod): Promise<ReportEncounter[]> {
+  return db.select({
+    memberId: encounters.memberId,
+    communicationType: encounters.communicationType,
+    isCompleted: encounters.isCompleted
+  })
+  .from(encounters)
+  .innerJoin(members, eq(encounters.memberId, members.id))
+  .where(and(
+    isNull(encounters.deletedAt),
+    isNull(members.deletedAt),
+    gte(encounters.encounterDate, start),
+    lt(encounters.encounterDate, end)
+  ));
+}
+
+export async function buildProgramMetrics(period: ReportPeriod): Promise<ProgramMetrics> {
+  const { start, end } = period;
+
+  const roster = await loadRoster(period);
+  const readings = await loadReadings(period);
+  const periodEncounters = await loadEncounters(period);
+
+  const [{ messagesSent }] = await db.select({ messagesSent: count() })
+    .from(messages)
+    .where(and(eq(messages.status, 'sent'), gte(messages.sentAt, start), lt(messages.sentAt, end)));
+
+  const periodReadings = readings.filter(reading => reading.readingDate >= start);
+  const participants = new Set(periodReadings.map(reading => reading.memberId));
+  const latestAtStart = latestReadings(readings, start);
+  const latestAtEnd = latestReadings(readings, end);
+
+  const groups = [
+    ...members.union.enumValues.map(union => ({ union, roster: roster.filter(member => member.union === union) })),
+    { union: ALL_MEMBERS, roster }
+  ];
+
+  const controlAt = (group: ReportMember[], at: Date, latest: Map<string, ReportReading>) => {
+    const measured = group.filter(member => enrolledAt(member, at) && latest.has(member.id));
+    return rate(measured.filter(member => isControlled(latest.get(member.id)!)).length, measured.length);
+  };
+
+  const stageRank = (status: HtnStatus) => HTN_STATUSES.indexOf(status);
+  const compared = roster.filter(member => enrolledAt(member, end) && latestAtStart.has(member.id) && participants.has(member.id));
+  const shifts = compared.map(member =>
+    Math.sign(stageRank(latestAtEnd.get(member.id)!.htnStatus) - stageRank(latestAtStart.get(member.id)!.htnStatus)));
+
+  const stageCounts = (at: Date, latest: Map<string, ReportReading>) => {
+    const counts = new Map<HtnStatus, number>();
+    roster.forEach(member => {
+      const reading = latest.get(member.id);
+      if (reading && enrolledAt(member, at)) counts.set(reading.htnStatus, (counts.get(reading.htnStatus) ?? 0) + 1);
+    });
+    return counts;
+  };
+  const stagesAtStart = stageCounts(start, latestAtStart);
+  const stagesAtEnd = stageCounts(end, latestAtEnd);
+
+  return {
+    period,
+    generatedAt: new Date(),
+    enrollment: groups.map(group => ({
+      union: group.union,
+      newMembers: group.roster.filter(member => member.createdAt >= start).length,
+      enrolled: group.roster.filter(member => enrolledAt(member, end)).length
+    })),
+    participation: groups.map(group => {
+      const enrolled = group.roster.filter(member => enrolledAt(member, end));
+      return { union: group.union, participating: rate(enrolled.filter(member => participants.has(member.id)).length, enrolled.length) };
+    }),
+    htnStages: HTN_STATUSES.map(status => ({
+      status,
+      atStart: stagesAtStart.get(status) ?? 0,
+      atEnd: stagesAtEnd.get(status) ?? 0
+    })),
+    stageShifts: {
+      compared: compared.length,
+      improved: shifts.filter(shift => shift < 0).length,
+      unchanged: shifts.filter(shift => shift === 0).length,
+      worsened: shifts.filter(shift => shift > 0).length
+    },
+    control: groups.map(group => ({
+      union: group.union,
+      atStart: controlAt(group.roster, start, latestAtStart),
+      atEnd: controlAt(group.roster, end, latestAtEnd)
+    })),
+    engagement: {
+      readings: periodReadings.length,
+      encounters: periodEncounters.length,
+      completedEncounters: periodEncounters.filter(encounter => encounter.isCompleted).length,
+      membersReached: new Set(periodEncounters.map(encounter => encounter.memberId)).size,
+      messagesSent,
+      byType: encounters.communicationType.enumValues.map(type => ({
+        type,
+        count: periodEncounters.filter(encounter => encounter.communicationType === type).length
+      }))
+    }
+  };
+}
@@ -0,0 +1,279 @@
+import { createPdf, fitText, wrapText, LETTER, type PdfPage, type PdfFont } from '../exports/pdf.js';
+import { CONTROLLED_SYSTOLIC, CONTROLLED_DIASTOLIC } from '../db/medicationControl.js';
+import type { HtnStatus } from '../shared/bpClassification.js';
+import { ALL_MEMBERS, type ProgramMetrics, type ReportPeriod, type Rate } from './programMetrics.js';
+
+// Lays the program metrics out as a paginated US Letter PDF: headline figures, then a section
+// per metric with its table. Tables continue on the next page under a repeated header.
+
+const MARGIN = 54;
+const CONTENT_WIDTH = LETTER.width - 2 * MARGIN;
+const FOOTER_HEIGHT = 30;
+const ROW_HEIGHT = 18;
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  header: '#f3f4f6',
+  accent: '#1d4ed8'
+};
+
+const STAGE_COLORS: Record<HtnStatus, string> = {
+  Normal: '#16a34a',
+  Elevated: '#ca8a04',
+  'Stage 1': '#ea580c',
+  'Stage 2': '#dc2626',
+  Crisis: '#7f1d1d'
+};
+
+interface Column {
+  label: string;
+  // Share of the content width
+  width: number;
+  align?: 'left' | 'right';
+}
+
+const formatDate = (date: Date, options: Intl.DateTimeFormatOptions) =>
+  date.toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+
+// A calendar month reads "May 2024"; any other period gives its first and last day
+export function periodLabel({ start, end }: ReportPeriod) {
+  const lastDay = new Date(end.getTime() - 24 * 60 * 60 * 1000);
+  const isMonth = start.getUTCDate() === 1 && end.getUTCDate() === 1
+    && (end.getUTCFullYear() * 12 + end.getUTCMonth()) - (start.getUTCFullYear() * 12 + start.getUTCMonth()) === 1;
+  if (isMonth) return formatDate(start, { month: 'long', year: 'numeric' });
+  const day = (date: Date) => formatDate(date, { day: 'numeric', month: 'short', year: 'numeric' });
+  return `${day(start)} – ${day(lastDay)}`;
+}
+
+const percent = (value: Rate) => (value.rate === null ? '—' : `${value.rate}%`);
+
+function pointsChange(before: Rate, after: Rate) {
+  if (before.rate === null || after.rate === null) return '—';
+  const change = Math.round((after.rate - before.rate) * 10) / 10;
+  return `${change > 0 ? '+' : ''}${change} pts`;
+}
+
+const signed = (value: number) => (value > 0 ? `+${value}` : String(value));
+
+export function renderProgramReport(metrics: ProgramMetrics): Buffer {
+  const pdf = createPdf();
+  let page = pdf.addPage();
+  const pages: PdfPage[] = [page];
+  let y = MARGIN;
+
+  const newPage = () => {
+    page = pdf.addPage();
+    pages.push(page);
+    y = MARGIN;
+  };
+  // Start a new page unless the next block fits above the footer
+  const ensureSpace = (height: number) => {
+    if (y + height > LETTER.height - MARGIN - FOOTER_HEIGHT) newPage();
+  };
+
+  const write = (text: string, size: number, font: PdfFont = 'regular', color = COLORS.text) => {
+    wrapText(text, CONTENT_WIDTH, size, font).forEach(line => {
+      ensureSpace(size * 1.5);
+      y += size * 1.2;
+      page.text(MARGIN, y, line, { size, font, color });
+      y += size * 0.3;
+    });
+  };
+
+  const heading = (text: string) => {
+    ensureSpace(60);
+    y += 18;
+    page.text(MARGIN, y, text, { size: 13, font: 'bold', color: COLORS.accent });
+    y += 8;
+  };
+
+  const tableRow = (columns: Column[], cells: string[], font: PdfFont, fill?: string) => {
+    if (fill) page.rect(MARGIN, y, CONTENT_WIDTH, ROW_HEIGHT, fill);
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+      const width = column.width * CONTENT_WIDTH;
+      const text = fitText(cells[index] ?? '', width - 12, 9, font);
+      if (column.align === 'right') page.text(x + width - 6, y + 12.5, text, { size: 9, font, align: 'right' });
+      else page.text(x + 6, y + 12.5, text, { size: 9, font });
+      x += width;
+    });
+    y += ROW_HEIGHT;
+    page.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { color: COLORS.rule });
+  };
+
+  const table = (columns: Column[], rows: string[][]) => {
+    ensureSpace(ROW_HEIGHT * 2);
+    tableRow(columns, columns.map(column => column.label), 'bold', COLORS.header);
+    rows.forEach(row => {
+      if (y + ROW_HEIGHT > LETTER.height - MARGIN - FOOTER_HEIGHT) {
+        newPage();
+        tableRow(columns, columns.map(column => column.label), 'bold', COLORS.header);
+      }
+      tableRow(columns, row, row[0] === ALL_MEMBERS ? 'bold' : 'regular');
+    });
+    y += 4;
+  };
+
+  page.text(MARGIN, y + 20, 'HTN Prevention Program Report', { size: 20, font: 'bold' });
+  y += 44;
+  page.text(MARGIN, y, periodLabel(metrics.period), { size: 13 });
+  y += 16;
+  page.text(MARGIN, y, `Generated ${metrics.generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`, { size: 9, color: COLORS.muted });
+  y += 10;
+  page.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { color: COLORS.rule, width: 1 });
+  y += 14;
+
+  // Headline figures for the whole program
+  const programWide = <T extends { union: string }>(rows: T[]) => rows.find(row => row.union === ALL_MEMBERS)!;
+  const total = programWide(metrics.enrollment);
+  const participation = programWide(metrics.participation).participating;
+  const control = programWide(metrics.control);
+  const headlines = [
+    { label: 'Enrolled members', value: String(total.enrolled), note: `${total.newMembers} new this period` },
+    { label: 'Participation', value: percent(participation), note: `${participation.count} of ${participation.of} took a reading` },
+    { label: 'BP controlled', value: percent(control.atEnd), note: `${pointsChange(control.atStart, control.atEnd)} over the period` },
+    { label: 'Encounters', value: String(metrics.engagement.encounters), note: `${metrics.engagement.membersReached} members reached` }
+  ];
+  const boxWidth = (CONTENT_WIDTH - 3 * 10) / 4;
+  headlines.forEach((headline, index) => {
+    const x = MARGIN + index * (boxWidth + 10);
+    page.rect(x, y, boxWidth, 62, COLORS.header);
+    page.text(x + 8, y + 16, headline.label, { size: 8, color: COLORS.muted });
+    page.text(x + 8, y + 38, headline.value, { size: 18, font: 'bold' });
+    page.text(x + 8, y + 53, fitText(headline.note, boxWidth - 16, 7.5), { size: 7.5, color: COLORS.muted });
+  });
+  y += 72;
+
+  heading('Enrollment by union');
+  table(
+    [
+      { label: 'Union', width: 0.5 },
+      { label: 'New this period', width: 0.25, align: 'right' },
+      { label: 'Enrolled at period end', width: 0.25, align: 'right' }
+    ],
+    metrics.enrollment.map(row => [row.union, String(row.newMembers), String(row.enrolled)])
+  );
+
+  heading('Participation');
+  write('Enrolled members who recorded at least one blood pressure reading during the period.', 9, 'regular', COLORS.muted);
+  y += 4;
+  table(
+    [
+      { label: 'Union', width: 0.4 },
+      { label: 'Enrolled', width: 0.2, align: 'right' },
+      { label: 'With a reading', width: 0.2, align: 'right' },
+      { label: 'Participation', width: 0.2, align: 'right' }
+    ],
+    metrics.participation.map(row => [
+      row.union, String(row.participating.of), String(row.participating.count), percent(row.participating)
+    ])
+  );
+
+  heading('HTN stage distribution');
+  write('Members by the stage of their latest reading at the start and at the end of the period.', 9, 'regular', COLORS.muted);
+  y += 4;
+  const stageTotals = {
+    atStart: metrics.htnStages.reduce((sum, stage) => sum + stage.atStart, 0),
+    atEnd: metrics.htnStages.reduce((sum, stage) => sum + stage.atEnd, 0)
+  };
+  const share = (count: number, of: number) => (of > 0 ? `${Math.round((count / of) * 1000) / 10}%` : '—');
+  table(
+    [
+      { label: 'Stage', width: 0.28 },
+      { label: 'Start of period', width: 0.18, align: 'right' },
+      { label: 'Share', width: 0.18, align: 'right' },
+      { label: 'End of period', width: 0.18, align: 'right' },
+      { label: 'Share', width: 0.18, align: 'right' }
+    ],
+    metrics.htnStages.map(stage => [
+      stage.status,
+      String(stage.atStart),
+      share(stage.atStart, stageTotals.atStart),
+      `${stage.atEnd} (${signed(stage.atEnd - stage.atStart)})`,
+      share(stage.atEnd, stageTotals.atEnd)
+    ])
+  );
+
+  // Start and end of the period as two stacked bars split by stage
+  ensureSpace(70);
+  y += 8;
+  const barLeft = MARGIN + 40;
+  const barWidth = CONTENT_WIDTH - 40;
+  [
+    { label: 'Start', key: 'atStart' as const },
+    { label: 'End', key: 'atEnd' as const }
+  ].forEach(({ label, key }) => {
+    page.text(MARGIN, y + 10, label, { size: 8, color: COLORS.muted });
+    let x = barLeft;
+    metrics.htnStages.forEach(stage => {
+      if (stageTotals[key] === 0) return;
+      const width = (stage[key] / stageTotals[key]) * barWidth;
+      page.rect(x, y, width, 14, STAGE_COLORS[stage.status]);
+      x += width;
+    });
+    if (stageTotals[key] === 0) page.rect(barLeft, y, barWidth, 14, COLORS.header);
+    y += 20;
+  });
+  let legendX = barLeft;
+  metrics.htnStages.forEach(stage => {
+    page.rect(legendX, y + 2, 8, 8, STAGE_COLORS[stage.status]);
+    page.text(legendX + 12, y + 9.5, stage.status, { size: 8 });
+    legendX += 80;
+  });
+  y += 18;
+
+  const { stageShifts } = metrics;
+  write(stageShifts.compared > 0
+    ? `Of ${stageShifts.compared} members with a reading before and during the period, ${stageShifts.improved} moved to a lower stage, ${stageShifts.unchanged} stayed at the same stage and ${stageShifts.worsened} moved to a higher stage.`
+    : 'No member had a reading both before and during the period, so no stage changes can be compared.', 9);
+
+  heading(`Blood pressure control (below ${CONTROLLED_SYSTOLIC}/${CONTROLLED_DIASTOLIC} mmHg)`);
+  write('Members whose latest reading was controlled, among enrolled members with a reading.', 9, 'regular', COLORS.muted);
+  y += 4;
+  table(
+    [
+      { label: 'Union', width: 0.28 },
+      { label: 'Start of period', width: 0.27, align: 'right' },
+      { label: 'End of period', width: 0.27, align: 'right' },
+      { label: 'Change', width: 0.18, align: 'right' }
+    ],
+    metrics.control.map(row => [
+      row.union,
+      `${percent(row.atStart)} (${row.atStart.count}/${row.atStart.of})`,
+      `${percent(row.atEnd)} (${row.atEnd.count}/${row.atEnd.of})`,
+      pointsChange(row.atStart, row.atEnd)
+    ])
+  );
+
+  heading('Engagement');
+  const { engagement } = metrics;
+  table(
+    [{ label: 'Activity', width: 0.7 }, { label: 'Count', width: 0.3, align: 'right' }],
+    [
+      ['Blood pressure readings recorded', String(engagement.readings)],
+      ['Encounters logged', String(engagement.encounters)],
+      ['Encounters completed', String(engagement.completedEncounters)],
+      ...engagement.byType.map(type => [`${type.type} encounters`, String(type.count)]),
+      ['Members reached by an encounter', String(engagement.membersReached)],
+      ['Messages sent', String(engagement.messagesSent)]
+    ]
+  );
+
+  pages.forEach((footerPage, index) => {
+    const footerY = LETTER.height - MARGIN + 10;
+    footerPage.line(MARGIN, footerY - 12, MARGIN + CONTENT_WIDTH, footerY - 12, { color: COLORS.rule });
+    footerPage.text(MARGIN, footerY, `HTN Prevention Program for First Responders · ${periodLabel(metrics.period)}`, { size: 8, color: COLORS.muted });
+    footerPage.text(MARGIN + CONTENT_WIDTH, footerY, `Page ${index + 1} of ${pages.length}`, { size: 8, color: COLORS.muted, align: 'right' });
+  });
+
+  return pdf.toBuffer({ title: `HTN Prevention Program Report — ${periodLabel(metrics.period)}`, createdAt: metrics.generatedAt });
+}
+
+// program-report-2024-05.pdf for a month, program-report-2024-05-01-to-2024-06-15.pdf otherwise
+export function reportFileName(period: ReportPeriod, month?: string) {
+  if (month) return `program-report-${month}.pdf`;
+  const lastDay = new Date(period.end.getTime() - 24 * 60 * 60 * 1000);
+  return `program-report-${period.start.toISOString().slice(0, 10)}-to-${lastDay.toISOString().slice(0, 10)}.pdf`;
+}
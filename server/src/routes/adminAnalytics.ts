@@ -1,8 +1,15 @@
-import { Router } from 'express';
+import { Router, type Response } from 'express';
 import { db } from '../db/index.js';
-import { members, bloodPressureReadings, encounters } from '../db/schema.js';
+import { members, bloodPressureReadings, encounters, followUps, auditLog, users, programReports } from '../db/schema.js';
 import { authenticateToken, requireRole } from './auth.js';
-import { sql, eq, gte, lte, and, count, desc } from 'drizzle-orm';
+import { listActiveClinicians } from '../db/staff.js';
+import { caseloadOutcomes } from '../db/coachWorkload.js';
+import { startOfDay } from '../db/listQuery.js';
+import { z } from 'zod';
+import { sql, eq, gte, lte, lt, and, count, asc, desc, isNull, isNotNull } from 'drizzle-orm';
+import { exportableDataset, exportFormatSchema, sendExport, batchesOf, recordExport, type ExportColumn } from '../exports/dataExport.js';
+import { buildProgramMetrics } from '../reports/programMetrics.js';
+import { renderProgramReport, reportFileName } from '../reports/programReportPdf.js';
 
 const router = Router();
 
@@ -10,8 +17,11 @@ const router = Router();
 router.use(authenticateToken);
 router.use(requireRole(['super_admin']));
 
+// Every dataset can also be downloaded with ?format=csv|xlsx|json
+const exportable = (name: string) => exportableDataset('admin', name, ['super_admin']);
+
 // Get daily readings by union for today
-router.get('/daily-readings', async (req, res) => {
+router.get('/daily-readings', exportable('daily-readings'), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -33,7 +43,8 @@ router.get('/daily-readings', async (req, res) => {
       .where(
         and(
           gte(bloodPressureReadings.readingDate, today),
-          lte(bloodPressureReadings.readingDate, tomorrow)
+          lte(bloodPressureReadings.readingDate, tomorrow),
+          isNull(bloodPressureReadings.deletedAt)
         )
       )
       .groupBy(members.union);
@@ -49,7 +60,7 @@ router.get('/daily-readings', async (req, res) => {
 });
 
 // Get enrollment metrics by union for a specified time period
-router.get('/enrollment-metrics', async (req, res) => {
+router.get('/enrollment-metrics', exportable('enrollment-metrics'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -66,7 +77,8 @@ router.get('/enrollment-metrics', async (req, res) => {
       .where(
         and(
           gte(members.createdAt, start),
-          lte(members.createdAt, end)
+          lte(members.createdAt, end),
+          isNull(members.deletedAt)
         )
       )
       .groupBy(members.union);
@@ -78,6 +90,7 @@ router.get('/enrollment-metrics', async (req, res) => {
         total: count(members.id)
       })
       .from(members)
+      .where(isNull(members.deletedAt))
       .groupBy(members.union);
 
     res.json({
@@ -95,7 +108,7 @@ router.get('/enrollment-metrics', async (req, res) => {
 });
 
 // Get activity statistics (calls, encounters, etc.)
-router.get('/activity-stats', async (req, res) => {
+router.get('/activity-stats', exportable('activity-stats'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -119,7 +132,8 @@ router.get('/activity-stats', async (req, res) => {
       .where(
         and(
           gte(encounters.encounterDate, start),
-          lte(encounters.encounterDate, end)
+          lte(encounters.encounterDate, end),
+          isNull(encounters.deletedAt)
         )
       )
       .groupBy(members.union);
@@ -137,7 +151,8 @@ router.get('/activity-stats', async (req, res) => {
       .where(
         and(
           gte(bloodPressureReadings.readingDate, start),
-          lte(bloodPressureReadings.readingDate, end)
+          lte(bloodPressureReadings.readingDate, end),
+          isNull(bloodPressureReadings.deletedAt)
         )
       )
       .groupBy(members.union);
@@ -157,7 +172,7 @@ router.get('/activity-stats', async (req, res) => {
 });
 
 // Get comprehensive dashboard overview
-router.get('/dashboard-overview', async (req, res) => {
+router.get('/dashboard-overview', exportable('dashboard-overview'), async (req, res) => {
   try {
     // Get total members by union
     const membersByUnion = await db
@@ -166,6 +181,7 @@ router.get('/dashboard-overview', async (req, res) => {
         count: count(members.id)
       })
       .from(members)
+      .where(isNull(members.deletedAt))
       .groupBy(members.union);
 
     // Get recent activity (last 7 days)
@@ -178,7 +194,7 @@ router.get('/dashboard-overview', async (req, res) => {
       })
       .from(bloodPressureReadings)
       .innerJoin(members, eq(bloodPressureReadings.memberId, members.id))
-      .where(gte(bloodPressureReadings.readingDate, sevenDaysAgo))
+      .where(and(gte(bloodPressureReadings.readingDate, sevenDaysAgo), isNull(bloodPressureReadings.deletedAt)))
       .groupBy(members.union);
 
     const recentEncounters = await db
@@ -188,7 +204,7 @@ router.get('/dashboard-overview', async (req, res) => {
       })
       .from(encounters)
       .innerJoin(members, eq(encounters.memberId, members.id))
-      .where(gte(encounters.encounterDate, sevenDaysAgo))
+      .where(and(gte(encounters.encounterDate, sevenDaysAgo), isNull(encounters.deletedAt)))
       .groupBy(members.union);
 
     // Get high-risk members (Stage 2 and Crisis) - SQLite compatible version
@@ -200,7 +216,11 @@ router.get('/dashboard-overview', async (req, res) => {
       .from(members)
       .innerJoin(bloodPressureReadings, eq(members.id, bloodPressureReadings.memberId))
       .where(
-        sql`${bloodPressureReadings.htnStatus} IN ('Stage 2', 'Crisis')`
+        and(
+          sql`${bloodPressureReadings.htnStatus} IN ('Stage 2', 'Crisis')`,
+          isNull(members.deletedAt),
+          isNull(bloodPressureReadings.deletedAt)
+        )
       )
       .groupBy(members.union);
 
@@ -220,7 +240,7 @@ router.get('/dashboard-overview', async (req, res) => {
 });
 
 // Get recent readings with member details (for the daily readings list)
-router.get('/recent-readings-detailed', async (req, res) => {
+router.get('/recent-readings-detailed', exportable('recent-readings-detailed'), async (req, res) => {
   try {
     const { date, union } = req.query;
     
@@ -232,7 +252,8 @@ router.get('/recent-readings-detailed', async (req, res) => {
 
     let whereConditions = and(
       gte(bloodPressureReadings.readingDate, targetDate),
-      lte(bloodPressureReadings.readingDate, nextDay)
+      lte(bloodPressureReadings.readingDate, nextDay),
+      isNull(bloodPressureReadings.deletedAt)
     );
 
     // Add union filter if specified
@@ -276,5 +297,284 @@ router.get('/recent-readings-detailed', async (req, res) => {
   }
 });
 
+// Get workload and BP outcomes per coach: caseload, encounters recorded in the period,
+// open and overdue follow-ups, and control/improvement across the coach's members
+router.get('/coach-workload', exportable('coach-workload'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    // Default to last 30 days if no dates provided
+    const end = endDate ? new Date(endDate as string) : new Date();
+    const start = startDate ? new Date(startDate as string) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const coaches = await listActiveClinicians();
+
+    const caseloadMembers = await db
+      .select({ id: members.id, coachId: members.coachId })
+      .from(members)
+      .where(and(isNull(members.deletedAt), eq(members.isActive, true)));
+
+    const encounterStats = await db
+      .select({
+        recordedBy: encounters.recordedBy,
+        totalEncounters: count(encounters.id),
+        completedEncounters: sql<number>`COUNT(CASE WHEN ${encounters.isCompleted} = true THEN 1 END)`,
+        membersContacted: sql<number>`COUNT(DISTINCT ${encounters.memberId})`
+      })
+      .from(encounters)
+      .where(
+        and(
+          isNotNull(encounters.recordedBy),
+          gte(encounters.encounterDate, start),
+          lte(encounters.encounterDate, end),
+          isNull(encounters.deletedAt)
+        )
+      )
+      .groupBy(encounters.recordedBy);
+
+    const followUpStats = await db
+      .select({
+        assignedTo: followUps.assignedTo,
+        openFollowUps: count(followUps.id),
+        overdueFollowUps: sql<number>`COUNT(CASE WHEN ${lt(followUps.dueDate, startOfDay(new Date()))} THEN 1 END)`
+      })
+      .from(followUps)
+      .innerJoin(members, eq(followUps.memberId, members.id))
+      .where(and(eq(followUps.status, 'scheduled'), isNull(members.deletedAt)))
+      .groupBy(followUps.assignedTo);
+
+    const readings = await db
+      .select({
+        memberId: bloodPressureReadings.memberId,
+        systolic: bloodPressureReadings.systolic,
+        diastolic: bloodPressureReadings.diastolic,
+        readingDate: bloodPressureReadings.readingDate
+      })
+      .from(bloodPressureReadings)
+      .where(isNull(bloodPressureReadings.deletedAt));
+
+    const encountersByCoach = new Map(encounterStats.map(row => [row.recordedBy, row]));
+    const followUpsByCoach = new Map(followUpStats.map(row => [row.assignedTo, row]));
+
+    const coachRows = coaches.map(coach => {
+      const memberIds = caseloadMembers.filter(member => member.coachId === coach.id).map(member => member.id);
+      const encounterRow = encountersByCoach.get(coach.id);
+      const followUpRow = followUpsByCoach.get(coach.id);
+
+      return {
+        coachId: coach.id,
+        firstName: coach.firstName,
+        lastName: coach.lastName,
+        role: coach.role,
+        caseload: memberIds.length,
+        totalEncounters: encounterRow?.totalEncounters ?? 0,
+        completedEncounters: encounterRow?.completedEncounters ?? 0,
+        membersContacted: encounterRow?.membersContacted ?? 0,
+        openFollowUps: followUpRow?.openFollowUps ?? 0,
+        overdueFollowUps: followUpRow?.overdueFollowUps ?? 0,
+        outcomes: caseloadOutcomes(memberIds, readings)
+      };
+    });
+
+    res.json({
+      period: {
+        startDate: start.toISOString().split('T')[0],
+        endDate: end.toISOString().split('T')[0]
+      },
+      coaches: coachRows,
+      unassignedMembers: caseloadMembers.filter(member => !member.coachId).length
+    });
+  } catch (error) {
+    console.error('Coach workload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Filters shared by the audit log and its export
+function auditLogConditions(query: Record<string, unknown>) {
+  const { userId, memberId, entityType, action, startDate, endDate } = query;
+  const conditions = [];
+  if (userId) conditions.push(eq(auditLog.userId, userId as string));
+  if (memberId) conditions.push(eq(auditLog.memberId, memberId as string));
+  if (entityType) conditions.push(eq(auditLog.entityType, entityType as string));
+  if (action) conditions.push(eq(auditLog.action, action as any));
+  if (startDate) conditions.push(gte(auditLog.createdAt, new Date(startDate as string)));
+  if (endDate) {
+    // Include the whole end day
+    const end = new Date(endDate as string);
+    end.setHours(23, 59, 59, 999);
+    conditions.push(lte(auditLog.createdAt, end));
+  }
+  return conditions.length > 0 ? and(...conditions) : undefined;
+}
+
+const selectAuditEntries = () => db
+  .select({
+    id: auditLog.id,
+    userId: auditLog.userId,
+    userRole: auditLog.userRole,
+    username: users.username,
+    action: auditLog.action,
+    entityType: auditLog.entityType,
+    entityId: auditLog.entityId,
+    memberId: auditLog.memberId,
+    changes: auditLog.changes,
+    method: auditLog.method,
+    path: auditLog.path,
+    ipAddress: auditLog.ipAddress,
+    createdAt: auditLog.createdAt
+  })
+  .from(auditLog)
+  .leftJoin(users, eq(auditLog.userId, users.id));
+
+type AuditEntry = Awaited<ReturnType<typeof selectAuditEntries>>[number];
+
+// Get audit log entries, filterable by user, member, entity, action and date range
+router.get('/audit-log', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 500);
+    const offset = parseInt(req.query.offset as string) || 0;
+    const whereConditions = auditLogConditions(req.query);
+
+    const entries = await selectAuditEntries()
+      .where(whereConditions)
+      .orderBy(desc(auditLog.createdAt))
+      .limit(limit)
+      .offset(offset);
+
+    const [total] = await db
+      .select({ count: count() })
+      .from(auditLog)
+      .where(whereConditions);
+
+    res.json({
+      entries,
+      total: total.count,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const auditExportColumns: ExportColumn<AuditEntry>[] = [
+  { key: 'createdAt', header: 'Time' },
+  { key: 'username', header: 'User' },
+  { key: 'userRole', header: 'Role' },
+  { key: 'action', header: 'Action' },
+  { key: 'entityType', header: 'Entity' },
+  { key: 'entityId', header: 'Entity ID' },
+  { key: 'memberId', header: 'Member ID' },
+  { key: 'changes', header: 'Changes', value: entry => (entry.changes == null ? null : JSON.stringify(entry.changes)) },
+  { key: 'method', header: 'Method' },
+  { key: 'path', header: 'Path' },
+  { key: 'ipAddress', header: 'IP Address' },
+  { key: 'userId', header: 'User ID' },
+  { key: 'id', header: 'Entry ID' }
+];
+
+// Download every audit log entry matching the filters as CSV, XLSX or JSON
+router.get('/audit-log/export', async (req, res) => {
+  try {
+    const { format } = exportFormatSchema.parse(req.query);
+    const whereConditions = auditLogConditions(req.query);
+
+    // Audited before streaming so the export's own entry is part of the file
+    await recordExport(req, 'auditLog');
+    await sendExport(res, 'audit-log', format, [{
+      name: 'audit log',
+      columns: auditExportColumns,
+      batches: batchesOf((limit, offset) => selectAuditEntries()
+        .where(whereConditions)
+        .orderBy(desc(auditLog.createdAt), asc(auditLog.id))
+        .limit(limit)
+        .offset(offset))
+    }]);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Audit log export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Dates are whole UTC days; the end date is included in the report
+const reportPeriodSchema = z.object({
+  startDate: z.string().date(),
+  endDate: z.string().date()
+}).refine(data => data.startDate <= data.endDate, {
+  message: 'Start date must be on or before end date',
+  path: ['endDate']
+});
+
+function sendPdf(res: Response, fileName: string, content: Buffer) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(content);
+}
+
+// List the archived monthly program reports, newest first
+router.get('/reports', async (req, res) => {
+  try {
+    const reports = await db
+      .select({
+        id: programReports.id,
+        month: programReports.month,
+        periodStart: programReports.periodStart,
+        periodEnd: programReports.periodEnd,
+        fileName: programReports.fileName,
+        size: sql<number>`length(${programReports.content})`,
+        generatedAt: programReports.generatedAt
+      })
+      .from(programReports)
+      .orderBy(desc(programReports.month));
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('Program reports error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Build the program report for a chosen period as a PDF (generated on request, not archived)
+router.get('/reports/program', async (req, res) => {
+  try {
+    const { startDate, endDate } = reportPeriodSchema.parse(req.query);
+    const end = new Date(`${endDate}T00:00:00.000Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    const period = { start: new Date(`${startDate}T00:00:00.000Z`), end };
+
+    const content = renderProgramReport(await buildProgramMetrics(period));
+    await recordExport(req, 'programReport');
+    sendPdf(res, reportFileName(period), content);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Program report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download an archived monthly program report
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const [report] = await db.select().from(programReports).where(eq(programReports.id, req.params.id));
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    await recordExport(req, 'programReport');
+    sendPdf(res, report.fileName, report.content);
+  } catch (error) {
+    console.error('Program report download error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export { router as adminAnalyticsRouter };
 
@@ -0,0 +1,223 @@
+import { Router } from 'express';
+import { eq, desc, and, isNull, count, gt } from 'drizzle-orm';
+import { alias } from 'drizzle-orm/sqlite-core';
+import { db, alerts, alertDeliveries, members, users } from '../db/index.js';
+import { paginationSchema, orderByColumn, paginated } from '../db/listQuery.js';
+import { z } from 'zod';
+
+const router = Router();
+
+const acknowledgedByUser = alias(users, 'acknowledged_by_user');
+const resolvedByUser = alias(users, 'resolved_by_user');
+
+// Validation schemas
+const listAlertsQuerySchema = paginationSchema.extend({
+  sort: z.enum(['createdAt', 'severity', 'escalationLevel']).default('createdAt'),
+  status: z.enum(['open', 'acknowledged', 'resolved']).optional(),
+  severity: z.enum(['critical', 'severe']).optional(),
+  memberId: z.string().uuid().optional()
+});
+
+const alertActionSchema = z.object({
+  note: z.string().max(1000).optional()
+});
+
+const alertSortColumns = {
+  createdAt: alerts.createdAt,
+  severity: alerts.severity,
+  escalationLevel: alerts.escalationLevel
+};
+
+// Alert row with the member and the names of whoever acknowledged or resolved it
+const alertColumns = {
+  id: alerts.id,
+  memberId: alerts.memberId,
+  readingId: alerts.readingId,
+  sessionId: alerts.sessionId,
+  severity: alerts.severity,
+  systolic: alerts.systolic,
+  diastolic: alerts.diastolic,
+  htnStatus: alerts.htnStatus,
+  status: alerts.status,
+  escalationLevel: alerts.escalationLevel,
+  escalateAt: alerts.escalateAt,
+  acknowledgedBy: alerts.acknowledgedBy,
+  acknowledgedAt: alerts.acknowledgedAt,
+  acknowledgementNote: alerts.acknowledgementNote,
+  resolvedBy: alerts.resolvedBy,
+  resolvedAt: alerts.resolvedAt,
+  resolutionNote: alerts.resolutionNote,
+  createdAt: alerts.createdAt,
+  memberName: members.firstName,
+  memberLastName: members.lastName,
+  employeeId: members.employeeId,
+  acknowledgedByFirstName: acknowledgedByUser.firstName,
+  acknowledgedByLastName: acknowledgedByUser.lastName,
+  resolvedByFirstName: resolvedByUser.firstName,
+  resolvedByLastName: resolvedByUser.lastName
+};
+
+const selectAlerts = () => db.select(alertColumns)
+  .from(alerts)
+  .innerJoin(members, eq(alerts.memberId, members.id))
+  .leftJoin(acknowledgedByUser, eq(alerts.acknowledgedBy, acknowledgedByUser.id))
+  .leftJoin(resolvedByUser, eq(alerts.resolvedBy, resolvedByUser.id));
+
+// GET /api/alerts - Alert inbox (paginated, filterable; alerts for deleted members are hidden)
+router.get('/', async (req, res) => {
+  try {
+    const query = listAlertsQuerySchema.parse(req.query);
+
+    const conditions = [isNull(members.deletedAt)];
+    if (query.status) conditions.push(eq(alerts.status, query.status));
+    if (query.severity) conditions.push(eq(alerts.severity, query.severity));
+    if (query.memberId) conditions.push(eq(alerts.memberId, query.memberId));
+    const whereConditions = and(...conditions);
+
+    const rows = await selectAlerts()
+      .where(whereConditions)
+      .orderBy(orderByColumn(alertSortColumns[query.sort], query.order ?? 'desc'))
+      .limit(query.limit)
+      .offset(query.offset);
+
+    const [total] = await db.select({ count: count() })
+      .from(alerts)
+      .innerJoin(members, eq(alerts.memberId, members.id))
+      .where(whereConditions);
+
+    res.json(paginated(rows, total.count, query));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// GET /api/alerts/summary - Open alert counts for the navigation badge
+router.get('/summary', async (req, res) => {
+  try {
+    const openAlerts = and(eq(alerts.status, 'open'), isNull(members.deletedAt));
+
+    const countWhere = async (condition: ReturnType<typeof and>) => {
+      const [result] = await db.select({ count: count() })
+        .from(alerts)
+        .innerJoin(members, eq(alerts.memberId, members.id))
+        .where(condition);
+      return result.count;
+    };
+
+    res.json({
+      open: await countWhere(openAlerts),
+      critical: await countWhere(and(openAlerts, eq(alerts.severity, 'critical'))),
+      escalated: await countWhere(and(openAlerts, gt(alerts.escalationLevel, 0)))
+    });
+  } catch (error) {
+    console.error('Error fetching alert summary:', error);
+    res.status(500).json({ error: 'Failed to fetch alert summary' });
+  }
+});
+
+// GET /api/alerts/:id - Alert with its delivery history
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [alert] = await selectAlerts().where(eq(alerts.id, id));
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const deliveries = await db.select()
+      .from(alertDeliveries)
+      .where(eq(alertDeliveries.alertId, id))
+      .orderBy(desc(alertDeliveries.sentAt));
+
+    res.json({ ...alert, deliveries });
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({ error: 'Failed to fetch alert' });
+  }
+});
+
+// POST /api/alerts/:id/acknowledge - Acknowledge an open alert (stops escalation)
+router.post('/:id/acknowledge', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = alertActionSchema.parse(req.body ?? {});
+
+    const [existingAlert] = await db.select().from(alerts).where(eq(alerts.id, id));
+
+    if (!existingAlert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (existingAlert.status !== 'open') {
+      return res.status(409).json({ error: `Alert is already ${existingAlert.status}` });
+    }
+
+    const [acknowledgedAlert] = await db.update(alerts)
+      .set({
+        status: 'acknowledged',
+        acknowledgedBy: (req as any).user?.userId ?? null,
+        acknowledgedAt: new Date(),
+        acknowledgementNote: note ?? null,
+        escalateAt: null
+      })
+      .where(eq(alerts.id, id))
+      .returning();
+
+    res.json(acknowledgedAlert);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+// POST /api/alerts/:id/resolve - Close an alert; resolving an open alert also acknowledges it
+router.post('/:id/resolve', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = alertActionSchema.parse(req.body ?? {});
+    const userId = (req as any).user?.userId ?? null;
+    const now = new Date();
+
+    const [existingAlert] = await db.select().from(alerts).where(eq(alerts.id, id));
+
+    if (!existingAlert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (existingAlert.status === 'resolved') {
+      return res.status(409).json({ error: 'Alert is already resolved' });
+    }
+
+    const [resolvedAlert] = await db.update(alerts)
+      .set({
+        status: 'resolved',
+        acknowledgedBy: existingAlert.acknowledgedBy ?? userId,
+        acknowledgedAt: existingAlert.acknowledgedAt ?? now,
+        resolvedBy: userId,
+        resolvedAt: now,
+        resolutionNote: note ?? null,
+        escalateAt: null
+      })
+      .where(eq(alerts.id, id))
+      .returning();
+
+    res.json(resolvedAlert);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error resolving alert:', error);
+    res.status(500).json({ error: 'Failed to resolve alert' });
+  }
+});
+
+export { router as alertsRouter };
@@ -1,20 +1,31 @@
 import { Router } from 'express';
-import { eq, count, sql, desc, and, gte } from 'drizzle-orm';
-import { db, members, bloodPressureReadings, encounters } from '../db/index.js';
+import { z } from 'zod';
+import { eq, count, sql, desc, and, gte, lte, isNull } from 'drizzle-orm';
+import { db, members, bloodPressureReadings, encounters, medications, analyticsSnapshots } from '../db/index.js';
+import { medicationClassControl, CONTROLLED_SYSTOLIC, CONTROLLED_DIASTOLIC } from '../db/medicationControl.js';
+import { impactOutcomes, IMPACT_COMPARISONS } from '../db/impactOutcomes.js';
+import { ALL_MEMBERS } from '../reports/programMetrics.js';
+import { exportableDataset } from '../exports/dataExport.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
 
 const router = Router();
 
+// Every dataset can also be downloaded with ?format=csv|xlsx|json
+const exportable = (name: string) => exportableDataset('analytics', name, PERMISSIONS.analytics.export);
+
 // GET /api/analytics - Get all analytics data
-router.get('/', async (req, res) => {
+router.get('/', exportable('analytics'), async (req, res) => {
   try {
     // Total members
-    const totalMembers = await db.select({ count: count() }).from(members);
+    const totalMembers = await db.select({ count: count() }).from(members).where(isNull(members.deletedAt));
     
     // Total readings
-    const totalReadings = await db.select({ count: count() }).from(bloodPressureReadings);
+    const totalReadings = await db.select({ count: count() }).from(bloodPressureReadings)
+      .where(isNull(bloodPressureReadings.deletedAt));
     
     // Total encounters
-    const totalEncounters = await db.select({ count: count() }).from(encounters);
+    const totalEncounters = await db.select({ count: count() }).from(encounters)
+      .where(isNull(encounters.deletedAt));
     
     // HTN status distribution
     const htnDistribution = await db.select({
@@ -22,6 +33,7 @@ router.get('/', async (req, res) => {
       count: count()
     })
     .from(bloodPressureReadings)
+    .where(isNull(bloodPressureReadings.deletedAt))
     .groupBy(bloodPressureReadings.htnStatus);
     
     // Union distribution
@@ -30,6 +42,7 @@ router.get('/', async (req, res) => {
       count: count()
     })
     .from(members)
+    .where(isNull(members.deletedAt))
     .groupBy(members.union);
     
     // Recent activity (last 30 days)
@@ -38,11 +51,11 @@ router.get('/', async (req, res) => {
     
     const recentReadings = await db.select({ count: count() })
       .from(bloodPressureReadings)
-      .where(gte(bloodPressureReadings.readingDate, thirtyDaysAgo));
+      .where(and(gte(bloodPressureReadings.readingDate, thirtyDaysAgo), isNull(bloodPressureReadings.deletedAt)));
     
     const recentEncounters = await db.select({ count: count() })
       .from(encounters)
-      .where(gte(encounters.encounterDate, thirtyDaysAgo));
+      .where(and(gte(encounters.encounterDate, thirtyDaysAgo), isNull(encounters.deletedAt)));
     
     res.json({
       overview: {
@@ -63,14 +76,14 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/analytics/members - Get member-specific analytics
-router.get('/members', async (req, res) => {
+router.get('/members', exportable('analytics-members'), async (req, res) => {
   try {
     // Members by age group
     const membersWithAge = await db.select({
       id: members.id,
       dateOfBirth: members.dateOfBirth,
       union: members.union
-    }).from(members);
+    }).from(members).where(isNull(members.deletedAt));
     
     const ageGroups = {
       '18-30': 0,
@@ -97,7 +110,7 @@ router.get('/members', async (req, res) => {
       memberId: bloodPressureReadings.memberId
     })
     .from(bloodPressureReadings)
-    .where(gte(bloodPressureReadings.readingDate, thirtyDaysAgo))
+    .where(and(gte(bloodPressureReadings.readingDate, thirtyDaysAgo), isNull(bloodPressureReadings.deletedAt)))
     .groupBy(bloodPressureReadings.memberId);
     
     const engagementRate = (membersWithRecentReadings.length / membersWithAge.length) * 100;
@@ -115,7 +128,7 @@ router.get('/members', async (req, res) => {
 });
 
 // GET /api/analytics/clinical - Clinical outcomes data
-router.get('/clinical', async (req, res) => {
+router.get('/clinical', exportable('analytics-clinical'), async (req, res) => {
   try {
     // Latest HTN status for each member
     const latestReadings = await db.select({
@@ -126,6 +139,7 @@ router.get('/clinical', async (req, res) => {
       readingDate: bloodPressureReadings.readingDate
     })
     .from(bloodPressureReadings)
+    .where(isNull(bloodPressureReadings.deletedAt))
     .orderBy(desc(bloodPressureReadings.readingDate));
     
     // Group by member to get latest reading per member
@@ -179,7 +193,7 @@ router.get('/clinical', async (req, res) => {
 });
 
 // GET /api/analytics/engagement - Engagement metrics
-router.get('/engagement', async (req, res) => {
+router.get('/engagement', exportable('analytics-engagement'), async (req, res) => {
   try {
     // Communication type distribution
     const communicationTypes = await db.select({
@@ -187,6 +201,7 @@ router.get('/engagement', async (req, res) => {
       count: count()
     })
     .from(encounters)
+    .where(isNull(encounters.deletedAt))
     .groupBy(encounters.communicationType);
     
     // Completed vs incomplete encounters
@@ -195,6 +210,7 @@ router.get('/engagement', async (req, res) => {
       count: count()
     })
     .from(encounters)
+    .where(isNull(encounters.deletedAt))
     .groupBy(encounters.isCompleted);
     
     // Monthly encounter trends (last 6 months)
@@ -206,7 +222,7 @@ router.get('/engagement', async (req, res) => {
       count: count()
     })
     .from(encounters)
-    .where(gte(encounters.encounterDate, sixMonthsAgo))
+    .where(and(gte(encounters.encounterDate, sixMonthsAgo), isNull(encounters.deletedAt)))
     .groupBy(sql`DATE_TRUNC('month', ${encounters.encounterDate})`)
     .orderBy(sql`DATE_TRUNC('month', ${encounters.encounterDate})`);
     
@@ -222,7 +238,7 @@ router.get('/engagement', async (req, res) => {
 });
 
 // GET /api/analytics/equity - Equity metrics
-router.get('/equity', async (req, res) => {
+router.get('/equity', exportable('analytics-equity'), async (req, res) => {
   try {
     // HTN status by union
     const htnByUnion = await db.select({
@@ -232,6 +248,7 @@ router.get('/equity', async (req, res) => {
     })
     .from(bloodPressureReadings)
     .leftJoin(members, eq(bloodPressureReadings.memberId, members.id))
+    .where(isNull(bloodPressureReadings.deletedAt))
     .groupBy(members.union, bloodPressureReadings.htnStatus);
     
     // Engagement by union
@@ -241,6 +258,7 @@ router.get('/equity', async (req, res) => {
     })
     .from(encounters)
     .leftJoin(members, eq(encounters.memberId, members.id))
+    .where(isNull(encounters.deletedAt))
     .groupBy(members.union);
     
     res.json({
@@ -253,40 +271,146 @@ router.get('/equity', async (req, res) => {
   }
 });
 
-// GET /api/analytics/impact - Program impact metrics
-router.get('/impact', async (req, res) => {
+const impactQuerySchema = z.object({
+  compare: z.enum(IMPACT_COMPARISONS).default('latest')
+});
+
+// GET /api/analytics/impact - Program impact metrics and BP outcomes
+router.get('/impact', exportable('analytics-impact'), async (req, res) => {
   try {
+    const { compare } = impactQuerySchema.parse(req.query);
+
     // Calculate improvement trends (members with multiple readings)
     const memberReadingCounts = await db.select({
       memberId: bloodPressureReadings.memberId,
       readingCount: count()
     })
     .from(bloodPressureReadings)
+    .where(isNull(bloodPressureReadings.deletedAt))
     .groupBy(bloodPressureReadings.memberId);
     
     const membersWithMultipleReadings = memberReadingCounts.filter(m => m.readingCount > 1);
     
     // Program participation rate
-    const totalMembers = await db.select({ count: count() }).from(members);
+    const totalMembers = await db.select({ count: count() }).from(members).where(isNull(members.deletedAt));
     const membersWithReadings = await db.select({
       memberId: bloodPressureReadings.memberId
     })
     .from(bloodPressureReadings)
+    .where(isNull(bloodPressureReadings.deletedAt))
     .groupBy(bloodPressureReadings.memberId);
     
     const participationRate = (membersWithReadings.length / totalMembers[0].count) * 100;
     
+    // Baseline vs current BP, stage shifts and control over time
+    const readings = await db.select({
+      memberId: bloodPressureReadings.memberId,
+      systolic: bloodPressureReadings.systolic,
+      diastolic: bloodPressureReadings.diastolic,
+      readingDate: bloodPressureReadings.readingDate
+    })
+    .from(bloodPressureReadings)
+    .innerJoin(members, eq(bloodPressureReadings.memberId, members.id))
+    .where(and(isNull(bloodPressureReadings.deletedAt), isNull(members.deletedAt)));
+    
     res.json({
       participationRate: Math.round(participationRate * 100) / 100,
       membersWithMultipleReadings: membersWithMultipleReadings.length,
       totalActiveMembers: membersWithReadings.length,
-      totalMembers: totalMembers[0].count
+      totalMembers: totalMembers[0].count,
+      outcomes: impactOutcomes(readings, { compare })
     });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
     console.error('Error fetching impact analytics:', error);
     res.status(500).json({ error: 'Failed to fetch impact analytics' });
   }
 });
 
+// GET /api/analytics/medications - BP control on vs off each medication class
+router.get('/medications', exportable('analytics-medications'), async (req, res) => {
+  try {
+    const readings = await db.select({
+      memberId: bloodPressureReadings.memberId,
+      systolic: bloodPressureReadings.systolic,
+      diastolic: bloodPressureReadings.diastolic,
+      readingDate: bloodPressureReadings.readingDate
+    })
+    .from(bloodPressureReadings)
+    .innerJoin(members, eq(bloodPressureReadings.memberId, members.id))
+    .where(and(isNull(bloodPressureReadings.deletedAt), isNull(members.deletedAt)));
+    
+    const courses = await db.select({
+      memberId: medications.memberId,
+      drugClass: medications.drugClass,
+      startDate: medications.startDate,
+      stopDate: medications.stopDate
+    })
+    .from(medications)
+    .where(isNull(medications.deletedAt));
+    
+    res.json({
+      controlTarget: { systolic: CONTROLLED_SYSTOLIC, diastolic: CONTROLLED_DIASTOLIC },
+      treatedMembers: new Set(courses.map(course => course.memberId)).size,
+      byClass: medicationClassControl(readings, courses)
+    });
+  } catch (error) {
+    console.error('Error fetching medication analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch medication analytics' });
+  }
+});
+
+const SNAPSHOT_GROUPS = [...members.union.enumValues, ALL_MEMBERS] as [string, ...string[]];
+const SNAPSHOT_MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const snapshotQuerySchema = z.object({
+  union: z.enum(SNAPSHOT_GROUPS).optional(),
+  from: z.string().regex(SNAPSHOT_MONTH, 'Expected a month as YYYY-MM').optional(),
+  to: z.string().regex(SNAPSHOT_MONTH, 'Expected a month as YYYY-MM').optional()
+});
+
+const percentage = (count: number, of: number) => (of > 0 ? Math.round((count / of) * 1000) / 10 : null);
+
+// GET /api/analytics/snapshots - Monthly KPI snapshots per union, oldest month first
+router.get('/snapshots', exportable('analytics-snapshots'), async (req, res) => {
+  try {
+    const { union, from, to } = snapshotQuerySchema.parse(req.query);
+
+    const conditions = [];
+    if (union) conditions.push(eq(analyticsSnapshots.union, union));
+    if (from) conditions.push(gte(analyticsSnapshots.month, from));
+    if (to) conditions.push(lte(analyticsSnapshots.month, to));
+
+    const rows = await db.select()
+      .from(analyticsSnapshots)
+      .where(conditions.length > 0 ? and(...conditions) : undefined);
+
+    // Percentages leave out members with no readings (PRD §4.4), except participation, which is
+    // the share of enrolled members who took a reading that month. Unions follow the members
+    // table's order, then all members.
+    const snapshots = rows
+      .sort((a, b) => a.month.localeCompare(b.month) || SNAPSHOT_GROUPS.indexOf(a.union) - SNAPSHOT_GROUPS.indexOf(b.union))
+      .map(({ id, ...snapshot }) => ({
+        ...snapshot,
+        participationRate: percentage(snapshot.participatingMembers, snapshot.enrolledMembers),
+        controlRate: percentage(snapshot.controlledMembers, snapshot.measuredMembers),
+        highRiskRate: percentage(snapshot.stage2Count + snapshot.crisisCount, snapshot.measuredMembers)
+      }));
+
+    res.json({
+      months: [...new Set(snapshots.map(snapshot => snapshot.month))],
+      snapshots
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error fetching analytics snapshots:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics snapshots' });
+  }
+});
+
 export { router as analyticsRouter };
 
@@ -4,17 +4,32 @@ import jwt from 'jsonwebtoken';
 import { db } from '../db/index.js';
 import { users, type User, type NewUser } from '../db/schema.js';
 import { eq } from 'drizzle-orm';
+import { ROLES, type Role } from '../middleware/permissions.js';
 
 const router = Router();
 
 // JWT secret (in production, this should be in environment variables)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
+// Accounts are created by admins; only a super admin may grant a role other than user
+function authorizeRoleGrant(req: any, res: any, next: any) {
+  const role = req.body?.role ?? 'user';
+  if (role !== 'user' && req.user?.role !== 'super_admin') {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  next();
+}
+
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', authenticateToken, requireRole(['admin', 'super_admin']), authorizeRoleGrant, async (req, res) => {
   try {
     const { username, email, password, firstName, lastName, role = 'user' } = req.body;
 
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
     // Check if user already exists
     const existingUser = await db.select().from(users).where(eq(users.email, email)).limit(1);
     if (existingUser.length > 0) {
@@ -30,7 +45,7 @@ router.post('/register', async (req, res) => {
       username,
       email,
       passwordHash,
-      role: role as 'user' | 'admin' | 'super_admin',
+      role: role as Role,
       firstName,
       lastName
     };
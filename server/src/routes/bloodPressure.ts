@@ -1,33 +1,33 @@
 import { Router } from 'express';
-import { eq, desc } from 'drizzle-orm';
-import { db, bloodPressureReadings, members, type NewBloodPressureReading } from '../db/index.js';
+import { eq, asc, desc, and, isNull, isNotNull, gte, lte, count, inArray } from 'drizzle-orm';
+import {
+  db,
+  bloodPressureReadings,
+  measurementSessions,
+  members,
+  type NewBloodPressureReading
+} from '../db/index.js';
+import { deletionStamp, isRecoverable, recoveryCutoff } from '../db/softDelete.js';
+import { paginationSchema, orderByColumn, endOfDay, paginated } from '../db/listQuery.js';
+import { classifyReading, activeGuideline, reclassifyReadings, summarizeReadings } from '../db/htnClassification.js';
+import { getGuideline, describeRule } from '../shared/bpClassification.js';
+import { MIN_SESSION_READINGS, MAX_SESSION_READINGS } from '../shared/measurementSession.js';
+import { raiseAlert, raiseAlertForReading } from '../alerts/alerting.js';
+import { readSpreadsheet, resolveMapping, mappedValues } from '../imports/spreadsheet.js';
+import {
+  READING_FIELDS, readingFieldsSchema, historicalReadingSchema, readingImportInput, readingKey, type ReadingField
+} from '../imports/readings.js';
+import { toCsv } from '../imports/csv.js';
+import { exportFormatSchema, sendExport, batchesOf, type ExportColumn } from '../exports/dataExport.js';
+import { recordAudit, diffRecords } from '../middleware/audit.js';
+import { requireRole } from './auth.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
 import { z } from 'zod';
 
 const router = Router();
 
-// HTN Status calculation function based on AHA guidelines
-function calculateHTNStatus(systolic: number, diastolic: number): string {
-  if (systolic >= 180 || diastolic >= 120) {
-    return 'Crisis';
-  } else if (systolic >= 140 || diastolic >= 90) {
-    return 'Stage 2';
-  } else if (systolic >= 130 || diastolic >= 80) {
-    return 'Stage 1';
-  } else if (systolic >= 120 && diastolic < 80) {
-    return 'Elevated';
-  } else {
-    return 'Normal';
-  }
-}
-
 // Validation schemas
-const bloodPressureSchema = z.object({
-  memberId: z.string().uuid(),
-  systolic: z.number().min(70).max(300),
-  diastolic: z.number().min(40).max(200),
-  heartRate: z.number().min(30).max(250).optional(),
-  readingDate: z.string().datetime()
-}).refine(data => data.systolic > data.diastolic, {
+const readingValuesSchema = readingFieldsSchema.refine(data => data.systolic > data.diastolic, {
   message: "Systolic pressure must be greater than diastolic pressure"
 }).refine(data => {
   const readingDate = new Date(data.readingDate);
@@ -38,6 +38,27 @@ const bloodPressureSchema = z.object({
   message: "Reading cannot be backdated more than 30 days"
 });
 
+const bloodPressureSchema = z.object({ memberId: z.string().uuid() }).and(readingValuesSchema);
+
+const readingImportSchema = z.object({
+  memberId: z.string().uuid(),
+  fileName: z.string().min(1).max(255),
+  // The .csv or .xlsx device export, base64-encoded
+  content: z.string().min(1),
+  // Where the readings came from, e.g. "Omron Connect"
+  source: z.string().trim().min(2).max(100),
+  mapping: z.record(z.enum(READING_FIELDS.map(({ field }) => field) as [ReadingField, ...ReadingField[]]), z.string().nullable()).optional(),
+  // Minutes behind UTC of the clock the device used, as Date#getTimezoneOffset reports
+  timezoneOffset: z.number().int().min(-840).max(840).default(0),
+  dryRun: z.boolean().default(true),
+  skipInvalid: z.boolean().default(false)
+});
+
+const measurementSessionSchema = z.object({
+  memberId: z.string().uuid(),
+  readings: z.array(readingValuesSchema).min(MIN_SESSION_READINGS).max(MAX_SESSION_READINGS)
+});
+
 const updateBloodPressureSchema = z.object({
   systolic: z.number().min(70).max(300).optional(),
   diastolic: z.number().min(40).max(200).optional(),
@@ -52,8 +73,163 @@ const updateBloodPressureSchema = z.object({
   message: "Systolic pressure must be greater than diastolic pressure"
 });
 
-// GET /api/blood-pressure-readings - List all readings
+const readingFiltersSchema = z.object({
+  sort: z.enum(['readingDate', 'systolic', 'diastolic', 'htnStatus', 'createdAt']).default('readingDate'),
+  order: z.enum(['asc', 'desc']).optional(),
+  memberId: z.string().uuid().optional(),
+  union: z.enum(['Firefighters', 'Police', 'EMS']).optional(),
+  htnStatus: z.enum(['Normal', 'Elevated', 'Stage 1', 'Stage 2', 'Crisis']).optional(),
+  startDate: z.coerce.date().optional(),
+  endDate: z.coerce.date().optional()
+});
+
+const listReadingsQuerySchema = paginationSchema.merge(readingFiltersSchema);
+const exportReadingsQuerySchema = readingFiltersSchema.merge(exportFormatSchema);
+
+const readingSortColumns = {
+  readingDate: bloodPressureReadings.readingDate,
+  systolic: bloodPressureReadings.systolic,
+  diastolic: bloodPressureReadings.diastolic,
+  htnStatus: bloodPressureReadings.htnStatus,
+  createdAt: bloodPressureReadings.createdAt
+};
+
+// Filters shared by the reading list and its export
+function readingListConditions(query: z.infer<typeof readingFiltersSchema>) {
+  const conditions = [isNull(bloodPressureReadings.deletedAt)];
+  if (query.memberId) conditions.push(eq(bloodPressureReadings.memberId, query.memberId));
+  if (query.union) conditions.push(eq(members.union, query.union));
+  if (query.htnStatus) conditions.push(eq(bloodPressureReadings.htnStatus, query.htnStatus));
+  if (query.startDate) conditions.push(gte(bloodPressureReadings.readingDate, query.startDate));
+  if (query.endDate) conditions.push(lte(bloodPressureReadings.readingDate, endOfDay(query.endDate)));
+  return and(...conditions);
+}
+
+// Reading row with the member's name, as listed and exported
+const selectReadingsWithMember = () => db.select({
+  id: bloodPressureReadings.id,
+  memberId: bloodPressureReadings.memberId,
+  systolic: bloodPressureReadings.systolic,
+  diastolic: bloodPressureReadings.diastolic,
+  heartRate: bloodPressureReadings.heartRate,
+  readingDate: bloodPressureReadings.readingDate,
+  htnStatus: bloodPressureReadings.htnStatus,
+  guideline: bloodPressureReadings.guideline,
+  htnRule: bloodPressureReadings.htnRule,
+  sessionId: bloodPressureReadings.sessionId,
+  sessionFlag: bloodPressureReadings.sessionFlag,
+  source: bloodPressureReadings.source,
+  importedAt: bloodPressureReadings.importedAt,
+  createdAt: bloodPressureReadings.createdAt,
+  memberName: members.firstName,
+  memberLastName: members.lastName,
+  employeeId: members.employeeId
+})
+.from(bloodPressureReadings)
+.leftJoin(members, eq(bloodPressureReadings.memberId, members.id));
+
+type ReadingWithMember = Awaited<ReturnType<typeof selectReadingsWithMember>>[number];
+
+// GET /api/blood-pressure-readings - List readings (paginated, sortable, filterable)
 router.get('/', async (req, res) => {
+  try {
+    const query = listReadingsQuerySchema.parse(req.query);
+    const whereConditions = readingListConditions(query);
+    
+    const readings = await selectReadingsWithMember()
+    .where(whereConditions)
+    .orderBy(orderByColumn(readingSortColumns[query.sort], query.order ?? 'desc'))
+    .limit(query.limit)
+    .offset(query.offset);
+    
+    const [total] = await db.select({ count: count() })
+      .from(bloodPressureReadings)
+      .leftJoin(members, eq(bloodPressureReadings.memberId, members.id))
+      .where(whereConditions);
+    
+    res.json(paginated(readings, total.count, query));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error fetching blood pressure readings:', error);
+    res.status(500).json({ error: 'Failed to fetch blood pressure readings' });
+  }
+});
+
+const readingExportColumns: ExportColumn<ReadingWithMember>[] = [
+  { key: 'employeeId', header: 'Employee ID' },
+  { key: 'memberName', header: 'First Name' },
+  { key: 'memberLastName', header: 'Last Name' },
+  { key: 'readingDate', header: 'Reading Date' },
+  { key: 'systolic', header: 'Systolic' },
+  { key: 'diastolic', header: 'Diastolic' },
+  { key: 'heartRate', header: 'Heart Rate' },
+  { key: 'htnStatus', header: 'HTN Status' },
+  { key: 'guideline', header: 'Guideline' },
+  { key: 'htnRule', header: 'Rule' },
+  { key: 'sessionId', header: 'Session ID' },
+  { key: 'sessionFlag', header: 'Session Flag' },
+  { key: 'source', header: 'Source' },
+  { key: 'importedAt', header: 'Imported' },
+  { key: 'createdAt', header: 'Recorded' },
+  { key: 'memberId', header: 'Member ID' },
+  { key: 'id', header: 'Reading ID' }
+];
+
+// GET /api/blood-pressure-readings/export - Download the filtered readings as CSV, XLSX or JSON
+router.get('/export', requireRole(PERMISSIONS.bloodPressure.export), async (req, res) => {
+  try {
+    const query = exportReadingsQuerySchema.parse(req.query);
+    const whereConditions = readingListConditions(query);
+
+    await sendExport(res, 'blood-pressure-readings', query.format, [{
+      name: 'readings',
+      columns: readingExportColumns,
+      batches: batchesOf((limit, offset) => selectReadingsWithMember()
+        .where(whereConditions)
+        .orderBy(orderByColumn(readingSortColumns[query.sort], query.order ?? 'desc'), asc(bloodPressureReadings.id))
+        .limit(limit)
+        .offset(offset))
+    }]);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error exporting blood pressure readings:', error);
+    res.status(500).json({ error: 'Failed to export blood pressure readings' });
+  }
+});
+
+// GET /api/blood-pressure-readings/guideline - Active classification guideline and its rules
+router.get('/guideline', async (req, res) => {
+  try {
+    const guideline = getGuideline(activeGuideline());
+    
+    res.json({
+      ...guideline,
+      rules: guideline.rules.map(rule => ({ ...rule, description: describeRule(rule) }))
+    });
+  } catch (error) {
+    console.error('Error fetching BP guideline:', error);
+    res.status(500).json({ error: 'Failed to fetch BP guideline' });
+  }
+});
+
+// POST /api/blood-pressure-readings/reclassify - Reclassify stored readings under the active guideline
+router.post('/reclassify', requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const result = reclassifyReadings();
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error reclassifying blood pressure readings:', error);
+    res.status(500).json({ error: 'Failed to reclassify blood pressure readings' });
+  }
+});
+
+// GET /api/blood-pressure-readings/deleted - List readings deleted within the recovery window
+router.get('/deleted', async (req, res) => {
   try {
     const readings = await db.select({
       id: bloodPressureReadings.id,
@@ -63,19 +239,187 @@ router.get('/', async (req, res) => {
       heartRate: bloodPressureReadings.heartRate,
       readingDate: bloodPressureReadings.readingDate,
       htnStatus: bloodPressureReadings.htnStatus,
-      createdAt: bloodPressureReadings.createdAt,
+      deletedAt: bloodPressureReadings.deletedAt,
+      deletedBy: bloodPressureReadings.deletedBy,
       memberName: members.firstName,
       memberLastName: members.lastName,
       employeeId: members.employeeId
     })
     .from(bloodPressureReadings)
     .leftJoin(members, eq(bloodPressureReadings.memberId, members.id))
-    .orderBy(desc(bloodPressureReadings.readingDate));
+    .where(and(
+      isNotNull(bloodPressureReadings.deletedAt),
+      gte(bloodPressureReadings.deletedAt, recoveryCutoff())
+    ))
+    .orderBy(desc(bloodPressureReadings.deletedAt));
     
     res.json(readings);
   } catch (error) {
-    console.error('Error fetching blood pressure readings:', error);
-    res.status(500).json({ error: 'Failed to fetch blood pressure readings' });
+    console.error('Error fetching deleted blood pressure readings:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted blood pressure readings' });
+  }
+});
+
+// POST /api/blood-pressure-readings/sessions - Record a multi-reading measurement session
+router.post('/sessions', async (req, res) => {
+  try {
+    const validatedData = measurementSessionSchema.parse(req.body);
+    
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, validatedData.memberId), isNull(members.deletedAt)));
+    
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    // The session's stage comes from the mean of the readings left after discarding the first
+    // and outliers. Each reading keeps its own stage: copying the session's onto every reading
+    // would count one visit's stage two or three times wherever readings are counted.
+    const summary = summarizeReadings(validatedData.readings);
+    const { classification } = summary;
+    
+    const created = db.transaction((tx) => {
+      const session = tx.insert(measurementSessions).values({
+        memberId: validatedData.memberId,
+        startedAt: new Date(summary.readings[0].readingDate),
+        readingCount: summary.readings.length,
+        includedCount: summary.includedCount,
+        meanSystolic: summary.meanSystolic,
+        meanDiastolic: summary.meanDiastolic,
+        meanHeartRate: summary.meanHeartRate,
+        htnStatus: classification.status,
+        guideline: classification.guideline,
+        htnRule: classification.ruleId
+      }).returning().get();
+      
+      const readings = summary.readings.map(({ flag, ...reading }) =>
+        tx.insert(bloodPressureReadings).values({
+          ...reading,
+          memberId: validatedData.memberId,
+          readingDate: new Date(reading.readingDate),
+          sessionId: session.id,
+          sessionFlag: flag,
+          ...classifyReading(reading.systolic, reading.diastolic).columns
+        }).returning().get()
+      );
+      
+      return { ...session, readings };
+    });
+    
+    // A session alerts on its mean, like its stage
+    const alert = raiseAlert({
+      memberId: created.memberId,
+      sessionId: created.id,
+      systolic: created.meanSystolic,
+      diastolic: created.meanDiastolic,
+      htnStatus: created.htnStatus
+    });
+    
+    res.status(201).json({ ...created, classification, alert });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error creating measurement session:', error);
+    res.status(500).json({ error: 'Failed to create measurement session' });
+  }
+});
+
+// GET /api/blood-pressure-readings/sessions/member/:memberId - Get member's measurement sessions
+router.get('/sessions/member/:memberId', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    
+    const sessions = await db.select()
+      .from(measurementSessions)
+      .where(and(eq(measurementSessions.memberId, memberId), isNull(measurementSessions.deletedAt)))
+      .orderBy(desc(measurementSessions.startedAt));
+    
+    const readings = sessions.length > 0
+      ? await db.select()
+        .from(bloodPressureReadings)
+        .where(and(
+          inArray(bloodPressureReadings.sessionId, sessions.map(session => session.id)),
+          isNull(bloodPressureReadings.deletedAt)
+        ))
+        .orderBy(bloodPressureReadings.readingDate)
+      : [];
+    
+    res.json(sessions.map(session => ({
+      ...session,
+      readings: readings.filter(reading => reading.sessionId === session.id)
+    })));
+  } catch (error) {
+    console.error('Error fetching measurement sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch measurement sessions' });
+  }
+});
+
+// DELETE /api/blood-pressure-readings/sessions/:id - Soft-delete a session and its readings
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingSession = await db.select().from(measurementSessions)
+      .where(and(eq(measurementSessions.id, id), isNull(measurementSessions.deletedAt)));
+    
+    if (existingSession.length === 0) {
+      return res.status(404).json({ error: 'Measurement session not found' });
+    }
+    
+    const stamp = deletionStamp(req);
+    
+    db.transaction((tx) => {
+      tx.update(measurementSessions).set(stamp).where(eq(measurementSessions.id, id)).run();
+      tx.update(bloodPressureReadings)
+        .set(stamp)
+        .where(and(eq(bloodPressureReadings.sessionId, id), isNull(bloodPressureReadings.deletedAt)))
+        .run();
+    });
+    
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting measurement session:', error);
+    res.status(500).json({ error: 'Failed to delete measurement session' });
+  }
+});
+
+// POST /api/blood-pressure-readings/sessions/:id/restore - Restore a soft-deleted session
+router.post('/sessions/:id/restore', requireRole(PERMISSIONS.bloodPressure.delete), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingSession = await db.select().from(measurementSessions)
+      .where(and(eq(measurementSessions.id, id), isNotNull(measurementSessions.deletedAt)));
+    
+    if (existingSession.length === 0) {
+      return res.status(404).json({ error: 'Deleted measurement session not found' });
+    }
+    
+    const { deletedAt } = existingSession[0];
+    
+    if (!isRecoverable(deletedAt)) {
+      return res.status(410).json({ error: 'Recovery window has expired' });
+    }
+    
+    // Only bring back the readings removed together with the session
+    const restored = db.transaction((tx) => {
+      tx.update(bloodPressureReadings)
+        .set({ deletedAt: null, deletedBy: null })
+        .where(and(eq(bloodPressureReadings.sessionId, id), eq(bloodPressureReadings.deletedAt, deletedAt!)))
+        .run();
+      
+      return tx.update(measurementSessions)
+        .set({ deletedAt: null, deletedBy: null })
+        .where(eq(measurementSessions.id, id))
+        .returning()
+        .get();
+    });
+    
+    res.json(restored);
+  } catch (error) {
+    console.error('Error restoring measurement session:', error);
+    res.status(500).json({ error: 'Failed to restore measurement session' });
   }
 });
 
@@ -86,7 +430,7 @@ router.get('/member/:memberId', async (req, res) => {
     
     const readings = await db.select()
       .from(bloodPressureReadings)
-      .where(eq(bloodPressureReadings.memberId, memberId))
+      .where(and(eq(bloodPressureReadings.memberId, memberId), isNull(bloodPressureReadings.deletedAt)))
       .orderBy(desc(bloodPressureReadings.readingDate));
     
     res.json(readings);
@@ -96,30 +440,189 @@ router.get('/member/:memberId', async (req, res) => {
   }
 });
 
+// POST /api/blood-pressure-readings/import - Import a member's historical readings from a device
+// export. Rows are classified under the active guideline, readings already on file are skipped,
+// and unless it is a dry run the new readings are created in a single transaction.
+router.post('/import', async (req: any, res) => {
+  try {
+    const options = readingImportSchema.parse(req.body);
+    
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, options.memberId), isNull(members.deletedAt)));
+    
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const read = readSpreadsheet(options.fileName, Buffer.from(options.content, 'base64'));
+    if ('error' in read) {
+      return res.status(400).json({ error: read.error });
+    }
+    
+    const { headers, rows } = read.spreadsheet;
+    const mapping = resolveMapping(headers, READING_FIELDS, options.mapping);
+    const missingFields = READING_FIELDS
+      .filter(({ field, required }) => required && !mapping[field])
+      .map(({ label }) => label);
+    
+    const existingReadings = await db.select({
+      readingDate: bloodPressureReadings.readingDate,
+      systolic: bloodPressureReadings.systolic,
+      diastolic: bloodPressureReadings.diastolic
+    })
+    .from(bloodPressureReadings)
+    .where(and(eq(bloodPressureReadings.memberId, options.memberId), isNull(bloodPressureReadings.deletedAt)));
+    const existingKeys = new Set(existingReadings.map(reading => readingKey(reading.readingDate, reading.systolic, reading.diastolic)));
+    
+    const labels = new Map<unknown, string>(READING_FIELDS.map(({ field, label }) => [field, label]));
+    const firstRowByKey = new Map<string, number>();
+    const results = rows.map(({ row, cells }) => {
+      const values = mappedValues(headers, mapping, cells);
+      const parsed = historicalReadingSchema.safeParse(readingImportInput(values, options.timezoneOffset));
+      
+      if (!parsed.success) {
+        const errors = parsed.error.errors.map(issue => {
+          const label = labels.get(issue.path[0]);
+          return label ? `${label}: ${issue.message}` : issue.message;
+        });
+        return { row, cells, status: 'invalid' as const, errors, duplicateOf: null, reading: null, classification: null };
+      }
+      
+      const reading = parsed.data;
+      const key = readingKey(new Date(reading.readingDate), reading.systolic, reading.diastolic);
+      const firstRow = firstRowByKey.get(key);
+      const duplicateOf = existingKeys.has(key) ? 'existing' : firstRow ?? null;
+      if (!firstRow) firstRowByKey.set(key, row);
+      
+      return {
+        row,
+        cells,
+        status: duplicateOf === null ? 'valid' as const : 'duplicate' as const,
+        errors: [] as string[],
+        duplicateOf,
+        reading,
+        classification: classifyReading(reading.systolic, reading.diastolic)
+      };
+    });
+    
+    const invalid = results.filter(result => result.status === 'invalid');
+    const toImport = results.flatMap(({ status, reading, classification }) =>
+      status === 'valid' && reading && classification ? [{ reading, classification }] : []);
+    const report = {
+      fileName: options.fileName,
+      source: options.source,
+      headers,
+      fields: READING_FIELDS.map(({ field, label, required }) => ({ field, label, required })),
+      mapping,
+      missingFields,
+      totalRows: results.length,
+      validRows: toImport.length,
+      duplicateRows: results.length - toImport.length - invalid.length,
+      invalidRows: invalid.length,
+      rows: results.map(({ row, status, errors, duplicateOf, reading, classification }) => ({
+        row,
+        status,
+        errors,
+        duplicateOf,
+        readingDate: reading?.readingDate ?? null,
+        systolic: reading?.systolic ?? null,
+        diastolic: reading?.diastolic ?? null,
+        heartRate: reading?.heartRate ?? null,
+        htnStatus: classification?.columns.htnStatus ?? null
+      })),
+      errorReport: invalid.length > 0
+        ? toCsv([
+            ['Row', ...headers, 'Errors'],
+            ...invalid.map(({ row, cells, errors }) => [row, ...headers.map((_, column) => cells[column] ?? ''), errors.join('; ')])
+          ])
+        : null,
+      dryRun: options.dryRun,
+      imported: 0
+    };
+    
+    if (options.dryRun) {
+      return res.json(report);
+    }
+    if (invalid.length > 0 && !options.skipInvalid) {
+      return res.status(400).json({ error: 'Fix or skip the rows with errors before importing', ...report });
+    }
+    if (toImport.length === 0) {
+      return res.status(400).json({ error: 'The file has no new readings to import', ...report });
+    }
+    
+    // Imported history does not raise crisis alerts: the readings are not current
+    const now = new Date();
+    const importedBy = req.user?.userId ?? null;
+    const createdReadings = db.transaction((tx) => toImport.map(({ reading, classification }) =>
+      tx.insert(bloodPressureReadings)
+        .values({
+          memberId: options.memberId,
+          systolic: reading.systolic,
+          diastolic: reading.diastolic,
+          heartRate: reading.heartRate,
+          readingDate: new Date(reading.readingDate),
+          ...classification.columns,
+          source: options.source,
+          importedAt: now,
+          importedBy
+        })
+        .returning()
+        .get()
+    ));
+    
+    for (const createdReading of createdReadings) {
+      await recordAudit({
+        userId: importedBy,
+        userRole: req.user?.role ?? null,
+        action: 'create',
+        entityType: 'bloodPressureReading',
+        entityId: createdReading.id,
+        memberId: options.memberId,
+        changes: diffRecords(null, createdReading),
+        method: req.method,
+        path: req.originalUrl,
+        ipAddress: req.ip ?? null
+      });
+    }
+    
+    res.status(201).json({ ...report, imported: createdReadings.length });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error importing blood pressure readings:', error);
+    res.status(500).json({ error: 'Failed to import blood pressure readings' });
+  }
+});
+
 // POST /api/blood-pressure-readings - Create new reading
 router.post('/', async (req, res) => {
   try {
     const validatedData = bloodPressureSchema.parse(req.body);
     
     // Check if member exists
-    const member = await db.select().from(members).where(eq(members.id, validatedData.memberId));
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, validatedData.memberId), isNull(members.deletedAt)));
     
     if (member.length === 0) {
       return res.status(404).json({ error: 'Member not found' });
     }
     
-    // Calculate HTN status automatically
-    const htnStatus = calculateHTNStatus(validatedData.systolic, validatedData.diastolic);
+    // Classify under the deployment's guideline and keep the rule that fired
+    const { classification, columns } = classifyReading(validatedData.systolic, validatedData.diastolic);
     
     const newReading: NewBloodPressureReading = {
       ...validatedData,
       readingDate: new Date(validatedData.readingDate),
-      htnStatus: htnStatus as any
+      ...columns
     };
     
     const [createdReading] = await db.insert(bloodPressureReadings).values(newReading).returning();
     
-    res.status(201).json(createdReading);
+    // Crisis and severe readings page the care team
+    const alert = raiseAlertForReading(createdReading);
+    
+    res.status(201).json({ ...createdReading, classification, alert });
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ error: 'Validation failed', details: error.errors });
@@ -136,19 +639,28 @@ router.put('/:id', async (req, res) => {
     const validatedData = updateBloodPressureSchema.parse(req.body);
     
     // Check if reading exists
-    const existingReading = await db.select().from(bloodPressureReadings).where(eq(bloodPressureReadings.id, id));
+    const existingReading = await db.select().from(bloodPressureReadings)
+      .where(and(eq(bloodPressureReadings.id, id), isNull(bloodPressureReadings.deletedAt)));
     
     if (existingReading.length === 0) {
       return res.status(404).json({ error: 'Blood pressure reading not found' });
     }
     
+    // Editing one reading would leave the session mean stale
+    if (existingReading[0].sessionId) {
+      return res.status(409).json({ error: 'Reading belongs to a measurement session' });
+    }
+    
     const updateData: any = { ...validatedData };
+    let classification = null;
     
-    // Recalculate HTN status if systolic or diastolic changed
+    // Reclassify under the active guideline if systolic or diastolic changed
     if (validatedData.systolic !== undefined || validatedData.diastolic !== undefined) {
       const systolic = validatedData.systolic ?? existingReading[0].systolic;
       const diastolic = validatedData.diastolic ?? existingReading[0].diastolic;
-      updateData.htnStatus = calculateHTNStatus(systolic, diastolic);
+      const result = classifyReading(systolic, diastolic);
+      classification = result.classification;
+      Object.assign(updateData, result.columns);
     }
     
     if (validatedData.readingDate) {
@@ -160,7 +672,14 @@ router.put('/:id', async (req, res) => {
       .where(eq(bloodPressureReadings.id, id))
       .returning();
     
-    res.json(updatedReading);
+    if (!classification) {
+      return res.json(updatedReading);
+    }
+    
+    // A correction that turns a reading into a crisis still needs to reach someone
+    const alert = raiseAlertForReading(updatedReading);
+    
+    res.json({ ...updatedReading, classification, alert });
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ error: 'Validation failed', details: error.errors });
@@ -170,19 +689,26 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/blood-pressure-readings/:id - Delete reading
+// DELETE /api/blood-pressure-readings/:id - Soft-delete reading
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
     // Check if reading exists
-    const existingReading = await db.select().from(bloodPressureReadings).where(eq(bloodPressureReadings.id, id));
+    const existingReading = await db.select().from(bloodPressureReadings)
+      .where(and(eq(bloodPressureReadings.id, id), isNull(bloodPressureReadings.deletedAt)));
     
     if (existingReading.length === 0) {
       return res.status(404).json({ error: 'Blood pressure reading not found' });
     }
     
-    await db.delete(bloodPressureReadings).where(eq(bloodPressureReadings.id, id));
+    if (existingReading[0].sessionId) {
+      return res.status(409).json({ error: 'Reading belongs to a measurement session; delete the session instead' });
+    }
+    
+    await db.update(bloodPressureReadings)
+      .set(deletionStamp(req))
+      .where(eq(bloodPressureReadings.id, id));
     
     res.status(204).send();
   } catch (error) {
@@ -191,5 +717,50 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/blood-pressure-readings/:id/restore - Restore a soft-deleted reading
+router.post('/:id/restore', requireRole(PERMISSIONS.bloodPressure.delete), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingReading = await db.select().from(bloodPressureReadings)
+      .where(and(eq(bloodPressureReadings.id, id), isNotNull(bloodPressureReadings.deletedAt)));
+    
+    if (existingReading.length === 0) {
+      return res.status(404).json({ error: 'Deleted blood pressure reading not found' });
+    }
+    
+    if (!isRecoverable(existingReading[0].deletedAt)) {
+      return res.status(410).json({ error: 'Recovery window has expired' });
+    }
+    
+    const { sessionId, deletedAt } = existingReading[0];
+    
+    // A session reading comes back together with its session and the readings deleted with it
+    const restoredReading = db.transaction((tx) => {
+      if (sessionId) {
+        tx.update(measurementSessions)
+          .set({ deletedAt: null, deletedBy: null })
+          .where(and(eq(measurementSessions.id, sessionId), eq(measurementSessions.deletedAt, deletedAt!)))
+          .run();
+        tx.update(bloodPressureReadings)
+          .set({ deletedAt: null, deletedBy: null })
+          .where(and(eq(bloodPressureReadings.sessionId, sessionId), eq(bloodPressureReadings.deletedAt, deletedAt!)))
+          .run();
+      }
+      
+      return tx.update(bloodPressureReadings)
+        .set({ deletedAt: null, deletedBy: null })
+        .where(eq(bloodPressureReadings.id, id))
+        .returning()
+        .get();
+    });
+    
+    res.json(restoredReading);
+  } catch (error) {
+    console.error('Error restoring blood pressure reading:', error);
+    res.status(500).json({ error: 'Failed to restore blood pressure reading' });
+  }
+});
+
 export { router as bloodPressureRouter };
 
@@ -1,6 +1,12 @@
 import { Router } from 'express';
-import { eq, desc, max } from 'drizzle-orm';
-import { db, encounters, members, type NewEncounter } from '../db/index.js';
+import { eq, asc, desc, max, and, isNull, isNotNull, gte, lte, count } from 'drizzle-orm';
+import { db, encounters, members, users, type NewEncounter } from '../db/index.js';
+import { deletionStamp, isRecoverable, recoveryCutoff } from '../db/softDelete.js';
+import { paginationSchema, queryBoolean, orderByColumn, endOfDay, paginated } from '../db/listQuery.js';
+import { reindexMember } from '../db/memberSearch.js';
+import { exportFormatSchema, sendExport, batchesOf, type ExportColumn } from '../exports/dataExport.js';
+import { requireRole } from './auth.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
 import { z } from 'zod';
 
 const router = Router();
@@ -12,7 +18,8 @@ const encounterSchema = z.object({
   topic: z.string().min(3).max(200),
   content: z.string().min(10).max(5000),
   callStatus: z.string().min(1).max(50),
-  callerName: z.string().min(2).max(100),
+  // Only used when the signed-in user has no staff record; otherwise the recorder's name is used
+  callerName: z.string().min(2).max(100).optional(),
   encounterDate: z.string().datetime(),
   isCompleted: z.boolean().optional()
 });
@@ -22,38 +29,167 @@ const updateEncounterSchema = z.object({
   topic: z.string().min(3).max(200).optional(),
   content: z.string().min(10).max(5000).optional(),
   callStatus: z.string().min(1).max(50).optional(),
-  callerName: z.string().min(2).max(100).optional(),
   encounterDate: z.string().datetime().optional(),
   isCompleted: z.boolean().optional()
 });
 
-// GET /api/encounters - List all encounters
-router.get('/', async (req, res) => {
+const encounterFiltersSchema = z.object({
+  sort: z.enum(['encounterDate', 'sessionNumber', 'communicationType', 'createdAt']).default('encounterDate'),
+  order: z.enum(['asc', 'desc']).optional(),
+  memberId: z.string().uuid().optional(),
+  // "me" resolves to the signed-in user
+  recordedBy: z.union([z.literal('me'), z.string().uuid()]).optional(),
+  union: z.enum(['Firefighters', 'Police', 'EMS']).optional(),
+  communicationType: z.enum(['Phone', 'Text', 'Email', 'In-Person']).optional(),
+  isCompleted: queryBoolean.optional(),
+  startDate: z.coerce.date().optional(),
+  endDate: z.coerce.date().optional()
+});
+
+const listEncountersQuerySchema = paginationSchema.merge(encounterFiltersSchema);
+const exportEncountersQuerySchema = encounterFiltersSchema.merge(exportFormatSchema);
+
+const encounterSortColumns = {
+  encounterDate: encounters.encounterDate,
+  sessionNumber: encounters.sessionNumber,
+  communicationType: encounters.communicationType,
+  createdAt: encounters.createdAt
+};
+
+// Filters shared by the encounter list and its export
+function encounterListConditions(query: z.infer<typeof encounterFiltersSchema>, userId: string) {
+  const conditions = [isNull(encounters.deletedAt)];
+  if (query.memberId) conditions.push(eq(encounters.memberId, query.memberId));
+  if (query.recordedBy) {
+    conditions.push(eq(encounters.recordedBy, query.recordedBy === 'me' ? userId : query.recordedBy));
+  }
+  if (query.union) conditions.push(eq(members.union, query.union));
+  if (query.communicationType) conditions.push(eq(encounters.communicationType, query.communicationType));
+  if (query.isCompleted !== undefined) conditions.push(eq(encounters.isCompleted, query.isCompleted));
+  if (query.startDate) conditions.push(gte(encounters.encounterDate, query.startDate));
+  if (query.endDate) conditions.push(lte(encounters.encounterDate, endOfDay(query.endDate)));
+  return and(...conditions);
+}
+
+// Encounter row with the member's name, as listed and exported
+const selectEncountersWithMember = () => db.select({
+  id: encounters.id,
+  memberId: encounters.memberId,
+  sessionNumber: encounters.sessionNumber,
+  communicationType: encounters.communicationType,
+  topic: encounters.topic,
+  content: encounters.content,
+  callStatus: encounters.callStatus,
+  callerName: encounters.callerName,
+  recordedBy: encounters.recordedBy,
+  encounterDate: encounters.encounterDate,
+  isCompleted: encounters.isCompleted,
+  createdAt: encounters.createdAt,
+  memberName: members.firstName,
+  memberLastName: members.lastName,
+  employeeId: members.employeeId
+})
+.from(encounters)
+.leftJoin(members, eq(encounters.memberId, members.id));
+
+type EncounterWithMember = Awaited<ReturnType<typeof selectEncountersWithMember>>[number];
+
+// GET /api/encounters - List encounters (paginated, sortable, filterable)
+router.get('/', async (req: any, res) => {
+  try {
+    const query = listEncountersQuerySchema.parse(req.query);
+    const whereConditions = encounterListConditions(query, req.user?.userId);
+    
+    const pageOfEncounters = await selectEncountersWithMember()
+    .where(whereConditions)
+    .orderBy(orderByColumn(encounterSortColumns[query.sort], query.order ?? 'desc'))
+    .limit(query.limit)
+    .offset(query.offset);
+    
+    const [total] = await db.select({ count: count() })
+      .from(encounters)
+      .leftJoin(members, eq(encounters.memberId, members.id))
+      .where(whereConditions);
+    
+    res.json(paginated(pageOfEncounters, total.count, query));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error fetching encounters:', error);
+    res.status(500).json({ error: 'Failed to fetch encounters' });
+  }
+});
+
+const encounterExportColumns: ExportColumn<EncounterWithMember>[] = [
+  { key: 'employeeId', header: 'Employee ID' },
+  { key: 'memberName', header: 'First Name' },
+  { key: 'memberLastName', header: 'Last Name' },
+  { key: 'sessionNumber', header: 'Session' },
+  { key: 'encounterDate', header: 'Encounter Date' },
+  { key: 'communicationType', header: 'Type' },
+  { key: 'topic', header: 'Topic' },
+  { key: 'content', header: 'Notes' },
+  { key: 'callStatus', header: 'Call Status' },
+  { key: 'callerName', header: 'Recorded By' },
+  { key: 'isCompleted', header: 'Completed' },
+  { key: 'createdAt', header: 'Created' },
+  { key: 'memberId', header: 'Member ID' },
+  { key: 'id', header: 'Encounter ID' }
+];
+
+// GET /api/encounters/export - Download the filtered encounters as CSV, XLSX or JSON
+router.get('/export', requireRole(PERMISSIONS.encounters.export), async (req: any, res) => {
+  try {
+    const query = exportEncountersQuerySchema.parse(req.query);
+    const whereConditions = encounterListConditions(query, req.user?.userId);
+
+    await sendExport(res, 'encounters', query.format, [{
+      name: 'encounters',
+      columns: encounterExportColumns,
+      batches: batchesOf((limit, offset) => selectEncountersWithMember()
+        .where(whereConditions)
+        .orderBy(orderByColumn(encounterSortColumns[query.sort], query.order ?? 'desc'), asc(encounters.id))
+        .limit(limit)
+        .offset(offset))
+    }]);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error exporting encounters:', error);
+    res.status(500).json({ error: 'Failed to export encounters' });
+  }
+});
+
+// GET /api/encounters/deleted - List encounters deleted within the recovery window
+router.get('/deleted', async (req, res) => {
   try {
-    const allEncounters = await db.select({
+    const deletedEncounters = await db.select({
       id: encounters.id,
       memberId: encounters.memberId,
       sessionNumber: encounters.sessionNumber,
       communicationType: encounters.communicationType,
       topic: encounters.topic,
-      content: encounters.content,
       callStatus: encounters.callStatus,
       callerName: encounters.callerName,
       encounterDate: encounters.encounterDate,
       isCompleted: encounters.isCompleted,
-      createdAt: encounters.createdAt,
+      deletedAt: encounters.deletedAt,
+      deletedBy: encounters.deletedBy,
       memberName: members.firstName,
       memberLastName: members.lastName,
       employeeId: members.employeeId
     })
     .from(encounters)
     .leftJoin(members, eq(encounters.memberId, members.id))
-    .orderBy(desc(encounters.encounterDate));
+    .where(and(isNotNull(encounters.deletedAt), gte(encounters.deletedAt, recoveryCutoff())))
+    .orderBy(desc(encounters.deletedAt));
     
-    res.json(allEncounters);
+    res.json(deletedEncounters);
   } catch (error) {
-    console.error('Error fetching encounters:', error);
-    res.status(500).json({ error: 'Failed to fetch encounters' });
+    console.error('Error fetching deleted encounters:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted encounters' });
   }
 });
 
@@ -64,7 +200,7 @@ router.get('/member/:memberId', async (req, res) => {
     
     const memberEncounters = await db.select()
       .from(encounters)
-      .where(eq(encounters.memberId, memberId))
+      .where(and(eq(encounters.memberId, memberId), isNull(encounters.deletedAt)))
       .orderBy(desc(encounters.encounterDate));
     
     res.json(memberEncounters);
@@ -75,12 +211,25 @@ router.get('/member/:memberId', async (req, res) => {
 });
 
 // POST /api/encounters - Create new encounter
-router.post('/', async (req, res) => {
+router.post('/', async (req: any, res) => {
   try {
     const validatedData = encounterSchema.parse(req.body);
     
+    // Encounters are attributed to the signed-in user rather than a typed-in name
+    const recorder = await db.select({ firstName: users.firstName, lastName: users.lastName })
+      .from(users)
+      .where(eq(users.id, req.user?.userId ?? ''));
+    const callerName = recorder.length > 0
+      ? `${recorder[0].firstName} ${recorder[0].lastName}`
+      : validatedData.callerName;
+    
+    if (!callerName) {
+      return res.status(400).json({ error: 'Caller name is required' });
+    }
+    
     // Check if member exists
-    const member = await db.select().from(members).where(eq(members.id, validatedData.memberId));
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, validatedData.memberId), isNull(members.deletedAt)));
     
     if (member.length === 0) {
       return res.status(404).json({ error: 'Member not found' });
@@ -95,12 +244,15 @@ router.post('/', async (req, res) => {
     
     const newEncounter: NewEncounter = {
       ...validatedData,
+      callerName,
+      recordedBy: req.user?.userId ?? null,
       sessionNumber: nextSessionNumber,
       encounterDate: new Date(validatedData.encounterDate),
       isCompleted: validatedData.isCompleted || false
     };
     
     const [createdEncounter] = await db.insert(encounters).values(newEncounter).returning();
+    reindexMember(createdEncounter.memberId);
     
     res.status(201).json(createdEncounter);
   } catch (error) {
@@ -119,7 +271,8 @@ router.put('/:id', async (req, res) => {
     const validatedData = updateEncounterSchema.parse(req.body);
     
     // Check if encounter exists
-    const existingEncounter = await db.select().from(encounters).where(eq(encounters.id, id));
+    const existingEncounter = await db.select().from(encounters)
+      .where(and(eq(encounters.id, id), isNull(encounters.deletedAt)));
     
     if (existingEncounter.length === 0) {
       return res.status(404).json({ error: 'Encounter not found' });
@@ -140,6 +293,7 @@ router.put('/:id', async (req, res) => {
       .set(updateData)
       .where(eq(encounters.id, id))
       .returning();
+    reindexMember(updatedEncounter.memberId);
     
     res.json(updatedEncounter);
   } catch (error) {
@@ -151,19 +305,23 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/encounters/:id - Delete encounter
+// DELETE /api/encounters/:id - Soft-delete encounter
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
     // Check if encounter exists
-    const existingEncounter = await db.select().from(encounters).where(eq(encounters.id, id));
+    const existingEncounter = await db.select().from(encounters)
+      .where(and(eq(encounters.id, id), isNull(encounters.deletedAt)));
     
     if (existingEncounter.length === 0) {
       return res.status(404).json({ error: 'Encounter not found' });
     }
     
-    await db.delete(encounters).where(eq(encounters.id, id));
+    await db.update(encounters)
+      .set(deletionStamp(req))
+      .where(eq(encounters.id, id));
+    reindexMember(existingEncounter[0].memberId);
     
     res.status(204).send();
   } catch (error) {
@@ -172,5 +330,34 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/encounters/:id/restore - Restore a soft-deleted encounter
+router.post('/:id/restore', requireRole(PERMISSIONS.encounters.delete), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingEncounter = await db.select().from(encounters)
+      .where(and(eq(encounters.id, id), isNotNull(encounters.deletedAt)));
+    
+    if (existingEncounter.length === 0) {
+      return res.status(404).json({ error: 'Deleted encounter not found' });
+    }
+    
+    if (!isRecoverable(existingEncounter[0].deletedAt)) {
+      return res.status(410).json({ error: 'Recovery window has expired' });
+    }
+    
+    const [restoredEncounter] = await db.update(encounters)
+      .set({ deletedAt: null, deletedBy: null })
+      .where(eq(encounters.id, id))
+      .returning();
+    reindexMember(restoredEncounter.memberId);
+    
+    res.json(restoredEncounter);
+  } catch (error) {
+    console.error('Error restoring encounter:', error);
+    res.status(500).json({ error: 'Failed to restore encounter' });
+  }
+});
+
 export { router as encountersRouter };
 
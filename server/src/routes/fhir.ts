@@ -0,0 +1,748 @@
+import { Router, type Request, type Response } from 'express';
+import { eq, and, or, inArray, isNull, asc, desc, count, getTableColumns, sql, type SQL } from 'drizzle-orm';
+import type { SQLiteColumn } from 'drizzle-orm/sqlite-core';
+import { z } from 'zod';
+import {
+  db, members, bloodPressureReadings, encounters, medicalHistory,
+  type Member, type BloodPressureReading, type MedicalHistory, type NewMedicalHistory
+} from '../db/index.js';
+import { classifyReading } from '../db/htnClassification.js';
+import { reindexMember } from '../db/memberSearch.js';
+import { consentGranted } from '../db/consent.js';
+import { authenticateToken, requireRole } from './auth.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
+import { recordAudit, diffRecords } from '../middleware/audit.js';
+import { raiseAlertForReading } from '../alerts/alerting.js';
+import { readingFieldsSchema, historicalReadingSchema, readingKey } from '../imports/readings.js';
+import { medicalHistorySchema } from './medicalHistory.js';
+import {
+  FHIR_CONTENT_TYPE, LOINC, LOINC_SYSTEM, ICD10_SYSTEM, EMPLOYEE_ID_SYSTEM, OBSERVATION_CATEGORY_SYSTEM,
+  ENCOUNTER_CLASS_SYSTEM, ENCOUNTER_CLASSES, VITAL_SIGNS_CATEGORY, HEART_RATE_ID_SUFFIX,
+  toPatient, toBloodPressureObservation, toHeartRateObservation, readingObservations, toEncounter, toCondition,
+  operationOutcome, operationOutcomeOf, bundle, transactionResponse, type FhirResource, type EntryResponse
+} from '../fhir/resources.js';
+import {
+  fhirPageSchema, referenceParam, tokenParam, tokenCodes, dateParam, dateConditions, anyOf, startsWith,
+  fhirBase, pageLinks
+} from '../fhir/search.js';
+import { capabilityStatement } from '../fhir/capabilityStatement.js';
+import {
+  transactionBundleSchema, parseEntry, zodDiagnostics, type ParsedEntry, type EntryIssue, type SubjectReference
+} from '../fhir/transaction.js';
+
+const router = Router();
+
+// Partner EHRs read the same records as the clinical API, as FHIR R4 resources. Only members
+// whose current data sharing consent is a grant are visible here. Partner clinics can also send
+// readings and conditions in as a transaction Bundle.
+
+const patientSearchSchema = fhirPageSchema.extend({
+  _id: tokenParam.optional(),
+  identifier: tokenParam.optional(),
+  name: z.string().min(1).optional(),
+  family: z.string().min(1).optional(),
+  given: z.string().min(1).optional(),
+  birthdate: dateParam.optional(),
+  gender: tokenParam.optional(),
+  active: z.enum(['true', 'false']).transform(value => value === 'true').optional()
+});
+
+// Searches on a patient's records: patient and subject name the same reference
+const patientRecordSearchSchema = fhirPageSchema.extend({
+  _id: tokenParam.optional(),
+  patient: referenceParam.optional(),
+  subject: referenceParam.optional()
+});
+
+const observationSearchSchema = patientRecordSearchSchema.extend({
+  date: dateParam.optional(),
+  code: tokenParam.optional(),
+  'combo-code': tokenParam.optional(),
+  category: tokenParam.optional()
+});
+
+const encounterSearchSchema = patientRecordSearchSchema.extend({
+  date: dateParam.optional(),
+  status: tokenParam.optional(),
+  class: tokenParam.optional()
+});
+
+const conditionSearchSchema = patientRecordSearchSchema.extend({
+  code: tokenParam.optional(),
+  'clinical-status': tokenParam.optional(),
+  'onset-date': dateParam.optional(),
+  'recorded-date': dateParam.optional()
+});
+
+const bundleQuerySchema = z.object({
+  patient: referenceParam
+});
+
+// A Bundle holds every kind of record, so it takes read permission on all of them
+const BUNDLE_ROLES = PERMISSIONS.members.read.filter(role =>
+  [PERMISSIONS.bloodPressure, PERMISSIONS.encounters, PERMISSIONS.medicalHistory].every(resource => resource.read.includes(role)));
+
+const sharedMember = () => and(isNull(members.deletedAt), consentGranted('data_sharing'))!;
+
+function sendResource(res: Response, resource: FhirResource, status = 200) {
+  res.status(status).type(FHIR_CONTENT_TYPE).json(resource);
+}
+
+function notFound(res: Response, type: string, id: string) {
+  sendResource(res, operationOutcome('not-found', `${type}/${id} is not known`), 404);
+}
+
+function sendFailure(res: Response, error: unknown, message: string) {
+  if (error instanceof z.ZodError) {
+    return sendResource(res, operationOutcome('invalid', zodDiagnostics(error)), 400);
+  }
+  console.error(`Error in FHIR API (${message}):`, error);
+  sendResource(res, operationOutcome('exception', message), 500);
+}
+
+function sendSearchset(req: Request, res: Response, type: string, resources: FhirResource[], total: number, page: z.infer<typeof fhirPageSchema>) {
+  const base = fhirBase(req);
+  sendResource(res, bundle('searchset', base, resources, {
+    total,
+    links: pageLinks(base, type, req.query, page, total)
+  }));
+}
+
+function auditRead(req: Request, entityType: string, ids: { entityId?: string | null; memberId?: string | null } = {}) {
+  const user = (req as any).user;
+  return recordAudit({
+    userId: user?.userId ?? null,
+    userRole: user?.role ?? null,
+    action: 'read',
+    entityType,
+    entityId: ids.entityId ?? null,
+    memberId: ids.memberId ?? null,
+    changes: null,
+    method: req.method,
+    path: req.originalUrl,
+    ipAddress: req.ip ?? null
+  });
+}
+
+// Conditions shared by searches on a patient's records
+function patientRecordConditions(memberId: SQLiteColumn, query: z.infer<typeof patientRecordSearchSchema>) {
+  return [query.patient, query.subject]
+    .filter((id): id is string => id !== undefined)
+    .map(id => eq(memberId, id));
+}
+
+const searchedPatient = (query: z.infer<typeof patientRecordSearchSchema>) => query.patient ?? query.subject ?? null;
+
+// GET /fhir/metadata - CapabilityStatement (no sign-in needed, so clients can discover the server)
+router.get('/metadata', (req, res) => {
+  sendResource(res, capabilityStatement(fhirBase(req)));
+});
+
+router.use(authenticateToken);
+
+// GET /fhir/Patient - Search patients
+router.get('/Patient', requireRole(PERMISSIONS.members.read), async (req, res) => {
+  try {
+    const query = patientSearchSchema.parse(req.query);
+
+    const conditions: SQL[] = [sharedMember(), ...dateConditions(members.dateOfBirth, query.birthdate)];
+    if (query._id) conditions.push(anyOf(members.id, query._id.map(token => token.code)));
+    if (query.identifier) conditions.push(anyOf(members.employeeId, tokenCodes(query.identifier, EMPLOYEE_ID_SYSTEM)));
+    if (query.name) conditions.push(or(startsWith(members.firstName, query.name), startsWith(members.lastName, query.name))!);
+    if (query.family) conditions.push(startsWith(members.lastName, query.family));
+    if (query.given) conditions.push(startsWith(members.firstName, query.given));
+    if (query.active !== undefined) conditions.push(eq(members.isActive, query.active));
+    if (query.gender) {
+      // Genders are recorded as free text; anything but male, female or other is "unknown"
+      const gender = sql`lower(trim(${members.gender}))`;
+      const codes = query.gender.map(token => token.code);
+      const known = codes.filter(code => code !== 'unknown');
+      conditions.push(or(
+        known.length > 0 ? sql`${gender} in ${known}` : sql`0`,
+        codes.includes('unknown') ? sql`${gender} not in ('male', 'female', 'other')` : sql`0`
+      )!);
+    }
+    const where = and(...conditions);
+
+    const [{ total }] = await db.select({ total: count() }).from(members).where(where);
+    const rows = await db.select().from(members)
+      .where(where)
+      .orderBy(asc(members.lastName), asc(members.firstName), asc(members.id))
+      .limit(query._count)
+      .offset(query._offset);
+
+    auditRead(req, 'member');
+    sendSearchset(req, res, 'Patient', rows.map(toPatient), total, query);
+  } catch (error) {
+    sendFailure(res, error, 'Failed to search patients');
+  }
+});
+
+// GET /fhir/Patient/:id - Read a patient
+router.get('/Patient/:id', requireRole(PERMISSIONS.members.read), async (req, res) => {
+  try {
+    const [member] = await db.select().from(members).where(and(eq(members.id, req.params.id), sharedMember()));
+    if (!member) return notFound(res, 'Patient', req.params.id);
+
+    auditRead(req, 'member', { entityId: member.id, memberId: member.id });
+    sendResource(res, toPatient(member));
+  } catch (error) {
+    sendFailure(res, error, 'Failed to read patient');
+  }
+});
+
+const selectReadings = () => db.select(getTableColumns(bloodPressureReadings))
+  .from(bloodPressureReadings)
+  .innerJoin(members, eq(bloodPressureReadings.memberId, members.id));
+
+const visibleReading = () => and(isNull(bloodPressureReadings.deletedAt), sharedMember())!;
+
+// Each reading is a blood pressure panel Observation (id = reading id) and, when a heart rate was
+// taken, a heart rate Observation (id = reading id + suffix)
+const parseObservationId = (id: string) => id.endsWith(HEART_RATE_ID_SUFFIX)
+  ? { readingId: id.slice(0, -HEART_RATE_ID_SUFFIX.length), heartRate: true }
+  : { readingId: id, heartRate: false };
+
+// Which of the two kinds of Observation a search can match, and any ids it is limited to
+function observationKinds(query: z.infer<typeof observationSearchSchema>) {
+  const panelCodes: string[] = [LOINC.bloodPressurePanel.code];
+  const comboPanelCodes: string[] = [LOINC.bloodPressurePanel.code, LOINC.systolic.code, LOINC.diastolic.code];
+  let panel = true;
+  let heartRate = true;
+
+  if (query.code) {
+    const codes = tokenCodes(query.code, LOINC_SYSTEM);
+    panel &&= codes.some(code => panelCodes.includes(code));
+    heartRate &&= codes.includes(LOINC.heartRate.code);
+  }
+  if (query['combo-code']) {
+    const codes = tokenCodes(query['combo-code'], LOINC_SYSTEM);
+    panel &&= codes.some(code => comboPanelCodes.includes(code));
+    heartRate &&= codes.includes(LOINC.heartRate.code);
+  }
+  if (query.category) {
+    const vitalSigns = tokenCodes(query.category, OBSERVATION_CATEGORY_SYSTEM).includes(VITAL_SIGNS_CATEGORY);
+    panel &&= vitalSigns;
+    heartRate &&= vitalSigns;
+  }
+
+  const ids = query._id?.map(token => parseObservationId(token.code));
+  return {
+    panel: panel ? { ids: ids?.filter(id => !id.heartRate).map(id => id.readingId) } : null,
+    heartRate: heartRate ? { ids: ids?.filter(id => id.heartRate).map(id => id.readingId) } : null
+  };
+}
+
+// GET /fhir/Observation - Search blood pressure and heart rate Observations
+router.get('/Observation', requireRole(PERMISSIONS.bloodPressure.read), async (req, res) => {
+  try {
+    const query = observationSearchSchema.parse(req.query);
+    const kinds = observationKinds(query);
+
+    const shared = [
+      visibleReading(),
+      ...patientRecordConditions(bloodPressureReadings.memberId, query),
+      ...dateConditions(bloodPressureReadings.readingDate, query.date)
+    ];
+    const whereFor = (kind: { ids?: string[] }, extra: SQL[] = []) =>
+      and(...shared, ...extra, ...(kind.ids ? [anyOf(bloodPressureReadings.id, kind.ids)] : []));
+    const panelWhere = kinds.panel && whereFor(kinds.panel);
+    const heartRateWhere = kinds.heartRate && whereFor(kinds.heartRate, [sql`${bloodPressureReadings.heartRate} is not null`]);
+
+    const countWhere = async (where: SQL | undefined | null) => {
+      if (!where) return 0;
+      const [{ total }] = await db.select({ total: count() })
+        .from(bloodPressureReadings)
+        .innerJoin(members, eq(bloodPressureReadings.memberId, members.id))
+        .where(where);
+      return total;
+    };
+    const panelTotal = await countWhere(panelWhere);
+    const heartRateTotal = await countWhere(heartRateWhere);
+
+    // Blood pressure panels come first, then heart rates, each newest first
+    const pageOf = (where: SQL | undefined, limit: number, offset: number) => selectReadings()
+      .where(where)
+      .orderBy(desc(bloodPressureReadings.readingDate), asc(bloodPressureReadings.id))
+      .limit(limit)
+      .offset(offset);
+
+    const panels = panelWhere && query._offset < panelTotal
+      ? await pageOf(panelWhere, query._count, query._offset)
+      : [];
+    const heartRateLimit = query._count - panels.length;
+    const heartRates = heartRateWhere && heartRateLimit > 0
+      ? await pageOf(heartRateWhere, heartRateLimit, Math.max(0, query._offset - panelTotal))
+      : [];
+
+    const resources = [
+      ...panels.map(toBloodPressureObservation),
+      ...heartRates.map(reading => toHeartRateObservation({ ...reading, heartRate: reading.heartRate! }))
+    ];
+
+    auditRead(req, 'bloodPressureReading', { memberId: searchedPatient(query) });
+    sendSearchset(req, res, 'Observation', resources, panelTotal + heartRateTotal, query);
+  } catch (error) {
+    sendFailure(res, error, 'Failed to search observations');
+  }
+});
+
+// GET /fhir/Observation/:id - Read an Observation
+router.get('/Observation/:id', requireRole(PERMISSIONS.bloodPressure.read), async (req, res) => {
+  try {
+    const { readingId, heartRate } = parseObservationId(req.params.id);
+    const [reading] = await selectReadings().where(and(eq(bloodPressureReadings.id, readingId), visibleReading()));
+    if (!reading || (heartRate && reading.heartRate === null)) return notFound(res, 'Observation', req.params.id);
+
+    auditRead(req, 'bloodPressureReading', { entityId: reading.id, memberId: reading.memberId });
+    sendResource(res, heartRate
+      ? toHeartRateObservation({ ...reading, heartRate: reading.heartRate! })
+      : toBloodPressureObservation(reading));
+  } catch (error) {
+    sendFailure(res, error, 'Failed to read observation');
+  }
+});
+
+const selectEncounters = () => db.select(getTableColumns(encounters))
+  .from(encounters)
+  .innerJoin(members, eq(encounters.memberId, members.id));
+
+const visibleEncounter = () => and(isNull(encounters.deletedAt), sharedMember())!;
+
+// GET /fhir/Encounter - Search encounters
+router.get('/Encounter', requireRole(PERMISSIONS.encounters.read), async (req, res) => {
+  try {
+    const query = encounterSearchSchema.parse(req.query);
+
+    const conditions: SQL[] = [
+      visibleEncounter(),
+      ...patientRecordConditions(encounters.memberId, query),
+      ...dateConditions(encounters.encounterDate, query.date)
+    ];
+    if (query._id) conditions.push(anyOf(encounters.id, query._id.map(token => token.code)));
+    if (query.status) {
+      const codes = query.status.map(token => token.code);
+      const completed = [
+        ...(codes.includes('finished') ? [true] : []),
+        ...(codes.includes('in-progress') ? [false] : [])
+      ];
+      conditions.push(completed.length > 0 ? inArray(encounters.isCompleted, completed) : sql`0`);
+    }
+    if (query.class) {
+      const codes = tokenCodes(query.class, ENCOUNTER_CLASS_SYSTEM);
+      const types = Object.entries(ENCOUNTER_CLASSES)
+        .filter(([, encounterClass]) => codes.includes(encounterClass.code))
+        .map(([type]) => type);
+      conditions.push(anyOf(encounters.communicationType, types));
+    }
+    const where = and(...conditions);
+
+    const [{ total }] = await db.select({ total: count() })
+      .from(encounters)
+      .innerJoin(members, eq(encounters.memberId, members.id))
+      .where(where);
+    const rows = await selectEncounters()
+      .where(where)
+      .orderBy(desc(encounters.encounterDate), asc(encounters.id))
+      .limit(query._count)
+      .offset(query._offset);
+
+    auditRead(req, 'encounter', { memberId: searchedPatient(query) });
+    sendSearchset(req, res, 'Encounter', rows.map(toEncounter), total, query);
+  } catch (error) {
+    sendFailure(res, error, 'Failed to search encounters');
+  }
+});
+
+// GET /fhir/Encounter/:id - Read an encounter
+router.get('/Encounter/:id', requireRole(PERMISSIONS.encounters.read), async (req, res) => {
+  try {
+    const [encounter] = await selectEncounters().where(and(eq(encounters.id, req.params.id), visibleEncounter()));
+    if (!encounter) return notFound(res, 'Encounter', req.params.id);
+
+    auditRead(req, 'encounter', { entityId: encounter.id, memberId: encounter.memberId });
+    sendResource(res, toEncounter(encounter));
+  } catch (error) {
+    sendFailure(res, error, 'Failed to read encounter');
+  }
+});
+
+const selectConditions = () => db.select(getTableColumns(medicalHistory))
+  .from(medicalHistory)
+  .innerJoin(members, eq(medicalHistory.memberId, members.id));
+
+const visibleCondition = () => and(isNull(medicalHistory.deletedAt), sharedMember())!;
+
+// GET /fhir/Condition - Search conditions (medical history)
+router.get('/Condition', requireRole(PERMISSIONS.medicalHistory.read), async (req, res) => {
+  try {
+    const query = conditionSearchSchema.parse(req.query);
+
+    const conditions: SQL[] = [
+      visibleCondition(),
+      ...patientRecordConditions(medicalHistory.memberId, query),
+      ...dateConditions(medicalHistory.onsetDate, query['onset-date']),
+      ...dateConditions(medicalHistory.reportedDate, query['recorded-date'])
+    ];
+    if (query._id) conditions.push(anyOf(medicalHistory.id, query._id.map(token => token.code)));
+    if (query.code) conditions.push(anyOf(medicalHistory.icd10Code, tokenCodes(query.code, ICD10_SYSTEM)));
+    if (query['clinical-status']) {
+      conditions.push(anyOf(medicalHistory.status, query['clinical-status'].map(token => token.code)));
+    }
+    const where = and(...conditions);
+
+    const [{ total }] = await db.select({ total: count() })
+      .from(medicalHistory)
+      .innerJoin(members, eq(medicalHistory.memberId, members.id))
+      .where(where);
+    const rows = await selectConditions()
+      .where(where)
+      .orderBy(desc(medicalHistory.reportedDate), asc(medicalHistory.id))
+      .limit(query._count)
+      .offset(query._offset);
+
+    auditRead(req, 'medicalHistory', { memberId: searchedPatient(query) });
+    sendSearchset(req, res, 'Condition', rows.map(toCondition), total, query);
+  } catch (error) {
+    sendFailure(res, error, 'Failed to search conditions');
+  }
+});
+
+// GET /fhir/Condition/:id - Read a condition
+router.get('/Condition/:id', requireRole(PERMISSIONS.medicalHistory.read), async (req, res) => {
+  try {
+    const [entry] = await selectConditions().where(and(eq(medicalHistory.id, req.params.id), visibleCondition()));
+    if (!entry) return notFound(res, 'Condition', req.params.id);
+
+    auditRead(req, 'medicalHistory', { entityId: entry.id, memberId: entry.memberId });
+    sendResource(res, toCondition(entry));
+  } catch (error) {
+    sendFailure(res, error, 'Failed to read condition');
+  }
+});
+
+// GET /fhir/Bundle?patient= - Everything held on one patient as a collection Bundle
+router.get('/Bundle', requireRole(BUNDLE_ROLES), async (req, res) => {
+  try {
+    const { patient } = bundleQuerySchema.parse(req.query);
+
+    const [member] = await db.select().from(members).where(and(eq(members.id, patient), sharedMember()));
+    if (!member) return notFound(res, 'Patient', patient);
+
+    const readings = await db.select().from(bloodPressureReadings)
+      .where(and(eq(bloodPressureReadings.memberId, member.id), isNull(bloodPressureReadings.deletedAt)))
+      .orderBy(desc(bloodPressureReadings.readingDate));
+    const memberEncounters = await db.select().from(encounters)
+      .where(and(eq(encounters.memberId, member.id), isNull(encounters.deletedAt)))
+      .orderBy(desc(encounters.encounterDate));
+    const conditions = await db.select().from(medicalHistory)
+      .where(and(eq(medicalHistory.memberId, member.id), isNull(medicalHistory.deletedAt)))
+      .orderBy(desc(medicalHistory.reportedDate));
+
+    auditRead(req, 'member', { entityId: member.id, memberId: member.id });
+    sendResource(res, bundle('collection', fhirBase(req), [
+      toPatient(member),
+      ...readings.flatMap(readingObservations),
+      ...memberEncounters.map(toEncounter),
+      ...conditions.map(toCondition)
+    ]));
+  } catch (error) {
+    sendFailure(res, error, 'Failed to build bundle');
+  }
+});
+
+// Importing creates readings and medical history entries for members it matches
+const TRANSACTION_ROLES = PERMISSIONS.members.read.filter(role =>
+  [PERMISSIONS.bloodPressure, PERMISSIONS.medicalHistory].every(resource => resource.write.includes(role)));
+
+const ISSUE_STATUS: Record<EntryIssue['code'], string> = {
+  invalid: '400 Bad Request',
+  'not-found': '404 Not Found',
+  'not-supported': '422 Unprocessable Entity'
+};
+
+// Readings recent enough to be entered by hand page the care team like manual entries; older
+// ones are history and raise no alerts, as with device imports
+const CURRENT_READING_DAYS = 30;
+
+const heartRateSchema = readingFieldsSchema.pick({ heartRate: true, readingDate: true }).required();
+
+type HistoricalReading = z.infer<typeof historicalReadingSchema>;
+
+// What becomes of each entry: an issue, a matched member, a record to create, a heart rate kept
+// with the reading of another entry, or a record already on file or sent earlier in the Bundle
+type PlannedEntry =
+  | { issue: EntryIssue }
+  | { patient: Member }
+  | { reading: { memberId: string; values: HistoricalReading; source: string } }
+  | { heartRateOf: number }
+  | { condition: NewMedicalHistory }
+  | { onFile: string }
+  | { sameAs: number };
+
+const conditionKey = (memberId: string, entry: { icd10Code?: string | null; condition: string }) =>
+  `${memberId}|${entry.icd10Code ?? entry.condition.trim().toLowerCase()}`;
+
+// POST /fhir - Import a transaction or batch Bundle of Patients, blood pressure Observations and
+// Conditions from a partner clinic. Patients are matched to members by employee ID, never created.
+// Readings are validated and classified like device imports, and records already on file are
+// skipped. A transaction is all or nothing; a batch imports every entry that can be.
+router.post('/', requireRole(TRANSACTION_ROLES), async (req: any, res) => {
+  try {
+    const transaction = transactionBundleSchema.parse(req.body);
+    const parsed = transaction.entry.map(parseEntry);
+
+    const subjectOf = (entry: ParsedEntry) =>
+      'bloodPressure' in entry ? entry.bloodPressure.subject
+        : 'heartRate' in entry ? entry.heartRate.subject
+          : 'condition' in entry ? entry.condition.subject
+            : null;
+    const employeeIds = parsed.flatMap(entry => {
+      const subject = subjectOf(entry);
+      if ('patient' in entry) return [entry.patient.employeeId];
+      return subject && 'employeeId' in subject ? [subject.employeeId] : [];
+    });
+    const memberIds = parsed.flatMap(entry => {
+      const subject = subjectOf(entry);
+      return subject && 'memberId' in subject ? [subject.memberId] : [];
+    });
+
+    const matched = await db.select().from(members)
+      .where(and(isNull(members.deletedAt), or(anyOf(members.employeeId, employeeIds), anyOf(members.id, memberIds))));
+    const byEmployeeId = new Map(matched.map(member => [member.employeeId, member]));
+    const byId = new Map(matched.map(member => [member.id, member]));
+
+    const patientEntries = new Map<string, number>();
+    transaction.entry.forEach((entry, index) => {
+      if (entry.fullUrl && 'patient' in parsed[index]) patientEntries.set(entry.fullUrl, index);
+    });
+
+    const resolveSubject = (subject: SubjectReference): { member: Member } | { issue: EntryIssue } => {
+      let member: Member | undefined;
+      if ('employeeId' in subject) {
+        member = byEmployeeId.get(subject.employeeId);
+        if (!member) return { issue: { code: 'not-found', diagnostics: `No member has employee ID ${subject.employeeId}` } };
+      } else if ('memberId' in subject) {
+        member = byId.get(subject.memberId);
+        if (!member) return { issue: { code: 'not-found', diagnostics: `Patient/${subject.memberId} is not known` } };
+      } else {
+        const index = patientEntries.get(subject.fullUrl);
+        if (index === undefined) {
+          return { issue: { code: 'invalid', diagnostics: `subject ${subject.fullUrl} is not a Patient in this Bundle` } };
+        }
+        const patient = parsed[index];
+        member = 'patient' in patient ? byEmployeeId.get(patient.patient.employeeId) : undefined;
+        if (!member) return { issue: { code: 'not-found', diagnostics: `The Patient in entry[${index}] was not matched to a member` } };
+      }
+      return { member };
+    };
+
+    const subjectMemberIds = [...new Set(matched.map(member => member.id))];
+    const existingReadings = await db.select({
+      id: bloodPressureReadings.id,
+      memberId: bloodPressureReadings.memberId,
+      readingDate: bloodPressureReadings.readingDate,
+      systolic: bloodPressureReadings.systolic,
+      diastolic: bloodPressureReadings.diastolic
+    })
+    .from(bloodPressureReadings)
+    .where(and(anyOf(bloodPressureReadings.memberId, subjectMemberIds), isNull(bloodPressureReadings.deletedAt)));
+    const existingConditions = await db.select({
+      id: medicalHistory.id,
+      memberId: medicalHistory.memberId,
+      icd10Code: medicalHistory.icd10Code,
+      condition: medicalHistory.condition
+    })
+    .from(medicalHistory)
+    .where(and(anyOf(medicalHistory.memberId, subjectMemberIds), isNull(medicalHistory.deletedAt)));
+
+    const onFile = new Map<string, string>([
+      ...existingReadings.map(reading => [
+        `${reading.memberId}|${readingKey(reading.readingDate, reading.systolic, reading.diastolic)}`,
+        `Observation/${reading.id}`
+      ] as const),
+      ...existingConditions.map(entry => [conditionKey(entry.memberId, entry), `Condition/${entry.id}`] as const)
+    ]);
+    const firstEntryByKey = new Map<string, number>();
+
+    // Records already on file or repeated within the Bundle are imported once
+    const deduplicated = (key: string, index: number, plan: PlannedEntry): PlannedEntry => {
+      const location = onFile.get(key);
+      if (location) return { onFile: location };
+      const first = firstEntryByKey.get(key);
+      if (first !== undefined) return { sameAs: first };
+      firstEntryByKey.set(key, index);
+      return plan;
+    };
+
+    const planned = parsed.map((entry, index): PlannedEntry => {
+      if ('issue' in entry) return entry;
+      if ('patient' in entry) {
+        const member = byEmployeeId.get(entry.patient.employeeId);
+        return member
+          ? { patient: member }
+          : { issue: { code: 'not-found', diagnostics: `No member has employee ID ${entry.patient.employeeId}; enroll them first` } };
+      }
+      // Heart rates are paired with their readings once every reading is planned
+      if ('heartRate' in entry) return { heartRateOf: -1 };
+
+      const subject = resolveSubject('bloodPressure' in entry ? entry.bloodPressure.subject : entry.condition.subject);
+      if ('issue' in subject) return subject;
+      const memberId = subject.member.id;
+
+      if ('bloodPressure' in entry) {
+        const values = historicalReadingSchema.safeParse(entry.bloodPressure.reading);
+        if (!values.success) return { issue: { code: 'invalid', diagnostics: zodDiagnostics(values.error) } };
+        const key = `${memberId}|${readingKey(new Date(values.data.readingDate), values.data.systolic, values.data.diastolic)}`;
+        return deduplicated(key, index, { reading: { memberId, values: values.data, source: entry.bloodPressure.source } });
+      }
+
+      const values = medicalHistorySchema.safeParse({ ...entry.condition.input, memberId });
+      if (!values.success) return { issue: { code: 'invalid', diagnostics: zodDiagnostics(values.error) } };
+      return deduplicated(conditionKey(memberId, values.data), index, {
+        condition: {
+          ...values.data,
+          reportedDate: new Date(values.data.reportedDate),
+          onsetDate: values.data.onsetDate ? new Date(values.data.onsetDate) : undefined
+        }
+      });
+    });
+
+    // A lone heart rate joins the reading taken in the same minute, if that reading is new
+    parsed.forEach((entry, index) => {
+      if (!('heartRate' in entry)) return;
+      const subject = resolveSubject(entry.heartRate.subject);
+      if ('issue' in subject) {
+        planned[index] = subject;
+        return;
+      }
+      const values = heartRateSchema.safeParse({ heartRate: entry.heartRate.heartRate, readingDate: entry.heartRate.readingDate });
+      if (!values.success) {
+        planned[index] = { issue: { code: 'invalid', diagnostics: zodDiagnostics(values.error) } };
+        return;
+      }
+      const minute = Math.floor(new Date(values.data.readingDate).getTime() / 60000);
+      const readingEntry = planned.findIndex(plan => 'reading' in plan
+        && plan.reading.memberId === subject.member.id
+        && plan.reading.values.heartRate === undefined
+        && Math.floor(new Date(plan.reading.values.readingDate).getTime() / 60000) === minute);
+      const plan = planned[readingEntry];
+      if (!plan || !('reading' in plan)) {
+        planned[index] = {
+          issue: { code: 'not-supported', diagnostics: 'A heart rate is only kept with a new blood pressure panel taken in the same minute in this Bundle' }
+        };
+        return;
+      }
+      plan.reading.values.heartRate = values.data.heartRate;
+      planned[index] = { heartRateOf: readingEntry };
+    });
+
+    const failed = planned.flatMap((plan, index) => ('issue' in plan ? [{ index, issue: plan.issue }] : []));
+    if (transaction.type === 'transaction' && failed.length > 0) {
+      return sendResource(res, operationOutcomeOf(failed.map(({ index, issue }) => ({
+        severity: 'error',
+        ...issue,
+        expression: [`Bundle.entry[${index}]`]
+      }))), 400);
+    }
+
+    const now = new Date();
+    const importedBy = req.user?.userId ?? null;
+    const createdReadings = new Map<number, BloodPressureReading>();
+    const createdConditions = new Map<number, MedicalHistory>();
+    db.transaction((tx) => planned.forEach((plan, index) => {
+      if ('reading' in plan) {
+        const { memberId, values, source } = plan.reading;
+        createdReadings.set(index, tx.insert(bloodPressureReadings)
+          .values({
+            memberId,
+            systolic: values.systolic,
+            diastolic: values.diastolic,
+            heartRate: values.heartRate,
+            readingDate: new Date(values.readingDate),
+            ...classifyReading(values.systolic, values.diastolic).columns,
+            source,
+            importedAt: now,
+            importedBy
+          })
+          .returning()
+          .get());
+      } else if ('condition' in plan) {
+        createdConditions.set(index, tx.insert(medicalHistory).values(plan.condition).returning().get());
+      }
+    }));
+
+    const currentSince = new Date(now);
+    currentSince.setDate(currentSince.getDate() - CURRENT_READING_DAYS);
+    for (const reading of createdReadings.values()) {
+      if (reading.readingDate >= currentSince) raiseAlertForReading(reading);
+    }
+    new Set([...createdConditions.values()].map(entry => entry.memberId)).forEach(reindexMember);
+
+    const created = [
+      ...[...createdReadings.values()].map(record => ({ entityType: 'bloodPressureReading', record })),
+      ...[...createdConditions.values()].map(record => ({ entityType: 'medicalHistory', record }))
+    ];
+    for (const { entityType, record } of created) {
+      await recordAudit({
+        userId: importedBy,
+        userRole: req.user?.role ?? null,
+        action: 'create',
+        entityType,
+        entityId: record.id,
+        memberId: record.memberId,
+        changes: diffRecords(null, record),
+        method: req.method,
+        path: req.originalUrl,
+        ipAddress: req.ip ?? null
+      });
+    }
+
+    const locationOf = (index: number): string | undefined => {
+      const plan = planned[index];
+      if ('patient' in plan) return `Patient/${plan.patient.id}`;
+      if ('heartRateOf' in plan) return `Observation/${createdReadings.get(plan.heartRateOf)!.id}${HEART_RATE_ID_SUFFIX}`;
+      if ('onFile' in plan) return plan.onFile;
+      if ('sameAs' in plan) return locationOf(plan.sameAs);
+      if (createdReadings.has(index)) return `Observation/${createdReadings.get(index)!.id}`;
+      if (createdConditions.has(index)) return `Condition/${createdConditions.get(index)!.id}`;
+      return undefined;
+    };
+    const information = (code: string, diagnostics: string) => operationOutcome(code, diagnostics, 'information');
+
+    const responses = planned.map((plan, index): EntryResponse => {
+      if ('issue' in plan) {
+        return { status: ISSUE_STATUS[plan.issue.code], outcome: operationOutcome(plan.issue.code, plan.issue.diagnostics) };
+      }
+      const location = locationOf(index);
+      if ('patient' in plan) {
+        return { status: '200 OK', location, outcome: information('informational', `Matched member by employee ID ${plan.patient.employeeId}`) };
+      }
+      if ('onFile' in plan) {
+        return { status: '200 OK', location, outcome: information('duplicate', 'Already on file; not imported again') };
+      }
+      if ('sameAs' in plan) {
+        return { status: '200 OK', location, outcome: information('duplicate', `Same as entry[${plan.sameAs}]; imported once`) };
+      }
+      if ('heartRateOf' in plan) {
+        return { status: '201 Created', location, outcome: information('informational', `Kept with the blood pressure reading of entry[${plan.heartRateOf}]`) };
+      }
+      const reading = createdReadings.get(index);
+      const diagnostics = reading
+        ? `Classified as ${reading.htnStatus} under the ${reading.guideline} guideline`
+        : 'Added to medical history';
+      return { status: '201 Created', location, outcome: information('informational', diagnostics) };
+    });
+
+    sendResource(res, transactionResponse(`${transaction.type}-response`, responses));
+  } catch (error) {
+    sendFailure(res, error, 'Failed to process bundle');
+  }
+});
+
+// Anything else under /fhir is a resource type or interaction this server does not offer
+router.use((req, res) => {
+  sendResource(res, operationOutcome('not-supported', `${req.method} ${req.baseUrl}${req.path} is not supported`), 404);
+});
+
+export { router as fhirRouter };
@@ -0,0 +1,343 @@
+import { Router } from 'express';
+import { eq, and, isNull, count, gte, lte, lt, not } from 'drizzle-orm';
+import { db, followUps, members, encounters, users, type NewFollowUp } from '../db/index.js';
+import { paginationSchema, queryBoolean, orderByColumn, startOfDay, endOfDay, paginated } from '../db/listQuery.js';
+import { findActiveClinician, listActiveClinicians } from '../db/staff.js';
+import { z } from 'zod';
+
+const router = Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validation schemas
+const followUpSchema = z.object({
+  memberId: z.string().uuid(),
+  encounterId: z.string().uuid().optional(),
+  assignedTo: z.string().uuid().optional(),
+  dueDate: z.string().datetime(),
+  reason: z.string().min(3).max(200)
+});
+
+const updateFollowUpSchema = z.object({
+  assignedTo: z.string().uuid().optional(),
+  dueDate: z.string().datetime().optional(),
+  reason: z.string().min(3).max(200).optional()
+});
+
+const completeFollowUpSchema = z.object({
+  encounterId: z.string().uuid().optional()
+});
+
+// "me" resolves to the signed-in user so coaches can ask for their own list
+const assigneeFilter = z.union([z.literal('me'), z.string().uuid()]);
+
+const listFollowUpsQuerySchema = paginationSchema.extend({
+  sort: z.enum(['dueDate', 'createdAt']).default('dueDate'),
+  status: z.enum(['scheduled', 'completed', 'cancelled']).optional(),
+  memberId: z.string().uuid().optional(),
+  assignedTo: assigneeFilter.optional(),
+  overdue: queryBoolean.optional(),
+  startDate: z.coerce.date().optional(),
+  endDate: z.coerce.date().optional()
+});
+
+const overdueQuerySchema = paginationSchema.extend({
+  assignedTo: assigneeFilter.optional()
+});
+
+const followUpSortColumns = {
+  dueDate: followUps.dueDate,
+  createdAt: followUps.createdAt
+};
+
+// PRD §4.3 rule 2: follow-up dates cannot be in the past; today is allowed
+const isPastDate = (dueDate: Date, now: Date = new Date()) => dueDate < startOfDay(now);
+
+// A scheduled follow-up is overdue once its due day has passed
+const overdueCondition = (now: Date) => and(eq(followUps.status, 'scheduled'), lt(followUps.dueDate, startOfDay(now)));
+
+const resolveAssignee = (assignedTo: string, req: any) => (assignedTo === 'me' ? req.user?.userId : assignedTo);
+
+const followUpColumns = {
+  id: followUps.id,
+  memberId: followUps.memberId,
+  encounterId: followUps.encounterId,
+  assignedTo: followUps.assignedTo,
+  dueDate: followUps.dueDate,
+  reason: followUps.reason,
+  status: followUps.status,
+  completedEncounterId: followUps.completedEncounterId,
+  completedAt: followUps.completedAt,
+  createdBy: followUps.createdBy,
+  createdAt: followUps.createdAt,
+  memberName: members.firstName,
+  memberLastName: members.lastName,
+  employeeId: members.employeeId,
+  assigneeFirstName: users.firstName,
+  assigneeLastName: users.lastName
+};
+
+// Follow-ups for deleted members are hidden along with the member
+const selectFollowUps = () => db.select(followUpColumns)
+  .from(followUps)
+  .innerJoin(members, eq(followUps.memberId, members.id))
+  .leftJoin(users, eq(followUps.assignedTo, users.id));
+
+const withOverdue = <T extends { status: string; dueDate: Date }>(followUp: T, now: Date) => {
+  const overdue = followUp.status === 'scheduled' && isPastDate(followUp.dueDate, now);
+  return {
+    ...followUp,
+    isOverdue: overdue,
+    daysOverdue: overdue ? Math.floor((startOfDay(now).getTime() - startOfDay(followUp.dueDate).getTime()) / DAY_MS) : 0
+  };
+};
+
+// GET /api/follow-ups - List follow-ups (paginated, filterable by status, assignee, member and due-date range)
+router.get('/', async (req, res) => {
+  try {
+    const query = listFollowUpsQuerySchema.parse(req.query);
+    const now = new Date();
+
+    const conditions = [isNull(members.deletedAt)];
+    if (query.status) conditions.push(eq(followUps.status, query.status));
+    if (query.memberId) conditions.push(eq(followUps.memberId, query.memberId));
+    if (query.assignedTo) conditions.push(eq(followUps.assignedTo, resolveAssignee(query.assignedTo, req)));
+    if (query.overdue !== undefined) {
+      conditions.push(query.overdue ? overdueCondition(now)! : not(overdueCondition(now)!));
+    }
+    if (query.startDate) conditions.push(gte(followUps.dueDate, query.startDate));
+    if (query.endDate) conditions.push(lte(followUps.dueDate, endOfDay(query.endDate)));
+    const whereConditions = and(...conditions);
+
+    const rows = await selectFollowUps()
+      .where(whereConditions)
+      .orderBy(orderByColumn(followUpSortColumns[query.sort], query.order ?? 'asc'))
+      .limit(query.limit)
+      .offset(query.offset);
+
+    const [total] = await db.select({ count: count() })
+      .from(followUps)
+      .innerJoin(members, eq(followUps.memberId, members.id))
+      .where(whereConditions);
+
+    res.json(paginated(rows.map(row => withOverdue(row, now)), total.count, query));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error fetching follow-ups:', error);
+    res.status(500).json({ error: 'Failed to fetch follow-ups' });
+  }
+});
+
+// GET /api/follow-ups/overdue - Scheduled follow-ups past their due day, most overdue first
+router.get('/overdue', async (req, res) => {
+  try {
+    const query = overdueQuerySchema.parse(req.query);
+    const now = new Date();
+
+    const conditions = [isNull(members.deletedAt), overdueCondition(now)!];
+    if (query.assignedTo) conditions.push(eq(followUps.assignedTo, resolveAssignee(query.assignedTo, req)));
+    const whereConditions = and(...conditions);
+
+    const rows = await selectFollowUps()
+      .where(whereConditions)
+      .orderBy(orderByColumn(followUps.dueDate, query.order ?? 'asc'))
+      .limit(query.limit)
+      .offset(query.offset);
+
+    const [total] = await db.select({ count: count() })
+      .from(followUps)
+      .innerJoin(members, eq(followUps.memberId, members.id))
+      .where(whereConditions);
+
+    res.json(paginated(rows.map(row => withOverdue(row, now)), total.count, query));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error fetching overdue follow-ups:', error);
+    res.status(500).json({ error: 'Failed to fetch overdue follow-ups' });
+  }
+});
+
+// GET /api/follow-ups/assignees - Staff who can be assigned follow-ups
+router.get('/assignees', async (req, res) => {
+  try {
+    res.json(await listActiveClinicians());
+  } catch (error) {
+    console.error('Error fetching follow-up assignees:', error);
+    res.status(500).json({ error: 'Failed to fetch follow-up assignees' });
+  }
+});
+
+// POST /api/follow-ups - Schedule a follow-up (assigned to the requester unless assignedTo is given)
+router.post('/', async (req: any, res) => {
+  try {
+    const validatedData = followUpSchema.parse(req.body);
+    const dueDate = new Date(validatedData.dueDate);
+
+    if (isPastDate(dueDate)) {
+      return res.status(400).json({ error: 'Follow-up date cannot be in the past' });
+    }
+
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, validatedData.memberId), isNull(members.deletedAt)));
+
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (validatedData.encounterId) {
+      const encounter = await db.select().from(encounters)
+        .where(and(
+          eq(encounters.id, validatedData.encounterId),
+          eq(encounters.memberId, validatedData.memberId),
+          isNull(encounters.deletedAt)
+        ));
+
+      if (encounter.length === 0) {
+        return res.status(400).json({ error: 'Encounter does not belong to this member' });
+      }
+    }
+
+    if (validatedData.assignedTo && !(await findActiveClinician(validatedData.assignedTo))) {
+      return res.status(400).json({ error: 'Assignee must be an active clinical user' });
+    }
+
+    const newFollowUp: NewFollowUp = {
+      ...validatedData,
+      assignedTo: validatedData.assignedTo ?? req.user?.userId,
+      dueDate,
+      createdBy: req.user?.userId ?? null
+    };
+
+    const [createdFollowUp] = await db.insert(followUps).values(newFollowUp).returning();
+
+    res.status(201).json(withOverdue(createdFollowUp, new Date()));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error creating follow-up:', error);
+    res.status(500).json({ error: 'Failed to create follow-up' });
+  }
+});
+
+// PUT /api/follow-ups/:id - Reschedule, reassign or reword a scheduled follow-up
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validatedData = updateFollowUpSchema.parse(req.body);
+
+    const existingFollowUp = await db.select().from(followUps).where(eq(followUps.id, id));
+
+    if (existingFollowUp.length === 0) {
+      return res.status(404).json({ error: 'Follow-up not found' });
+    }
+
+    if (existingFollowUp[0].status !== 'scheduled') {
+      return res.status(409).json({ error: `Follow-up is already ${existingFollowUp[0].status}` });
+    }
+
+    const updateData: any = { ...validatedData, updatedAt: new Date() };
+
+    if (validatedData.dueDate) {
+      updateData.dueDate = new Date(validatedData.dueDate);
+      if (isPastDate(updateData.dueDate)) {
+        return res.status(400).json({ error: 'Follow-up date cannot be in the past' });
+      }
+    }
+
+    if (validatedData.assignedTo && !(await findActiveClinician(validatedData.assignedTo))) {
+      return res.status(400).json({ error: 'Assignee must be an active clinical user' });
+    }
+
+    const [updatedFollowUp] = await db.update(followUps)
+      .set(updateData)
+      .where(eq(followUps.id, id))
+      .returning();
+
+    res.json(withOverdue(updatedFollowUp, new Date()));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error updating follow-up:', error);
+    res.status(500).json({ error: 'Failed to update follow-up' });
+  }
+});
+
+// POST /api/follow-ups/:id/complete - Mark a follow-up done, optionally linking the encounter that closed it
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { encounterId } = completeFollowUpSchema.parse(req.body ?? {});
+
+    const existingFollowUp = await db.select().from(followUps).where(eq(followUps.id, id));
+
+    if (existingFollowUp.length === 0) {
+      return res.status(404).json({ error: 'Follow-up not found' });
+    }
+
+    if (existingFollowUp[0].status !== 'scheduled') {
+      return res.status(409).json({ error: `Follow-up is already ${existingFollowUp[0].status}` });
+    }
+
+    if (encounterId) {
+      const encounter = await db.select().from(encounters)
+        .where(and(
+          eq(encounters.id, encounterId),
+          eq(encounters.memberId, existingFollowUp[0].memberId),
+          isNull(encounters.deletedAt)
+        ));
+
+      if (encounter.length === 0) {
+        return res.status(400).json({ error: 'Encounter does not belong to this member' });
+      }
+    }
+
+    const now = new Date();
+    const [completedFollowUp] = await db.update(followUps)
+      .set({ status: 'completed', completedEncounterId: encounterId ?? null, completedAt: now, updatedAt: now })
+      .where(eq(followUps.id, id))
+      .returning();
+
+    res.json(withOverdue(completedFollowUp, now));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error completing follow-up:', error);
+    res.status(500).json({ error: 'Failed to complete follow-up' });
+  }
+});
+
+// POST /api/follow-ups/:id/cancel - Cancel a scheduled follow-up
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingFollowUp = await db.select().from(followUps).where(eq(followUps.id, id));
+
+    if (existingFollowUp.length === 0) {
+      return res.status(404).json({ error: 'Follow-up not found' });
+    }
+
+    if (existingFollowUp[0].status !== 'scheduled') {
+      return res.status(409).json({ error: `Follow-up is already ${existingFollowUp[0].status}` });
+    }
+
+    const [cancelledFollowUp] = await db.update(followUps)
+      .set({ status: 'cancelled', updatedAt: new Date() })
+      .where(eq(followUps.id, id))
+      .returning();
+
+    res.json(withOverdue(cancelledFollowUp, new Date()));
+  } catch (error) {
+    console.error('Error cancelling follow-up:', error);
+    res.status(500).json({ error: 'Failed to cancel follow-up' });
+  }
+});
+
+export { router as followUpsRouter };
@@ -1,35 +1,74 @@
 import { Router } from 'express';
-import { eq, desc } from 'drizzle-orm';
+import { eq, asc, desc, and, isNull, isNotNull, getTableColumns } from 'drizzle-orm';
 import { db, medicalHistory, members, type NewMedicalHistory } from '../db/index.js';
+import { deletionStamp, isRecoverable } from '../db/softDelete.js';
+import { reindexMember } from '../db/memberSearch.js';
+import { exportFormatSchema, sendExport, batchesOf, type ExportColumn } from '../exports/dataExport.js';
+import { requireRole } from './auth.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
 import { z } from 'zod';
 
 const router = Router();
 
+// ICD-10-CM: letter, two characters, optional dot and up to four more (e.g. I10, E11.65, N18.31)
+export const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9AB](\.[0-9A-TV-Z]{1,4})?$/;
+
 // Validation schemas
-const medicalHistorySchema = z.object({
+export const medicalHistorySchema = z.object({
   memberId: z.string().uuid(),
   condition: z.string().min(1).max(200),
+  icd10Code: z.string().trim().toUpperCase().regex(ICD10_PATTERN, 'Invalid ICD-10 code').optional(),
+  status: z.enum(['active', 'resolved']).optional(),
+  onsetDate: z.string().datetime().optional(),
+  severity: z.enum(['mild', 'moderate', 'severe']).optional(),
   notes: z.string().optional(),
   reportedDate: z.string().datetime()
 });
 
+const updateMedicalHistorySchema = z.object({
+  condition: z.string().min(1).max(200).optional(),
+  icd10Code: z.string().trim().toUpperCase().regex(ICD10_PATTERN, 'Invalid ICD-10 code').nullable().optional(),
+  status: z.enum(['active', 'resolved']).optional(),
+  onsetDate: z.string().datetime().nullable().optional(),
+  severity: z.enum(['mild', 'moderate', 'severe']).nullable().optional(),
+  notes: z.string().nullable().optional(),
+  reportedDate: z.string().datetime().optional()
+});
+
+const exportMedicalHistoryQuerySchema = z.object({
+  memberId: z.string().uuid().optional(),
+  union: z.enum(['Firefighters', 'Police', 'EMS']).optional(),
+  status: z.enum(['active', 'resolved']).optional()
+}).merge(exportFormatSchema);
+
+const selectMedicalHistoryWithMember = () => db.select({
+  ...getTableColumns(medicalHistory),
+  memberName: members.firstName,
+  memberLastName: members.lastName,
+  employeeId: members.employeeId
+})
+.from(medicalHistory)
+.innerJoin(members, eq(medicalHistory.memberId, members.id));
+
+type MedicalHistoryWithMember = Awaited<ReturnType<typeof selectMedicalHistoryWithMember>>[number];
+
 // GET /api/members/:memberId/medical-history - Get member's medical history
 router.get('/member/:memberId', async (req, res) => {
   try {
     const { memberId } = req.params;
-    
+
     // Check if member exists
-    const member = await db.select().from(members).where(eq(members.id, memberId));
-    
+    const member = await db.select().from(members).where(and(eq(members.id, memberId), isNull(members.deletedAt)));
+
     if (member.length === 0) {
       return res.status(404).json({ error: 'Member not found' });
     }
-    
+
     const history = await db.select()
       .from(medicalHistory)
-      .where(eq(medicalHistory.memberId, memberId))
+      .where(and(eq(medicalHistory.memberId, memberId), isNull(medicalHistory.deletedAt)))
       .orderBy(desc(medicalHistory.reportedDate));
-    
+
     res.json(history);
   } catch (error) {
     console.error('Error fetching medical history:', error);
@@ -37,25 +76,73 @@ router.get('/member/:memberId', async (req, res) => {
   }
 });
 
+const medicalHistoryExportColumns: ExportColumn<MedicalHistoryWithMember>[] = [
+  { key: 'employeeId', header: 'Employee ID' },
+  { key: 'memberName', header: 'First Name' },
+  { key: 'memberLastName', header: 'Last Name' },
+  { key: 'condition', header: 'Condition' },
+  { key: 'icd10Code', header: 'ICD-10' },
+  { key: 'status', header: 'Status' },
+  { key: 'severity', header: 'Severity' },
+  { key: 'onsetDate', header: 'Onset Date' },
+  { key: 'reportedDate', header: 'Reported Date' },
+  { key: 'notes', header: 'Notes' },
+  { key: 'memberId', header: 'Member ID' },
+  { key: 'id', header: 'Entry ID' }
+];
+
+// GET /api/medical-history/export - Download medical history as CSV, XLSX or JSON: one
+// member's (as listed on their record) or every member's, filtered by union and status
+router.get('/export', requireRole(PERMISSIONS.medicalHistory.export), async (req, res) => {
+  try {
+    const query = exportMedicalHistoryQuerySchema.parse(req.query);
+
+    const conditions = [isNull(medicalHistory.deletedAt), isNull(members.deletedAt)];
+    if (query.memberId) conditions.push(eq(medicalHistory.memberId, query.memberId));
+    if (query.union) conditions.push(eq(members.union, query.union));
+    if (query.status) conditions.push(eq(medicalHistory.status, query.status));
+    const whereConditions = and(...conditions);
+
+    await sendExport(res, 'medical-history', query.format, [{
+      name: 'medical history',
+      columns: medicalHistoryExportColumns,
+      batches: batchesOf((limit, offset) => selectMedicalHistoryWithMember()
+        .where(whereConditions)
+        .orderBy(desc(medicalHistory.reportedDate), asc(medicalHistory.id))
+        .limit(limit)
+        .offset(offset))
+    }]);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error exporting medical history:', error);
+    res.status(500).json({ error: 'Failed to export medical history' });
+  }
+});
+
 // POST /api/medical-history - Create medical history entry
 router.post('/', async (req, res) => {
   try {
     const validatedData = medicalHistorySchema.parse(req.body);
-    
+
     // Check if member exists
-    const member = await db.select().from(members).where(eq(members.id, validatedData.memberId));
-    
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, validatedData.memberId), isNull(members.deletedAt)));
+
     if (member.length === 0) {
       return res.status(404).json({ error: 'Member not found' });
     }
-    
+
     const newHistory: NewMedicalHistory = {
       ...validatedData,
-      reportedDate: new Date(validatedData.reportedDate)
+      reportedDate: new Date(validatedData.reportedDate),
+      onsetDate: validatedData.onsetDate ? new Date(validatedData.onsetDate) : undefined
     };
-    
+
     const [createdHistory] = await db.insert(medicalHistory).values(newHistory).returning();
-    
+    reindexMember(createdHistory.memberId);
+
     res.status(201).json(createdHistory);
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -66,5 +153,100 @@ router.post('/', async (req, res) => {
   }
 });
 
-export { router as medicalHistoryRouter };
+// PUT /api/medical-history/:id - Update medical history entry
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validatedData = updateMedicalHistorySchema.parse(req.body);
+
+    // Check if entry exists
+    const existingHistory = await db.select().from(medicalHistory)
+      .where(and(eq(medicalHistory.id, id), isNull(medicalHistory.deletedAt)));
+
+    if (existingHistory.length === 0) {
+      return res.status(404).json({ error: 'Medical history entry not found' });
+    }
 
+    const updateData: any = {
+      ...validatedData,
+      updatedAt: new Date()
+    };
+
+    if (validatedData.reportedDate) {
+      updateData.reportedDate = new Date(validatedData.reportedDate);
+    }
+
+    if (validatedData.onsetDate !== undefined) {
+      updateData.onsetDate = validatedData.onsetDate ? new Date(validatedData.onsetDate) : null;
+    }
+
+    const [updatedHistory] = await db.update(medicalHistory)
+      .set(updateData)
+      .where(eq(medicalHistory.id, id))
+      .returning();
+    reindexMember(updatedHistory.memberId);
+
+    res.json(updatedHistory);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error updating medical history:', error);
+    res.status(500).json({ error: 'Failed to update medical history' });
+  }
+});
+
+// DELETE /api/medical-history/:id - Soft-delete medical history entry
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingHistory = await db.select().from(medicalHistory)
+      .where(and(eq(medicalHistory.id, id), isNull(medicalHistory.deletedAt)));
+
+    if (existingHistory.length === 0) {
+      return res.status(404).json({ error: 'Medical history entry not found' });
+    }
+
+    await db.update(medicalHistory)
+      .set(deletionStamp(req))
+      .where(eq(medicalHistory.id, id));
+    reindexMember(existingHistory[0].memberId);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting medical history:', error);
+    res.status(500).json({ error: 'Failed to delete medical history' });
+  }
+});
+
+// POST /api/medical-history/:id/restore - Restore a soft-deleted medical history entry
+router.post('/:id/restore', requireRole(PERMISSIONS.medicalHistory.delete), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingHistory = await db.select().from(medicalHistory)
+      .where(and(eq(medicalHistory.id, id), isNotNull(medicalHistory.deletedAt)));
+
+    if (existingHistory.length === 0) {
+      return res.status(404).json({ error: 'Deleted medical history entry not found' });
+    }
+
+    if (!isRecoverable(existingHistory[0].deletedAt)) {
+      return res.status(410).json({ error: 'Recovery window has expired' });
+    }
+
+    const [restoredHistory] = await db.update(medicalHistory)
+      .set({ deletedAt: null, deletedBy: null })
+      .where(eq(medicalHistory.id, id))
+      .returning();
+    reindexMember(restoredHistory.memberId);
+
+    res.json(restoredHistory);
+  } catch (error) {
+    console.error('Error restoring medical history:', error);
+    res.status(500).json({ error: 'Failed to restore medical history' });
+  }
+});
+
+export { router as medicalHistoryRouter };
@@ -0,0 +1,294 @@
+import { Router } from 'express';
+import { eq, desc, and, isNull, isNotNull } from 'drizzle-orm';
+import {
+  db,
+  medications,
+  medicationAdherence,
+  members,
+  encounters,
+  MEDICATION_CLASSES,
+  type NewMedication,
+  type NewMedicationAdherence
+} from '../db/index.js';
+import { deletionStamp, isRecoverable } from '../db/softDelete.js';
+import { requireRole } from './auth.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
+import { z } from 'zod';
+
+const router = Router();
+
+// Validation schemas
+const medicationSchema = z.object({
+  memberId: z.string().uuid(),
+  drugName: z.string().min(1).max(100),
+  drugClass: z.enum(MEDICATION_CLASSES),
+  dose: z.string().min(1).max(50),
+  frequency: z.string().min(1).max(50),
+  startDate: z.string().datetime(),
+  stopDate: z.string().datetime().optional(),
+  prescriber: z.string().max(100).optional(),
+  notes: z.string().optional()
+});
+
+const updateMedicationSchema = z.object({
+  drugName: z.string().min(1).max(100).optional(),
+  drugClass: z.enum(MEDICATION_CLASSES).optional(),
+  dose: z.string().min(1).max(50).optional(),
+  frequency: z.string().min(1).max(50).optional(),
+  startDate: z.string().datetime().optional(),
+  stopDate: z.string().datetime().nullable().optional(),
+  prescriber: z.string().max(100).nullable().optional(),
+  notes: z.string().nullable().optional()
+});
+
+const adherenceSchema = z.object({
+  memberId: z.string().uuid(),
+  medicationId: z.string().uuid().optional(),
+  encounterId: z.string().uuid().optional(),
+  adherence: z.enum(['Adherent', 'Partially adherent', 'Non-adherent']),
+  missedDoses: z.number().int().min(0).max(100).optional(),
+  barriers: z.string().max(1000).optional(),
+  recordedAt: z.string().datetime().optional()
+});
+
+// Stop date must not precede the start date
+const hasValidCourse = (startDate: Date, stopDate: Date | null | undefined) => !stopDate || stopDate >= startDate;
+
+// GET /api/medications/member/:memberId - Get member's medications
+router.get('/member/:memberId', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    // Check if member exists
+    const member = await db.select().from(members).where(and(eq(members.id, memberId), isNull(members.deletedAt)));
+
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const memberMedications = await db.select()
+      .from(medications)
+      .where(and(eq(medications.memberId, memberId), isNull(medications.deletedAt)))
+      .orderBy(desc(medications.startDate));
+
+    res.json(memberMedications);
+  } catch (error) {
+    console.error('Error fetching medications:', error);
+    res.status(500).json({ error: 'Failed to fetch medications' });
+  }
+});
+
+// GET /api/medications/member/:memberId/adherence - Get member's adherence log
+router.get('/member/:memberId/adherence', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const member = await db.select().from(members).where(and(eq(members.id, memberId), isNull(members.deletedAt)));
+
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const log = await db.select()
+      .from(medicationAdherence)
+      .where(eq(medicationAdherence.memberId, memberId))
+      .orderBy(desc(medicationAdherence.recordedAt));
+
+    res.json(log);
+  } catch (error) {
+    console.error('Error fetching adherence log:', error);
+    res.status(500).json({ error: 'Failed to fetch adherence log' });
+  }
+});
+
+// POST /api/medications/adherence - Record an adherence check-in
+router.post('/adherence', async (req, res) => {
+  try {
+    const validatedData = adherenceSchema.parse(req.body);
+
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, validatedData.memberId), isNull(members.deletedAt)));
+
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Linked medication and encounter must belong to the same member
+    if (validatedData.medicationId) {
+      const medication = await db.select().from(medications)
+        .where(and(
+          eq(medications.id, validatedData.medicationId),
+          eq(medications.memberId, validatedData.memberId),
+          isNull(medications.deletedAt)
+        ));
+
+      if (medication.length === 0) {
+        return res.status(404).json({ error: 'Medication not found' });
+      }
+    }
+
+    if (validatedData.encounterId) {
+      const encounter = await db.select().from(encounters)
+        .where(and(
+          eq(encounters.id, validatedData.encounterId),
+          eq(encounters.memberId, validatedData.memberId),
+          isNull(encounters.deletedAt)
+        ));
+
+      if (encounter.length === 0) {
+        return res.status(404).json({ error: 'Encounter not found' });
+      }
+    }
+
+    const newEntry: NewMedicationAdherence = {
+      ...validatedData,
+      recordedBy: (req as any).user?.userId ?? null,
+      recordedAt: validatedData.recordedAt ? new Date(validatedData.recordedAt) : new Date()
+    };
+
+    const [createdEntry] = await db.insert(medicationAdherence).values(newEntry).returning();
+
+    res.status(201).json(createdEntry);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error recording adherence:', error);
+    res.status(500).json({ error: 'Failed to record adherence' });
+  }
+});
+
+// POST /api/medications - Add a medication
+router.post('/', async (req, res) => {
+  try {
+    const validatedData = medicationSchema.parse(req.body);
+
+    const member = await db.select().from(members)
+      .where(and(eq(members.id, validatedData.memberId), isNull(members.deletedAt)));
+
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const newMedication: NewMedication = {
+      ...validatedData,
+      startDate: new Date(validatedData.startDate),
+      stopDate: validatedData.stopDate ? new Date(validatedData.stopDate) : undefined
+    };
+
+    if (!hasValidCourse(newMedication.startDate, newMedication.stopDate)) {
+      return res.status(400).json({ error: 'Stop date cannot be before start date' });
+    }
+
+    const [createdMedication] = await db.insert(medications).values(newMedication).returning();
+
+    res.status(201).json(createdMedication);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error creating medication:', error);
+    res.status(500).json({ error: 'Failed to create medication' });
+  }
+});
+
+// PUT /api/medications/:id - Update a medication (set stopDate to discontinue)
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validatedData = updateMedicationSchema.parse(req.body);
+
+    const existingMedication = await db.select().from(medications)
+      .where(and(eq(medications.id, id), isNull(medications.deletedAt)));
+
+    if (existingMedication.length === 0) {
+      return res.status(404).json({ error: 'Medication not found' });
+    }
+
+    const updateData: any = {
+      ...validatedData,
+      updatedAt: new Date()
+    };
+
+    if (validatedData.startDate) {
+      updateData.startDate = new Date(validatedData.startDate);
+    }
+
+    if (validatedData.stopDate !== undefined) {
+      updateData.stopDate = validatedData.stopDate ? new Date(validatedData.stopDate) : null;
+    }
+
+    const startDate = updateData.startDate ?? existingMedication[0].startDate;
+    const stopDate = updateData.stopDate !== undefined ? updateData.stopDate : existingMedication[0].stopDate;
+
+    if (!hasValidCourse(startDate, stopDate)) {
+      return res.status(400).json({ error: 'Stop date cannot be before start date' });
+    }
+
+    const [updatedMedication] = await db.update(medications)
+      .set(updateData)
+      .where(eq(medications.id, id))
+      .returning();
+
+    res.json(updatedMedication);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error updating medication:', error);
+    res.status(500).json({ error: 'Failed to update medication' });
+  }
+});
+
+// DELETE /api/medications/:id - Soft-delete a medication entered in error
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingMedication = await db.select().from(medications)
+      .where(and(eq(medications.id, id), isNull(medications.deletedAt)));
+
+    if (existingMedication.length === 0) {
+      return res.status(404).json({ error: 'Medication not found' });
+    }
+
+    await db.update(medications)
+      .set(deletionStamp(req))
+      .where(eq(medications.id, id));
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting medication:', error);
+    res.status(500).json({ error: 'Failed to delete medication' });
+  }
+});
+
+// POST /api/medications/:id/restore - Restore a soft-deleted medication
+router.post('/:id/restore', requireRole(PERMISSIONS.medications.delete), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingMedication = await db.select().from(medications)
+      .where(and(eq(medications.id, id), isNotNull(medications.deletedAt)));
+
+    if (existingMedication.length === 0) {
+      return res.status(404).json({ error: 'Deleted medication not found' });
+    }
+
+    if (!isRecoverable(existingMedication[0].deletedAt)) {
+      return res.status(410).json({ error: 'Recovery window has expired' });
+    }
+
+    const [restoredMedication] = await db.update(medications)
+      .set({ deletedAt: null, deletedBy: null })
+      .where(eq(medications.id, id))
+      .returning();
+
+    res.json(restoredMedication);
+  } catch (error) {
+    console.error('Error restoring medication:', error);
+    res.status(500).json({ error: 'Failed to restore medication' });
+  }
+});
+
+export { router as medicationsRouter };
@@ -1,6 +1,32 @@
 import { Router } from 'express';
-import { eq } from 'drizzle-orm';
-import { db, members, type NewMember } from '../db/index.js';
+import { eq, and, inArray, isNull, isNotNull, gte, asc, desc, count, getTableColumns, sql } from 'drizzle-orm';
+import { alias } from 'drizzle-orm/sqlite-core';
+import {
+  db,
+  members,
+  bloodPressureReadings,
+  measurementSessions,
+  encounters,
+  medicalHistory,
+  medications,
+  caseloadAssignments,
+  memberConsents,
+  users,
+  type NewMember
+} from '../db/index.js';
+import { deletionStamp, isRecoverable, recoveryCutoff } from '../db/softDelete.js';
+import { paginationSchema, queryBoolean, orderByColumn, paginated } from '../db/listQuery.js';
+import { reindexMember, memberSearchCondition, searchMembers } from '../db/memberSearch.js';
+import { findActiveClinician, listActiveClinicians } from '../db/staff.js';
+import { contactFieldsSchema } from '../db/contact.js';
+import { consentChangesSchema, consentSummary, recordConsentChanges } from '../db/consent.js';
+import { readSpreadsheet, resolveMapping, mappedValues } from '../imports/spreadsheet.js';
+import { ROSTER_FIELDS, UNIONS, rosterMemberInput, type RosterField } from '../imports/roster.js';
+import { toCsv } from '../imports/csv.js';
+import { exportFormatSchema, sendExport, batchesOf, type ExportColumn } from '../exports/dataExport.js';
+import { recordAudit, diffRecords } from '../middleware/audit.js';
+import { requireRole } from './auth.js';
+import { PERMISSIONS } from '../middleware/permissions.js';
 import { z } from 'zod';
 
 const router = Router();
@@ -12,8 +38,9 @@ const memberSchema = z.object({
   lastName: z.string().min(2).max(50),
   dateOfBirth: z.string().datetime(),
   gender: z.string().min(1).max(10),
-  union: z.enum(['Firefighters', 'Police', 'EMS'])
-});
+  union: z.enum(['Firefighters', 'Police', 'EMS']),
+  consents: consentChangesSchema.optional()
+}).merge(contactFieldsSchema);
 
 const updateMemberSchema = z.object({
   employeeId: z.string().min(4).max(20).optional(),
@@ -21,33 +48,272 @@ const updateMemberSchema = z.object({
   lastName: z.string().min(2).max(50).optional(),
   dateOfBirth: z.string().datetime().optional(),
   gender: z.string().min(1).max(10).optional(),
-  union: z.enum(['Firefighters', 'Police', 'EMS']).optional()
+  union: z.enum(['Firefighters', 'Police', 'EMS']).optional(),
+  isActive: z.boolean().optional(),
+  consents: consentChangesSchema.optional()
+}).merge(contactFieldsSchema);
+
+const deleteModeSchema = z.enum(['archive', 'cascade']).optional();
+
+const memberFiltersSchema = z.object({
+  sort: z.enum(['lastName', 'firstName', 'employeeId', 'union', 'dateOfBirth', 'createdAt']).default('createdAt'),
+  order: z.enum(['asc', 'desc']).optional(),
+  union: z.enum(['Firefighters', 'Police', 'EMS']).optional(),
+  isActive: queryBoolean.optional(),
+  search: z.string().trim().min(1).max(100).optional(),
+  // "me" is the signed-in user's caseload; "unassigned" lists members without a coach
+  coachId: z.union([z.literal('me'), z.literal('unassigned'), z.string().uuid()]).optional()
+});
+
+const listMembersQuerySchema = paginationSchema.merge(memberFiltersSchema);
+const exportMembersQuerySchema = memberFiltersSchema.merge(exportFormatSchema);
+
+const rosterImportSchema = z.object({
+  fileName: z.string().min(1).max(255),
+  // The .csv or .xlsx file, base64-encoded
+  content: z.string().min(1),
+  mapping: z.record(z.enum(ROSTER_FIELDS.map(({ field }) => field) as [RosterField, ...RosterField[]]), z.string().nullable()).optional(),
+  // Union for rows that have none, e.g. a roster sent by a single union
+  defaultUnion: z.enum(UNIONS).optional(),
+  dryRun: z.boolean().default(true),
+  skipInvalid: z.boolean().default(false)
 });
 
-// GET /api/members - List all members
-router.get('/', async (req, res) => {
+const coachAssignmentSchema = z.object({
+  coachId: z.string().uuid().nullable(),
+  reason: z.string().max(200).optional()
+});
+
+const searchQuerySchema = z.object({
+  q: z.string().trim().min(1).max(100),
+  limit: z.coerce.number().int().min(1).max(50).default(10)
+});
+
+const memberSortColumns = {
+  lastName: members.lastName,
+  firstName: members.firstName,
+  employeeId: members.employeeId,
+  union: members.union,
+  dateOfBirth: members.dateOfBirth,
+  createdAt: members.createdAt
+};
+
+const coachUser = alias(users, 'coach_user');
+const previousCoachUser = alias(users, 'previous_coach_user');
+const assignedByUser = alias(users, 'assigned_by_user');
+
+// Member row with the primary coach's name
+const memberWithCoachColumns = {
+  ...getTableColumns(members),
+  coachFirstName: coachUser.firstName,
+  coachLastName: coachUser.lastName
+};
+
+const selectMembersWithCoach = () => db.select(memberWithCoachColumns).from(members)
+  .leftJoin(coachUser, eq(members.coachId, coachUser.id));
+
+type MemberWithCoach = Awaited<ReturnType<typeof selectMembersWithCoach>>[number];
+
+// Count the clinical records that still reference a member
+async function countMemberDependents(memberId: string) {
+  const [readings] = await db.select({ count: count() })
+    .from(bloodPressureReadings)
+    .where(and(eq(bloodPressureReadings.memberId, memberId), isNull(bloodPressureReadings.deletedAt)));
+  
+  const [memberEncounters] = await db.select({ count: count() })
+    .from(encounters)
+    .where(and(eq(encounters.memberId, memberId), isNull(encounters.deletedAt)));
+  
+  const [history] = await db.select({ count: count() })
+    .from(medicalHistory)
+    .where(and(eq(medicalHistory.memberId, memberId), isNull(medicalHistory.deletedAt)));
+  
+  const [memberMedications] = await db.select({ count: count() })
+    .from(medications)
+    .where(and(eq(medications.memberId, memberId), isNull(medications.deletedAt)));
+  
+  const dependents = {
+    bloodPressureReadings: readings.count,
+    encounters: memberEncounters.count,
+    medicalHistory: history.count,
+    medications: memberMedications.count
+  };
+  
+  return {
+    ...dependents,
+    total: dependents.bloodPressureReadings + dependents.encounters + dependents.medicalHistory + dependents.medications
+  };
+}
+
+// Filters shared by the member list and its export
+function memberListConditions(query: z.infer<typeof memberFiltersSchema>, userId: string) {
+  const conditions = [isNull(members.deletedAt)];
+  if (query.union) conditions.push(eq(members.union, query.union));
+  if (query.coachId === 'unassigned') {
+    conditions.push(isNull(members.coachId));
+  } else if (query.coachId) {
+    conditions.push(eq(members.coachId, query.coachId === 'me' ? userId : query.coachId));
+  }
+  if (query.isActive !== undefined) conditions.push(eq(members.isActive, query.isActive));
+  if (query.search) {
+    const searchCondition = memberSearchCondition(query.search);
+    if (searchCondition) conditions.push(searchCondition);
+  }
+  return and(...conditions);
+}
+
+const memberAge = (dateOfBirth: Date) => new Date().getFullYear() - new Date(dateOfBirth).getFullYear();
+
+// GET /api/members - List members (paginated, sortable, filterable)
+router.get('/', async (req: any, res) => {
   try {
-    const allMembers = await db.select().from(members);
+    const query = listMembersQuerySchema.parse(req.query);
+    const whereConditions = memberListConditions(query, req.user?.userId);
+    
+    const pageOfMembers = await selectMembersWithCoach()
+      .where(whereConditions)
+      .orderBy(orderByColumn(memberSortColumns[query.sort], query.order ?? 'asc'))
+      .limit(query.limit)
+      .offset(query.offset);
+    
+    const [total] = await db.select({ count: count() }).from(members).where(whereConditions);
     
     // Calculate age for each member
-    const membersWithAge = allMembers.map(member => ({
+    const membersWithAge = pageOfMembers.map(member => ({
       ...member,
-      age: new Date().getFullYear() - new Date(member.dateOfBirth).getFullYear()
+      age: memberAge(member.dateOfBirth)
     }));
     
-    res.json(membersWithAge);
+    res.json(paginated(membersWithAge, total.count, query));
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
     console.error('Error fetching members:', error);
     res.status(500).json({ error: 'Failed to fetch members' });
   }
 });
 
+const memberExportColumns: ExportColumn<MemberWithCoach>[] = [
+  { key: 'employeeId', header: 'Employee ID' },
+  { key: 'firstName', header: 'First Name' },
+  { key: 'lastName', header: 'Last Name' },
+  { key: 'dateOfBirth', header: 'Date of Birth', value: member => member.dateOfBirth.toISOString().slice(0, 10) },
+  { key: 'age', header: 'Age', value: member => memberAge(member.dateOfBirth) },
+  { key: 'gender', header: 'Gender' },
+  { key: 'union', header: 'Union' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'email', header: 'Email' },
+  { key: 'addressLine1', header: 'Address Line 1' },
+  { key: 'addressLine2', header: 'Address Line 2' },
+  { key: 'city', header: 'City' },
+  { key: 'state', header: 'State' },
+  { key: 'postalCode', header: 'Postal Code' },
+  { key: 'preferredLanguage', header: 'Preferred Language' },
+  { key: 'isActive', header: 'Active' },
+  { key: 'coach', header: 'Coach', value: member => [member.coachFirstName, member.coachLastName].filter(Boolean).join(' ') || null },
+  { key: 'createdAt', header: 'Enrolled' },
+  { key: 'id', header: 'Member ID' }
+];
+
+// GET /api/members/export - Download the filtered member list as CSV, XLSX or JSON
+router.get('/export', requireRole(PERMISSIONS.members.export), async (req: any, res) => {
+  try {
+    const query = exportMembersQuerySchema.parse(req.query);
+    const whereConditions = memberListConditions(query, req.user?.userId);
+
+    await sendExport(res, 'members', query.format, [{
+      name: 'members',
+      columns: memberExportColumns,
+      batches: batchesOf((limit, offset) => selectMembersWithCoach()
+        .where(whereConditions)
+        .orderBy(orderByColumn(memberSortColumns[query.sort], query.order ?? 'asc'), asc(members.id))
+        .limit(limit)
+        .offset(offset))
+    }]);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error exporting members:', error);
+    res.status(500).json({ error: 'Failed to export members' });
+  }
+});
+
+// GET /api/members/deleted - List members deleted within the recovery window
+router.get('/deleted', async (req, res) => {
+  try {
+    const deletedMembers = await db.select().from(members)
+      .where(and(isNotNull(members.deletedAt), gte(members.deletedAt, recoveryCutoff())))
+      .orderBy(desc(members.deletedAt));
+    
+    res.json(deletedMembers);
+  } catch (error) {
+    console.error('Error fetching deleted members:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted members' });
+  }
+});
+
+// GET /api/members/search - Ranked full-text search over names, employee IDs,
+// medical-history conditions and encounter topics
+router.get('/search', async (req, res) => {
+  try {
+    const { q, limit } = searchQuerySchema.parse(req.query);
+    
+    const ranked = searchMembers(q, limit);
+    if (ranked.length === 0) {
+      return res.json([]);
+    }
+    
+    const matches = await db.select().from(members)
+      .where(and(inArray(members.id, ranked.map(match => match.id)), isNull(members.deletedAt)));
+    const byId = new Map(matches.map(member => [member.id, member]));
+    
+    const results = ranked
+      .filter(match => byId.has(match.id))
+      .map(match => {
+        const member = byId.get(match.id)!;
+        return {
+          ...member,
+          age: new Date().getFullYear() - new Date(member.dateOfBirth).getFullYear()
+        };
+      });
+    
+    res.json(results);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error searching members:', error);
+    res.status(500).json({ error: 'Failed to search members' });
+  }
+});
+
+// GET /api/members/coaches - Staff who can hold a caseload, with their active caseload size
+router.get('/coaches', async (req, res) => {
+  try {
+    const coaches = await listActiveClinicians();
+    
+    const caseloads = await db.select({ coachId: members.coachId, count: count() })
+      .from(members)
+      .where(and(isNotNull(members.coachId), isNull(members.deletedAt), eq(members.isActive, true)))
+      .groupBy(members.coachId);
+    const caseloadByCoach = new Map(caseloads.map(row => [row.coachId, row.count]));
+    
+    res.json(coaches.map(coach => ({ ...coach, caseload: caseloadByCoach.get(coach.id) ?? 0 })));
+  } catch (error) {
+    console.error('Error fetching coaches:', error);
+    res.status(500).json({ error: 'Failed to fetch coaches' });
+  }
+});
+
 // GET /api/members/:id - Get specific member
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const member = await db.select().from(members).where(eq(members.id, id));
+    const member = await selectMembersWithCoach()
+      .where(and(eq(members.id, id), isNull(members.deletedAt)));
     
     if (member.length === 0) {
       return res.status(404).json({ error: 'Member not found' });
@@ -55,7 +321,8 @@ router.get('/:id', async (req, res) => {
     
     const memberWithAge = {
       ...member[0],
-      age: new Date().getFullYear() - new Date(member[0].dateOfBirth).getFullYear()
+      age: new Date().getFullYear() - new Date(member[0].dateOfBirth).getFullYear(),
+      consents: consentSummary(id)
     };
     
     res.json(memberWithAge);
@@ -65,10 +332,155 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/members/:id/dependents - Count records linked to a member
+router.get('/:id/dependents', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const member = await db.select().from(members).where(and(eq(members.id, id), isNull(members.deletedAt)));
+    
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    res.json(await countMemberDependents(id));
+  } catch (error) {
+    console.error('Error counting member dependents:', error);
+    res.status(500).json({ error: 'Failed to count member dependents' });
+  }
+});
+
+// GET /api/members/:id/coach-history - Caseload assignments for a member, newest first
+router.get('/:id/coach-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const member = await db.select().from(members).where(and(eq(members.id, id), isNull(members.deletedAt)));
+    
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const history = await db.select({
+      id: caseloadAssignments.id,
+      coachId: caseloadAssignments.coachId,
+      previousCoachId: caseloadAssignments.previousCoachId,
+      reason: caseloadAssignments.reason,
+      assignedBy: caseloadAssignments.assignedBy,
+      assignedAt: caseloadAssignments.assignedAt,
+      coachFirstName: coachUser.firstName,
+      coachLastName: coachUser.lastName,
+      previousCoachFirstName: previousCoachUser.firstName,
+      previousCoachLastName: previousCoachUser.lastName,
+      assignedByFirstName: assignedByUser.firstName,
+      assignedByLastName: assignedByUser.lastName
+    })
+    .from(caseloadAssignments)
+    .leftJoin(coachUser, eq(caseloadAssignments.coachId, coachUser.id))
+    .leftJoin(previousCoachUser, eq(caseloadAssignments.previousCoachId, previousCoachUser.id))
+    .leftJoin(assignedByUser, eq(caseloadAssignments.assignedBy, assignedByUser.id))
+    .where(eq(caseloadAssignments.memberId, id))
+    // Timestamps are stored in whole seconds, so insertion order breaks ties
+    .orderBy(desc(caseloadAssignments.assignedAt), desc(sql`${caseloadAssignments}.rowid`));
+    
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching coach history:', error);
+    res.status(500).json({ error: 'Failed to fetch coach history' });
+  }
+});
+
+// GET /api/members/:id/consents - Current consent decisions and the full consent history
+router.get('/:id/consents', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const member = await db.select().from(members).where(and(eq(members.id, id), isNull(members.deletedAt)));
+    
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const history = await db.select({
+      id: memberConsents.id,
+      consentType: memberConsents.consentType,
+      granted: memberConsents.granted,
+      version: memberConsents.version,
+      recordedBy: memberConsents.recordedBy,
+      recordedAt: memberConsents.recordedAt,
+      recordedByFirstName: users.firstName,
+      recordedByLastName: users.lastName
+    })
+    .from(memberConsents)
+    .leftJoin(users, eq(memberConsents.recordedBy, users.id))
+    .where(eq(memberConsents.memberId, id))
+    .orderBy(desc(memberConsents.recordedAt), desc(sql`${memberConsents}.rowid`));
+    
+    res.json({ current: consentSummary(id), history });
+  } catch (error) {
+    console.error('Error fetching member consents:', error);
+    res.status(500).json({ error: 'Failed to fetch member consents' });
+  }
+});
+
+// PUT /api/members/:id/coach - Assign, reassign or unassign a member's primary coach
+router.put('/:id/coach', async (req: any, res) => {
+  try {
+    const { id } = req.params;
+    const { coachId, reason } = coachAssignmentSchema.parse(req.body);
+    
+    const existingMember = await db.select().from(members).where(and(eq(members.id, id), isNull(members.deletedAt)));
+    
+    if (existingMember.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    if (coachId && !(await findActiveClinician(coachId))) {
+      return res.status(400).json({ error: 'Coach must be an active clinical user' });
+    }
+    
+    const previousCoachId = existingMember[0].coachId;
+    if (previousCoachId === coachId) {
+      return res.status(409).json({ error: coachId ? 'Member is already assigned to this coach' : 'Member has no coach' });
+    }
+    
+    // The member and its history row change together
+    const now = new Date();
+    const updatedMember = db.transaction((tx) => {
+      tx.insert(caseloadAssignments)
+        .values({
+          memberId: id,
+          coachId,
+          previousCoachId,
+          reason: reason ?? null,
+          assignedBy: req.user?.userId ?? null,
+          assignedAt: now
+        })
+        .run();
+      return tx.update(members)
+        .set({ coachId, updatedAt: now })
+        .where(eq(members.id, id))
+        .returning()
+        .get();
+    });
+    
+    res.json({
+      ...updatedMember,
+      age: new Date().getFullYear() - new Date(updatedMember.dateOfBirth).getFullYear()
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error assigning coach:', error);
+    res.status(500).json({ error: 'Failed to assign coach' });
+  }
+});
+
 // POST /api/members - Create new member
-router.post('/', async (req, res) => {
+router.post('/', async (req: any, res) => {
   try {
-    const validatedData = memberSchema.parse(req.body);
+    const { consents, ...validatedData } = memberSchema.parse(req.body);
     
     // Check if employee ID already exists
     const existingMember = await db.select().from(members).where(eq(members.employeeId, validatedData.employeeId));
@@ -84,10 +496,15 @@ router.post('/', async (req, res) => {
     };
     
     const [createdMember] = await db.insert(members).values(newMember).returning();
+    if (consents) {
+      recordConsentChanges(createdMember.id, consents, req.user?.userId ?? null);
+    }
+    reindexMember(createdMember.id);
     
     const memberWithAge = {
       ...createdMember,
-      age: new Date().getFullYear() - new Date(createdMember.dateOfBirth).getFullYear()
+      age: new Date().getFullYear() - new Date(createdMember.dateOfBirth).getFullYear(),
+      consents: consentSummary(createdMember.id)
     };
     
     res.status(201).json(memberWithAge);
@@ -100,14 +517,137 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /api/members/import - Validate a CSV/XLSX roster and, unless it is a dry run, create its
+// members in a single transaction. Every response carries the per-row results and a CSV error report.
+router.post('/import', async (req: any, res) => {
+  try {
+    const options = rosterImportSchema.parse(req.body);
+    
+    const read = readSpreadsheet(options.fileName, Buffer.from(options.content, 'base64'));
+    if ('error' in read) {
+      return res.status(400).json({ error: read.error });
+    }
+    
+    const { headers, rows } = read.spreadsheet;
+    const mapping = resolveMapping(headers, ROSTER_FIELDS, options.mapping);
+    const missingFields = ROSTER_FIELDS
+      .filter(({ field, required }) => !mapping[field] && (required || (field === 'union' && !options.defaultUnion)))
+      .map(({ label }) => label);
+    
+    const labels = new Map<unknown, string>(ROSTER_FIELDS.map(({ field, label }) => [field, label]));
+    const rowValues = rows.map(({ cells }) => mappedValues(headers, mapping, cells));
+    const employeeIds = rowValues.map(values => values.employeeId).filter((id): id is string => !!id);
+    // Employee IDs stay taken while a deleted member can still be restored
+    const existingIds = new Set(employeeIds.length === 0 ? [] : (await db.select({ employeeId: members.employeeId })
+      .from(members)
+      .where(inArray(members.employeeId, employeeIds)))
+      .map(({ employeeId }) => employeeId));
+    
+    const firstRowByEmployeeId = new Map<string, number>();
+    const results = rows.map(({ row, cells }, index) => {
+      const values = rowValues[index];
+      const parsed = memberSchema.safeParse(rosterMemberInput(values, options.defaultUnion));
+      const errors = parsed.success
+        ? []
+        : parsed.error.errors.map(issue => `${labels.get(issue.path[0]) ?? issue.path.join('.')}: ${issue.message}`);
+      
+      if (values.employeeId) {
+        const firstRow = firstRowByEmployeeId.get(values.employeeId);
+        if (firstRow) {
+          errors.push(`Employee ID duplicates row ${firstRow}`);
+        } else {
+          firstRowByEmployeeId.set(values.employeeId, row);
+          if (existingIds.has(values.employeeId)) errors.push('Employee ID already exists');
+        }
+      }
+      
+      return { row, cells, values, errors, member: parsed.success && errors.length === 0 ? parsed.data : null };
+    });
+    
+    const invalid = results.filter(result => result.errors.length > 0);
+    const report = {
+      fileName: options.fileName,
+      headers,
+      fields: ROSTER_FIELDS.map(({ field, label, required }) => ({ field, label, required })),
+      mapping,
+      missingFields,
+      totalRows: results.length,
+      validRows: results.length - invalid.length,
+      invalidRows: invalid.length,
+      rows: results.map(({ row, values, errors }) => ({
+        row,
+        employeeId: values.employeeId ?? null,
+        firstName: values.firstName ?? null,
+        lastName: values.lastName ?? null,
+        status: errors.length > 0 ? 'invalid' : 'valid',
+        errors
+      })),
+      // The rows as uploaded plus what is wrong with each, so they can be fixed and re-imported
+      errorReport: invalid.length > 0
+        ? toCsv([
+            ['Row', ...headers, 'Errors'],
+            ...invalid.map(({ row, cells, errors }) => [row, ...headers.map((_, column) => cells[column] ?? ''), errors.join('; ')])
+          ])
+        : null,
+      dryRun: options.dryRun,
+      imported: 0
+    };
+    
+    if (options.dryRun) {
+      return res.json(report);
+    }
+    if (invalid.length > 0 && !options.skipInvalid) {
+      return res.status(400).json({ error: 'Fix or skip the rows with errors before importing', ...report });
+    }
+    if (report.validRows === 0) {
+      return res.status(400).json({ error: 'The roster has no valid rows to import', ...report });
+    }
+    
+    // All members are created or none are
+    const now = new Date();
+    const createdMembers = db.transaction((tx) => results.flatMap(({ member }) => {
+      if (!member) return [];
+      const { consents: _consents, ...fields } = member;
+      return [tx.insert(members)
+        .values({ ...fields, dateOfBirth: new Date(fields.dateOfBirth), updatedAt: now })
+        .returning()
+        .get()];
+    }));
+    
+    for (const createdMember of createdMembers) {
+      reindexMember(createdMember.id);
+      await recordAudit({
+        userId: req.user?.userId ?? null,
+        userRole: req.user?.role ?? null,
+        action: 'create',
+        entityType: 'member',
+        entityId: createdMember.id,
+        memberId: createdMember.id,
+        changes: diffRecords(null, createdMember),
+        method: req.method,
+        path: req.originalUrl,
+        ipAddress: req.ip ?? null
+      });
+    }
+    
+    res.status(201).json({ ...report, imported: createdMembers.length });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error importing roster:', error);
+    res.status(500).json({ error: 'Failed to import roster' });
+  }
+});
+
 // PUT /api/members/:id - Update member
-router.put('/:id', async (req, res) => {
+router.put('/:id', async (req: any, res) => {
   try {
     const { id } = req.params;
-    const validatedData = updateMemberSchema.parse(req.body);
+    const { consents, ...validatedData } = updateMemberSchema.parse(req.body);
     
     // Check if member exists
-    const existingMember = await db.select().from(members).where(eq(members.id, id));
+    const existingMember = await db.select().from(members).where(and(eq(members.id, id), isNull(members.deletedAt)));
     
     if (existingMember.length === 0) {
       return res.status(404).json({ error: 'Member not found' });
@@ -132,14 +672,23 @@ router.put('/:id', async (req, res) => {
       updateData.dateOfBirth = new Date(validatedData.dateOfBirth);
     }
     
+    if (validatedData.isActive !== undefined) {
+      updateData.archivedAt = validatedData.isActive ? null : new Date();
+    }
+    
     const [updatedMember] = await db.update(members)
       .set(updateData)
       .where(eq(members.id, id))
       .returning();
+    if (consents) {
+      recordConsentChanges(id, consents, req.user?.userId ?? null);
+    }
+    reindexMember(id);
     
     const memberWithAge = {
       ...updatedMember,
-      age: new Date().getFullYear() - new Date(updatedMember.dateOfBirth).getFullYear()
+      age: new Date().getFullYear() - new Date(updatedMember.dateOfBirth).getFullYear(),
+      consents: consentSummary(id)
     };
     
     res.json(memberWithAge);
@@ -152,29 +701,139 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/members/:id - Delete member
+// DELETE /api/members/:id - Soft-delete member
+// Members with clinical records cannot be deleted (PRD §4.1 rule 2) unless the caller
+// chooses ?mode=archive (deactivate, keep history) or ?mode=cascade (delete everything).
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const mode = deleteModeSchema.parse(req.query.mode);
     
     // Check if member exists
-    const existingMember = await db.select().from(members).where(eq(members.id, id));
+    const existingMember = await db.select().from(members).where(and(eq(members.id, id), isNull(members.deletedAt)));
     
     if (existingMember.length === 0) {
       return res.status(404).json({ error: 'Member not found' });
     }
     
-    // TODO: Check if member has associated readings or encounters
-    // For now, we'll allow deletion but this should be implemented based on business rules
+    if (mode === 'archive') {
+      const [archivedMember] = await db.update(members)
+        .set({ isActive: false, archivedAt: new Date(), updatedAt: new Date() })
+        .where(eq(members.id, id))
+        .returning();
+      
+      return res.json(archivedMember);
+    }
+    
+    const dependents = await countMemberDependents(id);
+    
+    if (dependents.total > 0 && mode !== 'cascade') {
+      return res.status(409).json({
+        error: 'Member has associated records',
+        dependents
+      });
+    }
     
-    await db.delete(members).where(eq(members.id, id));
+    // Cascaded rows share the member's deletion stamp so a restore can bring them back together
+    const stamp = deletionStamp(req);
+    
+    db.transaction((tx) => {
+      tx.update(bloodPressureReadings)
+        .set(stamp)
+        .where(and(eq(bloodPressureReadings.memberId, id), isNull(bloodPressureReadings.deletedAt)))
+        .run();
+      tx.update(measurementSessions)
+        .set(stamp)
+        .where(and(eq(measurementSessions.memberId, id), isNull(measurementSessions.deletedAt)))
+        .run();
+      tx.update(encounters)
+        .set(stamp)
+        .where(and(eq(encounters.memberId, id), isNull(encounters.deletedAt)))
+        .run();
+      tx.update(medicalHistory)
+        .set(stamp)
+        .where(and(eq(medicalHistory.memberId, id), isNull(medicalHistory.deletedAt)))
+        .run();
+      tx.update(medications)
+        .set(stamp)
+        .where(and(eq(medications.memberId, id), isNull(medications.deletedAt)))
+        .run();
+      tx.update(members)
+        .set(stamp)
+        .where(eq(members.id, id))
+        .run();
+    });
+    reindexMember(id);
     
     res.status(204).send();
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid delete mode', details: error.errors });
+    }
     console.error('Error deleting member:', error);
     res.status(500).json({ error: 'Failed to delete member' });
   }
 });
 
+// POST /api/members/:id/restore - Restore a soft-deleted member
+router.post('/:id/restore', requireRole(PERMISSIONS.members.delete), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingMember = await db.select().from(members).where(and(eq(members.id, id), isNotNull(members.deletedAt)));
+    
+    if (existingMember.length === 0) {
+      return res.status(404).json({ error: 'Deleted member not found' });
+    }
+    
+    if (!isRecoverable(existingMember[0].deletedAt)) {
+      return res.status(410).json({ error: 'Recovery window has expired' });
+    }
+    
+    const deletedAt = existingMember[0].deletedAt!;
+    const restore = { deletedAt: null, deletedBy: null };
+    
+    // Bring back the clinical records removed by a cascade delete
+    const restoredMember = db.transaction((tx) => {
+      tx.update(bloodPressureReadings)
+        .set(restore)
+        .where(and(eq(bloodPressureReadings.memberId, id), eq(bloodPressureReadings.deletedAt, deletedAt)))
+        .run();
+      tx.update(measurementSessions)
+        .set(restore)
+        .where(and(eq(measurementSessions.memberId, id), eq(measurementSessions.deletedAt, deletedAt)))
+        .run();
+      tx.update(encounters)
+        .set(restore)
+        .where(and(eq(encounters.memberId, id), eq(encounters.deletedAt, deletedAt)))
+        .run();
+      tx.update(medicalHistory)
+        .set(restore)
+        .where(and(eq(medicalHistory.memberId, id), eq(medicalHistory.deletedAt, deletedAt)))
+        .run();
+      tx.update(medications)
+        .set(restore)
+        .where(and(eq(medications.memberId, id), eq(medications.deletedAt, deletedAt)))
+        .run();
+      return tx.update(members)
+        .set({ ...restore, updatedAt: new Date() })
+        .where(eq(members.id, id))
+        .returning()
+        .get();
+    });
+    reindexMember(id);
+    
+    const memberWithAge = {
+      ...restoredMember,
+      age: new Date().getFullYear() - new Date(restoredMember.dateOfBirth).getFullYear()
+    };
+    
+    res.json(memberWithAge);
+  } catch (error) {
+    console.error('Error restoring member:', error);
+    res.status(500).json({ error: 'Failed to restore member' });
+  }
+});
+
 export { router as membersRouter };
 
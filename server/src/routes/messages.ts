@@ -0,0 +1,417 @@
+import { Router } from 'express';
+import { eq, and, isNull, count, max, gte, lte } from 'drizzle-orm';
+import { db, messages, memberContactPreferences, members, encounters, followUps, users } from '../db/index.js';
+import { paginationSchema, orderByColumn, endOfDay, paginated } from '../db/listQuery.js';
+import { reindexMember } from '../db/memberSearch.js';
+import { currentConsents } from '../db/consent.js';
+import { MESSAGE_TEMPLATES, SMS_MAX_LENGTH, OPT_OUT_FOOTERS, composeText, type MessageChannel } from '../messaging/templates.js';
+import { activeTransport } from '../messaging/transports.js';
+import { z } from 'zod';
+
+const router = Router();
+
+const DEFAULT_SENDER_NAME = 'Your health coach';
+
+// Encounter type each message channel is logged as
+const ENCOUNTER_TYPES: Record<MessageChannel, 'Text' | 'Email'> = {
+  sms: 'Text',
+  email: 'Email'
+};
+
+// Validation schemas
+const channelSchema = z.enum(['sms', 'email']);
+
+const draftSchema = z.object({
+  memberId: z.string().uuid(),
+  templateId: z.string().refine(id => Object.hasOwn(MESSAGE_TEMPLATES, id), 'Unknown message template'),
+  // Defaults to the member's preferred channel
+  channel: channelSchema.optional(),
+  followUpId: z.string().uuid().optional()
+});
+
+const sendMessageSchema = draftSchema.extend({
+  // Edited text to send instead of the template's; the opt-out footer is always added
+  body: z.string().min(10).max(5000).optional()
+});
+
+const preferencesSchema = z.object({
+  preferredChannel: channelSchema.optional(),
+  smsOptOut: z.boolean().optional(),
+  emailOptOut: z.boolean().optional()
+});
+
+const listMessagesQuerySchema = paginationSchema.extend({
+  sort: z.enum(['sentAt']).default('sentAt'),
+  memberId: z.string().uuid().optional(),
+  channel: channelSchema.optional(),
+  status: z.enum(['sent', 'failed']).optional(),
+  templateId: z.string().optional(),
+  startDate: z.coerce.date().optional(),
+  endDate: z.coerce.date().optional()
+});
+
+const messageSortColumns = {
+  sentAt: messages.sentAt
+};
+
+const messageColumns = {
+  id: messages.id,
+  memberId: messages.memberId,
+  channel: messages.channel,
+  templateId: messages.templateId,
+  followUpId: messages.followUpId,
+  recipient: messages.recipient,
+  subject: messages.subject,
+  body: messages.body,
+  transport: messages.transport,
+  status: messages.status,
+  error: messages.error,
+  encounterId: messages.encounterId,
+  sentBy: messages.sentBy,
+  sentAt: messages.sentAt,
+  memberName: members.firstName,
+  memberLastName: members.lastName,
+  senderFirstName: users.firstName,
+  senderLastName: users.lastName
+};
+
+// Members with no saved preferences are messaged by text until someone says otherwise
+const defaultPreferences = (memberId: string) => ({
+  memberId,
+  preferredChannel: 'sms' as MessageChannel,
+  smsOptedOutAt: null,
+  emailOptedOutAt: null,
+  updatedBy: null,
+  updatedAt: null
+});
+
+async function loadPreferences(memberId: string) {
+  const saved = await db.select().from(memberContactPreferences).where(eq(memberContactPreferences.memberId, memberId));
+  return saved[0] ?? defaultPreferences(memberId);
+}
+
+async function senderName(userId: string | undefined) {
+  const sender = await db.select({ firstName: users.firstName, lastName: users.lastName })
+    .from(users)
+    .where(eq(users.id, userId ?? ''));
+  return sender.length > 0 ? `${sender[0].firstName} ${sender[0].lastName}` : DEFAULT_SENDER_NAME;
+}
+
+type DraftResult =
+  | { status: number; error: string }
+  | {
+      draft: {
+        memberId: string;
+        templateId: string;
+        templateName: string;
+        channel: MessageChannel;
+        recipient: string;
+        subject: string | null;
+        body: string;
+        followUpId: string | null;
+        senderName: string;
+      };
+    };
+
+// Work out what would be sent to a member, or why nothing can be: consent, opt-outs and
+// missing contact details are checked here so preview and send agree
+async function draftMessage(data: z.infer<typeof draftSchema>, userId: string | undefined): Promise<DraftResult> {
+  const member = await db.select().from(members)
+    .where(and(eq(members.id, data.memberId), isNull(members.deletedAt)));
+
+  if (member.length === 0) {
+    return { status: 404, error: 'Member not found' };
+  }
+  if (!member[0].isActive) {
+    return { status: 409, error: 'Archived members cannot be messaged' };
+  }
+
+  // Messaging needs an explicit grant; withdrawing from the program stops all outreach
+  const consents = currentConsents(data.memberId);
+  if (consents.program_participation?.granted === false) {
+    return { status: 409, error: 'Member has withdrawn from the program' };
+  }
+  if (!consents.messaging?.granted) {
+    return { status: 409, error: 'Member has not consented to messaging' };
+  }
+
+  const template = MESSAGE_TEMPLATES[data.templateId];
+  const preferences = await loadPreferences(data.memberId);
+  const channel = data.channel ?? preferences.preferredChannel;
+
+  if (channel === 'sms' && preferences.smsOptedOutAt) {
+    return { status: 409, error: 'Member has opted out of text messages' };
+  }
+  if (channel === 'email' && preferences.emailOptedOutAt) {
+    return { status: 409, error: 'Member has opted out of email' };
+  }
+
+  const recipient = channel === 'sms' ? member[0].phone : member[0].email;
+  if (!recipient) {
+    return { status: 400, error: channel === 'sms' ? 'Member has no phone number on file' : 'Member has no email address on file' };
+  }
+
+  let followUp = null;
+  if (data.followUpId) {
+    const found = await db.select().from(followUps)
+      .where(and(eq(followUps.id, data.followUpId), eq(followUps.memberId, data.memberId)));
+    if (found.length === 0) {
+      return { status: 404, error: 'Follow-up not found' };
+    }
+    if (found[0].status !== 'scheduled') {
+      return { status: 409, error: `Follow-up is already ${found[0].status}` };
+    }
+    followUp = found[0];
+  } else if (template.requiresFollowUp) {
+    return { status: 400, error: 'This template needs a scheduled follow-up' };
+  }
+
+  const [tips] = await db.select({ count: count() })
+    .from(messages)
+    .where(and(
+      eq(messages.memberId, data.memberId),
+      eq(messages.templateId, 'lifestyle-tip'),
+      eq(messages.status, 'sent')
+    ));
+
+  const context = {
+    member: member[0],
+    senderName: await senderName(userId),
+    followUp,
+    tipsSent: tips.count
+  };
+
+  return {
+    draft: {
+      memberId: data.memberId,
+      templateId: template.id,
+      templateName: template.name,
+      channel,
+      recipient,
+      subject: channel === 'email' ? template.subject(context) : null,
+      body: template.body(context),
+      followUpId: followUp?.id ?? null,
+      senderName: context.senderName
+    }
+  };
+}
+
+// GET /api/messages/templates - Message templates staff can send
+router.get('/templates', (req, res) => {
+  res.json(Object.values(MESSAGE_TEMPLATES).map(({ id, name, description, requiresFollowUp }) => ({
+    id,
+    name,
+    description,
+    requiresFollowUp
+  })));
+});
+
+// GET /api/messages - List sent and failed messages (paginated, filterable)
+router.get('/', async (req, res) => {
+  try {
+    const query = listMessagesQuerySchema.parse(req.query);
+
+    const conditions = [isNull(members.deletedAt)];
+    if (query.memberId) conditions.push(eq(messages.memberId, query.memberId));
+    if (query.channel) conditions.push(eq(messages.channel, query.channel));
+    if (query.status) conditions.push(eq(messages.status, query.status));
+    if (query.templateId) conditions.push(eq(messages.templateId, query.templateId));
+    if (query.startDate) conditions.push(gte(messages.sentAt, query.startDate));
+    if (query.endDate) conditions.push(lte(messages.sentAt, endOfDay(query.endDate)));
+    const whereConditions = and(...conditions);
+
+    const rows = await db.select(messageColumns)
+      .from(messages)
+      .innerJoin(members, eq(messages.memberId, members.id))
+      .leftJoin(users, eq(messages.sentBy, users.id))
+      .where(whereConditions)
+      .orderBy(orderByColumn(messageSortColumns[query.sort], query.order ?? 'desc'))
+      .limit(query.limit)
+      .offset(query.offset);
+
+    const [total] = await db.select({ count: count() })
+      .from(messages)
+      .innerJoin(members, eq(messages.memberId, members.id))
+      .where(whereConditions);
+
+    res.json(paginated(rows, total.count, query));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// GET /api/messages/member/:memberId/preferences - A member's preferred channel and opt-outs
+router.get('/member/:memberId/preferences', async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const member = await db.select({ id: members.id }).from(members)
+      .where(and(eq(members.id, memberId), isNull(members.deletedAt)));
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json(await loadPreferences(memberId));
+  } catch (error) {
+    console.error('Error fetching contact preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch contact preferences' });
+  }
+});
+
+// PUT /api/messages/member/:memberId/preferences - Update preferred channel and opt-outs
+router.put('/member/:memberId/preferences', async (req: any, res) => {
+  try {
+    const { memberId } = req.params;
+    const data = preferencesSchema.parse(req.body);
+
+    const member = await db.select({ id: members.id }).from(members)
+      .where(and(eq(members.id, memberId), isNull(members.deletedAt)));
+    if (member.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const current = await loadPreferences(memberId);
+    const now = new Date();
+
+    // Keep the original opt-out time while the member stays opted out
+    const optedOutAt = (optOut: boolean | undefined, existing: Date | null) =>
+      optOut === undefined ? existing : optOut ? existing ?? now : null;
+
+    const values = {
+      memberId,
+      preferredChannel: data.preferredChannel ?? current.preferredChannel,
+      smsOptedOutAt: optedOutAt(data.smsOptOut, current.smsOptedOutAt),
+      emailOptedOutAt: optedOutAt(data.emailOptOut, current.emailOptedOutAt),
+      updatedBy: req.user?.userId ?? null,
+      updatedAt: now
+    };
+
+    const [saved] = await db.insert(memberContactPreferences)
+      .values(values)
+      .onConflictDoUpdate({ target: memberContactPreferences.memberId, set: values })
+      .returning();
+
+    res.json(saved);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error updating contact preferences:', error);
+    res.status(500).json({ error: 'Failed to update contact preferences' });
+  }
+});
+
+// POST /api/messages/preview - Render a template for a member without sending it
+router.post('/preview', async (req: any, res) => {
+  try {
+    const data = draftSchema.parse(req.body);
+    const result = await draftMessage(data, req.user?.userId);
+
+    if ('error' in result) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      ...result.draft,
+      footer: OPT_OUT_FOOTERS[result.draft.channel],
+      maxLength: result.draft.channel === 'sms' ? SMS_MAX_LENGTH : null
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error previewing message:', error);
+    res.status(500).json({ error: 'Failed to preview message' });
+  }
+});
+
+// POST /api/messages - Send a message to a member and log it as an encounter
+router.post('/', async (req: any, res) => {
+  try {
+    const data = sendMessageSchema.parse(req.body);
+    const result = await draftMessage(data, req.user?.userId);
+
+    if ('error' in result) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { draft } = result;
+    const text = composeText(draft.channel, data.body ?? draft.body);
+
+    if (draft.channel === 'sms' && text.length > SMS_MAX_LENGTH) {
+      return res.status(400).json({ error: `Text messages cannot be longer than ${SMS_MAX_LENGTH} characters` });
+    }
+
+    const id = crypto.randomUUID();
+    const transport = activeTransport();
+    let sendError: string | null = null;
+    try {
+      await transport.send({ id, channel: draft.channel, to: draft.recipient, subject: draft.subject, text });
+    } catch (error) {
+      sendError = error instanceof Error ? error.message : String(error);
+      console.error(`Error sending message ${id} via ${transport.name}:`, error);
+    }
+
+    const now = new Date();
+    const message = db.transaction((tx) => {
+      let encounterId: string | null = null;
+
+      // Only messages that went out count as contact with the member
+      if (!sendError) {
+        const lastSession = tx.select({ maxSession: max(encounters.sessionNumber) })
+          .from(encounters)
+          .where(eq(encounters.memberId, draft.memberId))
+          .get();
+
+        encounterId = tx.insert(encounters).values({
+          memberId: draft.memberId,
+          sessionNumber: (lastSession?.maxSession || 0) + 1,
+          communicationType: ENCOUNTER_TYPES[draft.channel],
+          topic: draft.templateName,
+          content: text,
+          callStatus: 'Sent',
+          callerName: draft.senderName,
+          recordedBy: req.user?.userId ?? null,
+          encounterDate: now,
+          isCompleted: true
+        }).returning().get().id;
+      }
+
+      return tx.insert(messages).values({
+        id,
+        memberId: draft.memberId,
+        channel: draft.channel,
+        templateId: draft.templateId,
+        followUpId: draft.followUpId,
+        recipient: draft.recipient,
+        subject: draft.subject,
+        body: text,
+        transport: transport.name,
+        status: sendError ? 'failed' : 'sent',
+        error: sendError,
+        encounterId,
+        sentBy: req.user?.userId ?? null,
+        sentAt: now
+      }).returning().get();
+    });
+
+    if (sendError) {
+      return res.status(503).json({ error: 'Message could not be sent', details: sendError, message });
+    }
+
+    reindexMember(draft.memberId);
+    res.status(201).json(message);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error sending message:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+export { router as messagesRouter };
@@ -0,0 +1,106 @@
+import { Router } from 'express';
+import { eq, and, not, isNull, count, max } from 'drizzle-orm';
+import { db, members, bloodPressureReadings, encounters, alerts } from '../db/index.js';
+import { paginationSchema, paginated } from '../db/listQuery.js';
+import { scoreOutreach, compareOutreach } from '../db/outreachPriority.js';
+import { consentWithdrawn, membersWithConsent } from '../db/consent.js';
+import { z } from 'zod';
+
+const router = Router();
+
+const queueQuerySchema = paginationSchema.extend({
+  priority: z.enum(['Critical', 'High', 'Medium', 'Low']).optional(),
+  union: z.enum(['Firefighters', 'Police', 'EMS']).optional(),
+  // "me" limits the queue to the signed-in coach's caseload
+  coachId: z.union([z.literal('me'), z.string().uuid()]).optional()
+});
+
+// GET /api/outreach/queue - Active members ranked for outreach, with the reasons for each rank
+router.get('/queue', async (req: any, res) => {
+  try {
+    const query = queueQuerySchema.parse(req.query);
+
+    // Members who withdrew from the program are never called; those with no consent on
+    // record enrolled before consent was tracked and stay in the queue
+    const memberConditions = [
+      isNull(members.deletedAt),
+      eq(members.isActive, true),
+      not(consentWithdrawn('program_participation'))
+    ];
+    if (query.union) memberConditions.push(eq(members.union, query.union));
+    if (query.coachId) memberConditions.push(eq(members.coachId, query.coachId === 'me' ? req.user?.userId : query.coachId));
+
+    const activeMembers = await db.select({
+      id: members.id,
+      employeeId: members.employeeId,
+      firstName: members.firstName,
+      lastName: members.lastName,
+      union: members.union,
+      coachId: members.coachId,
+      phone: members.phone,
+      preferredLanguage: members.preferredLanguage
+    })
+    .from(members)
+    .where(and(...memberConditions));
+
+    const readings = await db.select({
+      memberId: bloodPressureReadings.memberId,
+      systolic: bloodPressureReadings.systolic,
+      diastolic: bloodPressureReadings.diastolic,
+      htnStatus: bloodPressureReadings.htnStatus,
+      readingDate: bloodPressureReadings.readingDate
+    })
+    .from(bloodPressureReadings)
+    .where(isNull(bloodPressureReadings.deletedAt));
+
+    const lastEncounters = await db.select({
+      memberId: encounters.memberId,
+      lastEncounterDate: max(encounters.encounterDate)
+    })
+    .from(encounters)
+    .where(isNull(encounters.deletedAt))
+    .groupBy(encounters.memberId);
+
+    const openAlerts = await db.select({ memberId: alerts.memberId, count: count() })
+      .from(alerts)
+      .where(eq(alerts.status, 'open'))
+      .groupBy(alerts.memberId);
+
+    const readingsByMember = new Map<string, typeof readings>();
+    readings.forEach(reading => {
+      const memberReadings = readingsByMember.get(reading.memberId) ?? [];
+      memberReadings.push(reading);
+      readingsByMember.set(reading.memberId, memberReadings);
+    });
+
+    const messagingConsent = membersWithConsent('messaging');
+    const lastEncounterByMember = new Map(lastEncounters.map(row => [row.memberId, row.lastEncounterDate]));
+    const openAlertsByMember = new Map(openAlerts.map(row => [row.memberId, row.count]));
+
+    const now = new Date();
+    const queue = activeMembers
+      .map(member => {
+        const lastEncounterDate = lastEncounterByMember.get(member.id) ?? null;
+        const ranking = scoreOutreach({
+          readings: readingsByMember.get(member.id) ?? [],
+          lastEncounterDate,
+          openAlerts: openAlertsByMember.get(member.id) ?? 0
+        }, now);
+
+        return { ...member, ...ranking, lastEncounterDate, canMessage: messagingConsent.has(member.id) };
+      })
+      .filter(entry => !query.priority || entry.priority === query.priority)
+      .sort(compareOutreach)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    res.json(paginated(queue.slice(query.offset, query.offset + query.limit), queue.length, query));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('Error building outreach queue:', error);
+    res.status(500).json({ error: 'Failed to build outreach queue' });
+  }
+});
+
+export { router as outreachRouter };
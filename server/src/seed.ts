@@ -1,6 +1,7 @@
 import bcrypt from 'bcrypt';
 import { db } from './db/index.js';
 import { users, members, bloodPressureReadings, encounters } from './db/schema.js';
+import { classifyReading } from './db/htnClassification.js';
 
 async function seedDatabase() {
   try {
@@ -95,19 +96,7 @@ async function seedDatabase() {
         const diastolic = Math.floor(Math.random() * 40) + 70;  // 70-110
         const heartRate = Math.floor(Math.random() * 40) + 60;  // 60-100
         
-        // Calculate HTN status
-        let htnStatus: 'Normal' | 'Elevated' | 'Stage 1' | 'Stage 2' | 'Crisis';
-        if (systolic >= 180 || diastolic >= 120) {
-          htnStatus = 'Crisis';
-        } else if (systolic >= 140 || diastolic >= 90) {
-          htnStatus = 'Stage 2';
-        } else if (systolic >= 130 || diastolic >= 80) {
-          htnStatus = 'Stage 1';
-        } else if (systolic >= 120 && diastolic < 80) {
-          htnStatus = 'Elevated';
-        } else {
-          htnStatus = 'Normal';
-        }
+        const { columns } = classifyReading(systolic, diastolic);
 
         const readingTime = new Date(today);
         readingTime.setHours(Math.floor(Math.random() * 12) + 8); // 8 AM to 8 PM
@@ -119,7 +108,7 @@ async function seedDatabase() {
           diastolic,
           heartRate,
           readingDate: readingTime,
-          htnStatus
+          ...columns
         });
       }
     }
@@ -0,0 +1,162 @@
+// Guideline-aware blood pressure classification shared by the server and the client
+// (the client imports this file through the `@shared` alias). Keep it dependency-free.
+//
+// Every guideline is an ordered list of rules, most severe first. A reading falls into the
+// first rule where systolic or diastolic reaches the rule's threshold, so a single high
+// component is enough to move a reading up a category (e.g. 125/85 is AHA Stage 1 because
+// diastolic ≥ 80). Each guideline maps its own categories onto the program's HTN stages.
+
+export type HtnStatus = 'Normal' | 'Elevated' | 'Stage 1' | 'Stage 2' | 'Crisis';
+
+export const HTN_STATUSES: HtnStatus[] = ['Normal', 'Elevated', 'Stage 1', 'Stage 2', 'Crisis'];
+
+export type GuidelineId = 'aha-acc-2017' | 'esc-esh-2018' | 'jnc7';
+
+export interface ClassificationRule {
+  id: string;
+  category: string;
+  status: HtnStatus;
+  systolicMin: number | null;
+  diastolicMin: number | null;
+}
+
+export interface Guideline {
+  id: GuidelineId;
+  name: string;
+  rules: ClassificationRule[];
+}
+
+export interface Classification {
+  status: HtnStatus;
+  category: string;
+  guideline: GuidelineId;
+  ruleId: string;
+  firedBy: 'systolic' | 'diastolic' | 'both' | null;
+  rule: string;
+}
+
+const rule = (
+  id: string,
+  category: string,
+  status: HtnStatus,
+  systolicMin: number | null,
+  diastolicMin: number | null
+): ClassificationRule => ({ id, category, status, systolicMin, diastolicMin });
+
+export const GUIDELINES: Record<GuidelineId, Guideline> = {
+  'aha-acc-2017': {
+    id: 'aha-acc-2017',
+    name: 'AHA/ACC 2017',
+    rules: [
+      rule('aha-acc-2017.crisis', 'Hypertensive crisis', 'Crisis', 180, 120),
+      rule('aha-acc-2017.stage2', 'Stage 2 hypertension', 'Stage 2', 140, 90),
+      rule('aha-acc-2017.stage1', 'Stage 1 hypertension', 'Stage 1', 130, 80),
+      rule('aha-acc-2017.elevated', 'Elevated', 'Elevated', 120, null),
+      rule('aha-acc-2017.normal', 'Normal', 'Normal', null, null)
+    ]
+  },
+  'esc-esh-2018': {
+    id: 'esc-esh-2018',
+    name: 'ESC/ESH 2018',
+    rules: [
+      rule('esc-esh-2018.grade3', 'Grade 3 hypertension', 'Crisis', 180, 110),
+      rule('esc-esh-2018.grade2', 'Grade 2 hypertension', 'Stage 2', 160, 100),
+      rule('esc-esh-2018.grade1', 'Grade 1 hypertension', 'Stage 1', 140, 90),
+      rule('esc-esh-2018.high-normal', 'High normal', 'Elevated', 130, 85),
+      rule('esc-esh-2018.normal', 'Normal', 'Normal', 120, 80),
+      rule('esc-esh-2018.optimal', 'Optimal', 'Normal', null, null)
+    ]
+  },
+  jnc7: {
+    id: 'jnc7',
+    name: 'JNC7',
+    rules: [
+      rule('jnc7.crisis', 'Hypertensive crisis', 'Crisis', 180, 120),
+      rule('jnc7.stage2', 'Stage 2 hypertension', 'Stage 2', 160, 100),
+      rule('jnc7.stage1', 'Stage 1 hypertension', 'Stage 1', 140, 90),
+      rule('jnc7.prehypertension', 'Prehypertension', 'Elevated', 120, 80),
+      rule('jnc7.normal', 'Normal', 'Normal', null, null)
+    ]
+  }
+};
+
+export const GUIDELINE_IDS = Object.keys(GUIDELINES) as GuidelineId[];
+
+export const DEFAULT_GUIDELINE: GuidelineId = 'aha-acc-2017';
+
+export function isGuidelineId(value: unknown): value is GuidelineId {
+  return typeof value === 'string' && value in GUIDELINES;
+}
+
+export function getGuideline(id: GuidelineId = DEFAULT_GUIDELINE): Guideline {
+  const guideline = GUIDELINES[id];
+  if (!guideline) {
+    throw new Error(`Unknown BP guideline: ${id}`);
+  }
+  return guideline;
+}
+
+// Human-readable form of a rule, e.g. "systolic ≥ 130 or diastolic ≥ 80"
+export function describeRule(classificationRule: ClassificationRule): string {
+  const parts = [
+    classificationRule.systolicMin !== null && `systolic ≥ ${classificationRule.systolicMin}`,
+    classificationRule.diastolicMin !== null && `diastolic ≥ ${classificationRule.diastolicMin}`
+  ].filter(Boolean);
+
+  return parts.length > 0 ? parts.join(' or ') : 'below all thresholds';
+}
+
+export function classifyBloodPressure(
+  systolic: number,
+  diastolic: number,
+  guidelineId: GuidelineId = DEFAULT_GUIDELINE
+): Classification {
+  const guideline = getGuideline(guidelineId);
+
+  for (const candidate of guideline.rules) {
+    const systolicHit = candidate.systolicMin !== null && systolic >= candidate.systolicMin;
+    const diastolicHit = candidate.diastolicMin !== null && diastolic >= candidate.diastolicMin;
+    const isFallback = candidate.systolicMin === null && candidate.diastolicMin === null;
+
+    if (systolicHit || diastolicHit || isFallback) {
+      let firedBy: Classification['firedBy'] = null;
+      if (systolicHit && diastolicHit) firedBy = 'both';
+      else if (systolicHit) firedBy = 'systolic';
+      else if (diastolicHit) firedBy = 'diastolic';
+
+      return {
+        status: candidate.status,
+        category: candidate.category,
+        guideline: guideline.id,
+        ruleId: candidate.id,
+        firedBy,
+        rule: describeRule(candidate)
+      };
+    }
+  }
+
+  // Unreachable while every guideline ends with a fallback rule
+  throw new Error(`Guideline ${guideline.id} has no fallback rule`);
+}
+
+// Lower systolic bound of each program stage, for chart bands
+export function systolicBands(guidelineId: GuidelineId = DEFAULT_GUIDELINE) {
+  const rules = [...getGuideline(guidelineId).rules].reverse();
+
+  return rules
+    .map((current, index) => ({
+      label: current.category,
+      status: current.status,
+      from: current.systolicMin ?? 0,
+      to: rules[index + 1]?.systolicMin ?? 300
+    }))
+    .filter(band => band.to > band.from);
+}
+
+// Diastolic thresholds that start a hypertension stage (Stage 1 and above)
+export function diastolicThresholds(guidelineId: GuidelineId = DEFAULT_GUIDELINE) {
+  return getGuideline(guidelineId).rules
+    .filter(current => current.diastolicMin !== null && ['Stage 1', 'Stage 2'].includes(current.status))
+    .map(current => current.diastolicMin as number)
+    .sort((a, b) => a - b);
+}
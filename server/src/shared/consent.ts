@@ -0,0 +1,27 @@
+// Member consent types and the version of each consent form currently in use.
+// Shared by the server (which records consents) and the client (which shows the form
+// wording and versions). Keep it dependency-free.
+
+export const CONSENT_TYPES = ['program_participation', 'data_sharing', 'messaging'] as const;
+
+export type ConsentType = typeof CONSENT_TYPES[number];
+
+export const CONSENT_LABELS: Record<ConsentType, string> = {
+  program_participation: 'Program participation',
+  data_sharing: 'Data sharing',
+  messaging: 'Text and email messages'
+};
+
+export const CONSENT_DESCRIPTIONS: Record<ConsentType, string> = {
+  program_participation: 'Take part in the HTN prevention program, including coaching calls and BP monitoring',
+  data_sharing: 'Share program data with the member\'s union and health plan partners',
+  messaging: 'Receive reminders and tips by text message and email'
+};
+
+// Bump a version when the wording of that consent form changes; consent given to an
+// earlier version is still recorded, but granting it again records the new version
+export const CONSENT_VERSIONS: Record<ConsentType, string> = {
+  program_participation: '1.0',
+  data_sharing: '1.0',
+  messaging: '1.0'
+};
@@ -0,0 +1,27 @@
+// Contact detail formats (PRD Appendix B: phone and email must be valid).
+// Shared by the server (which validates and stores them) and the client (which checks
+// form input as it is typed). Keep it dependency-free.
+
+export const EMAIL_MAX_LENGTH = 254;
+
+// Loose RFC 5322 shape: something@domain.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// E.164: a plus sign, a country code that does not start with 0, up to 15 digits in all
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+export function isValidEmail(value: string) {
+  return value.length <= EMAIL_MAX_LENGTH && EMAIL_PATTERN.test(value);
+}
+
+// Normalize a phone number to E.164 so it can be handed to an SMS provider. Spaces, dots,
+// dashes and brackets are ignored; a bare 10-digit number (or 11 digits starting with 1)
+// is taken as US/Canada. Returns null when the number cannot be understood.
+export function normalizePhone(value: string): string | null {
+  const compact = value.trim().replace(/[\s().-]/g, '');
+
+  if (/^\d{10}$/.test(compact)) return `+1${compact}`;
+  if (/^1\d{10}$/.test(compact)) return `+${compact}`;
+
+  return E164_PATTERN.test(compact) ? compact : null;
+}
@@ -0,0 +1,85 @@
+// AHA measurement protocol: take 2–3 readings about one minute apart and average them.
+// Shared by the server (which stores sessions) and the client (which previews the mean
+// while a guided Bluetooth sequence is in progress). Keep it dependency-free.
+
+import { classifyBloodPressure, DEFAULT_GUIDELINE, type GuidelineId } from './bpClassification.js';
+
+export const MIN_SESSION_READINGS = 2;
+export const MAX_SESSION_READINGS = 6;
+export const RECOMMENDED_SESSION_READINGS = 3;
+
+// A reading further than this from the session median (systolic or diastolic) is an outlier
+export const OUTLIER_THRESHOLD_MMHG = 10;
+
+export type SessionFlag = 'discarded_first' | 'outlier';
+
+export interface SessionReadingInput {
+  systolic: number;
+  diastolic: number;
+  heartRate?: number | null;
+  readingDate: Date | string;
+}
+
+const median = (values: number[]) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const mean = (values: number[]) => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+// Flag and average a session's readings, oldest first:
+// - with 3 or more readings the first is discarded (it is usually the highest)
+// - with 3 or more remaining readings, any reading more than OUTLIER_THRESHOLD_MMHG from
+//   the median systolic or diastolic is flagged as an outlier, unless that would flag them all
+// The HTN stage is classified from the mean of the readings that are left.
+export function summarizeSession<T extends SessionReadingInput>(
+  readings: T[],
+  guideline: GuidelineId = DEFAULT_GUIDELINE
+) {
+  if (readings.length < MIN_SESSION_READINGS) {
+    throw new Error(`A measurement session needs at least ${MIN_SESSION_READINGS} readings`);
+  }
+
+  const ordered = [...readings].sort((a, b) => new Date(a.readingDate).getTime() - new Date(b.readingDate).getTime());
+  const flags: (SessionFlag | null)[] = ordered.map(() => null);
+
+  if (ordered.length >= 3) {
+    flags[0] = 'discarded_first';
+  }
+
+  const remaining = ordered.map((reading, index) => ({ reading, index })).filter(({ index }) => flags[index] === null);
+
+  if (remaining.length >= 3) {
+    const medianSystolic = median(remaining.map(({ reading }) => reading.systolic));
+    const medianDiastolic = median(remaining.map(({ reading }) => reading.diastolic));
+
+    const outliers = remaining.filter(({ reading }) =>
+      Math.abs(reading.systolic - medianSystolic) > OUTLIER_THRESHOLD_MMHG
+        || Math.abs(reading.diastolic - medianDiastolic) > OUTLIER_THRESHOLD_MMHG);
+
+    // A session split into two far-apart groups leaves nothing near the median: keep them all
+    if (outliers.length < remaining.length) {
+      outliers.forEach(({ index }) => {
+        flags[index] = 'outlier';
+      });
+    }
+  }
+
+  const included = ordered.filter((_, index) => flags[index] === null);
+  const heartRates = included
+    .map(reading => reading.heartRate)
+    .filter((heartRate): heartRate is number => heartRate !== null && heartRate !== undefined);
+
+  const meanSystolic = mean(included.map(reading => reading.systolic));
+  const meanDiastolic = mean(included.map(reading => reading.diastolic));
+
+  return {
+    readings: ordered.map((reading, index) => ({ ...reading, flag: flags[index] })),
+    includedCount: included.length,
+    meanSystolic,
+    meanDiastolic,
+    meanHeartRate: heartRates.length > 0 ? mean(heartRates) : null,
+    classification: classifyBloodPressure(meanSystolic, meanDiastolic, guideline)
+  };
+}
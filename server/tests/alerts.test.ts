@@ -0,0 +1,212 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { alertsRouter } from '../src/routes/alerts';
+import { alertSeverity, escalateDueAlerts } from '../src/alerts/alerting';
+import { setAlertChannels, type AlertNotification } from '../src/alerts/channels';
+import path from 'path';
+
+describe('alertSeverity', () => {
+  it('should treat a crisis as critical and grade 2 pressures as severe', () => {
+    expect(alertSeverity('Crisis', 185, 95)).toBe('critical');
+    expect(alertSeverity('Stage 2', 165, 95)).toBe('severe');
+    expect(alertSeverity('Stage 2', 150, 102)).toBe('severe');
+    expect(alertSeverity('Stage 2', 145, 92)).toBeNull();
+  });
+});
+
+describe('Alerts API', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'alert-admin', role: 'admin' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+  app.use('/api/alerts', alertsRouter);
+
+  let sqlite: Database.Database;
+  let memberId: string;
+  let sent: AlertNotification[];
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM alert_deliveries');
+    sqlite.exec('DELETE FROM alerts');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+    sqlite.exec("DELETE FROM users WHERE id IN ('alert-admin', 'alert-nurse')");
+  };
+
+  const insertUser = (id: string, role: string, email: string, firstName: string) => {
+    const now = Math.floor(Date.now() / 1000);
+    sqlite.prepare(`
+      INSERT INTO users (id, username, email, password_hash, role, first_name, last_name, is_active, created_at, updated_at)
+      VALUES (?, ?, ?, 'x', ?, ?, 'Tester', 1, ?, ?)
+    `).run(id, id, email, role, firstName, now, now);
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+    setAlertChannels(null);
+  });
+
+  beforeEach(async () => {
+    clearTables();
+    insertUser('alert-admin', 'admin', 'admin@example.test', 'Dana');
+    insertUser('alert-nurse', 'user', 'nurse@example.test', 'Sam');
+
+    sent = [];
+    setAlertChannels([{ name: 'test', send: async (notification) => { sent.push(notification); } }]);
+
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'AL001',
+        firstName: 'Chris',
+        lastName: 'Vale',
+        dateOfBirth: '1975-03-14T00:00:00.000Z',
+        gender: 'Male',
+        union: 'Police'
+      });
+    memberId = response.body.id;
+  });
+
+  const createReading = (systolic: number, diastolic: number) =>
+    request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId, systolic, diastolic, readingDate: new Date().toISOString() });
+
+  it('should raise and deliver a critical alert for a crisis reading', async () => {
+    const response = await createReading(190, 125);
+
+    expect(response.status).toBe(201);
+    expect(response.body.alert).toMatchObject({ severity: 'critical', status: 'open', escalationLevel: 0 });
+    expect(sent).toHaveLength(1);
+    expect(sent[0].recipients.sort()).toEqual(['admin@example.test', 'nurse@example.test']);
+    expect(sent[0].subject).toContain('Hypertensive crisis');
+
+    const detail = await request(app).get(`/api/alerts/${response.body.alert.id}`);
+    expect(detail.body.deliveries).toHaveLength(1);
+    expect(detail.body.deliveries[0]).toMatchObject({ channel: 'test', status: 'sent' });
+  });
+
+  it('should not alert for readings below the severe threshold', async () => {
+    const response = await createReading(142, 88);
+
+    expect(response.body.alert).toBeNull();
+    expect(sent).toHaveLength(0);
+  });
+
+  it('should record a failed delivery without blocking other channels', async () => {
+    setAlertChannels([
+      { name: 'broken', send: async () => { throw new Error('SMTP unavailable'); } },
+      { name: 'test', send: async (notification) => { sent.push(notification); } }
+    ]);
+
+    const { body } = await createReading(165, 95);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const detail = await request(app).get(`/api/alerts/${body.alert.id}`);
+    const statuses = Object.fromEntries(detail.body.deliveries.map((delivery: any) => [delivery.channel, delivery.status]));
+    expect(statuses).toEqual({ broken: 'failed', test: 'sent' });
+    expect(sent).toHaveLength(1);
+  });
+
+  it('should record who acknowledged an alert and when', async () => {
+    const { body } = await createReading(190, 125);
+
+    const acknowledged = await request(app)
+      .post(`/api/alerts/${body.alert.id}/acknowledge`)
+      .send({ note: 'Called member, advised ER' });
+
+    expect(acknowledged.status).toBe(200);
+    expect(acknowledged.body.status).toBe('acknowledged');
+    expect(acknowledged.body.acknowledgedAt).toBeTruthy();
+
+    const inbox = await request(app).get('/api/alerts').query({ status: 'acknowledged' });
+    expect(inbox.body.total).toBe(1);
+    expect(inbox.body.data[0]).toMatchObject({
+      acknowledgedBy: 'alert-admin',
+      acknowledgedByFirstName: 'Dana',
+      acknowledgementNote: 'Called member, advised ER',
+      memberName: 'Chris'
+    });
+
+    await request(app).post(`/api/alerts/${body.alert.id}/acknowledge`).expect(409);
+  });
+
+  it('should escalate unacknowledged alerts to the next tier only', async () => {
+    const { body: open } = await createReading(190, 125);
+    const { body: handled } = await createReading(185, 100);
+    await request(app).post(`/api/alerts/${handled.alert.id}/acknowledge`).expect(200);
+    sent = [];
+
+    const escalated = await escalateDueAlerts(new Date(Date.now() + 16 * 60 * 1000));
+
+    expect(escalated).toBe(1);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].alert.id).toBe(open.alert.id);
+    expect(sent[0].escalationLevel).toBe(1);
+    expect(sent[0].recipients).toEqual(['admin@example.test']);
+
+    const summary = await request(app).get('/api/alerts/summary');
+    expect(summary.body).toEqual({ open: 1, critical: 1, escalated: 1 });
+  });
+
+  it('should resolve instead of escalating alerts whose reading or member was deleted', async () => {
+    const { body: deletedReading } = await createReading(190, 125);
+    await request(app).delete(`/api/blood-pressure-readings/${deletedReading.id}`).expect(204);
+
+    const { body: otherMember } = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'AL002',
+        firstName: 'Robin',
+        lastName: 'Hale',
+        dateOfBirth: '1980-07-22T00:00:00.000Z',
+        gender: 'Female',
+        union: 'EMS'
+      });
+    const { body: deletedMember } = await request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId: otherMember.id, systolic: 185, diastolic: 122, readingDate: new Date().toISOString() });
+    await request(app).delete(`/api/members/${otherMember.id}`).query({ mode: 'cascade' }).expect(204);
+    sent = [];
+
+    const escalated = await escalateDueAlerts(new Date(Date.now() + 16 * 60 * 1000));
+
+    expect(escalated).toBe(0);
+    expect(sent).toHaveLength(0);
+    const resolved = sqlite.prepare('SELECT id, status, escalation_level, resolution_note FROM alerts').all();
+    expect(resolved).toEqual(expect.arrayContaining([
+      { id: deletedReading.alert.id, status: 'resolved', escalation_level: 0, resolution_note: 'Resolved automatically: the reading was deleted' },
+      { id: deletedMember.alert.id, status: 'resolved', escalation_level: 0, resolution_note: 'Resolved automatically: the member was deleted' }
+    ]));
+  });
+
+  it('should resolve an alert and fill in the acknowledgement', async () => {
+    const { body } = await createReading(190, 125);
+
+    const resolved = await request(app)
+      .post(`/api/alerts/${body.alert.id}/resolve`)
+      .send({ note: 'Repeat reading 150/95' });
+
+    expect(resolved.status).toBe(200);
+    expect(resolved.body).toMatchObject({
+      status: 'resolved',
+      acknowledgedBy: 'alert-admin',
+      resolvedBy: 'alert-admin',
+      resolutionNote: 'Repeat reading 150/95',
+      escalateAt: null
+    });
+  });
+});
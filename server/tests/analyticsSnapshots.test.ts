@@ -0,0 +1,99 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { analyticsRouter } from '../src/routes/analytics';
+import { snapshotMonthlyAnalytics } from '../src/jobs/analyticsSnapshot';
+import path from 'path';
+
+const seconds = (iso: string) => Math.floor(new Date(iso).getTime() / 1000);
+
+describe('Analytics snapshots', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/analytics', analyticsRouter);
+
+  let sqlite: Database.Database;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM analytics_snapshots');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  const addMember = (id: string, union: string, createdAt: string) => sqlite.prepare(`
+    INSERT INTO members (id, employee_id, first_name, last_name, date_of_birth, gender, "union", created_at, updated_at)
+    VALUES (?, ?, 'Jamie', 'Ortiz', ?, 'Male', ?, ?, ?)
+  `).run(id, id.toUpperCase(), seconds('1984-06-15'), union, seconds(createdAt), seconds(createdAt));
+
+  const addReading = (memberId: string, systolic: number, diastolic: number, htnStatus: string, readingDate: string) => sqlite.prepare(`
+    INSERT INTO blood_pressure_readings (id, member_id, systolic, diastolic, htn_status, reading_date, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(`${memberId}-${readingDate}`, memberId, systolic, diastolic, htnStatus, seconds(readingDate), seconds(readingDate));
+
+  beforeAll(() => {
+    sqlite = new Database(path.join(__dirname, '../test.db'));
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+  });
+
+  beforeEach(() => {
+    clearTables();
+    addMember('ff1', 'Firefighters', '2024-01-10T09:00:00.000Z');
+    addMember('ff2', 'Firefighters', '2024-03-20T09:00:00.000Z');
+    addMember('pd1', 'Police', '2024-02-01T09:00:00.000Z');
+    addReading('ff1', 150, 95, 'Stage 2', '2024-03-05T08:00:00.000Z');
+    addReading('pd1', 118, 76, 'Normal', '2024-03-12T08:00:00.000Z');
+    addReading('ff1', 126, 78, 'Elevated', '2024-04-09T08:00:00.000Z');
+    addReading('ff2', 134, 84, 'Stage 1', '2024-04-15T08:00:00.000Z');
+  });
+
+  it('should freeze each month\'s KPIs per union once', async () => {
+    const march = await snapshotMonthlyAnalytics(new Date('2024-04-02T12:00:00.000Z'));
+    expect(march!.map(row => row.union)).toEqual(['Firefighters', 'Police', 'EMS', 'All members']);
+    expect(march![0]).toMatchObject({
+      month: '2024-03',
+      enrolledMembers: 2,
+      newMembers: 1,
+      participatingMembers: 1,
+      measuredMembers: 1,
+      controlledMembers: 0,
+      stage2Count: 1,
+      avgSystolic: 150,
+      readings: 1
+    });
+    expect(march![2]).toMatchObject({ enrolledMembers: 0, measuredMembers: 0, avgSystolic: null });
+    expect(await snapshotMonthlyAnalytics(new Date('2024-04-20T12:00:00.000Z'))).toBeNull();
+
+    // Later edits leave the frozen month as it was
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    await snapshotMonthlyAnalytics(new Date('2024-05-02T12:00:00.000Z'));
+    const frozen = sqlite.prepare('SELECT stage2_count, readings FROM analytics_snapshots WHERE month = ? AND "union" = ?').get('2024-03', 'Firefighters');
+    expect(frozen).toEqual({ stage2_count: 1, readings: 1 });
+  });
+
+  it('should return snapshot series with rates for month-over-month comparison', async () => {
+    await snapshotMonthlyAnalytics(new Date('2024-04-02T12:00:00.000Z'));
+    await snapshotMonthlyAnalytics(new Date('2024-05-02T12:00:00.000Z'));
+
+    const all = await request(app).get('/api/analytics/snapshots').expect(200);
+    expect(all.body.months).toEqual(['2024-03', '2024-04']);
+    expect(all.body.snapshots).toHaveLength(8);
+    expect(all.body.snapshots[0].id).toBeUndefined();
+
+    const firefighters = await request(app).get('/api/analytics/snapshots').query({ union: 'Firefighters' }).expect(200);
+    expect(firefighters.body.snapshots.map((snapshot: any) => [snapshot.month, snapshot.participationRate, snapshot.controlRate])).toEqual([
+      ['2024-03', 50, 0],
+      ['2024-04', 100, 50]
+    ]);
+
+    const april = await request(app).get('/api/analytics/snapshots').query({ union: 'All members', from: '2024-04' }).expect(200);
+    expect(april.body.snapshots).toHaveLength(1);
+    expect(april.body.snapshots[0]).toMatchObject({ month: '2024-04', measuredMembers: 3, controlledMembers: 2, controlRate: 66.7, highRiskRate: 0 });
+
+    await request(app).get('/api/analytics/snapshots').query({ from: '2024-4' }).expect(400);
+    await request(app).get('/api/analytics/snapshots').query({ union: 'Sheriffs' }).expect(400);
+  });
+});
@@ -0,0 +1,198 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { adminAnalyticsRouter } from '../src/routes/adminAnalytics';
+import { auditTrail, auditActionFor, diffRecords, parseAuditPath } from '../src/middleware/audit';
+import { members, bloodPressureReadings, measurementSessions } from '../src/db/schema';
+import path from 'path';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminAnalyticsRouter);
+app.use((req: any, res, next) => {
+  req.user = { userId: 'coach-1', role: 'user' };
+  next();
+});
+app.use('/api/members', auditTrail('member', members, { import: 'route' }), membersRouter);
+app.use('/api/blood-pressure-readings', auditTrail('bloodPressureReading', bloodPressureReadings, {
+  sessions: { entityType: 'measurementSession', table: measurementSessions },
+  import: 'route'
+}), bloodPressureRouter);
+
+// Audit entries are written once the response has finished
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('Audit log', () => {
+  let sqlite: Database.Database;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(() => {
+    sqlite.exec('DELETE FROM audit_log');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM measurement_sessions');
+    sqlite.exec('DELETE FROM members');
+  });
+
+  const auditRows = () => sqlite.prepare('SELECT * FROM audit_log ORDER BY created_at').all() as any[];
+
+  const createMember = () => request(app)
+    .post('/api/members')
+    .send({
+      employeeId: 'PD100',
+      firstName: 'Ana',
+      lastName: 'Reyes',
+      dateOfBirth: '1988-04-02T00:00:00.000Z',
+      gender: 'Female',
+      union: 'Police'
+    });
+
+  describe('parseAuditPath', () => {
+    it('should identify record, member and collection paths', () => {
+      const id = '3f1c2a6e-8a55-4c1e-9a43-2b1f0e6f7a10';
+      expect(parseAuditPath(`/${id}`)).toEqual({ entityId: id, memberId: null, subresource: null });
+      expect(parseAuditPath(`/${id}/restore`)).toEqual({ entityId: id, memberId: null, subresource: 'restore' });
+      expect(parseAuditPath(`/member/${id}`)).toEqual({ entityId: null, memberId: id, subresource: null });
+      expect(parseAuditPath('/deleted')).toEqual({ entityId: null, memberId: null, subresource: 'deleted' });
+    });
+  });
+
+  describe('auditActionFor', () => {
+    it('should only treat a POST to a collection as a create', () => {
+      const id = '3f1c2a6e-8a55-4c1e-9a43-2b1f0e6f7a10';
+      expect(auditActionFor('POST', null, {})).toBe('create');
+      expect(auditActionFor('POST', 'restore', {}, id)).toBe('restore');
+      expect(auditActionFor('POST', 'complete', {}, id)).toBe('update');
+      expect(auditActionFor('DELETE', null, { mode: 'archive' }, id)).toBe('archive');
+    });
+  });
+
+  describe('diffRecords', () => {
+    it('should only include changed fields', () => {
+      expect(diffRecords({ a: 1, b: 2 }, { a: 1, b: 3 })).toEqual({ b: { before: 2, after: 3 } });
+    });
+  });
+
+  describe('auditTrail middleware', () => {
+    it('should record creates with the actor, IP and new values', async () => {
+      const { body: member } = await createMember();
+      await flush();
+
+      const [entry] = auditRows();
+      expect(entry.action).toBe('create');
+      expect(entry.entity_type).toBe('member');
+      expect(entry.entity_id).toBe(member.id);
+      expect(entry.member_id).toBe(member.id);
+      expect(entry.user_id).toBe('coach-1');
+      expect(entry.ip_address).toBeTruthy();
+      expect(JSON.parse(entry.changes).firstName).toEqual({ before: null, after: 'Ana' });
+    });
+
+    it('should record the before/after diff of updates', async () => {
+      const { body: member } = await createMember();
+      await request(app).put(`/api/members/${member.id}`).send({ firstName: 'Anna' });
+      await flush();
+
+      const update = auditRows().find(row => row.action === 'update');
+      const changes = JSON.parse(update.changes);
+      expect(changes.firstName).toEqual({ before: 'Ana', after: 'Anna' });
+      expect(changes.lastName).toBeUndefined();
+    });
+
+    it('should record PHI reads against the member', async () => {
+      const { body: member } = await createMember();
+      await request(app).get(`/api/blood-pressure-readings/member/${member.id}`).expect(200);
+      await flush();
+
+      const read = auditRows().find(row => row.action === 'read');
+      expect(read.entity_type).toBe('bloodPressureReading');
+      expect(read.member_id).toBe(member.id);
+    });
+
+    it('should record sub-collection writes against their own records and member', async () => {
+      const { body: member } = await createMember();
+      const minutesAgo = (minutes: number) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+      const { body: session } = await request(app)
+        .post('/api/blood-pressure-readings/sessions')
+        .send({
+          memberId: member.id,
+          readings: [
+            { systolic: 132, diastolic: 84, readingDate: minutesAgo(2) },
+            { systolic: 128, diastolic: 82, readingDate: minutesAgo(1) }
+          ]
+        })
+        .expect(201);
+      await request(app).delete(`/api/blood-pressure-readings/sessions/${session.id}`).expect(204);
+      await flush();
+
+      const entries = auditRows().filter(row => row.entity_type === 'measurementSession');
+      expect(entries.map(row => [row.action, row.entity_id, row.member_id])).toEqual([
+        ['create', session.id, member.id],
+        ['delete', session.id, member.id]
+      ]);
+      expect(JSON.parse(entries[0].changes).meanSystolic).toEqual({ before: null, after: 130 });
+      expect(JSON.parse(entries[1].changes).deletedAt.before).toBeNull();
+    });
+
+    it('should leave bulk imports to the route, one entry per record created', async () => {
+      const roster = 'Employee ID,First Name,Last Name,Date of Birth,Gender,Union\nPD301,Lee,Park,1980-01-01,Male,Police\nPD302,Kim,Ross,1982-03-04,Female,Police';
+      const { body } = await request(app)
+        .post('/api/members/import')
+        .send({ fileName: 'roster.csv', content: Buffer.from(roster).toString('base64'), dryRun: false })
+        .expect(201);
+      await flush();
+
+      expect(body.imported).toBe(2);
+      const entries = auditRows();
+      expect(entries).toHaveLength(2);
+      entries.forEach(entry => {
+        expect(entry).toMatchObject({ action: 'create', entity_type: 'member' });
+        expect(entry.member_id).toBe(entry.entity_id);
+      });
+    });
+
+    it('should not record failed requests', async () => {
+      await request(app).get('/api/members/3f1c2a6e-8a55-4c1e-9a43-2b1f0e6f7a10').expect(404);
+      await flush();
+
+      expect(auditRows()).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/admin/audit-log', () => {
+    const token = (role: string) => jwt.sign({ userId: 'admin-1', role }, JWT_SECRET, { expiresIn: '1h' });
+
+    it('should require the super_admin role', async () => {
+      await request(app)
+        .get('/api/admin/audit-log')
+        .set('Authorization', `Bearer ${token('admin')}`)
+        .expect(403);
+    });
+
+    it('should filter entries by member', async () => {
+      const { body: member } = await createMember();
+      await request(app).get('/api/members').expect(200);
+      await flush();
+
+      const response = await request(app)
+        .get(`/api/admin/audit-log?memberId=${member.id}`)
+        .set('Authorization', `Bearer ${token('super_admin')}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.entries[0].action).toBe('create');
+    });
+  });
+});
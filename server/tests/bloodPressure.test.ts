@@ -29,6 +29,8 @@ describe('Blood Pressure API', () => {
 
   beforeEach(async () => {
     // Clear tables before each test
+    sqlite.exec('DELETE FROM alert_deliveries');
+    sqlite.exec('DELETE FROM alerts');
     sqlite.exec('DELETE FROM blood_pressure_readings');
     sqlite.exec('DELETE FROM members');
 
@@ -150,7 +152,7 @@ describe('Blood Pressure API', () => {
         .get('/api/blood-pressure-readings')
         .expect(200);
 
-      expect(response.body).toEqual([]);
+      expect(response.body.data).toEqual([]);
     });
 
     it('should return all blood pressure readings with member info', async () => {
@@ -180,12 +182,12 @@ describe('Blood Pressure API', () => {
         .get('/api/blood-pressure-readings')
         .expect(200);
 
-      expect(response.body).toHaveLength(2);
-      expect(response.body[0]).toHaveProperty('memberName');
-      expect(response.body[0]).toHaveProperty('memberLastName');
-      expect(response.body[0]).toHaveProperty('employeeId');
-      expect(response.body[0].memberName).toBe('John');
-      expect(response.body[0].memberLastName).toBe('Smith');
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).toHaveProperty('memberName');
+      expect(response.body.data[0]).toHaveProperty('memberLastName');
+      expect(response.body.data[0]).toHaveProperty('employeeId');
+      expect(response.body.data[0].memberName).toBe('John');
+      expect(response.body.data[0].memberLastName).toBe('Smith');
     });
   });
 
@@ -280,7 +282,7 @@ describe('Blood Pressure API', () => {
         .get('/api/blood-pressure-readings')
         .expect(200);
 
-      expect(response.body).toHaveLength(0);
+      expect(response.body.data).toHaveLength(0);
     });
 
     it('should return 404 for non-existent reading', async () => {
@@ -0,0 +1,145 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import {
+  classifyBloodPressure,
+  systolicBands,
+  diastolicThresholds,
+  GUIDELINE_IDS
+} from '../src/shared/bpClassification';
+import path from 'path';
+
+describe('classifyBloodPressure', () => {
+  it('should classify AHA/ACC 2017 stages', () => {
+    const cases = [
+      [115, 75, 'Normal'],
+      [125, 75, 'Elevated'],
+      [135, 75, 'Stage 1'],
+      [145, 85, 'Stage 2'],
+      [185, 95, 'Crisis']
+    ] as const;
+
+    cases.forEach(([systolic, diastolic, status]) => {
+      expect(classifyBloodPressure(systolic, diastolic, 'aha-acc-2017').status).toBe(status);
+    });
+  });
+
+  it('should report the diastolic rule for 125/85', () => {
+    const result = classifyBloodPressure(125, 85, 'aha-acc-2017');
+
+    expect(result.status).toBe('Stage 1');
+    expect(result.ruleId).toBe('aha-acc-2017.stage1');
+    expect(result.firedBy).toBe('diastolic');
+    expect(result.rule).toBe('systolic ≥ 130 or diastolic ≥ 80');
+  });
+
+  it('should map ESC/ESH 2018 grades onto program stages', () => {
+    expect(classifyBloodPressure(135, 86, 'esc-esh-2018')).toMatchObject({
+      status: 'Elevated',
+      category: 'High normal',
+      firedBy: 'both'
+    });
+    expect(classifyBloodPressure(150, 80, 'esc-esh-2018').category).toBe('Grade 1 hypertension');
+    expect(classifyBloodPressure(115, 70, 'esc-esh-2018').category).toBe('Optimal');
+  });
+
+  it('should use JNC7 prehypertension and stage cut-offs', () => {
+    expect(classifyBloodPressure(135, 85, 'jnc7').category).toBe('Prehypertension');
+    expect(classifyBloodPressure(150, 85, 'jnc7').status).toBe('Stage 1');
+    expect(classifyBloodPressure(150, 100, 'jnc7').status).toBe('Stage 2');
+  });
+
+  it('should derive contiguous systolic bands for every guideline', () => {
+    GUIDELINE_IDS.forEach(id => {
+      const bands = systolicBands(id);
+      expect(bands[0].from).toBe(0);
+      bands.slice(1).forEach((band, index) => expect(band.from).toBe(bands[index].to));
+    });
+
+    expect(diastolicThresholds('aha-acc-2017')).toEqual([80, 90]);
+  });
+});
+
+describe('Blood pressure guideline selection', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'admin-1', role: 'admin' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+
+  let sqlite: Database.Database;
+  let memberId: string;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+    delete process.env.BP_GUIDELINE;
+  });
+
+  beforeEach(async () => {
+    delete process.env.BP_GUIDELINE;
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'BP001',
+        firstName: 'Lee',
+        lastName: 'Marsh',
+        dateOfBirth: '1982-07-19T00:00:00.000Z',
+        gender: 'Female',
+        union: 'Firefighters'
+      });
+    memberId = response.body.id;
+  });
+
+  const createReading = (systolic: number, diastolic: number) =>
+    request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId, systolic, diastolic, readingDate: new Date().toISOString() });
+
+  it('should store the guideline and rule on each reading', async () => {
+    const response = await createReading(125, 85);
+
+    expect(response.status).toBe(201);
+    expect(response.body.htnStatus).toBe('Stage 1');
+    expect(response.body.guideline).toBe('aha-acc-2017');
+    expect(response.body.htnRule).toBe('aha-acc-2017.stage1');
+    expect(response.body.classification.firedBy).toBe('diastolic');
+  });
+
+  it('should classify with the configured guideline', async () => {
+    process.env.BP_GUIDELINE = 'jnc7';
+
+    const response = await createReading(135, 85);
+
+    expect(response.body.htnStatus).toBe('Elevated');
+    expect(response.body.guideline).toBe('jnc7');
+
+    const guideline = await request(app).get('/api/blood-pressure-readings/guideline');
+    expect(guideline.body.name).toBe('JNC7');
+  });
+
+  it('should reclassify readings stored under another guideline', async () => {
+    await createReading(135, 85);
+    process.env.BP_GUIDELINE = 'jnc7';
+
+    const response = await request(app).post('/api/blood-pressure-readings/reclassify');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ guideline: 'jnc7', reclassified: 1, statusChanged: 1 });
+
+    const readings = await request(app).get(`/api/blood-pressure-readings/member/${memberId}`);
+    expect(readings.body[0]).toMatchObject({ htnStatus: 'Elevated', guideline: 'jnc7', htnRule: 'jnc7.prehypertension' });
+  });
+});
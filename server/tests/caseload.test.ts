@@ -0,0 +1,224 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { encountersRouter } from '../src/routes/encounters';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { adminAnalyticsRouter } from '../src/routes/adminAnalytics';
+import { caseloadOutcomes } from '../src/db/coachWorkload';
+import { setAlertChannels } from '../src/alerts/channels';
+import path from 'path';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const COACH_ID = '8d7c2b1a-3f4e-4a5b-9c6d-0e1f2a3b0001';
+const OTHER_COACH_ID = '8d7c2b1a-3f4e-4a5b-9c6d-0e1f2a3b0002';
+const ANALYST_ID = '8d7c2b1a-3f4e-4a5b-9c6d-0e1f2a3b0003';
+
+describe('caseloadOutcomes', () => {
+  const reading = (memberId: string, systolic: number, diastolic: number, day: number) =>
+    ({ memberId, systolic, diastolic, readingDate: new Date(2026, 0, day) });
+
+  it('should judge control on the latest reading and improvement against the first', () => {
+    const outcomes = caseloadOutcomes(['a', 'b', 'c'], [
+      reading('a', 150, 95, 1),
+      reading('a', 126, 78, 20),
+      reading('b', 138, 85, 5),
+      reading('x', 120, 70, 5)
+    ]);
+
+    expect(outcomes).toEqual({
+      membersWithReadings: 2,
+      controlled: 1,
+      controlRate: 50,
+      improved: 1,
+      avgLatestSystolic: 132
+    });
+  });
+});
+
+describe('Caseload assignment', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminAnalyticsRouter);
+  app.use((req: any, res, next) => {
+    req.user = { userId: COACH_ID, role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/encounters', encountersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+
+  let sqlite: Database.Database;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM caseload_assignments');
+    sqlite.exec('DELETE FROM alert_deliveries');
+    sqlite.exec('DELETE FROM alerts');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM members');
+    sqlite.prepare('DELETE FROM users WHERE id IN (?, ?, ?)').run(COACH_ID, OTHER_COACH_ID, ANALYST_ID);
+  };
+
+  const insertUser = (id: string, role: string, firstName: string) => {
+    const now = Math.floor(Date.now() / 1000);
+    sqlite.prepare(`
+      INSERT INTO users (id, username, email, password_hash, role, first_name, last_name, is_active, created_at, updated_at)
+      VALUES (?, ?, ?, 'x', ?, ?, 'Coach', 1, ?, ?)
+    `).run(id, firstName.toLowerCase(), `${firstName.toLowerCase()}@example.test`, role, firstName, now, now);
+  };
+
+  const createMember = async (employeeId: string) => {
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId,
+        firstName: 'Morgan',
+        lastName: 'Lee',
+        dateOfBirth: '1979-09-09T00:00:00.000Z',
+        gender: 'Male',
+        union: 'Police'
+      });
+    return response.body.id as string;
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+    setAlertChannels([]);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+    setAlertChannels(null);
+  });
+
+  beforeEach(() => {
+    clearTables();
+    insertUser(COACH_ID, 'user', 'Riley');
+    insertUser(OTHER_COACH_ID, 'user', 'Quinn');
+    insertUser(ANALYST_ID, 'analyst', 'Avery');
+  });
+
+  it('should assign and reassign a coach with history', async () => {
+    const memberId = await createMember('CL001');
+
+    const assigned = await request(app)
+      .put(`/api/members/${memberId}/coach`)
+      .send({ coachId: OTHER_COACH_ID });
+    expect(assigned.status).toBe(200);
+    expect(assigned.body.coachId).toBe(OTHER_COACH_ID);
+
+    await request(app)
+      .put(`/api/members/${memberId}/coach`)
+      .send({ coachId: COACH_ID, reason: 'Quinn on leave' })
+      .expect(200);
+
+    const member = await request(app).get(`/api/members/${memberId}`);
+    expect(member.body).toMatchObject({ coachId: COACH_ID, coachFirstName: 'Riley' });
+
+    const history = await request(app).get(`/api/members/${memberId}/coach-history`);
+    expect(history.body).toHaveLength(2);
+    expect(history.body[0]).toMatchObject({
+      coachId: COACH_ID,
+      previousCoachId: OTHER_COACH_ID,
+      previousCoachFirstName: 'Quinn',
+      assignedBy: COACH_ID,
+      reason: 'Quinn on leave'
+    });
+  });
+
+  it('should reject non-clinical coaches and no-op reassignments', async () => {
+    const memberId = await createMember('CL002');
+
+    await request(app).put(`/api/members/${memberId}/coach`).send({ coachId: ANALYST_ID }).expect(400);
+    await request(app).put(`/api/members/${memberId}/coach`).send({ coachId: null }).expect(409);
+    await request(app).put(`/api/members/${memberId}/coach`).send({ coachId: COACH_ID }).expect(200);
+    await request(app).put(`/api/members/${memberId}/coach`).send({ coachId: COACH_ID }).expect(409);
+  });
+
+  it('should filter members to my caseload or the unassigned', async () => {
+    const mine = await createMember('CL003');
+    const theirs = await createMember('CL004');
+    const unassigned = await createMember('CL005');
+    await request(app).put(`/api/members/${mine}/coach`).send({ coachId: COACH_ID }).expect(200);
+    await request(app).put(`/api/members/${theirs}/coach`).send({ coachId: OTHER_COACH_ID }).expect(200);
+
+    const myMembers = await request(app).get('/api/members').query({ coachId: 'me' });
+    expect(myMembers.body.data.map((member: any) => member.id)).toEqual([mine]);
+    expect(myMembers.body.data[0].coachFirstName).toBe('Riley');
+
+    const noCoach = await request(app).get('/api/members').query({ coachId: 'unassigned' });
+    expect(noCoach.body.data.map((member: any) => member.id)).toEqual([unassigned]);
+
+    const coaches = await request(app).get('/api/members/coaches');
+    expect(coaches.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: COACH_ID, caseload: 1 }),
+      expect.objectContaining({ id: OTHER_COACH_ID, caseload: 1 })
+    ]));
+    expect(coaches.body.map((coach: any) => coach.id)).not.toContain(ANALYST_ID);
+  });
+
+  it('should record the signed-in user on encounters', async () => {
+    const memberId = await createMember('CL006');
+
+    const response = await request(app)
+      .post('/api/encounters')
+      .send({
+        memberId,
+        communicationType: 'Phone',
+        topic: 'Welcome call',
+        content: 'Introduced the program',
+        callStatus: 'Completed',
+        callerName: 'Somebody Else',
+        encounterDate: new Date().toISOString()
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ recordedBy: COACH_ID, callerName: 'Riley Coach' });
+
+    const mine = await request(app).get('/api/encounters').query({ recordedBy: 'me' });
+    expect(mine.body.total).toBe(1);
+  });
+
+  it('should break down workload and outcomes per coach', async () => {
+    const memberId = await createMember('CL007');
+    await request(app).put(`/api/members/${memberId}/coach`).send({ coachId: COACH_ID }).expect(200);
+    await createMember('CL008');
+
+    const readingDate = (daysAgo: number) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+    await request(app).post('/api/blood-pressure-readings').send({ memberId, systolic: 148, diastolic: 92, readingDate: readingDate(20) });
+    await request(app).post('/api/blood-pressure-readings').send({ memberId, systolic: 124, diastolic: 76, readingDate: readingDate(1) });
+    await request(app)
+      .post('/api/encounters')
+      .send({
+        memberId,
+        communicationType: 'Phone',
+        topic: 'Check-in call',
+        content: 'Reviewed home readings',
+        callStatus: 'Completed',
+        encounterDate: new Date().toISOString(),
+        isCompleted: true
+      })
+      .expect(201);
+
+    const token = jwt.sign({ userId: 'admin-1', role: 'super_admin' }, JWT_SECRET, { expiresIn: '1h' });
+    const response = await request(app)
+      .get('/api/admin/coach-workload')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.unassignedMembers).toBe(1);
+    const riley = response.body.coaches.find((coach: any) => coach.coachId === COACH_ID);
+    expect(riley).toMatchObject({
+      caseload: 1,
+      totalEncounters: 1,
+      completedEncounters: 1,
+      membersContacted: 1,
+      outcomes: { membersWithReadings: 1, controlled: 1, improved: 1 }
+    });
+  });
+});
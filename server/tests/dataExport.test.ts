@@ -0,0 +1,209 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { analyticsRouter } from '../src/routes/analytics';
+import { adminAnalyticsRouter } from '../src/routes/adminAnalytics';
+import { auditTrail } from '../src/middleware/audit';
+import { members } from '../src/db/schema';
+import { setAlertChannels } from '../src/alerts/channels';
+import { writeXlsx } from '../src/exports/xlsx';
+import { datasetTables } from '../src/exports/dataExport';
+import { readXlsx } from '../src/imports/xlsx';
+import { parseCsv } from '../src/imports/csv';
+import path from 'path';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Collect a download as raw bytes so .xlsx responses can be unzipped
+const binary = (res: any, callback: (error: Error | null, body: Buffer) => void) => {
+  const chunks: Buffer[] = [];
+  res.on('data', (chunk: Buffer) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('Export writers', () => {
+  it('should write an xlsx workbook that reads back cell for cell', async () => {
+    const chunks: Buffer[] = [];
+    await writeXlsx(chunk => { chunks.push(chunk); }, [{
+      name: 'Readings',
+      batches: [
+        [['Name', 'Systolic', 'Completed'], ['O\'Neil & <Sons>', 142, true]],
+        [[null, 118.5, false]]
+      ]
+    }]);
+
+    expect(readXlsx(Buffer.concat(chunks))).toEqual([
+      ['Name', 'Systolic', 'Completed'],
+      ['O\'Neil & <Sons>', '142', 'TRUE'],
+      ['', '118.5', 'FALSE']
+    ]);
+  });
+
+  it('should lay out a JSON dataset as a summary and a table per list of records', () => {
+    const tables = datasetTables({
+      period: { startDate: '2024-01-01' },
+      total: 3,
+      coaches: [{ name: 'Kim', outcomes: { controlled: 2 } }, { name: 'Lee', outcomes: { controlled: 1 } }]
+    });
+
+    expect(tables.map(table => table.name)).toEqual(['summary', 'coaches']);
+    expect(tables[0].batches).toEqual([[
+      { metric: 'period.startDate', value: '2024-01-01' },
+      { metric: 'total', value: 3 }
+    ]]);
+    expect(tables[1].columns.map(column => column.header)).toEqual(['name', 'outcomes.controlled']);
+  });
+});
+
+describe('Data export API', () => {
+  let role = 'user';
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminAnalyticsRouter);
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'coach-1', role };
+    next();
+  });
+  app.use('/api/members', auditTrail('member', members), membersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+  app.use('/api/analytics', analyticsRouter);
+
+  let sqlite: Database.Database;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM audit_log');
+    sqlite.exec('DELETE FROM alert_deliveries');
+    sqlite.exec('DELETE FROM alerts');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+    setAlertChannels([]);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+    setAlertChannels(null);
+  });
+
+  const createMember = (employeeId: string, lastName: string, union: string) => request(app)
+    .post('/api/members')
+    .send({
+      employeeId,
+      firstName: 'Jamie',
+      lastName,
+      dateOfBirth: '1984-06-15T00:00:00.000Z',
+      gender: 'Male',
+      union
+    });
+
+  beforeEach(async () => {
+    role = 'user';
+    clearTables();
+    const { body: member } = await createMember('FF200', 'Ortiz', 'Firefighters');
+    await createMember('PD200', '=HYPERLINK("x")', 'Police');
+    await createMember('FF201', 'Abbott', 'Firefighters');
+    await request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId: member.id, systolic: 138, diastolic: 86, readingDate: new Date().toISOString() })
+      .expect(201);
+    await flush();
+    sqlite.exec('DELETE FROM audit_log');
+  });
+
+  it('should export the filtered member list as CSV and audit the export', async () => {
+    const response = await request(app)
+      .get('/api/members/export')
+      .query({ union: 'Firefighters', sort: 'lastName', order: 'asc' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/csv');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="members-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const rows = parseCsv(response.text);
+    expect(rows[0].slice(0, 3)).toEqual(['Employee ID', 'First Name', 'Last Name']);
+    expect(rows.slice(1).map(row => row[0])).toEqual(['FF201', 'FF200']);
+
+    await flush();
+    const audit = sqlite.prepare('SELECT * FROM audit_log').all() as any[];
+    expect(audit).toHaveLength(1);
+    expect(audit[0]).toMatchObject({ action: 'export', entity_type: 'member', user_id: 'coach-1', changes: null });
+    expect(audit[0].path).toContain('union=Firefighters');
+  });
+
+  it('should keep spreadsheet formulas out of CSV exports and reject unknown formats', async () => {
+    const response = await request(app).get('/api/members/export').query({ union: 'Police' }).expect(200);
+    expect(parseCsv(response.text)[1][2]).toBe('\'=HYPERLINK("x")');
+
+    await request(app).get('/api/members/export').query({ format: 'pdf' }).expect(400);
+  });
+
+  it('should export readings as XLSX and JSON', async () => {
+    const xlsx = await request(app)
+      .get('/api/blood-pressure-readings/export')
+      .query({ format: 'xlsx' })
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+
+    const sheet = readXlsx(xlsx.body);
+    expect(sheet[0].slice(0, 6)).toEqual(['Employee ID', 'First Name', 'Last Name', 'Reading Date', 'Systolic', 'Diastolic']);
+    expect(sheet[1].slice(4, 6)).toEqual(['138', '86']);
+
+    const json = await request(app).get('/api/blood-pressure-readings/export').query({ format: 'json', htnStatus: 'Stage 1' }).expect(200);
+    expect(json.body).toHaveLength(1);
+    expect(json.body[0]).toMatchObject({ employeeId: 'FF200', systolic: 138, htnStatus: 'Stage 1' });
+
+    const empty = await request(app).get('/api/blood-pressure-readings/export').query({ format: 'json', htnStatus: 'Crisis' }).expect(200);
+    expect(empty.body).toEqual([]);
+  });
+
+  it('should export analytics datasets in any format and audit them', async () => {
+    const response = await request(app).get('/api/analytics').query({ format: 'csv' }).expect(200);
+    expect(response.headers['content-disposition']).toContain('filename="analytics-');
+
+    const lines = response.text.replace(/^\uFEFF/, '').split('\r\n');
+    expect(lines.slice(0, 3)).toEqual(['summary', 'Metric,Value', 'overview.totalMembers,3']);
+    expect(lines).toContain('unionDistribution');
+
+    const json = await request(app).get('/api/analytics/members').query({ format: 'json' }).expect(200);
+    expect(json.headers['content-disposition']).toContain('attachment');
+    expect(json.body.totalMembers).toBe(3);
+
+    await flush();
+    const audit = sqlite.prepare('SELECT * FROM audit_log ORDER BY created_at').all() as any[];
+    expect(audit.map(entry => [entry.action, entry.entity_type])).toEqual([['export', 'analytics'], ['export', 'analytics']]);
+
+    role = 'guest';
+    await request(app).get('/api/analytics/clinical').query({ format: 'csv' }).expect(403);
+  });
+
+  it('should stream the whole audit log to super admins only', async () => {
+    const token = (tokenRole: string) => jwt.sign({ userId: 'admin-1', role: tokenRole }, JWT_SECRET, { expiresIn: '1h' });
+    await request(app).get('/api/members').expect(200);
+    await flush();
+
+    await request(app)
+      .get('/api/admin/audit-log/export')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .expect(403);
+
+    const response = await request(app)
+      .get('/api/admin/audit-log/export')
+      .query({ format: 'json' })
+      .set('Authorization', `Bearer ${token('super_admin')}`)
+      .expect(200);
+
+    expect(response.body.map((entry: any) => entry.action).sort()).toEqual(['export', 'read']);
+  });
+});
@@ -145,7 +145,7 @@ describe('Encounters API', () => {
         .get('/api/encounters')
         .expect(200);
 
-      expect(response.body).toEqual([]);
+      expect(response.body.data).toEqual([]);
     });
 
     it('should return all encounters with member info', async () => {
@@ -183,14 +183,14 @@ describe('Encounters API', () => {
         .get('/api/encounters')
         .expect(200);
 
-      expect(response.body).toHaveLength(2);
-      expect(response.body[0]).toHaveProperty('memberName');
-      expect(response.body[0]).toHaveProperty('memberLastName');
-      expect(response.body[0]).toHaveProperty('employeeId');
-      expect(response.body[0].memberName).toBe('John');
-      expect(response.body[0].memberLastName).toBe('Smith');
-      expect(response.body[0].sessionNumber).toBe(1);
-      expect(response.body[1].sessionNumber).toBe(2);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).toHaveProperty('memberName');
+      expect(response.body.data[0]).toHaveProperty('memberLastName');
+      expect(response.body.data[0]).toHaveProperty('employeeId');
+      expect(response.body.data[0].memberName).toBe('John');
+      expect(response.body.data[0].memberLastName).toBe('Smith');
+      expect(response.body.data[0].sessionNumber).toBe(1);
+      expect(response.body.data[1].sessionNumber).toBe(2);
     });
   });
 
@@ -297,7 +297,7 @@ describe('Encounters API', () => {
         .get('/api/encounters')
         .expect(200);
 
-      expect(response.body).toHaveLength(0);
+      expect(response.body.data).toHaveLength(0);
     });
 
     it('should return 404 for non-existent encounter', async () => {
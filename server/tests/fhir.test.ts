@@ -0,0 +1,347 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { encountersRouter } from '../src/routes/encounters';
+import { medicalHistoryRouter } from '../src/routes/medicalHistory';
+import { fhirRouter } from '../src/routes/fhir';
+import { setAlertChannels } from '../src/alerts/channels';
+import path from 'path';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Readings must be from the last 30 days; timestamps are stored to the second
+const recentReading = new Date(Math.floor(Date.now() / 1000) * 1000 - 2 * 24 * 60 * 60 * 1000);
+const olderReading = new Date(Date.now() - 20 * 24 * 60 * 60 * 1000);
+const day = (date: Date) => date.toISOString().slice(0, 10);
+
+const token = (role = 'user') => jwt.sign({ userId: 'partner-1', role }, JWT_SECRET, { expiresIn: '1h' });
+
+describe('FHIR API', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/fhir', fhirRouter);
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'coach-1', role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+  app.use('/api/encounters', encountersRouter);
+  app.use('/api/medical-history', medicalHistoryRouter);
+
+  let sqlite: Database.Database;
+  let sharedId: string;
+  let privateId: string;
+  let readingId: string;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM audit_log');
+    sqlite.exec('DELETE FROM alert_deliveries');
+    sqlite.exec('DELETE FROM alerts');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM medical_history');
+    sqlite.exec('DELETE FROM member_consents');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+    setAlertChannels([]);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+    setAlertChannels(null);
+  });
+
+  const fhir = (url: string, role?: string) => request(app).get(`/fhir${url}`).set('Authorization', `Bearer ${token(role)}`);
+
+  const createMember = async (employeeId: string, firstName: string, dataSharing: boolean) => {
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId,
+        firstName,
+        lastName: 'Marsh',
+        dateOfBirth: '1982-03-14T00:00:00.000Z',
+        gender: 'Female',
+        union: 'Police',
+        phone: '(555) 010-2000',
+        consents: { data_sharing: dataSharing }
+      })
+      .expect(201);
+    return response.body.id as string;
+  };
+
+  const addRecords = async (memberId: string) => {
+    const reading = await request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId, systolic: 134, diastolic: 84, heartRate: 71, readingDate: recentReading.toISOString() })
+      .expect(201);
+    await request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId, systolic: 118, diastolic: 76, readingDate: olderReading.toISOString() })
+      .expect(201);
+    await request(app)
+      .post('/api/encounters')
+      .send({
+        memberId,
+        communicationType: 'Phone',
+        topic: 'Home monitoring check-in',
+        content: 'Reviewed readings',
+        callStatus: 'Completed',
+        callerName: 'Riley Coach',
+        encounterDate: '2024-05-03T15:00:00.000Z',
+        isCompleted: true
+      })
+      .expect(201);
+    await request(app)
+      .post('/api/medical-history')
+      .send({
+        memberId,
+        condition: 'Type 2 diabetes mellitus',
+        icd10Code: 'E11.9',
+        severity: 'moderate',
+        reportedDate: '2024-01-10T00:00:00.000Z'
+      })
+      .expect(201);
+    return reading.body.id as string;
+  };
+
+  beforeEach(async () => {
+    clearTables();
+    sharedId = await createMember('FH100', 'Dana', true);
+    privateId = await createMember('FH101', 'Casey', false);
+    readingId = await addRecords(sharedId);
+    await addRecords(privateId);
+    sqlite.exec('DELETE FROM audit_log');
+  });
+
+  it('should publish a CapabilityStatement without sign-in and require a token for data', async () => {
+    const response = await request(app).get('/fhir/metadata').expect(200);
+    expect(response.headers['content-type']).toContain('application/fhir+json');
+    expect(response.body).toMatchObject({ resourceType: 'CapabilityStatement', fhirVersion: '4.0.1' });
+    expect(response.body.rest[0].resource.map((resource: any) => resource.type))
+      .toEqual(['Patient', 'Observation', 'Encounter', 'Condition', 'Bundle']);
+
+    await request(app).get('/fhir/Patient').expect(401);
+  });
+
+  it('should serve only members who agreed to data sharing as Patients', async () => {
+    const search = await fhir('/Patient').expect(200);
+    expect(search.body).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 1 });
+    expect(search.body.entry[0].resource).toMatchObject({
+      resourceType: 'Patient',
+      id: sharedId,
+      identifier: [{ system: 'urn:htn-prevention:employee-id', value: 'FH100' }],
+      name: [{ family: 'Marsh', given: ['Dana'] }],
+      gender: 'female',
+      birthDate: '1982-03-14',
+      telecom: [{ system: 'phone', value: '+15550102000' }]
+    });
+    expect(search.body.entry[0].fullUrl).toMatch(new RegExp(`/fhir/Patient/${sharedId}$`));
+
+    await fhir(`/Patient/${privateId}`).expect(404);
+    const read = await fhir(`/Patient/${sharedId}`).expect(200);
+    expect(read.body.id).toBe(sharedId);
+
+    expect((await fhir('/Patient?identifier=FH100&name=da&gender=female').expect(200)).body.total).toBe(1);
+    expect((await fhir('/Patient?identifier=urn:other|FH100').expect(200)).body.total).toBe(0);
+    expect((await fhir('/Patient?birthdate=lt1980').expect(200)).body.total).toBe(0);
+  });
+
+  it('should map readings to blood pressure panel and heart rate Observations', async () => {
+    const search = await fhir(`/Observation?patient=Patient/${sharedId}`).expect(200);
+    expect(search.body.total).toBe(3);
+    expect(search.body.entry.map((entry: any) => entry.resource.code.coding[0].code)).toEqual(['85354-9', '85354-9', '8867-4']);
+
+    const panel = search.body.entry[0].resource;
+    expect(panel).toMatchObject({
+      id: readingId,
+      status: 'final',
+      subject: { reference: `Patient/${sharedId}` },
+      effectiveDateTime: recentReading.toISOString(),
+      category: [{ coding: [{ code: 'vital-signs' }] }]
+    });
+    expect(panel.component.map((component: any) => [component.code.coding[0].code, component.valueQuantity.value]))
+      .toEqual([['8480-6', 134], ['8462-4', 84]]);
+
+    const heartRate = await fhir(`/Observation/${readingId}-heart-rate`).expect(200);
+    expect(heartRate.body.valueQuantity).toMatchObject({ value: 71, code: '/min' });
+
+    const byCode = await fhir(`/Observation?subject=${sharedId}&code=http://loinc.org|8867-4`).expect(200);
+    expect(byCode.body.total).toBe(1);
+    expect((await fhir(`/Observation?patient=${sharedId}&code=8480-6`).expect(200)).body.total).toBe(0);
+    expect((await fhir(`/Observation?patient=${sharedId}&combo-code=8480-6`).expect(200)).body.total).toBe(2);
+
+    const byDate = await fhir(`/Observation?patient=${sharedId}&date=ge${day(recentReading)}&date=le${day(new Date())}`).expect(200);
+    expect(byDate.body.entry.map((entry: any) => entry.resource.id)).toEqual([readingId, `${readingId}-heart-rate`]);
+  });
+
+  it('should page searches with next links', async () => {
+    const first = await fhir(`/Observation?patient=${sharedId}&_count=2`).expect(200);
+    expect(first.body.entry).toHaveLength(2);
+    const next = first.body.link.find((link: any) => link.relation === 'next').url;
+    expect(next).toContain('_offset=2');
+
+    const second = await fhir(next.slice(next.indexOf('/fhir') + '/fhir'.length)).expect(200);
+    expect(second.body.entry.map((entry: any) => entry.resource.id)).toEqual([`${readingId}-heart-rate`]);
+    expect(second.body.link.some((link: any) => link.relation === 'next')).toBe(false);
+  });
+
+  it('should map encounters and medical history with their searches', async () => {
+    const encounters = await fhir(`/Encounter?patient=${sharedId}&class=VR&status=finished&date=2024-05-03`).expect(200);
+    expect(encounters.body.total).toBe(1);
+    expect(encounters.body.entry[0].resource).toMatchObject({
+      status: 'finished',
+      class: { code: 'VR' },
+      period: { start: '2024-05-03T15:00:00.000Z' },
+      reasonCode: [{ text: 'Home monitoring check-in' }]
+    });
+    expect((await fhir(`/Encounter?patient=${sharedId}&class=AMB`).expect(200)).body.total).toBe(0);
+
+    const conditions = await fhir('/Condition?code=http://hl7.org/fhir/sid/icd-10-cm|E11.9&clinical-status=active').expect(200);
+    expect(conditions.body.total).toBe(1);
+    expect(conditions.body.entry[0].resource).toMatchObject({
+      subject: { reference: `Patient/${sharedId}` },
+      code: { coding: [{ code: 'E11.9' }], text: 'Type 2 diabetes mellitus' },
+      severity: { coding: [{ code: '6736007' }] }
+    });
+  });
+
+  it('should bundle everything on a patient and audit each read', async () => {
+    const response = await fhir(`/Bundle?patient=${sharedId}`).expect(200);
+    expect(response.body.type).toBe('collection');
+    expect(response.body.entry.map((entry: any) => entry.resource.resourceType))
+      .toEqual(['Patient', 'Observation', 'Observation', 'Observation', 'Encounter', 'Condition']);
+
+    await fhir(`/Bundle?patient=${privateId}`).expect(404);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const audit = sqlite.prepare('SELECT * FROM audit_log').all() as any[];
+    expect(audit).toHaveLength(1);
+    expect(audit[0]).toMatchObject({ action: 'read', entity_type: 'member', member_id: sharedId, user_id: 'partner-1' });
+  });
+
+  const post = (body: object, role?: string) => request(app).post('/fhir').set('Authorization', `Bearer ${token(role)}`).send(body);
+
+  const LOINC = 'http://loinc.org';
+  const mmHg = (value: number) => ({ value, unit: 'mmHg', system: 'http://unitsofmeasure.org', code: 'mm[Hg]' });
+  const panel = (subject: object, systolic: number, diastolic: number, effectiveDateTime: string) => ({
+    resourceType: 'Observation',
+    status: 'final',
+    code: { coding: [{ system: LOINC, code: '85354-9' }] },
+    subject,
+    effectiveDateTime,
+    device: { display: 'Eastside Clinic' },
+    component: [
+      { code: { coding: [{ system: LOINC, code: '8480-6' }] }, valueQuantity: mmHg(systolic) },
+      { code: { coding: [{ system: LOINC, code: '8462-4' }] }, valueQuantity: mmHg(diastolic) }
+    ]
+  });
+  const patientEntry = (fullUrl: string, employeeId: string) => ({
+    fullUrl,
+    resource: { resourceType: 'Patient', identifier: [{ system: 'urn:htn-prevention:employee-id', value: employeeId }] },
+    request: { method: 'PUT', url: `Patient?identifier=urn:htn-prevention:employee-id|${employeeId}` }
+  });
+  const create = (resource: object) => ({ resource, request: { method: 'POST', url: (resource as any).resourceType } });
+
+  it('should import a transaction Bundle, classifying new readings and skipping ones on file', async () => {
+    const clinicReading = new Date(Math.floor(Date.now() / 1000) * 1000 - 60 * 60 * 1000);
+    const patient = { reference: 'urn:uuid:4f1c6c1e-0d1a-4b5e-9c57-2a4f0a1b2c3d' };
+
+    const response = await post({
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [
+        patientEntry(patient.reference, 'FH100'),
+        create(panel(patient, 186, 124, clinicReading.toISOString().replace('Z', '+00:00'))),
+        create({
+          resourceType: 'Observation',
+          status: 'final',
+          code: { coding: [{ system: LOINC, code: '8867-4' }] },
+          subject: patient,
+          effectiveDateTime: clinicReading.toISOString(),
+          valueQuantity: { value: 88, unit: 'beats/minute', code: '/min' }
+        }),
+        create(panel({ identifier: { system: 'urn:htn-prevention:employee-id', value: 'FH100' } }, 134, 84, recentReading.toISOString())),
+        create({
+          resourceType: 'Condition',
+          clinicalStatus: { coding: [{ code: 'active' }] },
+          code: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'I10', display: 'Essential hypertension' }] },
+          subject: { reference: `Patient/${privateId}` },
+          severity: { coding: [{ system: 'http://snomed.info/sct', code: '255604002' }] },
+          recordedDate: '2024-06-01'
+        })
+      ]
+    }).expect(200);
+
+    expect(response.body).toMatchObject({ resourceType: 'Bundle', type: 'transaction-response' });
+    const [matched, reading, heartRate, onFile, condition] = response.body.entry.map((entry: any) => entry.response);
+    expect(matched).toMatchObject({ status: '200 OK', location: `Patient/${sharedId}` });
+    expect(reading.status).toBe('201 Created');
+    expect(reading.outcome.issue[0]).toMatchObject({ severity: 'information', diagnostics: expect.stringContaining('Crisis') });
+    expect(heartRate).toMatchObject({ status: '201 Created', location: `${reading.location}-heart-rate` });
+    expect(onFile).toMatchObject({ status: '200 OK', location: `Observation/${readingId}`, outcome: { issue: [{ code: 'duplicate' }] } });
+    expect(condition).toMatchObject({ status: '201 Created', location: expect.stringMatching(/^Condition\//) });
+
+    const stored = sqlite.prepare('SELECT * FROM blood_pressure_readings WHERE id = ?').get(reading.location.slice('Observation/'.length)) as any;
+    expect(stored).toMatchObject({ member_id: sharedId, systolic: 186, heart_rate: 88, htn_status: 'Crisis', source: 'Eastside Clinic', imported_by: 'partner-1' });
+    expect(stored.reading_date).toBe(clinicReading.getTime() / 1000);
+    expect(sqlite.prepare('SELECT * FROM medical_history WHERE member_id = ? AND icd10_code = ?').get(privateId, 'I10'))
+      .toMatchObject({ condition: 'Essential hypertension', severity: 'mild', status: 'active' });
+    expect(sqlite.prepare('SELECT count(*) AS total FROM alerts WHERE member_id = ?').get(sharedId)).toEqual({ total: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const audit = sqlite.prepare("SELECT entity_type FROM audit_log WHERE action = 'create' ORDER BY entity_type").all();
+    expect(audit).toEqual([{ entity_type: 'bloodPressureReading' }, { entity_type: 'medicalHistory' }]);
+  });
+
+  it('should reject a whole transaction but import a batch entry by entry', async () => {
+    const entries = [
+      patientEntry('urn:uuid:unknown-patient', 'NOPE1'),
+      create(panel({ reference: 'urn:uuid:unknown-patient' }, 128, 82, recentReading.toISOString())),
+      create(panel({ reference: `Patient/${sharedId}` }, 80, 120, recentReading.toISOString())),
+      create(panel({ reference: `Patient/${sharedId}` }, 128, 82, olderReading.toISOString())),
+      create({ resourceType: 'Medication', code: { text: 'Lisinopril' } })
+    ];
+    const countReadings = () => (sqlite.prepare('SELECT count(*) AS total FROM blood_pressure_readings').get() as any).total;
+    const before = countReadings();
+
+    const transaction = await post({ resourceType: 'Bundle', type: 'transaction', entry: entries }).expect(400);
+    expect(transaction.body.resourceType).toBe('OperationOutcome');
+    expect(transaction.body.issue.map((issue: any) => [issue.code, issue.expression[0]])).toEqual([
+      ['not-found', 'Bundle.entry[0]'],
+      ['not-found', 'Bundle.entry[1]'],
+      ['invalid', 'Bundle.entry[2]'],
+      ['not-supported', 'Bundle.entry[4]']
+    ]);
+    expect(countReadings()).toBe(before);
+
+    const batch = await post({ resourceType: 'Bundle', type: 'batch', entry: entries }).expect(200);
+    expect(batch.body.type).toBe('batch-response');
+    expect(batch.body.entry.map((entry: any) => entry.response.status))
+      .toEqual(['404 Not Found', '404 Not Found', '400 Bad Request', '201 Created', '422 Unprocessable Entity']);
+    expect(batch.body.entry[2].response.outcome.issue[0].diagnostics).toContain('Systolic pressure must be greater');
+    expect(countReadings()).toBe(before + 1);
+
+    await post({ resourceType: 'Bundle', type: 'batch', entry: entries }, 'analyst').expect(403);
+    await post({ resourceType: 'Bundle', type: 'document', entry: [] }).expect(400);
+  });
+
+  it('should answer bad searches and unknown resources with an OperationOutcome', async () => {
+    const invalid = await fhir('/Observation?date=yesterday').expect(400);
+    expect(invalid.body).toMatchObject({ resourceType: 'OperationOutcome', issue: [{ code: 'invalid' }] });
+
+    const unsupported = await fhir('/Medication').expect(404);
+    expect(unsupported.body.issue[0].code).toBe('not-supported');
+
+    await fhir('/Patient', 'guest').expect(403);
+  });
+});
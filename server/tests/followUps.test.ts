@@ -0,0 +1,202 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { encountersRouter } from '../src/routes/encounters';
+import { followUpsRouter } from '../src/routes/followUps';
+import path from 'path';
+
+const COACH_ID = '5b0f8f53-58f4-4d7e-a7a4-1f1f0c1d0001';
+const NURSE_ID = '5b0f8f53-58f4-4d7e-a7a4-1f1f0c1d0002';
+const ANALYST_ID = '5b0f8f53-58f4-4d7e-a7a4-1f1f0c1d0003';
+
+const daysFromNow = (days: number) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+describe('Follow-ups API', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req: any, res, next) => {
+    req.user = { userId: COACH_ID, role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/encounters', encountersRouter);
+  app.use('/api/follow-ups', followUpsRouter);
+
+  let sqlite: Database.Database;
+  let memberId: string;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM follow_ups');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM members');
+    sqlite.prepare('DELETE FROM users WHERE id IN (?, ?, ?)').run(COACH_ID, NURSE_ID, ANALYST_ID);
+  };
+
+  const insertUser = (id: string, role: string, firstName: string) => {
+    const now = Math.floor(Date.now() / 1000);
+    sqlite.prepare(`
+      INSERT INTO users (id, username, email, password_hash, role, first_name, last_name, is_active, created_at, updated_at)
+      VALUES (?, ?, ?, 'x', ?, ?, 'Tester', 1, ?, ?)
+    `).run(id, firstName.toLowerCase(), `${firstName.toLowerCase()}@example.test`, role, firstName, now, now);
+  };
+
+  // Rows scheduled in the past can only exist from before their due day passed
+  const insertPastFollowUp = (daysAgo: number, assignedTo: string = COACH_ID) => {
+    const due = Math.floor(daysFromNow(-daysAgo).getTime() / 1000);
+    sqlite.prepare(`
+      INSERT INTO follow_ups (id, member_id, assigned_to, due_date, reason, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'Recheck BP', 'scheduled', ?, ?)
+    `).run(crypto.randomUUID(), memberId, assignedTo, due, due, due);
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    clearTables();
+    insertUser(COACH_ID, 'user', 'Casey');
+    insertUser(NURSE_ID, 'admin', 'Nora');
+    insertUser(ANALYST_ID, 'analyst', 'Ana');
+
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'FU001',
+        firstName: 'Jordan',
+        lastName: 'Reyes',
+        dateOfBirth: '1982-06-01T00:00:00.000Z',
+        gender: 'Female',
+        union: 'EMS'
+      });
+    memberId = response.body.id;
+  });
+
+  it('should schedule a follow-up assigned to the requester by default', async () => {
+    const response = await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, dueDate: daysFromNow(14).toISOString(), reason: 'Recheck BP after dose change' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      memberId,
+      assignedTo: COACH_ID,
+      createdBy: COACH_ID,
+      status: 'scheduled',
+      isOverdue: false
+    });
+  });
+
+  it('should reject follow-up dates in the past', async () => {
+    const response = await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, dueDate: daysFromNow(-2).toISOString(), reason: 'Too late' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Follow-up date cannot be in the past');
+  });
+
+  it('should only assign follow-ups to active clinical staff', async () => {
+    const toAnalyst = await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, assignedTo: ANALYST_ID, dueDate: daysFromNow(3).toISOString(), reason: 'Check in' });
+    expect(toAnalyst.status).toBe(400);
+
+    const toNurse = await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, assignedTo: NURSE_ID, dueDate: daysFromNow(3).toISOString(), reason: 'Check in' });
+    expect(toNurse.status).toBe(201);
+
+    const assignees = await request(app).get('/api/follow-ups/assignees');
+    expect(assignees.body.map((user: any) => user.id).sort()).toEqual([COACH_ID, NURSE_ID].sort());
+  });
+
+  it('should list overdue follow-ups, most overdue first', async () => {
+    insertPastFollowUp(2);
+    insertPastFollowUp(9);
+    insertPastFollowUp(5, NURSE_ID);
+    await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, dueDate: daysFromNow(1).toISOString(), reason: 'Upcoming call' })
+      .expect(201);
+
+    const overdue = await request(app).get('/api/follow-ups/overdue');
+    expect(overdue.body.total).toBe(3);
+    expect(overdue.body.data.map((followUp: any) => followUp.daysOverdue)).toEqual([9, 5, 2]);
+    expect(overdue.body.data[0]).toMatchObject({ isOverdue: true, memberName: 'Jordan', assigneeFirstName: 'Casey' });
+
+    const mine = await request(app).get('/api/follow-ups/overdue').query({ assignedTo: 'me' });
+    expect(mine.body.total).toBe(2);
+
+    const upcoming = await request(app).get('/api/follow-ups').query({ status: 'scheduled', overdue: 'false' });
+    expect(upcoming.body.total).toBe(1);
+    expect(upcoming.body.data[0].reason).toBe('Upcoming call');
+  });
+
+  it('should complete a follow-up with the encounter that closed it', async () => {
+    const { body: followUp } = await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, dueDate: daysFromNow(0).toISOString(), reason: 'Medication check' });
+
+    const { body: encounter } = await request(app)
+      .post('/api/encounters')
+      .send({
+        memberId,
+        communicationType: 'Phone',
+        topic: 'Medication check',
+        content: 'Taking medication as prescribed',
+        callStatus: 'Completed',
+        callerName: 'Casey Tester',
+        encounterDate: new Date().toISOString(),
+        isCompleted: true
+      });
+
+    const completed = await request(app)
+      .post(`/api/follow-ups/${followUp.id}/complete`)
+      .send({ encounterId: encounter.id });
+
+    expect(completed.status).toBe(200);
+    expect(completed.body).toMatchObject({ status: 'completed', completedEncounterId: encounter.id });
+    expect(completed.body.completedAt).toBeTruthy();
+
+    await request(app).post(`/api/follow-ups/${followUp.id}/cancel`).expect(409);
+    await request(app).put(`/api/follow-ups/${followUp.id}`).send({ reason: 'Changed' }).expect(409);
+  });
+
+  it('should reschedule a follow-up but not into the past', async () => {
+    const { body: followUp } = await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, dueDate: daysFromNow(7).toISOString(), reason: 'Home reading review' });
+
+    await request(app)
+      .put(`/api/follow-ups/${followUp.id}`)
+      .send({ dueDate: daysFromNow(-1).toISOString() })
+      .expect(400);
+
+    const rescheduled = await request(app)
+      .put(`/api/follow-ups/${followUp.id}`)
+      .send({ dueDate: daysFromNow(10).toISOString(), assignedTo: NURSE_ID });
+
+    expect(rescheduled.status).toBe(200);
+    expect(rescheduled.body.assignedTo).toBe(NURSE_ID);
+  });
+
+  it('should hide follow-ups for deleted members', async () => {
+    await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, dueDate: daysFromNow(3).toISOString(), reason: 'Check in' })
+      .expect(201);
+
+    sqlite.prepare('UPDATE members SET deleted_at = ? WHERE id = ?').run(Math.floor(Date.now() / 1000), memberId);
+
+    const response = await request(app).get('/api/follow-ups');
+    expect(response.body.total).toBe(0);
+  });
+});
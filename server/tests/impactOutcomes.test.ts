@@ -0,0 +1,120 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { analyticsRouter } from '../src/routes/analytics';
+import { impactOutcomes, proportion, meanChange } from '../src/db/impactOutcomes';
+import path from 'path';
+
+const reading = (memberId: string, systolic: number, diastolic: number, date: string) =>
+  ({ memberId, systolic, diastolic, readingDate: new Date(`${date}T08:00:00.000Z`) });
+
+// Now is 15 Jun 2024, so the 90-day window opens on 17 Mar
+const NOW = new Date('2024-06-15T12:00:00.000Z');
+const READINGS = [
+  // Stage 2 to Elevated, and controlled by the end
+  reading('m1', 150, 95, '2024-01-05'),
+  reading('m1', 140, 90, '2024-03-01'),
+  reading('m1', 125, 78, '2024-06-01'),
+  // Normal to Stage 1
+  reading('m2', 118, 76, '2024-02-01'),
+  reading('m2', 122, 78, '2024-04-01'),
+  reading('m2', 135, 85, '2024-06-10'),
+  // Too few readings to compare
+  reading('m3', 128, 79, '2024-05-01'),
+  reading('m3', 126, 77, '2024-05-20'),
+  // Stage 2 to Stage 1, with nothing in the last 90 days
+  reading('m4', 145, 92, '2023-10-01'),
+  reading('m4', 138, 88, '2023-12-01'),
+  reading('m4', 132, 84, '2024-01-15')
+];
+
+describe('Impact outcomes', () => {
+  it('should give Wilson intervals for rates and t intervals for mean changes', () => {
+    expect(proportion(5, 10)).toEqual({ count: 5, of: 10, rate: 50, ci: { lower: 23.7, upper: 76.3 } });
+    expect(proportion(0, 0)).toEqual({ count: 0, of: 0, rate: null, ci: null });
+    expect(proportion(3, 3).ci!.upper).toBe(100);
+
+    expect(meanChange([-10, -20, -30])).toEqual({ members: 3, mean: -20, ci: { lower: -44.8, upper: 4.8 } });
+    expect(meanChange([-12])).toEqual({ members: 1, mean: -12, ci: null });
+  });
+
+  it('should compare each member\'s first reading with their latest', () => {
+    const outcomes = impactOutcomes(READINGS, { now: NOW });
+
+    expect(outcomes.membersCompared).toBe(3);
+    expect(outcomes.membersExcluded).toEqual({ tooFewReadings: 1, noRecentReadings: 0 });
+    expect(outcomes.stageChange).toMatchObject({ improved: { count: 2, of: 3, rate: 66.7 }, unchanged: 0, worsened: 1 });
+    expect(outcomes.systolicChange).toMatchObject({ members: 3, mean: -7 });
+    expect(outcomes.control.baseline).toMatchObject({ count: 1, of: 3 });
+    expect(outcomes.control.current).toMatchObject({ count: 1, of: 3 });
+  });
+
+  it('should compare against the mean of the last 90 days when asked', () => {
+    const outcomes = impactOutcomes(READINGS, { compare: 'last90Days', now: NOW });
+
+    expect(outcomes.membersCompared).toBe(2);
+    expect(outcomes.membersExcluded).toEqual({ tooFewReadings: 1, noRecentReadings: 1 });
+    // m2's recent mean is 129/82: still Stage 1
+    expect(outcomes.stageChange).toMatchObject({ improved: { count: 1, of: 2 }, worsened: 1 });
+    expect(outcomes.systolicChange).toMatchObject({ members: 2, mean: -7 });
+  });
+
+  it('should chart control by month and only report a trend with three or more months of data', () => {
+    const outcomes = impactOutcomes(READINGS, { now: NOW });
+
+    expect(outcomes.controlByMonth).toHaveLength(12);
+    expect(outcomes.controlByMonth[0].month).toBe('2023-07');
+    expect(outcomes.controlByMonth.at(-1)).toMatchObject({ month: '2024-06', count: 1, of: 2, rate: 50 });
+    expect(outcomes.controlTrend).toMatchObject({ months: 8 });
+
+    const sparse = impactOutcomes(READINGS.filter(entry => entry.memberId === 'm3'), { now: NOW });
+    expect(sparse.controlTrend).toBeNull();
+  });
+});
+
+describe('Impact analytics API', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/analytics', analyticsRouter);
+
+  let sqlite: Database.Database;
+
+  const seconds = (date: Date) => Math.floor(date.getTime() / 1000);
+  const daysAgo = (days: number) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  beforeAll(() => {
+    sqlite = new Database(path.join(__dirname, '../test.db'));
+  });
+
+  afterAll(() => {
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+    sqlite.close();
+  });
+
+  it('should add outcomes to the impact metrics', async () => {
+    sqlite.prepare(`
+      INSERT INTO members (id, employee_id, first_name, last_name, date_of_birth, gender, "union", created_at, updated_at)
+      VALUES ('m1', 'FF300', 'Jamie', 'Ortiz', ?, 'Male', 'Firefighters', ?, ?)
+    `).run(seconds(new Date('1984-06-15')), seconds(daysAgo(200)), seconds(daysAgo(200)));
+    [[180, 152, 96], [60, 138, 86], [5, 124, 76]].forEach(([days, systolic, diastolic]) => sqlite.prepare(`
+      INSERT INTO blood_pressure_readings (id, member_id, systolic, diastolic, htn_status, reading_date, created_at)
+      VALUES (?, 'm1', ?, ?, 'Stage 1', ?, ?)
+    `).run(`r${days}`, systolic, diastolic, seconds(daysAgo(days)), seconds(daysAgo(days))));
+
+    const latest = await request(app).get('/api/analytics/impact').expect(200);
+    expect(latest.body.totalMembers).toBe(1);
+    expect(latest.body.outcomes).toMatchObject({
+      compare: 'latest',
+      minimumReadings: 3,
+      minimumTrendMonths: 3,
+      membersCompared: 1,
+      systolicChange: { members: 1, mean: -28, ci: null }
+    });
+
+    const recent = await request(app).get('/api/analytics/impact').query({ compare: 'last90Days' }).expect(200);
+    expect(recent.body.outcomes.systolicChange.mean).toBe(-21);
+
+    await request(app).get('/api/analytics/impact').query({ compare: 'ever' }).expect(400);
+  });
+});
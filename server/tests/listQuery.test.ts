@@ -0,0 +1,149 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { encountersRouter } from '../src/routes/encounters';
+import path from 'path';
+
+const app = express();
+app.use(express.json());
+app.use((req: any, res, next) => {
+  req.user = { userId: 'coach-1', role: 'user' };
+  next();
+});
+app.use('/api/members', membersRouter);
+app.use('/api/blood-pressure-readings', bloodPressureRouter);
+app.use('/api/encounters', encountersRouter);
+
+describe('List pagination, sorting and filtering', () => {
+  let sqlite: Database.Database;
+  let memberIds: string[];
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM members');
+
+    const roster = [
+      { employeeId: 'FF201', firstName: 'Carl', lastName: 'Young', union: 'Firefighters' },
+      { employeeId: 'PD201', firstName: 'Dana', lastName: 'Adams', union: 'Police' },
+      { employeeId: 'EMS201', firstName: 'Eli', lastName: 'Moore', union: 'EMS' }
+    ];
+
+    memberIds = [];
+    for (const member of roster) {
+      const response = await request(app)
+        .post('/api/members')
+        .send({ ...member, dateOfBirth: '1984-01-01T00:00:00.000Z', gender: 'Male' });
+      memberIds.push(response.body.id);
+    }
+  });
+
+  const addReading = (memberId: string, systolic: number, diastolic: number, daysAgo = 0) => request(app)
+    .post('/api/blood-pressure-readings')
+    .send({
+      memberId,
+      systolic,
+      diastolic,
+      readingDate: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+  describe('GET /api/members', () => {
+    it('should page results and report the total count', async () => {
+      const response = await request(app)
+        .get('/api/members?limit=2&offset=2')
+        .expect(200);
+
+      expect(response.body.total).toBe(3);
+      expect(response.body.limit).toBe(2);
+      expect(response.body.offset).toBe(2);
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should sort by the requested column and order', async () => {
+      const response = await request(app)
+        .get('/api/members?sort=lastName&order=desc')
+        .expect(200);
+
+      expect(response.body.data.map((m: any) => m.lastName)).toEqual(['Young', 'Moore', 'Adams']);
+    });
+
+    it('should filter by union and search term', async () => {
+      const byUnion = await request(app).get('/api/members?union=Police').expect(200);
+      expect(byUnion.body.total).toBe(1);
+      expect(byUnion.body.data[0].employeeId).toBe('PD201');
+
+      const bySearch = await request(app).get('/api/members?search=moo').expect(200);
+      expect(bySearch.body.data.map((m: any) => m.employeeId)).toEqual(['EMS201']);
+    });
+
+    it('should reject invalid paging parameters', async () => {
+      await request(app).get('/api/members?limit=0').expect(400);
+      await request(app).get('/api/members?sort=password').expect(400);
+    });
+  });
+
+  describe('GET /api/blood-pressure-readings', () => {
+    it('should filter by HTN status, union and date range', async () => {
+      await addReading(memberIds[0], 118, 76);
+      await addReading(memberIds[0], 150, 95, 10);
+      await addReading(memberIds[1], 155, 98);
+
+      const stage2 = await request(app)
+        .get('/api/blood-pressure-readings?htnStatus=Stage 2')
+        .expect(200);
+      expect(stage2.body.total).toBe(2);
+
+      const police = await request(app)
+        .get('/api/blood-pressure-readings?union=Police')
+        .expect(200);
+      expect(police.body.data.map((r: any) => r.memberId)).toEqual([memberIds[1]]);
+
+      const recent = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const lastTwoDays = await request(app)
+        .get(`/api/blood-pressure-readings?startDate=${recent}&memberId=${memberIds[0]}`)
+        .expect(200);
+      expect(lastTwoDays.body.total).toBe(1);
+      expect(lastTwoDays.body.data[0].systolic).toBe(118);
+    });
+  });
+
+  describe('GET /api/encounters', () => {
+    it('should filter by communication type and completion', async () => {
+      const encounter = (communicationType: string, isCompleted: boolean) => request(app)
+        .post('/api/encounters')
+        .send({
+          memberId: memberIds[2],
+          communicationType,
+          topic: 'Check-in',
+          content: 'Reviewed recent readings',
+          callStatus: 'Completed',
+          callerName: 'Coach Lee',
+          encounterDate: new Date().toISOString(),
+          isCompleted
+        });
+
+      await encounter('Phone', true);
+      await encounter('Phone', false);
+      await encounter('Email', true);
+
+      const completedCalls = await request(app)
+        .get('/api/encounters?communicationType=Phone&isCompleted=true')
+        .expect(200);
+
+      expect(completedCalls.body.total).toBe(1);
+      expect(completedCalls.body.data[0].communicationType).toBe('Phone');
+      expect(completedCalls.body.data[0].isCompleted).toBe(true);
+    });
+  });
+});
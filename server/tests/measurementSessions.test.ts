@@ -0,0 +1,249 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { analyticsRouter } from '../src/routes/analytics';
+import { summarizeSession } from '../src/shared/measurementSession';
+import path from 'path';
+
+const minutesAgo = (minutes: number) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe('summarizeSession', () => {
+  it('should average two readings without discarding either', () => {
+    const summary = summarizeSession([
+      { systolic: 132, diastolic: 84, heartRate: 70, readingDate: minutesAgo(2) },
+      { systolic: 127, diastolic: 81, heartRate: 72, readingDate: minutesAgo(1) }
+    ]);
+
+    expect(summary.includedCount).toBe(2);
+    expect(summary.meanSystolic).toBe(130);
+    expect(summary.meanDiastolic).toBe(83);
+    expect(summary.meanHeartRate).toBe(71);
+    expect(summary.readings.map(reading => reading.flag)).toEqual([null, null]);
+  });
+
+  it('should discard the first of three readings and classify from the rest', () => {
+    const summary = summarizeSession([
+      { systolic: 124, diastolic: 78, readingDate: minutesAgo(1) },
+      { systolic: 148, diastolic: 92, readingDate: minutesAgo(3) },
+      { systolic: 126, diastolic: 76, readingDate: minutesAgo(2) }
+    ]);
+
+    expect(summary.readings[0]).toMatchObject({ systolic: 148, flag: 'discarded_first' });
+    expect(summary.meanSystolic).toBe(125);
+    expect(summary.meanDiastolic).toBe(77);
+    expect(summary.classification.status).toBe('Elevated');
+    expect(summary.meanHeartRate).toBeNull();
+  });
+
+  it('should flag readings far from the session median as outliers', () => {
+    const summary = summarizeSession([
+      { systolic: 150, diastolic: 95, readingDate: minutesAgo(4) },
+      { systolic: 128, diastolic: 82, readingDate: minutesAgo(3) },
+      { systolic: 130, diastolic: 80, readingDate: minutesAgo(2) },
+      { systolic: 152, diastolic: 84, readingDate: minutesAgo(1) }
+    ]);
+
+    expect(summary.readings.map(reading => reading.flag)).toEqual(['discarded_first', null, null, 'outlier']);
+    expect(summary.includedCount).toBe(2);
+    expect(summary.meanSystolic).toBe(129);
+  });
+
+  it('should keep every remaining reading when all of them would be outliers', () => {
+    const summary = summarizeSession([
+      { systolic: 150, diastolic: 95, readingDate: minutesAgo(5) },
+      { systolic: 120, diastolic: 80, readingDate: minutesAgo(4) },
+      { systolic: 120, diastolic: 80, readingDate: minutesAgo(3) },
+      { systolic: 145, diastolic: 95, readingDate: minutesAgo(2) },
+      { systolic: 145, diastolic: 95, readingDate: minutesAgo(1) }
+    ]);
+
+    expect(summary.readings.map(reading => reading.flag)).toEqual(['discarded_first', null, null, null, null]);
+    expect(summary.includedCount).toBe(4);
+    expect(summary.meanSystolic).toBe(133);
+    expect(summary.meanDiastolic).toBe(88);
+    expect(summary.classification.status).toBe('Stage 1');
+  });
+
+  it('should reject a single reading', () => {
+    expect(() => summarizeSession([{ systolic: 120, diastolic: 80, readingDate: minutesAgo(1) }])).toThrow();
+  });
+});
+
+describe('Measurement sessions API', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'admin-1', role: 'admin' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+  app.use('/api/analytics', analyticsRouter);
+
+  let sqlite: Database.Database;
+  let memberId: string;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM measurement_sessions');
+    sqlite.exec('DELETE FROM members');
+
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'MS001',
+        firstName: 'Ana',
+        lastName: 'Ruiz',
+        dateOfBirth: '1979-11-02T00:00:00.000Z',
+        gender: 'Female',
+        union: 'EMS'
+      });
+    memberId = response.body.id;
+  });
+
+  const createSession = () =>
+    request(app)
+      .post('/api/blood-pressure-readings/sessions')
+      .send({
+        memberId,
+        readings: [
+          { systolic: 148, diastolic: 92, heartRate: 80, readingDate: minutesAgo(3) },
+          { systolic: 126, diastolic: 78, heartRate: 74, readingDate: minutesAgo(2) },
+          { systolic: 124, diastolic: 76, heartRate: 72, readingDate: minutesAgo(1) }
+        ]
+      });
+
+  it('should store the session mean and its stage, leaving each reading its own', async () => {
+    const response = await createSession();
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      readingCount: 3,
+      includedCount: 2,
+      meanSystolic: 125,
+      meanDiastolic: 77,
+      meanHeartRate: 73,
+      htnStatus: 'Elevated'
+    });
+    expect(response.body.readings.map((reading: any) => reading.sessionFlag)).toEqual(['discarded_first', null, null]);
+
+    const readings = await request(app).get(`/api/blood-pressure-readings/member/${memberId}`);
+    expect(readings.body).toHaveLength(3);
+    readings.body.forEach((reading: any) => expect(reading.sessionId).toBe(response.body.id));
+    expect(readings.body.map((reading: any) => [reading.systolic, reading.htnStatus])).toEqual([
+      [124, 'Elevated'],
+      [126, 'Elevated'],
+      [148, 'Stage 2']
+    ]);
+  });
+
+  it('should count each session reading once, at its own stage, in the analytics distribution', async () => {
+    await createSession();
+
+    const response = await request(app).get('/api/analytics').expect(200);
+
+    expect(response.body.overview.totalReadings).toBe(3);
+    const distribution = Object.fromEntries(response.body.htnDistribution.map((row: any) => [row.htnStatus, row.count]));
+    expect(distribution).toEqual({ Elevated: 2, 'Stage 2': 1 });
+  });
+
+  it('should store a session whose readings fall into two far-apart groups', async () => {
+    const response = await request(app)
+      .post('/api/blood-pressure-readings/sessions')
+      .send({
+        memberId,
+        readings: [
+          { systolic: 150, diastolic: 95, readingDate: minutesAgo(5) },
+          { systolic: 120, diastolic: 80, readingDate: minutesAgo(4) },
+          { systolic: 120, diastolic: 80, readingDate: minutesAgo(3) },
+          { systolic: 145, diastolic: 95, readingDate: minutesAgo(2) },
+          { systolic: 145, diastolic: 95, readingDate: minutesAgo(1) }
+        ]
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ includedCount: 4, meanSystolic: 133, meanDiastolic: 88, htnStatus: 'Stage 1' });
+  });
+
+  it('should require at least two readings', async () => {
+    const response = await request(app)
+      .post('/api/blood-pressure-readings/sessions')
+      .send({ memberId, readings: [{ systolic: 120, diastolic: 80, readingDate: minutesAgo(1) }] });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should list a member\'s sessions with their readings', async () => {
+    const { body: session } = await createSession();
+
+    const response = await request(app).get(`/api/blood-pressure-readings/sessions/member/${memberId}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].id).toBe(session.id);
+    expect(response.body[0].readings).toHaveLength(3);
+  });
+
+  it('should refuse to edit or delete a single reading in a session', async () => {
+    const { body: session } = await createSession();
+    const readingId = session.readings[1].id;
+
+    await request(app).put(`/api/blood-pressure-readings/${readingId}`).send({ systolic: 160 }).expect(409);
+    await request(app).delete(`/api/blood-pressure-readings/${readingId}`).expect(409);
+  });
+
+  it('should delete and restore a session together with its readings', async () => {
+    const { body: session } = await createSession();
+
+    await request(app).delete(`/api/blood-pressure-readings/sessions/${session.id}`).expect(204);
+
+    const afterDelete = await request(app).get(`/api/blood-pressure-readings/member/${memberId}`);
+    expect(afterDelete.body).toHaveLength(0);
+
+    await request(app).post(`/api/blood-pressure-readings/sessions/${session.id}/restore`).expect(200);
+
+    const afterRestore = await request(app).get(`/api/blood-pressure-readings/sessions/member/${memberId}`);
+    expect(afterRestore.body[0].readings).toHaveLength(3);
+  });
+
+  it('should restore the whole session when one of its readings is restored', async () => {
+    const { body: session } = await createSession();
+
+    await request(app).delete(`/api/blood-pressure-readings/sessions/${session.id}`).expect(204);
+    await request(app).post(`/api/blood-pressure-readings/${session.readings[0].id}/restore`).expect(200);
+
+    const sessions = await request(app).get(`/api/blood-pressure-readings/sessions/member/${memberId}`);
+    expect(sessions.body).toHaveLength(1);
+    expect(sessions.body[0].readings).toHaveLength(3);
+  });
+
+  it('should reclassify a session from its mean and its readings from their own values', async () => {
+    await createSession();
+    process.env.BP_GUIDELINE = 'jnc7';
+
+    try {
+      await request(app).post('/api/blood-pressure-readings/reclassify').expect(200);
+    } finally {
+      delete process.env.BP_GUIDELINE;
+    }
+
+    const sessions = await request(app).get(`/api/blood-pressure-readings/sessions/member/${memberId}`);
+    expect(sessions.body[0]).toMatchObject({ htnStatus: 'Elevated', guideline: 'jnc7', htnRule: 'jnc7.prehypertension' });
+    expect(sessions.body[0].readings.map((reading: any) => reading.htnRule)).toEqual([
+      'jnc7.stage1',
+      'jnc7.prehypertension',
+      'jnc7.prehypertension'
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { medicalHistoryRouter } from '../src/routes/medicalHistory';
+import { rebuildMemberSearchIndex } from '../src/db/memberSearch';
+import path from 'path';
+
+const app = express();
+app.use(express.json());
+app.use((req: any, res, next) => {
+  req.user = { userId: 'coach-1', role: 'admin' };
+  next();
+});
+app.use('/api/members', membersRouter);
+app.use('/api/medical-history', medicalHistoryRouter);
+
+describe('Medical History API', () => {
+  let sqlite: Database.Database;
+  let memberId: string;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    sqlite.exec('DELETE FROM medical_history');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+    rebuildMemberSearchIndex();
+
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'MH001',
+        firstName: 'Dana',
+        lastName: 'Reyes',
+        dateOfBirth: '1980-04-12T00:00:00.000Z',
+        gender: 'Female',
+        union: 'EMS'
+      });
+    memberId = response.body.id;
+  });
+
+  const createCondition = (overrides: Record<string, unknown> = {}) =>
+    request(app)
+      .post('/api/medical-history')
+      .send({
+        memberId,
+        condition: 'Type 2 diabetes mellitus',
+        icd10Code: 'e11.9',
+        onsetDate: '2019-06-01T00:00:00.000Z',
+        severity: 'moderate',
+        reportedDate: '2024-01-10T00:00:00.000Z',
+        ...overrides
+      });
+
+  describe('POST /api/medical-history', () => {
+    it('should store the coded condition with an active status', async () => {
+      const response = await createCondition();
+
+      expect(response.status).toBe(201);
+      expect(response.body.icd10Code).toBe('E11.9');
+      expect(response.body.status).toBe('active');
+      expect(response.body.severity).toBe('moderate');
+    });
+
+    it('should reject a malformed ICD-10 code', async () => {
+      const response = await createCondition({ icd10Code: 'DIABETES' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+    });
+  });
+
+  describe('PUT /api/medical-history/:id', () => {
+    it('should resolve a condition and clear its severity', async () => {
+      const created = await createCondition();
+
+      const response = await request(app)
+        .put(`/api/medical-history/${created.body.id}`)
+        .send({ status: 'resolved', severity: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('resolved');
+      expect(response.body.severity).toBeNull();
+      expect(response.body.icd10Code).toBe('E11.9');
+    });
+
+    it('should return 404 for an unknown entry', async () => {
+      const response = await request(app)
+        .put('/api/medical-history/00000000-0000-0000-0000-000000000000')
+        .send({ status: 'resolved' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/medical-history/:id', () => {
+    it('should hide the entry and allow it to be restored', async () => {
+      const created = await createCondition();
+
+      const deleted = await request(app).delete(`/api/medical-history/${created.body.id}`);
+      expect(deleted.status).toBe(204);
+
+      const afterDelete = await request(app).get(`/api/medical-history/member/${memberId}`);
+      expect(afterDelete.body).toHaveLength(0);
+
+      const restored = await request(app).post(`/api/medical-history/${created.body.id}/restore`);
+      expect(restored.status).toBe(200);
+
+      const afterRestore = await request(app).get(`/api/medical-history/member/${memberId}`);
+      expect(afterRestore.body).toHaveLength(1);
+    });
+
+    it('should drop deleted conditions from member search', async () => {
+      const created = await createCondition({ condition: 'Obstructive sleep apnea', icd10Code: 'G47.33' });
+
+      const before = await request(app).get('/api/members/search').query({ q: 'apnea' });
+      expect(before.body).toHaveLength(1);
+
+      await request(app).delete(`/api/medical-history/${created.body.id}`);
+
+      const after = await request(app).get('/api/members/search').query({ q: 'apnea' });
+      expect(after.body).toHaveLength(0);
+    });
+  });
+});
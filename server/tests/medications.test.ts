@@ -0,0 +1,193 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { encountersRouter } from '../src/routes/encounters';
+import { medicationsRouter } from '../src/routes/medications';
+import { medicationClassControl } from '../src/db/medicationControl';
+import path from 'path';
+
+const app = express();
+app.use(express.json());
+app.use((req: any, res, next) => {
+  req.user = { userId: 'coach-1', role: 'admin' };
+  next();
+});
+app.use('/api/members', membersRouter);
+app.use('/api/encounters', encountersRouter);
+app.use('/api/medications', medicationsRouter);
+
+describe('Medications API', () => {
+  let sqlite: Database.Database;
+  let memberId: string;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    sqlite.exec('DELETE FROM medication_adherence');
+    sqlite.exec('DELETE FROM medications');
+    sqlite.exec('DELETE FROM medical_history');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'RX001',
+        firstName: 'Sam',
+        lastName: 'Okafor',
+        dateOfBirth: '1975-02-03T00:00:00.000Z',
+        gender: 'Male',
+        union: 'Police'
+      });
+    memberId = response.body.id;
+  });
+
+  const createMedication = (overrides: Record<string, unknown> = {}) =>
+    request(app)
+      .post('/api/medications')
+      .send({
+        memberId,
+        drugName: 'Lisinopril',
+        drugClass: 'ACE inhibitor',
+        dose: '10 mg',
+        frequency: 'Once daily',
+        startDate: '2024-01-01T00:00:00.000Z',
+        prescriber: 'Dr. Patel',
+        ...overrides
+      });
+
+  describe('POST /api/medications', () => {
+    it('should add a medication', async () => {
+      const response = await createMedication();
+
+      expect(response.status).toBe(201);
+      expect(response.body.drugClass).toBe('ACE inhibitor');
+      expect(response.body.stopDate).toBeNull();
+    });
+
+    it('should reject an unknown drug class', async () => {
+      const response = await createMedication({ drugClass: 'Statin' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a stop date before the start date', async () => {
+      const response = await createMedication({ stopDate: '2023-12-01T00:00:00.000Z' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Stop date cannot be before start date');
+    });
+  });
+
+  describe('PUT /api/medications/:id', () => {
+    it('should discontinue a medication', async () => {
+      const created = await createMedication();
+
+      const response = await request(app)
+        .put(`/api/medications/${created.body.id}`)
+        .send({ stopDate: '2024-06-01T00:00:00.000Z' });
+
+      expect(response.status).toBe(200);
+      expect(new Date(response.body.stopDate).toISOString()).toBe('2024-06-01T00:00:00.000Z');
+    });
+  });
+
+  describe('DELETE /api/medications/:id', () => {
+    it('should hide the medication and count it as a member dependent until deleted', async () => {
+      const created = await createMedication();
+
+      const blocked = await request(app).delete(`/api/members/${memberId}`);
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.dependents.medications).toBe(1);
+
+      const deleted = await request(app).delete(`/api/medications/${created.body.id}`);
+      expect(deleted.status).toBe(204);
+
+      const list = await request(app).get(`/api/medications/member/${memberId}`);
+      expect(list.body).toHaveLength(0);
+    });
+  });
+
+  describe('Adherence log', () => {
+    it('should record an adherence check-in linked to an encounter', async () => {
+      const medication = await createMedication();
+      const encounter = await request(app)
+        .post('/api/encounters')
+        .send({
+          memberId,
+          communicationType: 'Phone',
+          topic: 'Medication review',
+          content: 'Reviewed current medications and side effects.',
+          callStatus: 'Completed',
+          callerName: 'Coach Kim',
+          encounterDate: '2024-02-01T10:00:00.000Z'
+        });
+
+      const response = await request(app)
+        .post('/api/medications/adherence')
+        .send({
+          memberId,
+          medicationId: medication.body.id,
+          encounterId: encounter.body.id,
+          adherence: 'Partially adherent',
+          missedDoses: 2,
+          barriers: 'Forgets evening dose'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.recordedBy).toBe('coach-1');
+
+      const log = await request(app).get(`/api/medications/member/${memberId}/adherence`);
+      expect(log.body).toHaveLength(1);
+      expect(log.body[0].adherence).toBe('Partially adherent');
+    });
+
+    it('should reject a medication belonging to another member', async () => {
+      const response = await request(app)
+        .post('/api/medications/adherence')
+        .send({
+          memberId,
+          medicationId: '00000000-0000-0000-0000-000000000000',
+          adherence: 'Adherent'
+        });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
+
+describe('medicationClassControl', () => {
+  const at = (iso: string) => new Date(iso);
+
+  it('splits treated members\' readings into on and off each class', () => {
+    const readings = [
+      { memberId: 'a', systolic: 150, diastolic: 95, readingDate: at('2024-01-15') },
+      { memberId: 'a', systolic: 125, diastolic: 78, readingDate: at('2024-03-15') },
+      { memberId: 'a', systolic: 122, diastolic: 76, readingDate: at('2024-04-15') },
+      { memberId: 'untreated', systolic: 118, diastolic: 70, readingDate: at('2024-03-15') }
+    ];
+    const courses = [
+      { memberId: 'a', drugClass: 'ARB', startDate: at('2024-03-01'), stopDate: null }
+    ];
+
+    const [arb] = medicationClassControl(readings, courses);
+
+    expect(arb.drugClass).toBe('ARB');
+    expect(arb.members).toBe(1);
+    expect(arb.on).toEqual({ readings: 2, controlled: 2, controlRate: 100 });
+    expect(arb.off).toEqual({ readings: 1, controlled: 0, controlRate: 0 });
+  });
+
+  it('omits classes nobody has been prescribed', () => {
+    expect(medicationClassControl([], [])).toEqual([]);
+  });
+});
@@ -0,0 +1,137 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { outreachRouter } from '../src/routes/outreach';
+import { CONSENT_VERSIONS } from '../src/shared/consent';
+import path from 'path';
+
+describe('Member contact details and consent', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'coach-1', role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/outreach', outreachRouter);
+
+  let sqlite: Database.Database;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM member_consents');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+  });
+
+  beforeEach(() => {
+    clearTables();
+  });
+
+  const createMember = (employeeId: string, fields: object = {}) =>
+    request(app)
+      .post('/api/members')
+      .send({
+        employeeId,
+        firstName: 'Robin',
+        lastName: 'Ellis',
+        dateOfBirth: '1979-06-21T00:00:00.000Z',
+        gender: 'Male',
+        union: 'EMS',
+        ...fields
+      });
+
+  it('should validate and normalize contact fields', async () => {
+    await createMember('CT001', { email: 'robin@' }).expect(400);
+    await createMember('CT001', { phone: '555-1234' }).expect(400);
+    await createMember('CT001', { postalCode: '1234' }).expect(400);
+
+    const response = await createMember('CT001', {
+      phone: '(555) 010-4477',
+      email: ' Robin.Ellis@Example.TEST ',
+      addressLine1: '12 Station Road',
+      city: 'Springfield',
+      state: 'il',
+      postalCode: '62704',
+      preferredLanguage: 'Spanish'
+    });
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      phone: '+15550104477',
+      email: 'robin.ellis@example.test',
+      state: 'IL',
+      postalCode: '62704',
+      preferredLanguage: 'Spanish'
+    });
+
+    const cleared = await request(app).put(`/api/members/${response.body.id}`).send({ email: null });
+    expect(cleared.body.email).toBeNull();
+    expect(cleared.body.phone).toBe('+15550104477');
+  });
+
+  it('should record each consent change with its version and keep the history', async () => {
+    const { body: member } = await createMember('CT002', {
+      consents: { program_participation: true, data_sharing: false }
+    });
+    expect(member.consents.program_participation).toMatchObject({
+      granted: true,
+      version: CONSENT_VERSIONS.program_participation,
+      isCurrentVersion: true
+    });
+    expect(member.consents.data_sharing.granted).toBe(false);
+    expect(member.consents.messaging).toBeNull();
+
+    // Resubmitting unchanged decisions adds nothing to the history
+    await request(app)
+      .put(`/api/members/${member.id}`)
+      .send({ consents: { program_participation: true, data_sharing: false, messaging: true } })
+      .expect(200);
+
+    const { body } = await request(app).get(`/api/members/${member.id}/consents`).expect(200);
+    expect(body.history).toHaveLength(3);
+    expect(body.current.messaging.granted).toBe(true);
+    expect(body.history[0]).toMatchObject({ recordedBy: 'coach-1', version: CONSENT_VERSIONS.messaging });
+
+    await request(app).put(`/api/members/${member.id}`).send({ consents: { messaging: false } }).expect(200);
+    const fetched = await request(app).get(`/api/members/${member.id}`);
+    expect(fetched.body.consents.messaging.granted).toBe(false);
+
+    const updated = await request(app).get(`/api/members/${member.id}/consents`);
+    expect(updated.body.history).toHaveLength(4);
+    expect(updated.body.history[0]).toMatchObject({ consentType: 'messaging', granted: false });
+  });
+
+  it('should leave members who withdrew from the program out of the outreach queue', async () => {
+    const { body: enrolled } = await createMember('CT003', { consents: { program_participation: true } });
+    const { body: legacy } = await createMember('CT004');
+    const { body: withdrawn } = await createMember('CT005', { consents: { program_participation: true, messaging: true } });
+
+    await request(app)
+      .put(`/api/members/${withdrawn.id}`)
+      .send({ consents: { program_participation: false } })
+      .expect(200);
+
+    const { body: queue } = await request(app).get('/api/outreach/queue');
+    const queuedIds = queue.data.map((member: any) => member.id);
+    expect(queuedIds).toEqual(expect.arrayContaining([enrolled.id, legacy.id]));
+    expect(queuedIds).not.toContain(withdrawn.id);
+
+    // Rejoining puts them back
+    await request(app)
+      .put(`/api/members/${withdrawn.id}`)
+      .send({ consents: { program_participation: true } })
+      .expect(200);
+    const { body: rejoined } = await request(app).get('/api/outreach/queue');
+    const member = rejoined.data.find((entry: any) => entry.id === withdrawn.id);
+    expect(member.canMessage).toBe(true);
+  });
+});
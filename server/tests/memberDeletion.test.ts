@@ -0,0 +1,133 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import path from 'path';
+
+const app = express();
+app.use(express.json());
+app.use((req: any, res, next) => {
+  req.user = { userId: 'admin-id', role: 'admin' };
+  next();
+});
+app.use('/api/members', membersRouter);
+app.use('/api/blood-pressure-readings', bloodPressureRouter);
+
+describe('Member deletion rules', () => {
+  let sqlite: Database.Database;
+  let testMemberId: string;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM members');
+
+    const memberResponse = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'EMS010',
+        firstName: 'Maria',
+        lastName: 'Lopez',
+        dateOfBirth: '1982-02-11T00:00:00.000Z',
+        gender: 'Female',
+        union: 'EMS'
+      });
+
+    testMemberId = memberResponse.body.id;
+  });
+
+  const addReading = () => request(app)
+    .post('/api/blood-pressure-readings')
+    .send({
+      memberId: testMemberId,
+      systolic: 142,
+      diastolic: 91,
+      readingDate: new Date().toISOString()
+    });
+
+  it('should delete a member without dependent records', async () => {
+    await request(app)
+      .delete(`/api/members/${testMemberId}`)
+      .expect(204);
+  });
+
+  it('should return 409 with dependency counts when readings exist', async () => {
+    await addReading();
+    await addReading();
+
+    const response = await request(app)
+      .delete(`/api/members/${testMemberId}`)
+      .expect(409);
+
+    expect(response.body.dependents).toEqual({
+      bloodPressureReadings: 2,
+      encounters: 0,
+      medicalHistory: 0,
+      medications: 0,
+      total: 2
+    });
+
+    await request(app).get(`/api/members/${testMemberId}`).expect(200);
+  });
+
+  it('should report dependency counts', async () => {
+    await addReading();
+
+    const response = await request(app)
+      .get(`/api/members/${testMemberId}/dependents`)
+      .expect(200);
+
+    expect(response.body.bloodPressureReadings).toBe(1);
+    expect(response.body.total).toBe(1);
+  });
+
+  it('should archive a member and keep their readings', async () => {
+    await addReading();
+
+    const response = await request(app)
+      .delete(`/api/members/${testMemberId}?mode=archive`)
+      .expect(200);
+
+    expect(response.body.isActive).toBe(false);
+    expect(response.body.archivedAt).not.toBeNull();
+
+    const readings = await request(app)
+      .get(`/api/blood-pressure-readings/member/${testMemberId}`)
+      .expect(200);
+    expect(readings.body).toHaveLength(1);
+  });
+
+  it('should cascade-delete readings and restore them with the member', async () => {
+    await addReading();
+
+    await request(app)
+      .delete(`/api/members/${testMemberId}?mode=cascade`)
+      .expect(204);
+
+    const afterDelete = await request(app).get('/api/blood-pressure-readings').expect(200);
+    expect(afterDelete.body.data).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/members/${testMemberId}/restore`)
+      .expect(200);
+
+    const afterRestore = await request(app).get('/api/blood-pressure-readings').expect(200);
+    expect(afterRestore.body.data).toHaveLength(1);
+  });
+
+  it('should reject an unknown delete mode', async () => {
+    await request(app)
+      .delete(`/api/members/${testMemberId}?mode=shred`)
+      .expect(400);
+  });
+});
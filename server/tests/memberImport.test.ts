@@ -0,0 +1,270 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { deflateRawSync } from 'zlib';
+import { membersRouter } from '../src/routes/members';
+import { parseCsv, toCsv } from '../src/imports/csv';
+import { readXlsx, XLSX_MAX_UNCOMPRESSED_BYTES } from '../src/imports/xlsx';
+import { parseSpreadsheetDate } from '../src/imports/spreadsheet';
+import path from 'path';
+
+function crc32(data: Buffer) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build a deflated zip archive the way spreadsheet apps write .xlsx files
+function zip(files: Record<string, string>) {
+  const locals: Buffer[] = [];
+  const directory: Buffer[] = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+    const data = Buffer.from(text, 'utf8');
+    const compressed = deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc32(data), 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, compressed);
+    directory.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directoryBytes, end]);
+}
+
+const roster = [
+  'Badge Number,First Name,Surname,DOB,Sex,Email',
+  'FF100,Avery,Cole,1985-04-12,M,avery@example.test',
+  'FF101,Jordan,Price,07/30/1979,F,',
+  'FF102,Sam,Reyes,31/02/1990,Male,sam@',
+  'FF100,Avery,Cole,1985-04-12,M,',
+  'EX001,Existing,Member,1980-01-01,F,'
+].join('\n');
+
+describe('Spreadsheet parsing', () => {
+  it('should parse quoted CSV fields and detect the delimiter', () => {
+    expect(parseCsv('\uFEFFname,note\r\n"Cole, Avery","said ""hi"""\r\n')).toEqual([
+      ['name', 'note'],
+      ['Cole, Avery', 'said "hi"']
+    ]);
+    expect(parseCsv('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('should write CSV that spreadsheet apps will not run as formulas', () => {
+    expect(toCsv([['=SUM(A1)', '+15550102030', 'a,b']])).toBe('\'=SUM(A1),+15550102030,"a,b"\r\n');
+  });
+
+  it('should parse ISO, US and Excel serial dates and reject impossible ones', () => {
+    expect(parseSpreadsheetDate('1985-04-12')).toBe('1985-04-12T00:00:00.000Z');
+    expect(parseSpreadsheetDate('7/30/1979')).toBe('1979-07-30T00:00:00.000Z');
+    expect(parseSpreadsheetDate('31048')).toBe('1985-01-01T00:00:00.000Z');
+    expect(parseSpreadsheetDate('02/31/1990')).toBeNull();
+    expect(parseSpreadsheetDate('next Tuesday')).toBeNull();
+  });
+
+  it('should read the first worksheet of an xlsx workbook', () => {
+    const workbook = zip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Roster" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/roster.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>Employee ID</t></si><si><r><t>Last </t></r><r><t>Name</t></r></si><si><t>O&apos;Neil</t></si></sst>',
+      'xl/worksheets/roster.xml': [
+        '<worksheet><sheetData>',
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>',
+        '<row r="3"><c r="A3" t="inlineStr"><is><t>PD200</t></is></c><c r="B3"><v>31048</v></c><c r="C3" t="s"><v>2</v></c></row>',
+        '</sheetData></worksheet>'
+      ].join('')
+    });
+
+    expect(readXlsx(workbook)).toEqual([
+      ['Employee ID', '', 'Last Name'],
+      [],
+      ['PD200', '31048', 'O\'Neil']
+    ]);
+  });
+
+  it('should refuse cell and row references that would pad out a huge sheet', () => {
+    const sheet = (rows: string) => zip({ 'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${rows}</sheetData></worksheet>` });
+
+    expect(() => readXlsx(sheet('<row r="1"><c r="XFE1"><v>1</v></c></row>'))).toThrow('Cell XFE1 is outside the 16384 columns of a worksheet');
+    expect(() => readXlsx(sheet('<row r="1048577"><c r="A1048577"><v>1</v></c></row>'))).toThrow('Row 1048577 is beyond the 1048576 rows');
+    expect(() => readXlsx(sheet('<row r="300000"><c r="A300000"><v>1</v></c></row>'), { maxRows: 5001 })).toThrow('Row 300000 is beyond the 5001 rows');
+    expect(() => readXlsx(sheet('<row r="1"><c r="XFD1"><v>1</v></c></row>'.repeat(100)))).toThrow('Worksheet has more than 1000000 cells');
+  });
+});
+
+describe('Member roster import API', () => {
+  const app = express();
+  app.use(express.json({ limit: '8mb' }));
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'coach-1', role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+
+  let sqlite: Database.Database;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM audit_log');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    clearTables();
+    await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'EX001',
+        firstName: 'Existing',
+        lastName: 'Member',
+        dateOfBirth: '1980-01-01T00:00:00.000Z',
+        gender: 'Female',
+        union: 'Firefighters'
+      })
+      .expect(201);
+  });
+
+  const importRoster = (options: object, fileName = 'roster.csv', content: string | Buffer = roster) =>
+    request(app)
+      .post('/api/members/import')
+      .send({ fileName, content: Buffer.from(content).toString('base64'), ...options });
+
+  const memberCount = () => (sqlite.prepare('SELECT COUNT(*) AS count FROM members').get() as { count: number }).count;
+
+  it('should map columns and report per-row errors on a dry run', async () => {
+    const response = await importRoster({ defaultUnion: 'Firefighters' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.mapping).toMatchObject({
+      employeeId: 'Badge Number',
+      lastName: 'Surname',
+      dateOfBirth: 'DOB',
+      gender: 'Sex',
+      union: null
+    });
+    expect(response.body.missingFields).toEqual([]);
+    expect(response.body).toMatchObject({ totalRows: 5, validRows: 2, invalidRows: 3, imported: 0 });
+
+    const byRow = Object.fromEntries(response.body.rows.map((row: any) => [row.row, row]));
+    expect(byRow[2].status).toBe('valid');
+    expect(byRow[4].errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('Date of Birth'),
+      'Email: Invalid email address'
+    ]));
+    expect(byRow[5].errors).toEqual(['Employee ID duplicates row 2']);
+    expect(byRow[6].errors).toEqual(['Employee ID already exists']);
+
+    expect(response.body.errorReport.split('\r\n')[0]).toBe('Row,Badge Number,First Name,Surname,DOB,Sex,Email,Errors');
+    expect(response.body.errorReport).toContain('6,EX001,Existing,Member,1980-01-01,F,,Employee ID already exists');
+    expect(memberCount()).toBe(1);
+  });
+
+  it('should require a union column or a default union', async () => {
+    const response = await importRoster({});
+    expect(response.body.missingFields).toEqual(['Union']);
+    expect(response.body.validRows).toBe(0);
+  });
+
+  it('should refuse to commit a roster with errors unless invalid rows are skipped', async () => {
+    const refused = await importRoster({ defaultUnion: 'Firefighters', dryRun: false });
+    expect(refused.status).toBe(400);
+    expect(refused.body.invalidRows).toBe(3);
+    expect(memberCount()).toBe(1);
+
+    const imported = await importRoster({ defaultUnion: 'Firefighters', dryRun: false, skipInvalid: true });
+    expect(imported.status).toBe(201);
+    expect(imported.body.imported).toBe(2);
+    expect(memberCount()).toBe(3);
+
+    const { body: member } = await request(app).get('/api/members').query({ search: 'Price' });
+    expect(member.data[0]).toMatchObject({ employeeId: 'FF101', gender: 'Female', union: 'Firefighters' });
+
+    const audited = sqlite.prepare(`SELECT COUNT(*) AS count FROM audit_log WHERE action = 'create' AND entity_id IS NOT NULL`).get() as { count: number };
+    expect(audited.count).toBe(2);
+  });
+
+  it('should import an xlsx roster with a column mapping chosen by the user', async () => {
+    const workbook = zip({
+      'xl/worksheets/sheet1.xml': [
+        '<worksheet><sheetData>',
+        '<row r="1"><c r="A1" t="inlineStr"><is><t>Staff</t></is></c><c r="B1" t="inlineStr"><is><t>Given</t></is></c>',
+        '<c r="C1" t="inlineStr"><is><t>Family</t></is></c><c r="D1" t="inlineStr"><is><t>Born</t></is></c>',
+        '<c r="E1" t="inlineStr"><is><t>Gender</t></is></c><c r="F1" t="inlineStr"><is><t>Union</t></is></c></row>',
+        '<row r="2"><c r="A2" t="inlineStr"><is><t>PD300</t></is></c><c r="B2" t="inlineStr"><is><t>Riley</t></is></c>',
+        '<c r="C2" t="inlineStr"><is><t>Hart</t></is></c><c r="D2"><v>31048</v></c>',
+        '<c r="E2" t="inlineStr"><is><t>Other</t></is></c><c r="F2" t="inlineStr"><is><t>police</t></is></c></row>',
+        '</sheetData></worksheet>'
+      ].join('')
+    });
+
+    const mapping = { employeeId: 'Staff', firstName: 'Given', lastName: 'Family', dateOfBirth: 'Born' };
+    const response = await importRoster({ mapping, dryRun: false }, 'roster.xlsx', workbook);
+
+    expect(response.status).toBe(201);
+    expect(response.body.imported).toBe(1);
+    const row = sqlite.prepare('SELECT * FROM members WHERE employee_id = ?').get('PD300') as any;
+    expect(row).toMatchObject({ first_name: 'Riley', union: 'Police' });
+    expect(new Date(row.date_of_birth * 1000).toISOString()).toBe('1985-01-01T00:00:00.000Z');
+  });
+
+  it('should reject files it cannot read', async () => {
+    const response = await importRoster({}, 'roster.pdf');
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Upload a .csv or .xlsx file');
+
+    const corrupt = await importRoster({}, 'roster.xlsx', 'not a workbook');
+    expect(corrupt.status).toBe(400);
+    expect(corrupt.body.error).toContain('Could not read roster.xlsx');
+
+    const bomb = zip({ 'xl/worksheets/sheet1.xml': ' '.repeat(XLSX_MAX_UNCOMPRESSED_BYTES + 1) });
+    const tooLarge = await importRoster({}, 'roster.xlsx', bomb);
+    expect(tooLarge.status).toBe(400);
+    expect(tooLarge.body.error).toBe('Could not read roster.xlsx: Workbook is larger than 25 MB uncompressed');
+
+    const padded = zip({ 'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="300000"><c r="ZZZ300000"><v>1</v></c></row></sheetData></worksheet>' });
+    const tooManyRows = await importRoster({}, 'roster.xlsx', padded);
+    expect(tooManyRows.status).toBe(400);
+    expect(tooManyRows.body.error).toBe('Could not read roster.xlsx: Row 300000 is beyond the 5001 rows that can be read');
+  });
+});
@@ -0,0 +1,146 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { encountersRouter } from '../src/routes/encounters';
+import { medicalHistoryRouter } from '../src/routes/medicalHistory';
+import { rebuildMemberSearchIndex, toMatchExpression } from '../src/db/memberSearch';
+import path from 'path';
+
+const app = express();
+app.use(express.json());
+app.use((req: any, res, next) => {
+  req.user = { userId: 'coach-1', role: 'admin' };
+  next();
+});
+app.use('/api/members', membersRouter);
+app.use('/api/encounters', encountersRouter);
+app.use('/api/medical-history', medicalHistoryRouter);
+
+describe('Member search', () => {
+  let sqlite: Database.Database;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(() => {
+    sqlite.exec('DELETE FROM medical_history');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+    rebuildMemberSearchIndex();
+  });
+
+  const createMember = async (employeeId: string, firstName: string, lastName: string) => {
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId,
+        firstName,
+        lastName,
+        dateOfBirth: '1979-09-09T00:00:00.000Z',
+        gender: 'Male',
+        union: 'Firefighters'
+      });
+    return response.body.id as string;
+  };
+
+  const search = (q: string) => request(app).get('/api/members/search').query({ q });
+
+  describe('toMatchExpression', () => {
+    it('should prefix-match every term and strip quotes', () => {
+      expect(toMatchExpression('jo "smi')).toBe('"jo"* "smi"*');
+      expect(toMatchExpression('   ')).toBeNull();
+    });
+  });
+
+  describe('GET /api/members/search', () => {
+    it('should find members by partial name and employee ID', async () => {
+      const id = await createMember('FF3001', 'Joaquin', 'Ramirez');
+      await createMember('FF3002', 'Paul', 'Kent');
+
+      const byName = await search('joa ram').expect(200);
+      expect(byName.body.map((m: any) => m.id)).toEqual([id]);
+
+      const byEmployeeId = await search('FF3001').expect(200);
+      expect(byEmployeeId.body.map((m: any) => m.id)).toEqual([id]);
+    });
+
+    it('should match medical-history conditions and encounter topics', async () => {
+      const diabetic = await createMember('FF3003', 'Lena', 'Ortiz');
+      const coached = await createMember('FF3004', 'Mark', 'Hale');
+
+      await request(app).post('/api/medical-history').send({
+        memberId: diabetic,
+        condition: 'Type 2 diabetes',
+        reportedDate: new Date().toISOString()
+      }).expect(201);
+
+      await request(app).post('/api/encounters').send({
+        memberId: coached,
+        communicationType: 'Phone',
+        topic: 'Sodium reduction plan',
+        content: 'Went over label reading and meal prep',
+        callStatus: 'Completed',
+        callerName: 'Coach Lee',
+        encounterDate: new Date().toISOString()
+      }).expect(201);
+
+      expect((await search('diabetes')).body.map((m: any) => m.id)).toEqual([diabetic]);
+      expect((await search('sodium')).body.map((m: any) => m.id)).toEqual([coached]);
+    });
+
+    it('should rank name matches above encounter-topic matches', async () => {
+      const topicMatch = await createMember('FF3005', 'Ava', 'Stone');
+      const nameMatch = await createMember('FF3006', 'Walker', 'Price');
+
+      await request(app).post('/api/encounters').send({
+        memberId: topicMatch,
+        communicationType: 'Text',
+        topic: 'Walker program sign-up',
+        content: 'Sent the walking club schedule',
+        callStatus: 'Sent',
+        callerName: 'Coach Lee',
+        encounterDate: new Date().toISOString()
+      });
+
+      const response = await search('walker').expect(200);
+      expect(response.body.map((m: any) => m.id)).toEqual([nameMatch, topicMatch]);
+    });
+
+    it('should drop deleted members from the index and bring them back on restore', async () => {
+      const id = await createMember('FF3007', 'Nora', 'Quinn');
+
+      await request(app).delete(`/api/members/${id}`).expect(204);
+      expect((await search('nora')).body).toHaveLength(0);
+
+      await request(app).post(`/api/members/${id}/restore`).expect(200);
+      expect((await search('nora')).body).toHaveLength(1);
+    });
+
+    it('should require a query', async () => {
+      await request(app).get('/api/members/search').expect(400);
+    });
+  });
+
+  it('should use the search index for the member list search filter', async () => {
+    const id = await createMember('FF3008', 'Iris', 'Vega');
+    await createMember('FF3009', 'Owen', 'Ford');
+
+    await request(app).post('/api/medical-history').send({
+      memberId: id,
+      condition: 'Asthma',
+      reportedDate: new Date().toISOString()
+    });
+
+    const response = await request(app).get('/api/members?search=asth').expect(200);
+    expect(response.body.total).toBe(1);
+    expect(response.body.data[0].id).toBe(id);
+  });
+});
@@ -98,7 +98,7 @@ describe('Members API', () => {
         .get('/api/members')
         .expect(200);
 
-      expect(response.body).toEqual([]);
+      expect(response.body.data).toEqual([]);
     });
 
     it('should return all members', async () => {
@@ -132,9 +132,9 @@ describe('Members API', () => {
         .get('/api/members')
         .expect(200);
 
-      expect(response.body).toHaveLength(2);
-      expect(response.body[0].employeeId).toBe('FF001');
-      expect(response.body[1].employeeId).toBe('PD001');
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0].employeeId).toBe('FF001');
+      expect(response.body.data[1].employeeId).toBe('PD001');
     });
   });
 
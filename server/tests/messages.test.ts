@@ -0,0 +1,225 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { encountersRouter } from '../src/routes/encounters';
+import { followUpsRouter } from '../src/routes/followUps';
+import { messagesRouter } from '../src/routes/messages';
+import { setMessageTransport, type OutboundMessage } from '../src/messaging/transports';
+import { LIFESTYLE_TIPS } from '../src/messaging/templates';
+import { normalizePhone } from '../src/shared/contact';
+import path from 'path';
+
+const COACH_ID = '6c1e9a7d-2b3f-4c5d-8e9f-0a1b2c3d0001';
+
+describe('normalizePhone', () => {
+  it('should normalize US numbers to E.164 and reject the rest', () => {
+    expect(normalizePhone('(555) 123-4567')).toBe('+15551234567');
+    expect(normalizePhone('1 555 123 4567')).toBe('+15551234567');
+    expect(normalizePhone('+44 20 7946 0958')).toBe('+442079460958');
+    expect(normalizePhone('555-1234')).toBeNull();
+    expect(normalizePhone('call me')).toBeNull();
+  });
+});
+
+describe('Messages API', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req: any, res, next) => {
+    req.user = { userId: COACH_ID, role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/encounters', encountersRouter);
+  app.use('/api/follow-ups', followUpsRouter);
+  app.use('/api/messages', messagesRouter);
+
+  let sqlite: Database.Database;
+  let memberId: string;
+  let sent: OutboundMessage[];
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM messages');
+    sqlite.exec('DELETE FROM member_contact_preferences');
+    sqlite.exec('DELETE FROM member_consents');
+    sqlite.exec('DELETE FROM follow_ups');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM members');
+    sqlite.prepare('DELETE FROM users WHERE id = ?').run(COACH_ID);
+  };
+
+  const setPreferences = (preferences: object) =>
+    request(app).put(`/api/messages/member/${memberId}/preferences`).send(preferences);
+
+  const updateMember = (fields: object) =>
+    request(app).put(`/api/members/${memberId}`).send(fields);
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+    setMessageTransport(null);
+  });
+
+  beforeEach(async () => {
+    clearTables();
+    const now = Math.floor(Date.now() / 1000);
+    sqlite.prepare(`
+      INSERT INTO users (id, username, email, password_hash, role, first_name, last_name, is_active, created_at, updated_at)
+      VALUES (?, 'jamie', 'jamie@example.test', 'x', 'user', 'Jamie', 'Coach', 1, ?, ?)
+    `).run(COACH_ID, now, now);
+
+    sent = [];
+    setMessageTransport({ name: 'test', send: async (message) => { sent.push(message); } });
+
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'MS001',
+        firstName: 'Taylor',
+        lastName: 'Brooks',
+        dateOfBirth: '1984-02-11T00:00:00.000Z',
+        gender: 'Female',
+        union: 'Firefighters',
+        consents: { program_participation: true, messaging: true }
+      });
+    memberId = response.body.id;
+  });
+
+  it('should save the preferred channel and keep the original opt-out time', async () => {
+    await setPreferences({ preferredChannel: 'fax' }).expect(400);
+
+    const saved = await setPreferences({ preferredChannel: 'email', smsOptOut: true });
+    expect(saved.status).toBe(200);
+    expect(saved.body).toMatchObject({ preferredChannel: 'email' });
+    expect(saved.body.smsOptedOutAt).toBeTruthy();
+
+    const stillOptedOut = await setPreferences({ smsOptOut: true, preferredChannel: 'sms' });
+    expect(stillOptedOut.body.smsOptedOutAt).toBe(saved.body.smsOptedOutAt);
+    expect(stillOptedOut.body.preferredChannel).toBe('sms');
+  });
+
+  it('should send through the transport and log the message as an encounter', async () => {
+    await updateMember({ phone: '555-010-2030' }).expect(200);
+
+    const response = await request(app)
+      .post('/api/messages')
+      .send({ memberId, templateId: 'reading-reminder' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ channel: 'sms', recipient: '+15550102030', status: 'sent', transport: 'test' });
+    expect(sent).toHaveLength(1);
+    expect(sent[0].text).toContain('Hi Taylor');
+    expect(sent[0].text).toContain('Reply STOP to opt out.');
+
+    const encounters = await request(app).get(`/api/encounters/member/${memberId}`);
+    expect(encounters.body).toHaveLength(1);
+    expect(encounters.body[0]).toMatchObject({
+      id: response.body.encounterId,
+      communicationType: 'Text',
+      topic: 'Reading reminder',
+      callStatus: 'Sent',
+      callerName: 'Jamie Coach',
+      recordedBy: COACH_ID,
+      isCompleted: true
+    });
+  });
+
+  it('should refuse to message members who opted out or have no contact details', async () => {
+    await request(app).post('/api/messages').send({ memberId, templateId: 'reading-reminder' }).expect(400);
+
+    await updateMember({ phone: '5550102030', email: 'taylor@example.test' }).expect(200);
+    await setPreferences({ smsOptOut: true }).expect(200);
+    const optedOut = await request(app).post('/api/messages').send({ memberId, templateId: 'reading-reminder' });
+    expect(optedOut.status).toBe(409);
+    expect(optedOut.body.error).toBe('Member has opted out of text messages');
+
+    await request(app)
+      .post('/api/messages')
+      .send({ memberId, templateId: 'reading-reminder', channel: 'email' })
+      .expect(201);
+    expect(sent[0]).toMatchObject({ channel: 'email', to: 'taylor@example.test' });
+    expect(sent[0].subject).toBeTruthy();
+  });
+
+  it('should only message members who consented to messaging and are still in the program', async () => {
+    await updateMember({ phone: '5550102030' }).expect(200);
+
+    await updateMember({ consents: { messaging: false } }).expect(200);
+    const noConsent = await request(app).post('/api/messages').send({ memberId, templateId: 'reading-reminder' });
+    expect(noConsent.status).toBe(409);
+    expect(noConsent.body.error).toBe('Member has not consented to messaging');
+
+    await updateMember({ consents: { messaging: true, program_participation: false } }).expect(200);
+    const withdrawn = await request(app).post('/api/messages/preview').send({ memberId, templateId: 'reading-reminder' });
+    expect(withdrawn.status).toBe(409);
+    expect(withdrawn.body.error).toBe('Member has withdrawn from the program');
+    expect(sent).toHaveLength(0);
+  });
+
+  it('should confirm a scheduled follow-up and rotate lifestyle tips', async () => {
+    await updateMember({ phone: '5550102030' }).expect(200);
+
+    await request(app).post('/api/messages').send({ memberId, templateId: 'follow-up-confirmation' }).expect(400);
+
+    const { body: followUp } = await request(app)
+      .post('/api/follow-ups')
+      .send({ memberId, dueDate: '2099-03-04T12:00:00.000Z', reason: 'Medication review' });
+
+    const preview = await request(app)
+      .post('/api/messages/preview')
+      .send({ memberId, templateId: 'follow-up-confirmation', followUpId: followUp.id });
+    expect(preview.status).toBe(200);
+    expect(preview.body.body).toContain('Wednesday, March 4');
+    expect(preview.body.footer).toBe('Reply STOP to opt out.');
+    expect(sent).toHaveLength(0);
+
+    await request(app).post('/api/messages').send({ memberId, templateId: 'lifestyle-tip' }).expect(201);
+    await request(app).post('/api/messages').send({ memberId, templateId: 'lifestyle-tip' }).expect(201);
+    expect(sent[0].text).toContain(LIFESTYLE_TIPS[0]);
+    expect(sent[1].text).toContain(LIFESTYLE_TIPS[1]);
+  });
+
+  it('should send edited text but keep texts within the length limit', async () => {
+    await updateMember({ phone: '5550102030' }).expect(200);
+
+    await request(app)
+      .post('/api/messages')
+      .send({ memberId, templateId: 'reading-reminder', body: 'x'.repeat(500) })
+      .expect(400);
+
+    await request(app)
+      .post('/api/messages')
+      .send({ memberId, templateId: 'reading-reminder', body: 'Hi Taylor, please send your readings from this week.' })
+      .expect(201);
+    expect(sent[0].text).toBe('Hi Taylor, please send your readings from this week.\n\nReply STOP to opt out.');
+  });
+
+  it('should reject template ids that are not templates of their own', async () => {
+    await updateMember({ phone: '5550102030' }).expect(200);
+
+    for (const templateId of ['no-such-template', 'toString', '__proto__']) {
+      const response = await request(app).post('/api/messages/preview').send({ memberId, templateId }).expect(400);
+      expect(response.body.error).toBe('Validation failed');
+    }
+  });
+
+  it('should record a failed send without logging an encounter', async () => {
+    await updateMember({ phone: '5550102030' }).expect(200);
+    setMessageTransport({ name: 'test', send: async () => { throw new Error('Gateway timeout'); } });
+
+    const response = await request(app).post('/api/messages').send({ memberId, templateId: 'reading-reminder' });
+    expect(response.status).toBe(503);
+    expect(response.body.message).toMatchObject({ status: 'failed', error: 'Gateway timeout', encounterId: null });
+
+    const encounters = await request(app).get(`/api/encounters/member/${memberId}`);
+    expect(encounters.body).toHaveLength(0);
+
+    const failed = await request(app).get('/api/messages').query({ memberId, status: 'failed' });
+    expect(failed.body.total).toBe(1);
+  });
+});
@@ -0,0 +1,154 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { encountersRouter } from '../src/routes/encounters';
+import { outreachRouter } from '../src/routes/outreach';
+import { scoreOutreach, readingTrend } from '../src/db/outreachPriority';
+import { setAlertChannels } from '../src/alerts/channels';
+import path from 'path';
+
+const daysAgo = (days: number) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('outreach scoring', () => {
+  const reading = (systolic: number, days: number, htnStatus: any = 'Stage 1') =>
+    ({ systolic, diastolic: 85, htnStatus, readingDate: daysAgo(days) });
+
+  it('should need three readings before reporting a trend', () => {
+    expect(readingTrend([reading(130, 10), reading(150, 1)])).toBeNull();
+    expect(readingTrend([reading(130, 20), reading(132, 10), reading(145, 1)])).toBe('rising');
+    expect(readingTrend([reading(150, 20), reading(148, 10), reading(136, 1)])).toBe('falling');
+    expect(readingTrend([reading(140, 20), reading(138, 10), reading(141, 1)])).toBe('stable');
+  });
+
+  it('should explain every point in the score', () => {
+    const result = scoreOutreach({
+      readings: [reading(134, 120, 'Stage 1'), reading(136, 100, 'Stage 1'), reading(150, 95, 'Stage 2')],
+      lastEncounterDate: null,
+      openAlerts: 0
+    });
+
+    expect(result.priority).toBe('High');
+    expect(result.trend).toBe('rising');
+    expect(result.reasons.map(reason => reason.factor)).toEqual(['stage', 'reading_gap', 'contact_gap', 'trend']);
+    expect(result.score).toBe(60 + 20 + 20 + 15);
+  });
+
+  it('should lower the score of members contacted this week', () => {
+    const result = scoreOutreach({ readings: [reading(135, 5)], lastEncounterDate: daysAgo(2), openAlerts: 0 });
+
+    expect(result.reasons).toContainEqual({ factor: 'contact_gap', points: -15, detail: 'Contacted 2 days ago' });
+    expect(result.score).toBe(25);
+  });
+});
+
+describe('Outreach queue API', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'coach-1', role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+  app.use('/api/encounters', encountersRouter);
+  app.use('/api/outreach', outreachRouter);
+
+  let sqlite: Database.Database;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM alert_deliveries');
+    sqlite.exec('DELETE FROM alerts');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+    setAlertChannels([]);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+    setAlertChannels(null);
+  });
+
+  beforeEach(() => {
+    clearTables();
+  });
+
+  const createMember = async (employeeId: string, firstName: string) => {
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId,
+        firstName,
+        lastName: 'Queue',
+        dateOfBirth: '1980-01-01T00:00:00.000Z',
+        gender: 'Male',
+        union: 'Firefighters'
+      });
+    return response.body.id as string;
+  };
+
+  const createReading = (memberId: string, systolic: number, diastolic: number) =>
+    request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId, systolic, diastolic, readingDate: daysAgo(3).toISOString() });
+
+  it('should put crisis members at the top and explain each rank', async () => {
+    const normal = await createMember('Q001', 'Norm');
+    const stage2 = await createMember('Q002', 'Tess');
+    const crisis = await createMember('Q003', 'Cris');
+    const unknown = await createMember('Q004', 'Una');
+
+    await createReading(normal, 115, 75);
+    await createReading(stage2, 150, 95);
+    await createReading(crisis, 185, 110);
+
+    // Contacting the crisis member today must not drop them below Stage 2
+    await request(app)
+      .post('/api/encounters')
+      .send({
+        memberId: crisis,
+        communicationType: 'Phone',
+        topic: 'Crisis follow-up',
+        content: 'Advised urgent care visit',
+        callStatus: 'Completed',
+        callerName: 'Coach One',
+        encounterDate: new Date().toISOString()
+      })
+      .expect(201);
+
+    const response = await request(app).get('/api/outreach/queue');
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(4);
+    expect(response.body.data.map((entry: any) => entry.id)).toEqual([crisis, stage2, unknown, normal]);
+
+    const [top] = response.body.data;
+    expect(top).toMatchObject({ rank: 1, priority: 'Critical', firstName: 'Cris' });
+    expect(top.reasons).toContainEqual(expect.objectContaining({ factor: 'alert', points: 25 }));
+    expect(top.reasons).toContainEqual(expect.objectContaining({ factor: 'contact_gap', detail: 'Contacted today' }));
+    expect(response.body.data[2].reasons[0].detail).toBe('No blood pressure reading on file');
+  });
+
+  it('should filter by priority and paginate', async () => {
+    const stage2 = await createMember('Q010', 'Pat');
+    await createMember('Q011', 'Lou');
+    await createReading(stage2, 150, 95);
+
+    const high = await request(app).get('/api/outreach/queue').query({ priority: 'High' });
+    expect(high.body.total).toBe(1);
+    expect(high.body.data[0].id).toBe(stage2);
+
+    const page = await request(app).get('/api/outreach/queue').query({ limit: 1, offset: 1 });
+    expect(page.body.total).toBe(2);
+    expect(page.body.data).toHaveLength(1);
+    expect(page.body.data[0].rank).toBe(2);
+  });
+});
@@ -0,0 +1,156 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import Database from 'better-sqlite3';
+import authRouter, { authenticateToken } from '../src/routes/auth';
+import { authorize, can, actionForMethod } from '../src/middleware/permissions';
+import path from 'path';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const app = express();
+app.use(express.json());
+
+const stubRouter = express.Router();
+stubRouter.get('/', (req, res) => res.json({ ok: true }));
+stubRouter.post('/', (req, res) => res.status(201).json({ ok: true }));
+stubRouter.delete('/:id', (req, res) => res.status(204).send());
+
+app.use('/api/members', authenticateToken, authorize('members'), stubRouter);
+app.use('/api/analytics', authenticateToken, authorize('analytics'), stubRouter);
+app.use('/api/auth', authRouter);
+
+const tokenFor = (role: string) =>
+  jwt.sign({ userId: `${role}-id`, email: `${role}@example.com`, role }, JWT_SECRET, { expiresIn: '1h' });
+
+describe('Permissions', () => {
+  describe('actionForMethod', () => {
+    it('should map HTTP verbs to actions', () => {
+      expect(actionForMethod('GET')).toBe('read');
+      expect(actionForMethod('POST')).toBe('write');
+      expect(actionForMethod('PUT')).toBe('write');
+      expect(actionForMethod('DELETE')).toBe('delete');
+    });
+  });
+
+  describe('can', () => {
+    it('should allow analysts to read but not write', () => {
+      expect(can('analyst', 'members', 'read')).toBe(true);
+      expect(can('analyst', 'members', 'write')).toBe(false);
+      expect(can('analyst', 'encounters', 'delete')).toBe(false);
+    });
+
+    it('should restrict deletes to admins', () => {
+      expect(can('user', 'bloodPressure', 'delete')).toBe(false);
+      expect(can('admin', 'bloodPressure', 'delete')).toBe(true);
+      expect(can('super_admin', 'bloodPressure', 'delete')).toBe(true);
+    });
+
+    it('should deny unknown roles', () => {
+      expect(can(undefined, 'members', 'read')).toBe(false);
+      expect(can('guest', 'members', 'read')).toBe(false);
+    });
+  });
+
+  describe('authorize middleware', () => {
+    it('should return 401 without a token', async () => {
+      await request(app)
+        .get('/api/members')
+        .expect(401);
+    });
+
+    it('should return 403 for an invalid token', async () => {
+      await request(app)
+        .get('/api/members')
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(403);
+    });
+
+    it('should let a regular user create but not delete', async () => {
+      const token = tokenFor('user');
+
+      await request(app)
+        .post('/api/members')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(201);
+
+      await request(app)
+        .delete('/api/members/some-id')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('should let an analyst read analytics but not write members', async () => {
+      const token = tokenFor('analyst');
+
+      await request(app)
+        .get('/api/analytics')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/members')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(403);
+    });
+  });
+
+  describe('registration', () => {
+    let sqlite: Database.Database;
+
+    const registration = (username: string, role?: string) =>
+      ({ username, email: `${username}@example.com`, password: 'password123', firstName: 'Jamie', lastName: 'Ortiz', role });
+
+    beforeAll(() => {
+      sqlite = new Database(path.join(__dirname, '../test.db'));
+    });
+
+    afterAll(() => {
+      sqlite.exec('DELETE FROM users');
+      sqlite.close();
+    });
+
+    it('should refuse anonymous and non-admin registration', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send(registration('anonymous'))
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/register')
+        .set('Authorization', `Bearer ${tokenFor('user')}`)
+        .send(registration('byuser'))
+        .expect(403);
+    });
+
+    it('should let an admin register users and only a super admin grant other roles', async () => {
+      const user = await request(app)
+        .post('/api/auth/register')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .send(registration('newuser'))
+        .expect(201);
+
+      expect(user.body.user.role).toBe('user');
+
+      await request(app)
+        .post('/api/auth/register')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .send(registration('grantedbyadmin', 'admin'))
+        .expect(403);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .set('Authorization', `Bearer ${tokenFor('super_admin')}`)
+        .send(registration('newanalyst', 'analyst'))
+        .expect(201);
+
+      expect(response.body.user.role).toBe('analyst');
+      expect(sqlite.prepare('SELECT username FROM users ORDER BY username').all()).toEqual([
+        { username: 'newanalyst' },
+        { username: 'newuser' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import Database from 'better-sqlite3';
+import { inflateSync } from 'zlib';
+import { adminAnalyticsRouter } from '../src/routes/adminAnalytics';
+import { buildProgramMetrics, monthPeriod, previousMonth, ALL_MEMBERS } from '../src/reports/programMetrics';
+import { renderProgramReport, periodLabel } from '../src/reports/programReportPdf';
+import { archiveMonthlyReport } from '../src/jobs/monthlyReport';
+import path from 'path';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const token = (role: string) => jwt.sign({ userId: 'admin-1', role }, JWT_SECRET, { expiresIn: '1h' });
+
+const seconds = (iso: string) => Math.floor(new Date(iso).getTime() / 1000);
+
+// Collect a download as raw bytes
+const binary = (res: any, callback: (error: Error | null, body: Buffer) => void) => {
+  const chunks: Buffer[] = [];
+  res.on('data', (chunk: Buffer) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+// The text drawn on every page, read out of the deflated content streams
+const pdfText = (pdf: Buffer) => {
+  const source = pdf.toString('latin1');
+  const streams = [...source.matchAll(/>>\nstream\n/g)].map(match => {
+    const start = match.index! + match[0].length;
+    return inflateSync(Buffer.from(source.slice(start, source.indexOf('\nendstream', start)), 'latin1')).toString('latin1');
+  });
+  return streams.flatMap(stream => [...stream.matchAll(/\((.*?)\) Tj/g)].map(match => match[1])).join('\n');
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('Program reports', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminAnalyticsRouter);
+
+  let sqlite: Database.Database;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM audit_log');
+    sqlite.exec('DELETE FROM program_reports');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  const addMember = (id: string, union: string, createdAt: string) => sqlite.prepare(`
+    INSERT INTO members (id, employee_id, first_name, last_name, date_of_birth, gender, "union", created_at, updated_at)
+    VALUES (?, ?, 'Jamie', 'Ortiz', ?, 'Male', ?, ?, ?)
+  `).run(id, id.toUpperCase(), seconds('1984-06-15'), union, seconds(createdAt), seconds(createdAt));
+
+  const addReading = (memberId: string, systolic: number, diastolic: number, htnStatus: string, readingDate: string) => sqlite.prepare(`
+    INSERT INTO blood_pressure_readings (id, member_id, systolic, diastolic, htn_status, reading_date, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(`${memberId}-${readingDate}`, memberId, systolic, diastolic, htnStatus, seconds(readingDate), seconds(readingDate));
+
+  beforeAll(() => {
+    sqlite = new Database(path.join(__dirname, '../test.db'));
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+  });
+
+  beforeEach(() => {
+    clearTables();
+    // A firefighter who improves from Stage 2 to controlled during May 2024, a police officer who
+    // joins in May, an EMS member with no readings, and a firefighter who joins after the month
+    addMember('ff1', 'Firefighters', '2024-01-10T09:00:00.000Z');
+    addMember('pd1', 'Police', '2024-05-03T09:00:00.000Z');
+    addMember('ems1', 'EMS', '2024-02-01T09:00:00.000Z');
+    addMember('ff2', 'Firefighters', '2024-06-02T09:00:00.000Z');
+    addReading('ff1', 150, 95, 'Stage 2', '2024-04-20T08:00:00.000Z');
+    addReading('ff1', 125, 78, 'Elevated', '2024-05-15T08:00:00.000Z');
+    addReading('pd1', 135, 85, 'Stage 1', '2024-05-04T08:00:00.000Z');
+  });
+
+  it('should work out a month in UTC and the month before a date', () => {
+    expect(monthPeriod('2024-05')).toEqual({ start: new Date('2024-05-01T00:00:00.000Z'), end: new Date('2024-06-01T00:00:00.000Z') });
+    expect(previousMonth(new Date('2024-01-15T12:00:00.000Z'))).toBe('2023-12');
+    expect(() => monthPeriod('2024-13')).toThrow('Invalid month');
+    expect(periodLabel(monthPeriod('2024-05'))).toBe('May 2024');
+  });
+
+  it('should measure enrollment, participation, stage shifts and control for a period', async () => {
+    const metrics = await buildProgramMetrics(monthPeriod('2024-05'));
+
+    expect(metrics.enrollment).toEqual([
+      { union: 'Firefighters', newMembers: 0, enrolled: 1 },
+      { union: 'Police', newMembers: 1, enrolled: 1 },
+      { union: 'EMS', newMembers: 0, enrolled: 1 },
+      { union: ALL_MEMBERS, newMembers: 1, enrolled: 3 }
+    ]);
+    expect(metrics.participation.at(-1)!.participating).toEqual({ count: 2, of: 3, rate: 66.7 });
+    expect(metrics.htnStages.filter(stage => stage.atStart || stage.atEnd)).toEqual([
+      { status: 'Elevated', atStart: 0, atEnd: 1 },
+      { status: 'Stage 1', atStart: 0, atEnd: 1 },
+      { status: 'Stage 2', atStart: 1, atEnd: 0 }
+    ]);
+    expect(metrics.stageShifts).toEqual({ compared: 1, improved: 1, unchanged: 0, worsened: 0 });
+    expect(metrics.control.at(-1)).toMatchObject({
+      atStart: { count: 0, of: 1, rate: 0 },
+      atEnd: { count: 1, of: 2, rate: 50 }
+    });
+    expect(metrics.engagement.readings).toBe(2);
+  });
+
+  it('should render the report as a PDF', async () => {
+    const pdf = renderProgramReport(await buildProgramMetrics(monthPeriod('2024-05')));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1').trimEnd().endsWith('%%EOF')).toBe(true);
+    const text = pdfText(pdf);
+    expect(text).toContain('May 2024');
+    expect(text).toContain('Firefighters');
+    expect(text).toMatch(/Page 1 of \d/);
+  });
+
+  it('should archive last month\'s report once', async () => {
+    const report = await archiveMonthlyReport(new Date('2024-06-10T12:00:00.000Z'));
+    expect(report).toMatchObject({ month: '2024-05', fileName: 'program-report-2024-05.pdf' });
+    expect(await archiveMonthlyReport(new Date('2024-06-20T12:00:00.000Z'))).toBeNull();
+    expect(sqlite.prepare('SELECT COUNT(*) AS count FROM program_reports').get()).toEqual({ count: 1 });
+  });
+
+  it('should list and download archived reports and generate one for any period', async () => {
+    const report = await archiveMonthlyReport(new Date('2024-06-10T12:00:00.000Z'));
+
+    const list = await request(app).get('/api/admin/reports').set('Authorization', `Bearer ${token('super_admin')}`).expect(200);
+    expect(list.body.reports).toHaveLength(1);
+    expect(list.body.reports[0]).toMatchObject({ id: report!.id, month: '2024-05', size: report!.content.length });
+    expect(list.body.reports[0].content).toBeUndefined();
+
+    const archived = await request(app)
+      .get(`/api/admin/reports/${report!.id}`)
+      .set('Authorization', `Bearer ${token('super_admin')}`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    expect(archived.headers['content-type']).toBe('application/pdf');
+    expect(archived.headers['content-disposition']).toBe('attachment; filename="program-report-2024-05.pdf"');
+    expect(Buffer.compare(archived.body, report!.content)).toBe(0);
+
+    const generated = await request(app)
+      .get('/api/admin/reports/program')
+      .query({ startDate: '2024-04-15', endDate: '2024-05-31' })
+      .set('Authorization', `Bearer ${token('super_admin')}`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    expect(generated.headers['content-disposition']).toBe('attachment; filename="program-report-2024-04-15-to-2024-05-31.pdf"');
+    expect(pdfText(generated.body)).toContain('Apr 15, 2024 \x96 May 31, 2024');
+
+    await flush();
+    const audit = sqlite.prepare('SELECT action, entity_type FROM audit_log').all();
+    expect(audit).toEqual([
+      { action: 'export', entity_type: 'programReport' },
+      { action: 'export', entity_type: 'programReport' }
+    ]);
+  });
+
+  it('should reject bad periods, unknown reports and other roles', async () => {
+    const superAdmin = `Bearer ${token('super_admin')}`;
+    await request(app).get('/api/admin/reports/program').query({ startDate: '2024-05-31', endDate: '2024-05-01' }).set('Authorization', superAdmin).expect(400);
+    await request(app).get('/api/admin/reports/program').query({ startDate: '2024-05-01' }).set('Authorization', superAdmin).expect(400);
+    await request(app).get('/api/admin/reports/missing').set('Authorization', superAdmin).expect(404);
+    await request(app).get('/api/admin/reports').set('Authorization', `Bearer ${token('admin')}`).expect(403);
+  });
+});
@@ -0,0 +1,160 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { setAlertChannels } from '../src/alerts/channels';
+import { parseSpreadsheetDateTime } from '../src/imports/spreadsheet';
+import path from 'path';
+
+const day = (daysAgo: number) => new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+
+describe('parseSpreadsheetDateTime', () => {
+  it('should combine date and time cells in the uploader\'s time zone', () => {
+    expect(parseSpreadsheetDateTime('2024-03-05', '7:32 PM', 300)).toBe('2024-03-06T00:32:00.000Z');
+    expect(parseSpreadsheetDateTime('3/5/2024 07:32', undefined, -60)).toBe('2024-03-05T06:32:00.000Z');
+    expect(parseSpreadsheetDateTime('45356.3125')).toBe('2024-03-05T07:30:00.000Z');
+    expect(parseSpreadsheetDateTime('2024-03-05T07:32:00+02:00', undefined, 300)).toBe('2024-03-05T05:32:00.000Z');
+    expect(parseSpreadsheetDateTime('2024-03-05', '25:10')).toBeNull();
+  });
+});
+
+describe('Historical blood pressure import API', () => {
+  const app = express();
+  app.use(express.json({ limit: '8mb' }));
+  app.use((req: any, res, next) => {
+    req.user = { userId: 'coach-1', role: 'user' };
+    next();
+  });
+  app.use('/api/members', membersRouter);
+  app.use('/api/blood-pressure-readings', bloodPressureRouter);
+
+  let sqlite: Database.Database;
+  let memberId: string;
+
+  const clearTables = () => {
+    sqlite.exec('DELETE FROM audit_log');
+    sqlite.exec('DELETE FROM alert_deliveries');
+    sqlite.exec('DELETE FROM alerts');
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM members');
+  };
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+    setAlertChannels([]);
+  });
+
+  afterAll(() => {
+    clearTables();
+    sqlite.close();
+    setAlertChannels(null);
+  });
+
+  beforeEach(async () => {
+    clearTables();
+    const response = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'BP900',
+        firstName: 'Casey',
+        lastName: 'Monroe',
+        dateOfBirth: '1976-09-03T00:00:00.000Z',
+        gender: 'Female',
+        union: 'Police'
+      });
+    memberId = response.body.id;
+  });
+
+  // An Omron Connect style export: separate date and time columns, units in the headers
+  const deviceExport = () => [
+    'Date,Time,Systolic (mmHg),Diastolic (mmHg),Pulse (bpm),Notes',
+    `${day(120)},07:15,124,78,70,`,
+    `${day(90)},07:20,146,94,74,after coffee`,
+    `${day(90)},07:20,146,94,74,`,
+    `${day(60)},21:05,185,122,88,`,
+    `${day(10)},08:00,132,84,72,`,
+    `${day(5)},08:00,80,95,60,`
+  ].join('\n');
+
+  const importReadings = (options: object, content = deviceExport()) =>
+    request(app)
+      .post('/api/blood-pressure-readings/import')
+      .send({
+        memberId,
+        fileName: 'omron-export.csv',
+        content: Buffer.from(content).toString('base64'),
+        source: 'Omron Connect',
+        ...options
+      });
+
+  it('should classify rows and flag duplicates and errors on a dry run', async () => {
+    // Already recorded by a coach, so the matching export row is skipped
+    await request(app)
+      .post('/api/blood-pressure-readings')
+      .send({ memberId, systolic: 132, diastolic: 84, heartRate: 72, readingDate: `${day(10)}T08:00:30.000Z` })
+      .expect(201);
+
+    const response = await importReadings({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.mapping).toMatchObject({
+      readingDate: 'Date',
+      readingTime: 'Time',
+      systolic: 'Systolic (mmHg)',
+      diastolic: 'Diastolic (mmHg)',
+      heartRate: 'Pulse (bpm)'
+    });
+    expect(response.body).toMatchObject({ totalRows: 6, validRows: 3, duplicateRows: 2, invalidRows: 1 });
+
+    const byRow = Object.fromEntries(response.body.rows.map((row: any) => [row.row, row]));
+    expect(byRow[2]).toMatchObject({ status: 'valid', htnStatus: 'Elevated', readingDate: `${day(120)}T07:15:00.000Z` });
+    expect(byRow[3].htnStatus).toBe('Stage 2');
+    expect(byRow[4]).toMatchObject({ status: 'duplicate', duplicateOf: 3 });
+    expect(byRow[5].htnStatus).toBe('Crisis');
+    expect(byRow[6]).toMatchObject({ status: 'duplicate', duplicateOf: 'existing' });
+    expect(byRow[7].errors).toEqual(['Systolic pressure must be greater than diastolic pressure']);
+    expect(response.body.errorReport).toContain('Systolic pressure must be greater than diastolic pressure');
+  });
+
+  it('should import history with its original dates and source, without raising alerts', async () => {
+    const refused = await importReadings({ dryRun: false });
+    expect(refused.status).toBe(400);
+
+    const response = await importReadings({ dryRun: false, skipInvalid: true, timezoneOffset: 300 });
+    expect(response.status).toBe(201);
+    expect(response.body.imported).toBe(4);
+
+    const { body: readings } = await request(app).get(`/api/blood-pressure-readings/member/${memberId}`);
+    expect(readings).toHaveLength(4);
+    const oldest = readings[readings.length - 1];
+    expect(oldest).toMatchObject({ systolic: 124, source: 'Omron Connect', importedBy: 'coach-1' });
+    expect(oldest.readingDate).toBe(`${day(120)}T12:15:00.000Z`);
+    expect(oldest.importedAt).toBeTruthy();
+
+    const alerts = sqlite.prepare('SELECT COUNT(*) AS count FROM alerts').get() as { count: number };
+    expect(alerts.count).toBe(0);
+
+    // Importing the same export again finds nothing new
+    const again = await importReadings({ dryRun: false, skipInvalid: true, timezoneOffset: 300 });
+    expect(again.status).toBe(400);
+    expect(again.body).toMatchObject({ validRows: 0, duplicateRows: 5 });
+  });
+
+  it('should reject readings dated in the future, decimal values and unknown members', async () => {
+    const future = `Date,Systolic,Diastolic\n${new Date(Date.now() + 3 * 86400000).toISOString().slice(0, 10)},120,80\n`;
+    const response = await importReadings({}, future);
+    expect(response.body.rows[0].errors).toEqual(['Reading date is in the future']);
+
+    const decimals = await importReadings({}, `Date,Systolic,Diastolic,Pulse\n${day(3)},120.5,80,72\n${day(2)},121,80,71.5\n`);
+    expect(decimals.body).toMatchObject({ validRows: 0, invalidRows: 2 });
+    expect(decimals.body.rows[0].errors).toEqual(['Systolic: Expected number, received string']);
+    expect(decimals.body.rows[1].errors).toEqual(['Pulse: Expected number, received string']);
+
+    await request(app)
+      .post('/api/blood-pressure-readings/import')
+      .send({ memberId: '00000000-0000-4000-8000-000000000000', fileName: 'x.csv', content: 'eA==', source: 'Omron Connect' })
+      .expect(404);
+  });
+});
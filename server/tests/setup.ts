@@ -1,25 +1,35 @@
-import { drizzle } from 'drizzle-orm/better-sqlite3';
 import Database from 'better-sqlite3';
-import * as schema from '../src/db/schema';
 import fs from 'fs';
 import path from 'path';
 
 // Test database setup
 const testDbPath = path.join(__dirname, '../test.db');
 
-// Clean up test database before each test suite
-beforeAll(async () => {
-  // Remove existing test database
-  if (fs.existsSync(testDbPath)) {
-    fs.unlinkSync(testDbPath);
-  }
-  
-  // Create new test database
-  const sqlite = new Database(testDbPath);
-  const db = drizzle(sqlite, { schema });
-  
-  // Create tables
-  sqlite.exec(`
+// Build a fresh test database as each suite loads, before the suite imports src/db and opens it.
+// Nothing may remove the file after that: src/db would keep writing to the unlinked copy while the
+// suite's own connections open a new, empty one.
+if (fs.existsSync(testDbPath)) {
+  fs.unlinkSync(testDbPath);
+}
+
+const sqlite = new Database(testDbPath);
+
+// Create tables
+sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      email TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'user',
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      last_login INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS members (
       id TEXT PRIMARY KEY,
       employee_id TEXT UNIQUE NOT NULL,
@@ -27,11 +37,64 @@ beforeAll(async () => {
       last_name TEXT NOT NULL,
       date_of_birth TEXT NOT NULL,
       gender TEXT NOT NULL,
-      union TEXT NOT NULL,
+      "union" TEXT NOT NULL,
+      phone TEXT,
+      email TEXT,
+      address_line1 TEXT,
+      address_line2 TEXT,
+      city TEXT,
+      state TEXT,
+      postal_code TEXT,
+      preferred_language TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      coach_id TEXT,
+      archived_at INTEGER,
+      deleted_at INTEGER,
+      deleted_by TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
 
+    CREATE TABLE IF NOT EXISTS member_consents (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      consent_type TEXT NOT NULL,
+      granted INTEGER NOT NULL,
+      version TEXT NOT NULL,
+      recorded_by TEXT,
+      recorded_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS caseload_assignments (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      coach_id TEXT,
+      previous_coach_id TEXT,
+      reason TEXT,
+      assigned_by TEXT,
+      assigned_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS measurement_sessions (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      started_at INTEGER NOT NULL,
+      reading_count INTEGER NOT NULL,
+      included_count INTEGER NOT NULL,
+      mean_systolic INTEGER NOT NULL,
+      mean_diastolic INTEGER NOT NULL,
+      mean_heart_rate INTEGER,
+      htn_status TEXT NOT NULL,
+      guideline TEXT NOT NULL DEFAULT 'aha-acc-2017',
+      htn_rule TEXT,
+      deleted_at INTEGER,
+      deleted_by TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id)
+    );
+
     CREATE TABLE IF NOT EXISTS blood_pressure_readings (
       id TEXT PRIMARY KEY,
       member_id TEXT NOT NULL,
@@ -39,9 +102,19 @@ beforeAll(async () => {
       diastolic INTEGER NOT NULL,
       heart_rate INTEGER,
       htn_status TEXT NOT NULL,
-      reading_date TEXT NOT NULL,
+      guideline TEXT NOT NULL DEFAULT 'aha-acc-2017',
+      htn_rule TEXT,
+      session_id TEXT,
+      session_flag TEXT,
+      source TEXT,
+      imported_at INTEGER,
+      imported_by TEXT,
+      reading_date INTEGER NOT NULL,
+      deleted_at INTEGER,
+      deleted_by TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (member_id) REFERENCES members(id)
+      FOREIGN KEY (member_id) REFERENCES members(id),
+      FOREIGN KEY (session_id) REFERENCES measurement_sessions(id)
     );
 
     CREATE TABLE IF NOT EXISTS encounters (
@@ -52,37 +125,203 @@ beforeAll(async () => {
       content TEXT NOT NULL,
       call_status TEXT NOT NULL,
       caller_name TEXT NOT NULL,
-      encounter_date TEXT NOT NULL,
+      recorded_by TEXT,
+      encounter_date INTEGER NOT NULL,
       is_completed BOOLEAN DEFAULT FALSE,
       session_number INTEGER NOT NULL,
+      deleted_at INTEGER,
+      deleted_by TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (member_id) REFERENCES members(id)
     );
 
+    CREATE TABLE IF NOT EXISTS follow_ups (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      encounter_id TEXT,
+      assigned_to TEXT NOT NULL,
+      due_date INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'scheduled',
+      completed_encounter_id TEXT,
+      completed_at INTEGER,
+      created_by TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id),
+      FOREIGN KEY (encounter_id) REFERENCES encounters(id),
+      FOREIGN KEY (completed_encounter_id) REFERENCES encounters(id)
+    );
+
     CREATE TABLE IF NOT EXISTS medical_history (
       id TEXT PRIMARY KEY,
       member_id TEXT NOT NULL,
-      condition_name TEXT NOT NULL,
-      diagnosis_date TEXT,
+      condition TEXT NOT NULL,
+      icd10_code TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      onset_date INTEGER,
+      severity TEXT,
       notes TEXT,
-      is_active BOOLEAN DEFAULT TRUE,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      reported_date INTEGER NOT NULL,
+      deleted_at INTEGER,
+      deleted_by TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS medications (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      drug_name TEXT NOT NULL,
+      drug_class TEXT NOT NULL,
+      dose TEXT NOT NULL,
+      frequency TEXT NOT NULL,
+      start_date INTEGER NOT NULL,
+      stop_date INTEGER,
+      prescriber TEXT,
+      notes TEXT,
+      deleted_at INTEGER,
+      deleted_by TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS medication_adherence (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      medication_id TEXT,
+      encounter_id TEXT,
+      adherence TEXT NOT NULL,
+      missed_doses INTEGER,
+      barriers TEXT,
+      recorded_by TEXT,
+      recorded_at INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id),
+      FOREIGN KEY (medication_id) REFERENCES medications(id),
+      FOREIGN KEY (encounter_id) REFERENCES encounters(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS alerts (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      reading_id TEXT,
+      session_id TEXT,
+      severity TEXT NOT NULL,
+      systolic INTEGER NOT NULL,
+      diastolic INTEGER NOT NULL,
+      htn_status TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      escalation_level INTEGER NOT NULL DEFAULT 0,
+      escalate_at INTEGER,
+      acknowledged_by TEXT,
+      acknowledged_at INTEGER,
+      acknowledgement_note TEXT,
+      resolved_by TEXT,
+      resolved_at INTEGER,
+      resolution_note TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id),
+      FOREIGN KEY (reading_id) REFERENCES blood_pressure_readings(id),
+      FOREIGN KEY (session_id) REFERENCES measurement_sessions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_deliveries (
+      id TEXT PRIMARY KEY,
+      alert_id TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      escalation_level INTEGER NOT NULL,
+      recipients TEXT,
+      status TEXT NOT NULL,
+      error TEXT,
+      sent_at INTEGER NOT NULL,
+      FOREIGN KEY (alert_id) REFERENCES alerts(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS member_contact_preferences (
+      member_id TEXT PRIMARY KEY,
+      preferred_channel TEXT NOT NULL DEFAULT 'sms',
+      sms_opted_out_at INTEGER,
+      email_opted_out_at INTEGER,
+      updated_by TEXT,
+      updated_at INTEGER NOT NULL,
       FOREIGN KEY (member_id) REFERENCES members(id)
     );
-  `);
-  
-  sqlite.close();
-});
 
-// Clean up after all tests
-afterAll(async () => {
-  if (fs.existsSync(testDbPath)) {
-    fs.unlinkSync(testDbPath);
-  }
-});
+    CREATE TABLE IF NOT EXISTS messages (
+      id TEXT PRIMARY KEY,
+      member_id TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      template_id TEXT NOT NULL,
+      follow_up_id TEXT,
+      recipient TEXT NOT NULL,
+      subject TEXT,
+      body TEXT NOT NULL,
+      transport TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error TEXT,
+      encounter_id TEXT,
+      sent_by TEXT,
+      sent_at INTEGER NOT NULL,
+      FOREIGN KEY (member_id) REFERENCES members(id),
+      FOREIGN KEY (follow_up_id) REFERENCES follow_ups(id),
+      FOREIGN KEY (encounter_id) REFERENCES encounters(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      user_role TEXT,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT,
+      member_id TEXT,
+      changes TEXT,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      ip_address TEXT,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS program_reports (
+      id TEXT PRIMARY KEY,
+      month TEXT NOT NULL UNIQUE,
+      period_start INTEGER NOT NULL,
+      period_end INTEGER NOT NULL,
+      file_name TEXT NOT NULL,
+      content BLOB NOT NULL,
+      generated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS analytics_snapshots (
+      id TEXT PRIMARY KEY,
+      month TEXT NOT NULL,
+      "union" TEXT NOT NULL,
+      enrolled_members INTEGER NOT NULL,
+      new_members INTEGER NOT NULL,
+      participating_members INTEGER NOT NULL,
+      measured_members INTEGER NOT NULL,
+      controlled_members INTEGER NOT NULL,
+      normal_count INTEGER NOT NULL,
+      elevated_count INTEGER NOT NULL,
+      stage1_count INTEGER NOT NULL,
+      stage2_count INTEGER NOT NULL,
+      crisis_count INTEGER NOT NULL,
+      avg_systolic REAL,
+      avg_diastolic REAL,
+      readings INTEGER NOT NULL,
+      encounters INTEGER NOT NULL,
+      completed_encounters INTEGER NOT NULL,
+      captured_at INTEGER NOT NULL,
+      UNIQUE (month, "union")
+    );
+`);
+
+sqlite.close();
 
 // Set test environment
 process.env.NODE_ENV = 'test';
 process.env.DATABASE_URL = `sqlite:${testDbPath}`;
 process.env.PORT = '3002';
-
@@ -0,0 +1,184 @@
+import request from 'supertest';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { membersRouter } from '../src/routes/members';
+import { bloodPressureRouter } from '../src/routes/bloodPressure';
+import { encountersRouter } from '../src/routes/encounters';
+import { purgeDeletedRecords } from '../src/jobs/purgeDeleted';
+import path from 'path';
+
+let currentRole = 'admin';
+
+const app = express();
+app.use(express.json());
+app.use((req: any, res, next) => {
+  req.user = { userId: 'test-user-id', role: currentRole };
+  next();
+});
+app.use('/api/members', membersRouter);
+app.use('/api/blood-pressure-readings', bloodPressureRouter);
+app.use('/api/encounters', encountersRouter);
+
+describe('Soft delete', () => {
+  let sqlite: Database.Database;
+  let testMemberId: string;
+
+  beforeAll(() => {
+    const testDbPath = path.join(__dirname, '../test.db');
+    sqlite = new Database(testDbPath);
+  });
+
+  afterAll(() => {
+    sqlite.close();
+  });
+
+  beforeEach(async () => {
+    currentRole = 'admin';
+    sqlite.exec('DELETE FROM blood_pressure_readings');
+    sqlite.exec('DELETE FROM encounters');
+    sqlite.exec('DELETE FROM members');
+
+    const memberResponse = await request(app)
+      .post('/api/members')
+      .send({
+        employeeId: 'FF001',
+        firstName: 'John',
+        lastName: 'Smith',
+        dateOfBirth: '1985-06-15T00:00:00.000Z',
+        gender: 'Male',
+        union: 'Firefighters'
+      });
+
+    testMemberId = memberResponse.body.id;
+  });
+
+  const createReading = () => request(app)
+    .post('/api/blood-pressure-readings')
+    .send({
+      memberId: testMemberId,
+      systolic: 120,
+      diastolic: 78,
+      readingDate: new Date().toISOString()
+    });
+
+  describe('Blood pressure readings', () => {
+    it('should hide a deleted reading and record who deleted it', async () => {
+      const { body: reading } = await createReading();
+
+      await request(app)
+        .delete(`/api/blood-pressure-readings/${reading.id}`)
+        .expect(204);
+
+      const list = await request(app).get('/api/blood-pressure-readings').expect(200);
+      expect(list.body.data).toHaveLength(0);
+
+      const deleted = await request(app).get('/api/blood-pressure-readings/deleted').expect(200);
+      expect(deleted.body).toHaveLength(1);
+      expect(deleted.body[0].deletedBy).toBe('test-user-id');
+    });
+
+    it('should restore a deleted reading', async () => {
+      const { body: reading } = await createReading();
+
+      await request(app).delete(`/api/blood-pressure-readings/${reading.id}`);
+
+      const response = await request(app)
+        .post(`/api/blood-pressure-readings/${reading.id}/restore`)
+        .expect(200);
+
+      expect(response.body.deletedAt).toBeNull();
+
+      const list = await request(app).get('/api/blood-pressure-readings').expect(200);
+      expect(list.body.data).toHaveLength(1);
+    });
+
+    it('should return 404 when restoring a reading that is not deleted', async () => {
+      const { body: reading } = await createReading();
+
+      await request(app)
+        .post(`/api/blood-pressure-readings/${reading.id}/restore`)
+        .expect(404);
+    });
+
+    it('should only allow admins to restore', async () => {
+      const { body: reading } = await createReading();
+      await request(app).delete(`/api/blood-pressure-readings/${reading.id}`);
+
+      currentRole = 'user';
+      await request(app)
+        .post(`/api/blood-pressure-readings/${reading.id}/restore`)
+        .expect(403);
+    });
+
+    it('should return 410 once the recovery window has passed', async () => {
+      const { body: reading } = await createReading();
+      await request(app).delete(`/api/blood-pressure-readings/${reading.id}`);
+
+      const expired = Math.floor((Date.now() - 91 * 24 * 60 * 60 * 1000) / 1000);
+      sqlite.prepare('UPDATE blood_pressure_readings SET deleted_at = ? WHERE id = ?').run(expired, reading.id);
+
+      await request(app)
+        .post(`/api/blood-pressure-readings/${reading.id}/restore`)
+        .expect(410);
+    });
+  });
+
+  describe('Encounters', () => {
+    it('should soft-delete and restore an encounter', async () => {
+      const { body: encounter } = await request(app)
+        .post('/api/encounters')
+        .send({
+          memberId: testMemberId,
+          communicationType: 'Phone',
+          topic: 'Follow-up call',
+          content: 'Discussed home monitoring routine',
+          callStatus: 'Completed',
+          callerName: 'Coach Kim',
+          encounterDate: new Date().toISOString()
+        });
+
+      await request(app).delete(`/api/encounters/${encounter.id}`).expect(204);
+      await request(app).get('/api/encounters').expect(200).expect(res => {
+        expect(res.body.data).toHaveLength(0);
+      });
+
+      await request(app).post(`/api/encounters/${encounter.id}/restore`).expect(200);
+      await request(app).get('/api/encounters').expect(200).expect(res => {
+        expect(res.body.data).toHaveLength(1);
+      });
+    });
+  });
+
+  describe('Members', () => {
+    it('should return 404 for a deleted member and list it as recently deleted', async () => {
+      await request(app).delete(`/api/members/${testMemberId}`).expect(204);
+
+      await request(app).get(`/api/members/${testMemberId}`).expect(404);
+
+      const deleted = await request(app).get('/api/members/deleted').expect(200);
+      expect(deleted.body.map((m: any) => m.id)).toContain(testMemberId);
+
+      await request(app).post(`/api/members/${testMemberId}/restore`).expect(200);
+      await request(app).get(`/api/members/${testMemberId}`).expect(200);
+    });
+  });
+
+  describe('purgeDeletedRecords', () => {
+    it('should permanently remove rows past the recovery window only', async () => {
+      const { body: oldReading } = await createReading();
+      const { body: recentReading } = await createReading();
+
+      await request(app).delete(`/api/blood-pressure-readings/${oldReading.id}`);
+      await request(app).delete(`/api/blood-pressure-readings/${recentReading.id}`);
+
+      const expired = Math.floor((Date.now() - 91 * 24 * 60 * 60 * 1000) / 1000);
+      sqlite.prepare('UPDATE blood_pressure_readings SET deleted_at = ? WHERE id = ?').run(expired, oldReading.id);
+
+      const result = purgeDeletedRecords();
+
+      expect(result.bloodPressureReadings).toBe(1);
+      const remaining = sqlite.prepare('SELECT id FROM blood_pressure_readings').all() as { id: string }[];
+      expect(remaining.map(r => r.id)).toEqual([recentReading.id]);
+    });
+  });
+});